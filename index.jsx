@@ -1,7 +1,4 @@
-// @jsx h
-// @jsxFrag Fragment
-
-import { h, render, Fragment } from "preact";
+import { render } from "preact";
 import { useState } from "preact/hooks";
 
 console.log("Hello world!");
@@ -1,4 +1,4 @@
-(function () {
+(function jsxLoaderModule() {
     "use strict";
 
     // Enums "JavaScript Objects" for Tokens and AST.
@@ -21,6 +21,1057 @@
         createElement: 2,
     };
 
+    // Used by the compiler to mark positions in generated code for Source Maps
+    var sourceMapMarker = "\u0000";
+
+    // Return a function that converts a position in `input` to `{ line, column }`,
+    // both starting at 0
+    function createPositionFinder(input) {
+        var lineStarts = [0];
+        for (var n = 0, m = input.length; n < m; n++) {
+            if (input[n] === "\n") {
+                lineStarts.push(n + 1);
+            }
+        }
+        return function (pos) {
+            var low = 0;
+            var high = lineStarts.length - 1;
+            while (low < high) {
+                var mid = Math.ceil((low + high) / 2);
+                if (lineStarts[mid] <= pos) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return { line: low, column: pos - lineStarts[low] };
+        };
+    }
+
+    /**
+     * Create a printer for [compiler.printers]. A printer converts the node for an
+     * element from [compiler.codeGenerator()] to code, nodes are one of:
+     *
+     *     string   Code that is printed as-is
+     *     call     `{ type: "call", callee, args, mapping }` function call for an element
+     *     object   `{ type: "object", entries }` props, each entry is
+     *              `{ name, value, mapping }` and `name` is `null` for a spread
+     *     array    `{ type: "array", items }` children for the Automatic Runtime
+     *
+     * `mapping` is a Source Map marker that is printed before the code. Printers
+     * are called with `options` `{ indent, tabWidth, printWidth, textLength }`
+     * where `indent` is the indentation of the line the element starts on and
+     * `textLength()` returns the length of code without markers.
+     *
+     * `settings.space` is added after `,` and `:`. If `settings.lineBreaks` is
+     * `true` child elements are printed on separate lines indented by `tabWidth`
+     * and props that are longer than `printWidth` are printed one per line.
+     *
+     * @param {object} settings `{ space, lineBreaks }`
+     * @return {function}
+     */
+    function createPrinter(settings) {
+        var space = settings.space;
+        return function (node, options) {
+            var tab = " ".repeat(options.tabWidth);
+
+            // Arguments and array items, with line breaks an element starts on a
+            // new line and so does each item after it
+            function printList(items, indent) {
+                var innerIndent = indent + tab;
+                var newLine = false;
+                return items
+                    .map(function (item, index) {
+                        newLine =
+                            newLine ||
+                            (settings.lineBreaks && item.type === "call");
+                        if (newLine) {
+                            return (
+                                (index === 0 ? "" : ",") +
+                                "\n" +
+                                innerIndent +
+                                print(item, innerIndent)
+                            );
+                        }
+                        return (
+                            (index === 0 ? "" : "," + space) +
+                            print(item, indent)
+                        );
+                    })
+                    .join("");
+            }
+
+            function printObject(entries, indent) {
+                // Only props with code count towards the length, elements and
+                // children are printed on their own lines
+                var length = entries.reduce(function (total, entry) {
+                    return (
+                        total +
+                        options.textLength(entry.name || "...") +
+                        (typeof entry.value === "string"
+                            ? options.textLength(entry.value) + 2
+                            : 0)
+                    );
+                }, -2);
+                var wrap = settings.lineBreaks && length > options.printWidth;
+                var entryIndent = wrap ? indent + tab : indent;
+                var code = entries.map(function (entry) {
+                    return (
+                        entry.mapping +
+                        (entry.name === null
+                            ? "..." + entry.value
+                            : entry.name +
+                              ":" +
+                              space +
+                              print(entry.value, entryIndent))
+                    );
+                });
+                if (wrap) {
+                    return (
+                        "{\n" +
+                        entryIndent +
+                        code.join(",\n" + entryIndent) +
+                        ",\n" +
+                        indent +
+                        "}"
+                    );
+                }
+                return "{" + code.join("," + space) + "}";
+            }
+
+            function print(node, indent) {
+                if (typeof node === "string") {
+                    return node;
+                }
+                switch (node.type) {
+                    case "call":
+                        return (
+                            node.mapping +
+                            node.callee +
+                            "(" +
+                            printList(node.args, indent) +
+                            ")"
+                        );
+                    case "object":
+                        return printObject(node.entries, indent);
+                    case "array":
+                        return "[" + printList(node.items, indent) + "]";
+                }
+                throw new Error("Unknown printer node type: " + node.type);
+            }
+
+            return print(node, options.indent);
+        };
+    }
+
+    // Base64 VLQ encoding used for Source Map `mappings`
+    var base64Chars =
+        "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    function encodeVlq(value) {
+        var vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+        var encoded = "";
+        do {
+            var digit = vlq & 31;
+            vlq >>>= 5;
+            if (vlq > 0) {
+                digit |= 32;
+            }
+            encoded += base64Chars[digit];
+        } while (vlq > 0);
+        return encoded;
+    }
+
+    /**
+     * Error thrown by the compiler for invalid or unsupported JSX.
+     *
+     * Properties:
+     *     code       Stable error code, for example "JSX_MISMATCHED_CLOSING_ELEMENT"
+     *     fileName   Set by `compiler.compile()` from `options.fileName`, otherwise `null`
+     *     line       Line number starting at 1, `null` if the position is not known
+     *     column     Column number starting at 0 (the same as Babel)
+     *     start, end Character offsets of the error in the original input
+     *     codeFrame  Lines of code near the error with a `^` marker under the error
+     *
+     * @param {string} code
+     * @param {string} message
+     * @param {string} input
+     * @param {number|null} start
+     * @param {number|undefined} end
+     */
+    function JsxCompileError(code, message, input, start, end) {
+        var hasPos = typeof start === "number" && start >= 0;
+        this.name = "JsxCompileError";
+        this.code = code;
+        this.fileName = null;
+        this.start = hasPos ? start : null;
+        this.end = hasPos
+            ? Math.max(end === undefined ? start : end, start)
+            : null;
+        this.line = null;
+        this.column = null;
+        this.codeFrame = "";
+        if (hasPos) {
+            var lines = input.substring(0, start).split("\n");
+            this.line = lines.length;
+            this.column = lines[lines.length - 1].length;
+            this.codeFrame = createCodeFrame(
+                input,
+                this.line,
+                this.column,
+                this.end - this.start,
+            );
+            message += jsxLoader.compiler.getTextPosition(input, start);
+        }
+        this.message = message;
+        this.stack = new Error(message).stack;
+    }
+    JsxCompileError.prototype = Object.create(Error.prototype);
+    JsxCompileError.prototype.constructor = JsxCompileError;
+    JsxCompileError.prototype.toJSON = function () {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            fileName: this.fileName,
+            line: this.line,
+            column: this.column,
+            start: this.start,
+            end: this.end,
+            codeFrame: this.codeFrame,
+        };
+    };
+
+    // Return lines of code near an error with a `^` marker under the error, for example:
+    //     13 |
+    //   > 14 |     return <button>{count}</buton>;
+    //        |                           ^^^^^^^^
+    //     15 | };
+    function createCodeFrame(input, line, column, length) {
+        var lines = input.split("\n");
+        var first = Math.max(line - 3, 0);
+        var last = Math.min(line + 2, lines.length);
+        var width = String(last).length;
+        var frame = [];
+        for (var n = first; n < last; n++) {
+            var number = String(n + 1);
+            var gutter = " ".repeat(width - number.length) + number + " |";
+            var isErrorLine = n + 1 === line;
+            frame.push(
+                (isErrorLine ? "> " : "  ") +
+                    gutter +
+                    (lines[n] === "" ? "" : " " + lines[n].replace(/\r$/, "")),
+            );
+            if (isErrorLine) {
+                var marker = lines[n]
+                    .substring(0, column)
+                    .replace(/[^\t]/g, " ");
+                var markerLength = Math.max(
+                    Math.min(length, lines[n].length - column),
+                    1,
+                );
+                frame.push(
+                    "  " +
+                        " ".repeat(width) +
+                        " | " +
+                        marker +
+                        "^".repeat(markerLength),
+                );
+            }
+        }
+        return frame.join("\n");
+    }
+
+    // Convert a Unicode code point to a string, the same as `String.fromCodePoint()`
+    function fromCodePoint(codePoint) {
+        if (codePoint <= 0xffff) {
+            return String.fromCharCode(codePoint);
+        }
+        codePoint -= 0x10000;
+        return String.fromCharCode(
+            0xd800 + (codePoint >> 10),
+            0xdc00 + (codePoint & 0x3ff),
+        );
+    }
+
+    // Decode HTML entities in JSX text and attribute strings without using the DOM
+    // so the compiler also works with Node. The same as Babel entities must end
+    // with `;` and anything that is not a valid entity is kept as-is, for example
+    // `&amp;`, `&#39;`, and `&#x1F600;` are decoded but `&amp` and `&unknown;` are not.
+    // All HTML5 entity names are supported while Babel only supports the XHTML
+    // names so entities such as `&NotEqualTilde;` are only decoded by jsxLoader.
+    var htmlEntities = null;
+    function decodeEntities(text) {
+        if (text.indexOf("&") === -1) {
+            return text;
+        }
+        if (htmlEntities === null) {
+            htmlEntities = {};
+            htmlEntityData.split(",").forEach(function (item) {
+                var parts = item.split(":");
+                htmlEntities[parts[0]] = parts[1]
+                    .split(".")
+                    .map(function (hex) {
+                        return fromCodePoint(parseInt(hex, 16));
+                    })
+                    .join("");
+            });
+        }
+        return text.replace(
+            /&(?:#x([0-9a-fA-F]+)|#([0-9]+)|([A-Za-z][A-Za-z0-9]*));/g,
+            function (entity, hex, decimal, name) {
+                if (name !== undefined) {
+                    return htmlEntities.hasOwnProperty(name)
+                        ? htmlEntities[name]
+                        : entity;
+                }
+                var codePoint =
+                    hex !== undefined
+                        ? parseInt(hex, 16)
+                        : parseInt(decimal, 10);
+                return codePoint <= 0x10ffff
+                    ? fromCodePoint(codePoint)
+                    : entity;
+            },
+        );
+    }
+
+    // Whitespace in JSX text is handled the same as Babel's
+    // `cleanJSXElementLiteralChild()`. Lines are trimmed where they touch a line
+    // break, lines that are only whitespace are removed, tabs become spaces, and
+    // the remaining lines are joined with a single space. Text without line breaks
+    // is kept as-is. An empty string is returned if nothing remains.
+    function cleanJsxText(text) {
+        var lines = text.split(/\r\n|\n|\r/);
+        var lastNonEmptyLine = 0;
+        var n, m;
+        for (n = 0, m = lines.length; n < m; n++) {
+            if (/[^ \t]/.test(lines[n])) {
+                lastNonEmptyLine = n;
+            }
+        }
+        var result = "";
+        for (n = 0, m = lines.length; n < m; n++) {
+            var line = lines[n].replace(/\t/g, " ");
+            if (n !== 0) {
+                line = line.replace(/^[ ]+/, "");
+            }
+            if (n !== m - 1) {
+                line = line.replace(/[ ]+$/, "");
+            }
+            if (line !== "") {
+                result += n === lastNonEmptyLine ? line : line + " ";
+            }
+        }
+        return result;
+    }
+
+    // Return the code from `start` to `end` with comments replaced by spaces.
+    // `comments` contains sorted `[start, end]` ranges. Line breaks are kept so
+    // positions in the code stay the same.
+    function blankComments(input, comments, start, end) {
+        // Find the first comment that ends after `start`
+        var low = 0;
+        var high = comments.length;
+        while (low < high) {
+            var middle = (low + high) >> 1;
+            if (comments[middle][1] <= start) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        var result = "";
+        var pos = start;
+        for (var n = low; n < comments.length && comments[n][0] < end; n++) {
+            var commentEnd = Math.min(comments[n][1], end);
+            result +=
+                input.substring(pos, comments[n][0]) +
+                input
+                    .substring(comments[n][0], commentEnd)
+                    .replace(/[^\r\n]/g, " ");
+            pos = commentEnd;
+        }
+        return result + input.substring(pos, end);
+    }
+
+    // Convert an error to JSON for the [data-error] attribute of a <script> element
+    function errorToJson(error) {
+        if (error instanceof JsxCompileError) {
+            return JSON.stringify(error);
+        }
+        return JSON.stringify({
+            name: error && error.name ? error.name : "Error",
+            code: error && error.code ? error.code : null,
+            message: error && error.message ? error.message : String(error),
+        });
+    }
+
+    // Dispatch a CustomEvent such as `jsxloader:compiled`, see [jsxLoader.loadScript()]
+    function dispatchEvent(target, name, detail) {
+        var event;
+        if (typeof CustomEvent === "function") {
+            event = new CustomEvent(name, { detail: detail });
+        } else {
+            // IE 11
+            event = document.createEvent("CustomEvent");
+            event.initCustomEvent(name, false, false, detail);
+        }
+        target.dispatchEvent(event);
+    }
+
+    // Resolves [jsxLoader.ready] once [jsxLoader.setup()] has loaded all scripts
+    var resolveReady = null;
+
+    // MutationObserver for scripts added after [jsxLoader.setup()], see
+    // [jsxLoader.observeScripts]
+    var scriptObserver = null;
+
+    // Source and decoded Source Map `mappings` of compiled scripts keyed by absolute URL.
+    // Used to show the original JSX for runtime errors in the error overlay.
+    var compiledSources = {};
+
+    // Return the position in the original JSX for a line and column (both starting at 1)
+    // of compiled code, or `null` if the position cannot be found.
+    function findOriginalPosition(url, line, column) {
+        var source = compiledSources[resolveUrl(url, document.baseURI)];
+        if (!source) {
+            return null;
+        }
+        var lines = source.mappings.split(";");
+        if (line < 1 || line > lines.length) {
+            return null;
+        }
+        // Values in `mappings` are relative to the previous segment
+        var srcLine = 0;
+        var srcColumn = 0;
+        var found = null;
+        for (var n = 0; n < line; n++) {
+            var genColumn = 0;
+            var segments = lines[n] === "" ? [] : lines[n].split(",");
+            for (var x = 0, y = segments.length; x < y; x++) {
+                var values = decodeVlq(segments[x]);
+                genColumn += values[0];
+                srcLine += values[2];
+                srcColumn += values[3];
+                if (
+                    n === line - 1 &&
+                    (found === null || genColumn <= column - 1)
+                ) {
+                    found = { line: srcLine + 1, column: srcColumn };
+                }
+            }
+        }
+        if (found === null) {
+            return null;
+        }
+        found.input = source.input;
+        return found;
+    }
+
+    function decodeVlq(segment) {
+        var values = [];
+        var value = 0;
+        var shift = 0;
+        for (var n = 0, m = segment.length; n < m; n++) {
+            var digit = base64Chars.indexOf(segment[n]);
+            value += (digit & 31) << shift;
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value & 1 ? -(value >> 1) : value >> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    }
+
+    // Show uncaught runtime errors in the error overlay, see [jsxLoader.showErrorOverlay]
+    function showRuntimeError(error, fileName, line, column) {
+        if (!jsxLoader.showErrorOverlay) {
+            return;
+        }
+        // Use the first location from the stack trace if the event has no location
+        var stack = error && error.stack ? String(error.stack) : "";
+        var match = /\(?((?:blob:)?[^\s()]+?):(\d+):(\d+)\)?\s*$/m.exec(stack);
+        if (!fileName && match) {
+            fileName = match[1];
+            line = parseInt(match[2], 10);
+            column = parseInt(match[3], 10);
+        }
+        var codeFrame = "";
+        var pos = fileName
+            ? findOriginalPosition(fileName, line, column)
+            : null;
+        if (pos !== null) {
+            codeFrame = createCodeFrame(pos.input, pos.line, pos.column, 1);
+            line = pos.line;
+            column = pos.column;
+        }
+        jsxLoader.showError({
+            title: "Runtime Error",
+            fileName: fileName
+                ? fileName + (line ? ":" + line + ":" + column : "")
+                : null,
+            message:
+                error && error.message
+                    ? (error.name ? error.name + ": " : "") + error.message
+                    : String(error),
+            codeFrame: codeFrame,
+        });
+    }
+
+    function onOverlayKeyDown(e) {
+        if (e.key === "Escape") {
+            jsxLoader.hideError();
+        }
+    }
+
+    // Live reload state, see [jsxLoader.liveReload]
+    var liveReloadSource = null;
+
+    // Components for hot reload keyed by `{fileName}#{name}` of their top-level
+    // declaration, see [jsxLoader.registerHotComponent()]. Each version of a
+    // component function is mapped to its entry or to `null` if it is not declared
+    // at the top-level of a JSX file.
+    var hotComponents = {};
+    var hotComponentVersions = null;
+
+    // JSX imports of entry scripts keyed by URL, used to find scripts to run again
+    // when an imported module changes. Inline scripts use the page URL.
+    var entryImports = {};
+
+    // Static and dynamic imports and `export ... from` in compiled module code,
+    // the specifier is the third group. The code is not parsed so text that looks
+    // like an import inside a string, template literal, or comment also matches,
+    // the imported file is then downloaded and the text rewritten with its URL.
+    var importRegex =
+        /(\bimport\s*(?:[\w$*{}\s,]+?\s*from\s*)?|\bexport\s*(?:[\w$*{}\s,]+?\s*from\s*)|\bimport\s*\(\s*)(["'])([^"'\n]+)\2/g;
+
+    function isRelative(specifier) {
+        return /^(\.{1,2})?\//.test(specifier);
+    }
+
+    // Rewrite relative imports such as `./utils.js` to absolute URLs for module
+    // code that runs from a Blob URL where relative URLs can't be resolved
+    function resolveImports(js, url) {
+        return js.replace(
+            importRegex,
+            function (match, prefix, quote, specifier) {
+                if (!isRelative(specifier)) {
+                    return match;
+                }
+                return prefix + quote + new URL(specifier, url).href + quote;
+            },
+        );
+    }
+
+    // Download the JSX of a <script type="text/babel" src="{url}">. If the element
+    // has an `integrity` attribute the downloaded file is checked before it is
+    // compiled, see [verifyIntegrity()].
+    function fetchJsx(element) {
+        return fetch(element.src, jsxLoader.fetchOptions).then(function (res) {
+            var status = res.status;
+            if (!((status >= 200 && status < 300) || status === 304)) {
+                throw new Error(
+                    "Error loading data. Server Response Code: " +
+                        status +
+                        ", Response Text: " +
+                        res.statusText,
+                );
+            }
+            var integrity = element.getAttribute("integrity");
+            if (!integrity) {
+                return res.text();
+            }
+            return res.arrayBuffer().then(function (buffer) {
+                return verifyIntegrity(buffer, integrity, element.src);
+            });
+        });
+    }
+
+    // Subresource Integrity (SRI) check of a downloaded file using SubtleCrypto.
+    // Resolves with the file as text if one of the hashes in `integrity` for the
+    // strongest algorithm matches, otherwise rejects with an `IntegrityError`.
+    // Like browsers, unknown algorithms are ignored.
+    function verifyIntegrity(buffer, integrity, url) {
+        var algorithms = ["sha256", "sha384", "sha512"];
+        var hashes = [];
+        integrity.split(/\s+/).forEach(function (item) {
+            var match = /^(sha256|sha384|sha512)-([A-Za-z0-9+/=_-]+)/.exec(
+                item,
+            );
+            if (match === null) {
+                return;
+            }
+            var strength = algorithms.indexOf(match[1]);
+            if (hashes.length > 0 && strength < hashes[0].strength) {
+                return;
+            }
+            if (hashes.length > 0 && strength > hashes[0].strength) {
+                hashes = [];
+            }
+            hashes.push({
+                strength: strength,
+                algorithm: match[1],
+                // base64url is also allowed
+                digest: match[2].replace(/-/g, "+").replace(/_/g, "/"),
+            });
+        });
+
+        function toText() {
+            return new TextDecoder().decode(buffer);
+        }
+
+        function integrityError(code, message) {
+            var error = new Error(message);
+            error.name = "IntegrityError";
+            error.code = code;
+            return error;
+        }
+
+        if (hashes.length === 0) {
+            return Promise.resolve(toText());
+        }
+        var algorithm = hashes[0].algorithm;
+        if (typeof crypto === "undefined" || !crypto.subtle) {
+            return Promise.reject(
+                integrityError(
+                    "JSX_INTEGRITY_UNSUPPORTED",
+                    "Unable to check the integrity of " +
+                        url +
+                        " because SubtleCrypto is not available, it requires HTTPS or localhost",
+                ),
+            );
+        }
+        return crypto.subtle
+            .digest(algorithm.replace("sha", "SHA-"), buffer)
+            .then(function (result) {
+                var digest = btoa(
+                    String.fromCharCode.apply(null, new Uint8Array(result)),
+                );
+                var matched = hashes.some(function (hash) {
+                    return hash.digest === digest;
+                });
+                if (!matched) {
+                    throw integrityError(
+                        "JSX_INTEGRITY_MISMATCH",
+                        "Failed to find a valid digest in the 'integrity' attribute for " +
+                            url +
+                            " with computed integrity '" +
+                            algorithm +
+                            "-" +
+                            digest +
+                            "'",
+                    );
+                }
+                return toText();
+            });
+    }
+
+    // Download and run a <script type="text/babel"> again for [jsxLoader.reloadFile()]
+    function reloadScript(element) {
+        var src = element.getAttribute("src");
+        if (src) {
+            Array.prototype.forEach.call(
+                document.querySelectorAll("script[data-src]"),
+                function (script) {
+                    if (script.getAttribute("data-src") === src) {
+                        script.parentNode.removeChild(script);
+                    }
+                },
+            );
+        }
+        element.removeAttribute("data-added-to-page");
+        element.removeAttribute("data-error");
+        jsxLoader.hideError();
+        if (element.src === "") {
+            return jsxLoader.loadScript(element);
+        }
+        return fetchJsx(element).then(
+            function (text) {
+                return jsxLoader.loadScript(element, text);
+            },
+            function (error) {
+                return jsxLoader.loadScript(element, "", error);
+            },
+        );
+    }
+
+    // Trusted Types policy created from [jsxLoader.csp.trustedTypesPolicy]
+    var trustedTypesPolicy = null;
+
+    // Return the Trusted Types policy to use for generated scripts or `null` if
+    // Trusted Types are not used or not supported by the browser
+    function getTrustedTypesPolicy() {
+        var policy = jsxLoader.csp.trustedTypesPolicy;
+        if (policy === null || typeof policy === "object") {
+            return policy;
+        }
+        if (typeof trustedTypes === "undefined") {
+            return null;
+        }
+        if (trustedTypesPolicy === null) {
+            trustedTypesPolicy = trustedTypes.createPolicy(policy, {
+                createScript: function (code) {
+                    return code;
+                },
+                createScriptURL: function (url) {
+                    return url;
+                },
+            });
+        }
+        return trustedTypesPolicy;
+    }
+
+    // Set the code of a <script> created by jsxLoader using [jsxLoader.csp] settings.
+    // The callback is called once the code has run or with an error if a Blob URL
+    // could not be loaded or the browser blocked the code, for example when the
+    // Trusted Types policy can't be created.
+    function setScriptCode(script, code, element, callback) {
+        var nonce =
+            element.nonce ||
+            element.getAttribute("nonce") ||
+            jsxLoader.csp.nonce;
+        if (nonce) {
+            script.setAttribute("nonce", nonce);
+        }
+        var isBlob = jsxLoader.csp.injection === "blob";
+        var url = null;
+        try {
+            var policy = getTrustedTypesPolicy();
+            if (isBlob) {
+                url = URL.createObjectURL(
+                    new Blob([code], { type: "text/javascript" }),
+                );
+                // Dynamic scripts with [src] are async by default, this keeps them
+                // in the order that they are added to the page
+                script.async = false;
+                script.onload = function () {
+                    URL.revokeObjectURL(url);
+                    callback();
+                };
+                script.onerror = function () {
+                    URL.revokeObjectURL(url);
+                    callback(
+                        new Error(
+                            "Error loading compiled script from a Blob URL, check that the Content-Security-Policy allows `blob:` for `script-src`",
+                        ),
+                    );
+                };
+                script.src = policy ? policy.createScriptURL(url) : url;
+            } else {
+                script.text = policy ? policy.createScript(code) : code;
+            }
+            document.head.appendChild(script);
+        } catch (error) {
+            if (url !== null) {
+                URL.revokeObjectURL(url);
+            }
+            callback(error);
+            return;
+        }
+        if (!isBlob) {
+            callback();
+        }
+    }
+
+    // Fast non-cryptographic hash (cyrb53) used for compile cache keys
+    function hashText(text) {
+        var h1 = 0xdeadbeef;
+        var h2 = 0x41c6ce57;
+        for (var n = 0, m = text.length; n < m; n++) {
+            var ch = text.charCodeAt(n);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+        h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+        h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    // Hash of the code of this file for compile cache keys so a changed compiler
+    // never uses old entries, even if [jsxLoader.version] was not updated
+    var sourceHash = null;
+    function getSourceHash() {
+        if (sourceHash === null) {
+            sourceHash = hashText(String(jsxLoaderModule));
+        }
+        return sourceHash;
+    }
+
+    // Functions of an object and of objects in it with their names, for example
+    // `printers.pretty` of [jsxLoader.compiler]
+    function findFunctions(object) {
+        var functions = [];
+        var names = [];
+        (function collect(value, prefix) {
+            Object.keys(value).forEach(function (key) {
+                var item = value[key];
+                if (typeof item === "function") {
+                    functions.push(item);
+                    names.push(prefix + key);
+                } else if (
+                    item !== null &&
+                    typeof item === "object" &&
+                    !Array.isArray(item) &&
+                    prefix === ""
+                ) {
+                    collect(item, key + ".");
+                }
+            });
+        })(object, "");
+        return { functions: functions, names: names };
+    }
+
+    // Hash of the code of the functions of an object and of objects in it, for
+    // example [jsxLoader.compiler] and its `printers` or a plugin. Used for compile
+    // cache keys so a compiler function, printer or plugin replaced by the calling
+    // app does not use old entries. The last hash of each object is kept until
+    // one of its functions is replaced.
+    var functionHashes = [];
+    function hashFunctions(object) {
+        var found = findFunctions(object);
+        var functions = found.functions;
+        var names = found.names;
+        var cached = functionHashes.filter(function (entry) {
+            return (
+                entry.object === object &&
+                entry.functions.length === functions.length &&
+                entry.functions.every(function (fn, index) {
+                    return fn === functions[index];
+                })
+            );
+        })[0];
+        if (cached === undefined) {
+            functionHashes = functionHashes.filter(function (entry) {
+                return entry.object !== object;
+            });
+            cached = {
+                object: object,
+                functions: functions,
+                hash: hashText(
+                    functions
+                        .map(function (fn, index) {
+                            return names[index] + ":" + String(fn);
+                        })
+                        .join("\n"),
+                ),
+            };
+            functionHashes.push(cached);
+        }
+        return cached.hash;
+    }
+
+    // Callbacks waiting for Babel Standalone to download, see [jsxLoader.loadBabel()]
+    var babelCallbacks = [];
+
+    // URL of this script, used to resolve [babelUrl] and [polyfillUrl]
+    var scriptUrl =
+        typeof document !== "undefined" && document.currentScript
+            ? document.currentScript.src
+            : null;
+
+    // Web Workers that compile JSX, see [jsxLoader.worker]. `false` once a worker
+    // fails to start so all scripts are compiled on the main thread.
+    var workers = null;
+    var workerJobs = {};
+    var workerJobId = 0;
+
+    // Compiler properties copied to workers. Functions cannot be sent to a worker
+    // so when plugins are used or a compiler function or printer is replaced the
+    // scripts are compiled on the main thread, see [canCompileInWorker()].
+    var workerSettings = [
+        "pragma",
+        "pragmaFrag",
+        "runtime",
+        "importSource",
+        "maxRecursiveCalls",
+        "addUseStrict",
+        "hotReload",
+        "development",
+        "typescript",
+        "preserveLines",
+        "keepComments",
+        "printMode",
+        "tabWidth",
+        "printWidth",
+    ];
+
+    function canCompileInWorker() {
+        var compiler = jsxLoader.compiler;
+        if (
+            !jsxLoader.worker.enabled ||
+            workers === false ||
+            typeof Worker === "undefined" ||
+            !(jsxLoader.worker.url || scriptUrl) ||
+            compiler.plugins.length !== 0
+        ) {
+            return false;
+        }
+        var functions = findFunctions(compiler).functions;
+        return (
+            functions.length === defaultFunctions.length &&
+            functions.every(function (fn, index) {
+                return fn === defaultFunctions[index];
+            })
+        );
+    }
+
+    // Start a worker, jobs are resolved with `null` if it fails so the script is
+    // compiled on the main thread instead
+    function startWorker() {
+        var worker = new Worker(resolveUrl(jsxLoader.worker.url || scriptUrl));
+        var entry = { worker: worker, pending: 0 };
+        worker.onmessage = function (e) {
+            var job = workerJobs[e.data.id];
+            if (job) {
+                delete workerJobs[e.data.id];
+                entry.pending--;
+                job(e.data);
+            }
+        };
+        worker.onerror = function (e) {
+            if (workers === false) {
+                return;
+            }
+            console.warn(
+                "JSX is compiled on the main thread, Web Worker error:",
+            );
+            console.warn(e.message || e);
+            workers.forEach(function (item) {
+                item.worker.terminate();
+            });
+            workers = false;
+            Object.keys(workerJobs).forEach(function (id) {
+                var job = workerJobs[id];
+                delete workerJobs[id];
+                job(null);
+            });
+        };
+        workers.push(entry);
+        return entry;
+    }
+
+    // Compile JSX with a worker from [jsxLoader.worker]. Resolves with
+    // `{ compiled, error, time }` or `null` if the script needs to be compiled
+    // on the main thread. Jobs go to an idle worker or a new one up to
+    // `maxWorkers` so multiple scripts are compiled in parallel.
+    function compileInWorker(text, options) {
+        if (!canCompileInWorker()) {
+            return Promise.resolve(null);
+        }
+        var entry;
+        try {
+            workers = workers || [];
+            workers.forEach(function (item) {
+                if (!entry || item.pending < entry.pending) {
+                    entry = item;
+                }
+            });
+            if (
+                !entry ||
+                (entry.pending > 0 &&
+                    workers.length < jsxLoader.worker.maxWorkers)
+            ) {
+                entry = startWorker();
+            }
+        } catch (e) {
+            // For example blocked by a Content-Security-Policy `worker-src`
+            console.warn(
+                "JSX is compiled on the main thread, Web Worker error:",
+            );
+            console.warn(e);
+            workers = false;
+            return Promise.resolve(null);
+        }
+        var settings = {};
+        workerSettings.forEach(function (name) {
+            settings[name] = jsxLoader.compiler[name];
+        });
+        var id = ++workerJobId;
+        entry.pending++;
+        return new Promise(function (resolve) {
+            workerJobs[id] = resolve;
+            entry.worker.postMessage({
+                id: id,
+                text: text,
+                options: options,
+                settings: settings,
+            });
+        });
+    }
+
+    // Compile requests sent to a worker that runs this file, see [compileInWorker()]
+    function handleWorkerMessage(e) {
+        var data = e.data;
+        workerSettings.forEach(function (name) {
+            jsxLoader.compiler[name] = data.settings[name];
+        });
+        var startTime = new Date().getTime();
+        var message = { id: data.id, compiled: null, error: null, time: 0 };
+        try {
+            message.compiled = jsxLoader.compiler.compile(
+                data.text,
+                data.options,
+            );
+        } catch (error) {
+            message.error = JSON.parse(errorToJson(error));
+        }
+        message.time = new Date().getTime() - startTime;
+        self.postMessage(message);
+    }
+
+    // Create an error from JSON of [errorToJson()] for errors from a worker
+    function errorFromJson(data) {
+        var error;
+        if (data.name === "JsxCompileError") {
+            error = Object.create(JsxCompileError.prototype);
+            Object.keys(data).forEach(function (key) {
+                error[key] = data[key];
+            });
+        } else {
+            error = new Error(data.message);
+            error.name = data.name;
+            error.code = data.code;
+        }
+        error.stack = new Error(data.message).stack;
+        return error;
+    }
+
+    // Scripts are added to the page in the order that [jsxLoader.loadScript()] is
+    // called even when they finish compiling in a different order, for example in
+    // a worker or when some are loaded from the compile cache
+    var scriptQueue = { count: 0, next: 0, waiting: {} };
+
+    function addInOrder(position, add) {
+        scriptQueue.waiting[position] = add;
+        while (scriptQueue.waiting[scriptQueue.next]) {
+            add = scriptQueue.waiting[scriptQueue.next];
+            delete scriptQueue.waiting[scriptQueue.next];
+            scriptQueue.next++;
+            add();
+        }
+    }
+
+    function resolveUrl(url, baseUrl) {
+        baseUrl = baseUrl || scriptUrl;
+        return baseUrl && typeof URL === "function"
+            ? new URL(url, baseUrl).href
+            : url;
+    }
+
+    // TypeScript files `.tsx` and `.ts` or `<script type="text/babel" data-lang="tsx">`
+    function isTypeScript(url, element) {
+        var lang = element ? element.getAttribute("data-lang") : null;
+        if (lang) {
+            return lang === "tsx" || lang === "ts";
+        }
+        return /\.tsx?(?:[?#].*)?$/.test(url || "");
+    }
+
     // Convert enum props to strings so they can be viewed easily from DevTools
     var enums = [tokenTypes, astTypes];
     for (var n = 0, m = enums.length; n < m; n++) {
@@ -45,13 +1096,22 @@
      *     jsxLoader.evalCode = '{string}';
      *     jsxLoader.jsUpdates.push({ find:/regex_search/g, replace:'{string}' });
      *     jsxLoader.usePreact();
+     *     jsxLoader.useFramework('vue');
      *     jsxLoader.addBabelPolyfills = function() { '...'; }
      *     jsxLoader.compiler.pragma = 'Vue.h';
      *     jsxLoader.compiler.pragmaFrag = 'Vue.Fragment';
      *     jsxLoader.compiler.addUseStrict = false;
+     *     jsxLoader.compiler.use({ name: '{string}', visitor: { prop: function(prop) { ... } } });
      * </script>
      */
     var jsxLoader = {
+        /**
+         * Error class for compile errors, see comments for [JsxCompileError].
+         * When a script has a compile error the [data-error] attribute of the
+         * <script> element contains the error as JSON.
+         */
+        JsxCompileError: JsxCompileError,
+
         /**
          * Default options for fetching JSX Templates. To use different options
          * set this as soon as the script is loaded and before the document
@@ -87,9 +1147,7 @@
          * See demos and Unit Tests for usage. When calling `jsxLoader.usePreact()` this list
          * will be automatically updated for Preact.
          */
-        jsUpdates: [
-            { find: /=>,/g, replace: "=>" }, // Work-around for edge-case JSX, Issue 21 on GitHub
-        ],
+        jsUpdates: [],
 
         /**
          * This property gets set to either `true` or `false` depending on `evalCode`.
@@ -100,35 +1158,395 @@
         isSupportedBrowser: true,
 
         /**
-         * Return `true|false` depending on whether or not all scripts can be loaded.
-         * This can be used by the calling page to determine if scripts are still being
-         * compiled. This would not commonly be used and is intended for Unit Testing.
-         *
-         * @return {bool}
+         * Code used to determine if the browser supports modern JavaScript. If the
+         * code cannot be compiled by the browser then `isSupportedBrowser` is set to
+         * `false` and Babel Standalone is downloaded from `babelUrl` and used to
+         * compile JSX. The code is only compiled and is never run.
          */
-        hasPendingScripts: function () {
-            var scripts = document.querySelectorAll(
-                'script[type="text/babel"]:not([data-added-to-page])',
-            );
-            return scripts.length > 0;
-        },
+        evalCode:
+            '"use strict"; class Foo {}; const { id, ...other } = { id: 123, test: 456 }; const fn = async () => { await Promise.resolve(); }; for (const item of [...[1, 2]]) {}',
 
         /**
-         * Setup Event
-         *
-         * This gets called automatically when the page is loaded from the
-         * [DOMContentLoaded] event or it can be called manually if needed.
-         *
-         * It will automatically download and load all <script type="text/babel"> scripts
-         * in the order that they are defined on the page.
+         * URL for polyfills to download before Babel Standalone on older browsers.
+         * By default no polyfills are downloaded; to support old browsers such as
+         * IE 11 host a polyfill script with the site that includes at least
+         * `Promise` and `fetch()` and set the URL here.
          */
-        setup: function () {
-            // Get all scripts and if there is only one then load it
-            var scripts = document.querySelectorAll(
-                'script[type="text/babel"]:not([data-added-to-page])',
-            );
-            if (scripts.length === 1) {
-                jsxLoader.loadScript(scripts[0]);
+        polyfillUrl: null,
+
+        /**
+         * URL for Babel Standalone. This is only downloaded when `isSupportedBrowser`
+         * is `false`. Babel is expected to be hosted locally with the site, relative
+         * URLs are resolved from the location of `jsxLoader.js`. To use a CDN or a
+         * different path set this before the 'DOMContentLoaded' event runs.
+         */
+        babelUrl: "babel.min.js",
+
+        /**
+         * Options passed to `Babel.transform()` when Babel is used to compile JSX.
+         * The defaults compile JSX with `React.createElement` (the same as
+         * `jsxLoader.compiler.pragma`) and modern JavaScript to ES5 while keeping
+         * `import` and `export` statements so ES Modules and `compileImports` work.
+         */
+        babelOptions: {
+            presets: [["env", { modules: false }], "react"],
+            sourceType: "module",
+        },
+
+        /**
+         * Called once after Babel Standalone has been downloaded. By default this
+         * adds polyfills used by jsxLoader and by code generated from Babel that
+         * are not included with Babel Standalone. This can be replaced by the
+         * calling app to add additional polyfills.
+         */
+        addBabelPolyfills: function () {
+            if (!String.prototype.repeat) {
+                String.prototype.repeat = function (count) {
+                    return new Array(count + 1).join(this);
+                };
+            }
+            if (typeof Object.assign !== "function") {
+                Object.assign = function (target) {
+                    for (var n = 1, m = arguments.length; n < m; n++) {
+                        var source = arguments[n];
+                        if (source !== null && source !== undefined) {
+                            for (var key in source) {
+                                if (
+                                    Object.prototype.hasOwnProperty.call(
+                                        source,
+                                        key,
+                                    )
+                                ) {
+                                    target[key] = source[key];
+                                }
+                            }
+                        }
+                    }
+                    return target;
+                };
+            }
+        },
+
+        /**
+         * When `true` a full-screen overlay is shown on the page for compile errors and
+         * for uncaught runtime errors (`window.onerror` and `unhandledrejection`).
+         * Runtime errors from compiled JSX are mapped back to the original JSX
+         * source when `sourceMaps` is enabled. Intended for development.
+         */
+        showErrorOverlay: false,
+
+        /**
+         * When `true` [setup()] keeps watching the page with a MutationObserver and
+         * <script type="text/babel"> elements added later (for example by a widget
+         * or by another script) are compiled and added to the page as well. Scripts
+         * are loaded one at a time in the order they were inserted and only after
+         * [ready] resolves. Set this before the 'DOMContentLoaded' event runs or call
+         * [startScriptObserver()] manually.
+         */
+        observeScripts: false,
+
+        /**
+         * Development mode for use with the dev server [scripts/dev-server.js]. When
+         * `true` jsxLoader connects to the server at `liveReloadUrl` and when a file
+         * changes only the changed JSX script or imported JSX module (and modules that
+         * import it) is compiled and run again. This requires scripts to be ES Modules
+         * using `data-type="module"`; if a classic script changes the page is reloaded
+         * because it cannot declare the same variables twice. CSS files are reloaded without running
+         * scripts and the page is reloaded for all other files. Components keep their
+         * hook state where possible, see [hotComponent()].
+         */
+        liveReload: false,
+        liveReloadUrl: "/__jsxloader/events",
+
+        /**
+         * When `true` JSX downloaded from `<script type="text/babel" src="{url}">` and
+         * from `import` statements is compiled with a Source Map that is added to the
+         * generated script along with `//# sourceURL={url}`. This allows DevTools to
+         * show the original file and line numbers for errors and breakpoints.
+         */
+        sourceMaps: true,
+
+        /**
+         * Named imports that are added to the start of compiled ES Modules, for example
+         * `{ preact: ["h", "Fragment"] }` adds `import { h, Fragment } from "preact";`.
+         * Names that are already imported by the module are skipped. This gets set by
+         * [useFramework()] so that components do not have to import the functions
+         * used by the compiled JSX.
+         */
+        imports: {},
+
+        /**
+         * Settings for supported frameworks used by [useFramework()]. Additional
+         * frameworks can be added here and each setting is optional.
+         */
+        frameworks: {
+            react: {
+                pragma: "React.createElement",
+                pragmaFrag: "React.Fragment",
+            },
+            preact: {
+                pragma: "h",
+                pragmaFrag: "Fragment",
+                imports: { preact: ["h", "Fragment"] },
+            },
+            vue: {
+                pragma: "h",
+                pragmaFrag: "Fragment",
+                imports: { vue: ["h", "Fragment"] },
+            },
+            rax: {
+                pragma: "createElement",
+                pragmaFrag: "Fragment",
+                imports: { rax: ["createElement", "Fragment"] },
+            },
+        },
+
+        /**
+         * Use a React alternative such as Preact, Vue, or Rax in a single call.
+         * `framework` is either the name of a framework from [frameworks] or an
+         * object with the following optional properties:
+         *
+         *     {
+         *         pragma: "h",                          // jsxLoader.compiler.pragma
+         *         pragmaFrag: "Fragment",               // jsxLoader.compiler.pragmaFrag
+         *         jsUpdates: [{ find: /x/g, replace: "y" }], // Added to jsxLoader.jsUpdates
+         *         imports: { preact: ["h", "Fragment"] },   // jsxLoader.imports
+         *         runtime: "automatic",                 // jsxLoader.compiler.runtime
+         *         importSource: "preact",               // jsxLoader.compiler.importSource
+         *     }
+         *
+         * Babel options are also updated so the same functions are used if Babel
+         * is downloaded for older browsers. Directives such as `// @jsx h` at the
+         * start of a JSX file still take priority over these settings.
+         *
+         * @param {string|object} framework
+         */
+        useFramework: function (framework) {
+            var options = framework;
+            if (typeof framework === "string") {
+                options = jsxLoader.frameworks[framework.toLowerCase()];
+                if (options === undefined) {
+                    throw new Error(
+                        "Unknown framework for jsxLoader.useFramework(): " +
+                            framework,
+                    );
+                }
+            }
+            var compiler = jsxLoader.compiler;
+            if (options.pragma) {
+                compiler.pragma = options.pragma;
+            }
+            if (options.pragmaFrag) {
+                compiler.pragmaFrag = options.pragmaFrag;
+            }
+            if (options.runtime) {
+                compiler.runtime = options.runtime;
+            }
+            if (options.importSource) {
+                compiler.importSource = options.importSource;
+            }
+            if (options.jsUpdates) {
+                options.jsUpdates.forEach(function (item) {
+                    jsxLoader.jsUpdates.push(item);
+                });
+            }
+            jsxLoader.imports = options.imports || {};
+            jsxLoader.babelOptions.presets = jsxLoader.babelOptions.presets.map(
+                function (preset) {
+                    var name = Array.isArray(preset) ? preset[0] : preset;
+                    if (name !== "react") {
+                        return preset;
+                    }
+                    if (compiler.runtime === "automatic") {
+                        return [
+                            "react",
+                            {
+                                runtime: "automatic",
+                                importSource: compiler.importSource,
+                            },
+                        ];
+                    }
+                    return [
+                        "react",
+                        {
+                            pragma: compiler.pragma,
+                            pragmaFrag: compiler.pragmaFrag,
+                        },
+                    ];
+                },
+            );
+        },
+
+        /**
+         * Use Preact instead of React. Calling this is the same as
+         * `jsxLoader.useFramework("preact")`.
+         */
+        usePreact: function () {
+            jsxLoader.useFramework("preact");
+        },
+
+        /**
+         * Add [imports] to the start of a compiled ES Module, after directives
+         * such as `"use strict";`. Names that are already imported by the module
+         * are skipped.
+         *
+         * @param {string} js
+         * @return {string}
+         */
+        addImports: function (js) {
+            var imported = [];
+            var regex = /\bimport\s+([\w$*{}\s,]+?)\s+from\s*["']/g;
+            var match;
+            while ((match = regex.exec(js)) !== null) {
+                // Only local names are used, `{ h as createElement }` imports `createElement`
+                var names = match[1].replace(/[\w$]+\s+as\s+/g, "");
+                names.split(/[{},\s]+/).forEach(function (name) {
+                    imported.push(name);
+                });
+            }
+            var code = "";
+            // With `compiler.preserveLines` imports are added to the first line
+            var lineBreak = jsxLoader.compiler.preserveLines ? " " : "\n";
+            for (var source in jsxLoader.imports) {
+                if (jsxLoader.imports.hasOwnProperty(source)) {
+                    var names = jsxLoader.imports[source].filter(
+                        function (name) {
+                            return imported.indexOf(name) === -1;
+                        },
+                    );
+                    if (names.length > 0) {
+                        code +=
+                            "import { " +
+                            names.join(", ") +
+                            " } from " +
+                            JSON.stringify(source) +
+                            ";" +
+                            lineBreak;
+                    }
+                }
+            }
+            if (code === "") {
+                return js;
+            }
+            // Directives must stay at the start, find the end of the last one
+            var directiveRegex =
+                /^(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*(["'])[^"'\\\n]*\1[ \t]*(?:;|(?=\r?\n|$))/;
+            var end = 0;
+            while ((match = directiveRegex.exec(js.substring(end))) !== null) {
+                end += match[0].length;
+            }
+            if (end === 0) {
+                return code + js;
+            }
+            return js.substring(0, end) + lineBreak + code + js.substring(end);
+        },
+
+        /**
+         * When `true` scripts using `<script type="text/babel" data-type="module">`
+         * can `import` other JSX files using relative URLs, for example:
+         * `import { Counter } from "./counter.jsx";`. TypeScript files `.tsx`
+         * and `.ts` can also be imported. Each imported file is
+         * downloaded, compiled, and added to the page as a Blob URL (or Data URL
+         * if Blobs are not supported). Files are compiled only once even if they
+         * are imported from multiple scripts. See [loadModules()].
+         */
+        compileImports: true,
+
+        /**
+         * Compiled JSX modules keyed by absolute URL. This is used internally
+         * by [loadModules()] and can be viewed from DevTools when debugging.
+         */
+        modules: {},
+
+        /**
+         * Promise that resolves once [setup()] has loaded every
+         * <script type="text/babel"> on the page, with an array of results from
+         * [loadScript()] in the order that the scripts are on the page. It
+         * resolves even if scripts have errors, check `status` of each result.
+         * `null` in browsers without Promise support.
+         *
+         *     jsxLoader.ready.then(function (results) { ... });
+         */
+        ready:
+            typeof Promise === "function"
+                ? new Promise(function (resolve) {
+                      resolveReady = resolve;
+                  })
+                : null,
+
+        /**
+         * Return `true|false` depending on whether or not all scripts can be loaded.
+         * This can be used by the calling page to determine if scripts are still being
+         * compiled. This would not commonly be used and is intended for Unit Testing,
+         * [ready] or the `jsxloader:done` event can be used instead of checking this.
+         *
+         * @return {bool}
+         */
+        hasPendingScripts: function () {
+            var scripts = document.querySelectorAll(
+                'script[type="text/babel"]:not([data-added-to-page])',
+            );
+            return scripts.length > 0;
+        },
+
+        /**
+         * Setup Event
+         *
+         * This gets called automatically when the page is loaded from the
+         * [DOMContentLoaded] event or it can be called manually if needed.
+         *
+         * It will automatically download and load all <script type="text/babel"> scripts
+         * in the order that they are defined on the page.
+         *
+         * Before loading scripts the browser is checked using `evalCode`. If the
+         * browser does not support modern JavaScript, or if `isSupportedBrowser` was
+         * set to `false` before this runs, then Babel will be used to compile JSX.
+         *
+         * Once all scripts are loaded [ready] resolves and a `jsxloader:done` event
+         * is dispatched on `document` with `event.detail.results`.
+         */
+        setup: function () {
+            if (jsxLoader.liveReload) {
+                jsxLoader.startLiveReload();
+            }
+            if (jsxLoader.observeScripts) {
+                jsxLoader.startScriptObserver();
+            }
+
+            // Determine if the browser supports modern JavaScript. Setting
+            // `isSupportedBrowser = false` before this runs forces Babel to be used.
+            if (jsxLoader.isSupportedBrowser !== false) {
+                try {
+                    new Function(jsxLoader.evalCode);
+                    jsxLoader.isSupportedBrowser = true;
+                } catch (e) {
+                    // A CSP without 'unsafe-eval' or Trusted Types block the check
+                    // with an EvalError or TypeError so only a SyntaxError means
+                    // the browser does not support the code.
+                    jsxLoader.isSupportedBrowser = !(e instanceof SyntaxError);
+                }
+            }
+
+            // Called with the results from [loadScript()] once all scripts are loaded
+            function done(results) {
+                if (resolveReady !== null) {
+                    resolveReady(results);
+                    resolveReady = null;
+                }
+                dispatchEvent(document, "jsxloader:done", { results: results });
+            }
+
+            // Get all scripts and if there is only one then load it
+            var scripts = document.querySelectorAll(
+                'script[type="text/babel"]:not([data-added-to-page])',
+            );
+            if (scripts.length === 0) {
+                done([]);
+                return;
+            } else if (scripts.length === 1) {
+                jsxLoader.loadScript(scripts[0]).then(function (result) {
+                    done([result]);
+                });
                 return;
             }
 
@@ -144,23 +1562,7 @@
                     error: null,
                 };
                 return new Promise(function (resolve) {
-                    fetch(element.src, jsxLoader.fetchOptions)
-                        .then(function (res) {
-                            var status = res.status;
-                            if (
-                                (status >= 200 && status < 300) ||
-                                status === 304
-                            ) {
-                                return res.text();
-                            } else {
-                                throw new Error(
-                                    "Error loading data. Server Response Code: " +
-                                        status +
-                                        ", Response Text: " +
-                                        res.statusText,
-                                );
-                            }
-                        })
+                    fetchJsx(element)
                         .then(function (text) {
                             result.text = text;
                             resolve(result);
@@ -186,18 +1588,30 @@
             });
 
             // Compile and add scripts to the page once all [src] scripts are downloaded
-            Promise.all(promisesSrc).then(function (results) {
-                results.forEach(function (result) {
-                    jsxLoader.loadScript(
-                        result.element,
-                        result.text,
-                        result.error,
+            Promise.all(promisesSrc)
+                .then(function (results) {
+                    var loaded = results.map(function (result) {
+                        return jsxLoader.loadScript(
+                            result.element,
+                            result.text,
+                            result.error,
+                        );
+                    });
+                    scriptsNoSrc.forEach(function (script) {
+                        loaded.push(jsxLoader.loadScript(script));
+                    });
+                    return Promise.all(loaded);
+                })
+                .then(function (results) {
+                    // Results in the same order as the scripts on the page
+                    done(
+                        Array.prototype.map.call(scripts, function (script) {
+                            return results.filter(function (result) {
+                                return result.element === script;
+                            })[0];
+                        }),
                     );
                 });
-                scriptsNoSrc.forEach(function (script) {
-                    jsxLoader.loadScript(script);
-                });
-            });
         },
 
         /**
@@ -207,7 +1621,34 @@
          * This function returns a Promise that resolves once the script has been
          * added to the page regardless of whether or not it had an error. This
          * behavior is used so that `Promise.all(scripts).finally()` logic can be
-         * used when loading multiple scripts.
+         * used when loading multiple scripts. The Promise resolves with a result:
+         *
+         *     {
+         *         element: HTMLScriptElement,
+         *         src: "index.jsx",        // `null` for inline scripts
+         *         status: "loaded",        // or "error"
+         *         error: null,             // Download, compile, or module error
+         *         compiler: "jsxLoader",   // "Babel" or `null` if not compiled
+         *         fromCache: false,        // Compiled code from [cache]
+         *         timings: {
+         *             start: 1700000000000, // Time `loadScript()` was called
+         *             compile: 12,          // Milliseconds to compile or `null`
+         *             total: 40,            // Milliseconds until the script was added
+         *         },
+         *     }
+         *
+         * The result is also the `detail` of CustomEvents dispatched on the
+         * <script> element and on `document`: `jsxloader:compiled` once the
+         * compiled script is added to the page or `jsxloader:error` if it has an
+         * error. A `jsxloader:done` event is then dispatched on the <script>
+         * element either way. Errors that happen when the compiled code runs are
+         * not included, see [showErrorOverlay].
+         *
+         * If the <script> has an `integrity` attribute such as
+         * `integrity="sha384-{base64}"` the downloaded JSX is hashed with
+         * SubtleCrypto before it is compiled. When it does not match the script
+         * is not compiled, `error.name` is "IntegrityError", and a
+         * `jsxloader:integrityerror` event is dispatched before `jsxloader:error`.
          *
          * Parameters `downloadedSrc` and `downloadError` are intended only
          * for internal use.
@@ -218,7 +1659,87 @@
          * @return {Promise}
          */
         loadScript: function (element, downloadedSrc, downloadError) {
+            // Position of the script for [addInOrder()]
+            var position = scriptQueue.count++;
+
+            // Babel is downloaded only when needed and before the first script is compiled
             function addToPage(text, callback, src) {
+                function add(cached, fromWorker) {
+                    addInOrder(position, function () {
+                        // An unexpected error still ends this script so the
+                        // scripts after it are added
+                        try {
+                            compileAndAdd(
+                                text,
+                                callback,
+                                src,
+                                cached,
+                                fromWorker,
+                            );
+                        } catch (e) {
+                            console.error(e);
+                            element.setAttribute("data-error", errorToJson(e));
+                            callback(e);
+                        }
+                    });
+                }
+                if (
+                    jsxLoader.isSupportedBrowser &&
+                    (jsxLoader.cache.enabled || jsxLoader.worker.enabled)
+                ) {
+                    var options = getCompileOptions(src);
+                    (jsxLoader.cache.enabled
+                        ? jsxLoader.cache.get(text, options)
+                        : Promise.resolve(null)
+                    ).then(function (cached) {
+                        if (cached !== null) {
+                            add(cached, null);
+                            return;
+                        }
+                        compileInWorker(text, options).then(function (result) {
+                            add(null, result);
+                        });
+                    });
+                } else if (
+                    jsxLoader.isSupportedBrowser ||
+                    typeof Babel !== "undefined"
+                ) {
+                    add(null, null);
+                } else {
+                    jsxLoader.loadBabel(function () {
+                        add(null, null);
+                    });
+                }
+            }
+
+            var result = {
+                element: element,
+                src: element.getAttribute("src"),
+                status: "loaded",
+                error: null,
+                compiler: null,
+                fromCache: false,
+                timings: {
+                    start: new Date().getTime(),
+                    compile: null,
+                    total: null,
+                },
+            };
+
+            function getCompileOptions(src) {
+                var options = {
+                    sourceMap: jsxLoader.sourceMaps && !!src,
+                    fileName: src || null,
+                };
+                if (isTypeScript(src, element)) {
+                    options.typescript = true;
+                }
+                return options;
+            }
+
+            // [cached] is the result from [jsxLoader.cache.get()] and [fromWorker]
+            // the result from [compileInWorker()], either can be `null`
+            function compileAndAdd(text, callback, src, cached, fromWorker) {
                 // Status
                 var startTime = new Date();
                 if (jsxLoader.logCompileTime || jsxLoader.logCompileDetails) {
@@ -228,13 +1749,41 @@
                 }
 
                 // Compile the React/JSX Code to JavaScript
-                var js, compilerType;
+                var js, compilerType, sourceMap;
+                var compileError = null;
+                var compileOptions = getCompileOptions(src);
+                var useSourceMap = compileOptions.sourceMap;
                 try {
                     if (jsxLoader.isSupportedBrowser) {
-                        js = jsxLoader.compiler.compile(text);
+                        var compiled = cached;
+                        if (compiled === null) {
+                            if (fromWorker === null) {
+                                compiled = jsxLoader.compiler.compile(
+                                    text,
+                                    compileOptions,
+                                );
+                            } else if (fromWorker.error !== null) {
+                                throw errorFromJson(fromWorker.error);
+                            } else {
+                                compiled = fromWorker.compiled;
+                            }
+                            jsxLoader.cache.set(text, compileOptions, compiled);
+                        } else if (
+                            jsxLoader.logCompileTime ||
+                            jsxLoader.logCompileDetails
+                        ) {
+                            console.log("Loaded from compile cache");
+                        }
+                        result.fromCache = cached !== null;
+                        if (useSourceMap) {
+                            js = compiled.code;
+                            sourceMap = compiled.map;
+                        } else {
+                            js = compiled;
+                        }
                         compilerType = "jsxLoader";
                     } else {
-                        js = Babel.transform(text, jsxLoader.babelOptions).code;
+                        js = jsxLoader.babelTransform(text);
                         compilerType = "Babel";
                     }
                 } catch (e) {
@@ -242,26 +1791,44 @@
                     console.log("Compile Error:");
                     console.log(element);
                     console.error(e);
-                    element.setAttribute("data-error", e.toString());
+                    if (e.codeFrame) {
+                        console.log(e.codeFrame);
+                    }
+                    element.setAttribute("data-error", errorToJson(e));
+                    if (jsxLoader.showErrorOverlay) {
+                        jsxLoader.showError({
+                            title: "Compile Error",
+                            fileName: e.fileName || src || null,
+                            message: e.message,
+                            codeFrame: e.codeFrame || "",
+                        });
+                    }
                     js = null;
+                    compileError = e;
                 }
 
                 // Status
+                var endTime = new Date();
+                result.compiler = compilerType || null;
+                result.timings.compile =
+                    fromWorker !== null
+                        ? fromWorker.time
+                        : endTime.getTime() - startTime.getTime();
                 if (jsxLoader.logCompileDetails) {
                     console.log(js);
                 }
                 if (jsxLoader.logCompileTime || jsxLoader.logCompileDetails) {
-                    var endTime = new Date();
                     console.log("End time: " + endTime.getTime());
                     console.log(
                         "Time taken (in milliseconds): " +
-                            (endTime.getTime() - startTime.getTime()),
+                            result.timings.compile +
+                            (fromWorker !== null ? " in a Web Worker" : ""),
                     );
                 }
 
                 // Exit if there was a JavaScript compile error
                 if (js === null) {
-                    callback();
+                    callback(compileError);
                     return;
                 }
 
@@ -270,29 +1837,118 @@
                     js = js.replace(item.find, item.replace);
                 });
 
+                // Add imports from the framework, see [useFramework()]
+                var isModule = element.getAttribute("data-type") === "module";
+                var lineCount = js.split("\n").length;
+                if (isModule) {
+                    js = jsxLoader.addImports(js);
+                }
+
+                // Source Map and file name for DevTools, only when compiled by
+                // jsxLoader because Babel Standalone does not create one here
+                if (sourceMap) {
+                    js = jsxLoader.addSourceMap(
+                        js,
+                        sourceMap,
+                        src,
+                        js.split("\n").length - lineCount,
+                    );
+                }
+
                 // Add compiled JS ad a new <script> on the page.
                 // If the JSX compiles correctly but there is a JavaScript error then
                 // it will not be caught here and the calling app would have to use
                 // global error handling `window.onerror` to catch the error. Because
                 // it is not caught [data-error] will not appear on the <script> element.
-                var script = document.createElement("script");
-                if (src) {
-                    script.setAttribute("data-src", src);
+                function appendScript(code) {
+                    var script = document.createElement("script");
+                    if (src) {
+                        script.setAttribute("data-src", src);
+                    }
+                    script.setAttribute("data-compiler", compilerType);
+                    if (isModule) {
+                        script.type = "module";
+                    }
+                    setScriptCode(script, code, element, function (error) {
+                        if (error) {
+                            console.error(error);
+                            element.setAttribute(
+                                "data-error",
+                                errorToJson(error),
+                            );
+                        }
+                        callback(error);
+                    });
                 }
-                script.setAttribute("data-compiler", compilerType);
-                if (element.getAttribute("data-type") === "module") {
-                    script.type = "module";
+
+                // Modules that import other JSX files are added once all imported
+                // files have been downloaded and compiled.
+                if (!isModule || !jsxLoader.compileImports) {
+                    appendScript(
+                        isModule && jsxLoader.csp.injection === "blob"
+                            ? resolveImports(
+                                  js,
+                                  src ? element.src : document.baseURI,
+                              )
+                            : js,
+                    );
+                    return;
                 }
-                script.innerHTML = js;
-                document.head.appendChild(script);
-                callback();
+                jsxLoader
+                    .loadModules(js, src ? element.src : document.baseURI)
+                    .then(appendScript)
+                    .catch(function (error) {
+                        console.log("-".repeat(80));
+                        console.log("Module Error:");
+                        console.log(element);
+                        console.error(error);
+                        element.setAttribute("data-error", errorToJson(error));
+                        if (jsxLoader.showErrorOverlay) {
+                            jsxLoader.showError({
+                                title: "Compile Error",
+                                fileName: error.fileName || null,
+                                message: error.message,
+                                codeFrame: error.codeFrame || "",
+                            });
+                        }
+                        callback(error);
+                    });
+            }
+
+            // Called once the script has been added to the page or on error
+            function done(resolve) {
+                return function (error) {
+                    element.setAttribute("data-added-to-page", "");
+                    if (error) {
+                        result.status = "error";
+                        result.error = error;
+                    }
+                    result.timings.total =
+                        new Date().getTime() - result.timings.start;
+                    var name = error ? "jsxloader:error" : "jsxloader:compiled";
+                    if (error && error.name === "IntegrityError") {
+                        dispatchEvent(
+                            element,
+                            "jsxloader:integrityerror",
+                            result,
+                        );
+                        dispatchEvent(
+                            document,
+                            "jsxloader:integrityerror",
+                            result,
+                        );
+                    }
+                    dispatchEvent(element, name, result);
+                    dispatchEvent(document, name, result);
+                    dispatchEvent(element, "jsxloader:done", result);
+                    resolve(result);
+                };
             }
 
             return new Promise(function (resolve) {
                 // Inline JSX in the <script> Element
                 if (element.src === "") {
-                    addToPage(element.innerHTML, resolve);
-                    element.setAttribute("data-added-to-page", "");
+                    addToPage(element.innerHTML, done(resolve));
                     return;
                 }
 
@@ -300,47 +1956,38 @@
                 if (typeof downloadedSrc === "string") {
                     if (downloadError) {
                         console.error(downloadError);
-                        element.setAttribute("data-added-to-page", "");
                         element.setAttribute(
                             "data-error",
-                            downloadError.toString(),
+                            errorToJson(downloadError),
                         );
-                        resolve();
+                        addInOrder(position, function () {
+                            done(resolve)(downloadError);
+                        });
                     } else {
                         addToPage(
                             downloadedSrc,
-                            resolve,
+                            done(resolve),
                             element.getAttribute("src"),
                         );
-                        element.setAttribute("data-added-to-page", "");
                     }
                     return;
                 }
 
                 // Download JSX Source based on <script src="{url}">
-                fetch(element.src, jsxLoader.fetchOptions)
-                    .then(function (res) {
-                        var status = res.status;
-                        if ((status >= 200 && status < 300) || status === 304) {
-                            return res.text();
-                        } else {
-                            throw new Error(
-                                "Error loading data. Server Response Code: " +
-                                    status +
-                                    ", Response Text: " +
-                                    res.statusText,
-                            );
-                        }
-                    })
+                fetchJsx(element)
                     .then(function (text) {
-                        addToPage(text, resolve, element.getAttribute("src"));
-                        element.setAttribute("data-added-to-page", "");
+                        addToPage(
+                            text,
+                            done(resolve),
+                            element.getAttribute("src"),
+                        );
                     })
                     .catch(function (error) {
                         console.error(error);
-                        element.setAttribute("data-added-to-page", "");
-                        element.setAttribute("data-error", error.toString());
-                        resolve();
+                        element.setAttribute("data-error", errorToJson(error));
+                        addInOrder(position, function () {
+                            done(resolve)(error);
+                        });
                     });
             });
         },
@@ -360,52 +2007,1409 @@
                 console.error("Error loading Script: " + url);
                 callback();
             };
-            script.src = url;
-            document.head.appendChild(script);
+            if (jsxLoader.csp.nonce) {
+                script.setAttribute("nonce", jsxLoader.csp.nonce);
+            }
+            try {
+                var policy = getTrustedTypesPolicy();
+                script.src = policy ? policy.createScriptURL(url) : url;
+                document.head.appendChild(script);
+            } catch (error) {
+                console.error("Error loading Script: " + url);
+                console.error(error);
+                callback();
+            }
         },
 
         /**
-         * Compiler for converting React/JSX Code to JavaScript. See comments
-         * near the top of this file for info on the compiler.
+         * Add an inline Source Map from [compiler.compile()] and `//# sourceURL`
+         * to the end of compiled code. If lines were added to the start of the
+         * code after it was compiled then `lineOffset` is the number of lines.
+         *
+         * @param {string} js
+         * @param {object} map
+         * @param {string} url
+         * @param {number|undefined} lineOffset
+         * @return {string}
          */
-        compiler: {
-            /**
-             * Compiler Options
-             */
-            pragma: "React.createElement",
-            pragmaFrag: "React.Fragment",
-            maxRecursiveCalls: 1000,
-            addUseStrict: true,
-
-            /**
-             * Compile JSX to JS
-             *
-             * @param {string} input
-             * @return {string}
-             */
-            compile: function (input) {
-                // Compiler Step 1 - Remove Comments from the Code
-                var newInput = this.removeComments(input);
+        addSourceMap: function (js, map, url, lineOffset) {
+            var mappings = map.mappings;
+            for (var n = 0; n < (lineOffset || 0); n++) {
+                mappings = ";" + mappings;
+            }
+            compiledSources[resolveUrl(url, document.baseURI)] = {
+                input: map.sourcesContent[0],
+                mappings: mappings,
+            };
+            var json = JSON.stringify({
+                version: map.version,
+                file: map.file,
+                sources: map.sources,
+                sourcesContent: map.sourcesContent,
+                names: map.names,
+                mappings: mappings,
+            });
+            return (
+                js +
+                "\n//# sourceURL=" +
+                url +
+                "\n//# sourceMappingURL=data:application/json;charset=utf-8;base64," +
+                btoa(unescape(encodeURIComponent(json)))
+            );
+        },
 
-                // Compiler Step 2 (Lexical Analysis) - Convert JSX Code to an array of tokens
-                var tokens = this.tokenizer(newInput);
-                if (jsxLoader.logCompileDetails) {
-                    console.log(tokens);
-                }
+        /**
+         * Connect to the dev server at `liveReloadUrl` using an EventSource. This gets
+         * called from [setup()] when `liveReload` is `true` and only connects once.
+         * The server sends a message `{ "type": "change", "file": "/index.jsx" }`
+         * each time a file changes.
+         */
+        startLiveReload: function () {
+            if (liveReloadSource !== null) {
+                return;
+            }
+            jsxLoader.compiler.hotReload = true;
+            jsxLoader.fetchOptions.cache = "no-store";
+            liveReloadSource = new EventSource(jsxLoader.liveReloadUrl);
+            liveReloadSource.onmessage = function (e) {
+                var message = JSON.parse(e.data);
+                if (message.type === "change") {
+                    jsxLoader.reloadFile(
+                        resolveUrl(message.file, document.baseURI),
+                    );
+                }
+            };
+        },
+
+        /**
+         * Watch the page for <script type="text/babel"> elements that are added after
+         * [setup()] and load each one with [loadScript()] in insertion order, both
+         * inline scripts and scripts with [src]. Scripts added inside another element,
+         * such as `container.innerHTML = html`, are found as well. This gets called
+         * from [setup()] when `observeScripts` is `true` and only starts once.
+         */
+        startScriptObserver: function () {
+            if (
+                scriptObserver !== null ||
+                typeof MutationObserver === "undefined" ||
+                typeof Promise !== "function"
+            ) {
+                return;
+            }
+            var selector =
+                'script[type="text/babel"]:not([data-added-to-page])';
+            var queued = [];
+            var loading = jsxLoader.ready || Promise.resolve();
+
+            function queueScript(element) {
+                if (queued.indexOf(element) !== -1) {
+                    return;
+                }
+                queued.push(element);
+                loading = loading.then(function () {
+                    queued.splice(queued.indexOf(element), 1);
+                    // Skip scripts removed or loaded manually while waiting
+                    if (
+                        element.hasAttribute("data-added-to-page") ||
+                        !document.documentElement.contains(element)
+                    ) {
+                        return;
+                    }
+                    return jsxLoader.loadScript(element);
+                });
+            }
+
+            scriptObserver = new MutationObserver(function (mutations) {
+                mutations.forEach(function (mutation) {
+                    Array.prototype.forEach.call(
+                        mutation.addedNodes,
+                        function (node) {
+                            if (node.nodeType !== 1) {
+                                return;
+                            }
+                            if (
+                                node.nodeName === "SCRIPT" &&
+                                node.getAttribute("type") === "text/babel" &&
+                                !node.hasAttribute("data-added-to-page")
+                            ) {
+                                queueScript(node);
+                            } else {
+                                Array.prototype.forEach.call(
+                                    node.querySelectorAll(selector),
+                                    queueScript,
+                                );
+                            }
+                        },
+                    );
+                });
+            });
+            scriptObserver.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+            });
+        },
+
+        /**
+         * Reload a file that changed. JSX scripts and modules are compiled and run
+         * again, CSS is reloaded, and for other files the page is reloaded.
+         *
+         * @param {string} url Absolute URL of the file
+         * @return {Promise}
+         */
+        reloadFile: function (url) {
+            // <script type="text/babel" src="{url}">
+            var elements = Array.prototype.filter.call(
+                document.querySelectorAll('script[type="text/babel"][src]'),
+                function (element) {
+                    return element.src === url;
+                },
+            );
+
+            // Imported JSX modules and all modules that import them directly or indirectly
+            var changed = [];
+            function invalidate(moduleUrl) {
+                if (changed.indexOf(moduleUrl) !== -1) {
+                    return;
+                }
+                changed.push(moduleUrl);
+                for (var key in jsxLoader.modules) {
+                    if (
+                        jsxLoader.modules.hasOwnProperty(key) &&
+                        jsxLoader.modules[key].dependencies.indexOf(
+                            moduleUrl,
+                        ) !== -1
+                    ) {
+                        invalidate(key);
+                    }
+                }
+            }
+            if (jsxLoader.modules[url]) {
+                invalidate(url);
+                changed.forEach(function (moduleUrl) {
+                    var module = jsxLoader.modules[moduleUrl];
+                    if (
+                        module.blobUrl &&
+                        module.blobUrl.indexOf("blob:") === 0
+                    ) {
+                        URL.revokeObjectURL(module.blobUrl);
+                    }
+                    delete jsxLoader.modules[moduleUrl];
+                });
+                Array.prototype.forEach.call(
+                    document.querySelectorAll(
+                        'script[type="text/babel"][data-type="module"]',
+                    ),
+                    function (element) {
+                        var imports =
+                            entryImports[element.src || document.baseURI] || [];
+                        var usesModule = imports.some(function (moduleUrl) {
+                            return changed.indexOf(moduleUrl) !== -1;
+                        });
+                        if (usesModule && elements.indexOf(element) === -1) {
+                            elements.push(element);
+                        }
+                    },
+                );
+            }
+
+            // Classic scripts share global variables and cannot run a second time
+            // so only ES Modules `<script type="text/babel" data-type="module">`
+            // are run again, otherwise the page is reloaded.
+            var allModules = elements.every(function (element) {
+                return element.getAttribute("data-type") === "module";
+            });
+            if (elements.length > 0 && !allModules) {
+                window.location.reload();
+                return Promise.resolve();
+            }
+            if (elements.length > 0) {
+                return elements.reduce(function (promise, element) {
+                    return promise.then(function () {
+                        return reloadScript(element);
+                    });
+                }, Promise.resolve());
+            }
+
+            // CSS files are reloaded by changing the URL of the <link>
+            var links = Array.prototype.filter.call(
+                document.querySelectorAll('link[rel="stylesheet"]'),
+                function (link) {
+                    return link.href.split("?")[0] === url;
+                },
+            );
+            if (links.length > 0) {
+                links.forEach(function (link) {
+                    link.href = url + "?v=" + Date.now();
+                });
+                return Promise.resolve();
+            }
+
+            window.location.reload();
+            return Promise.resolve();
+        },
+
+        /**
+         * Return a component that keeps the same identity each time code from a
+         * JSX file runs while calling the latest version of the component. When a
+         * file is reloaded by `liveReload` and the app renders again, Preact and
+         * React keep the state of hooks because the component type did not change.
+         *
+         * Components are matched by the top-level declaration they come from, see
+         * [registerHotComponent()], so two components used from the same variable
+         * `<Component />` stay separate. Components that are not declared at the
+         * top-level of a JSX file, class components, `memo()`, and `forwardRef()`
+         * components are returned as-is and will be recreated. The compiler adds
+         * calls to this function when `compiler.hotReload` is `true`.
+         *
+         * @param {function} component
+         * @return {function}
+         */
+        hotComponent: function (component) {
+            if (
+                typeof component !== "function" ||
+                typeof WeakMap !== "function" ||
+                (component.prototype &&
+                    (component.prototype.render ||
+                        component.prototype.isReactComponent)) ||
+                component._forwarded
+            ) {
+                return component;
+            }
+            if (hotComponentVersions === null) {
+                hotComponentVersions = new WeakMap();
+            }
+            var hot = hotComponentVersions.get(component);
+            if (hot === undefined) {
+                // First time this version is used, find the declaration it is from
+                hot = null;
+                for (var key in hotComponents) {
+                    if (
+                        hotComponents.hasOwnProperty(key) &&
+                        hotComponents[key].getComponent() === component
+                    ) {
+                        hot = hotComponents[key];
+                        hot.component = component;
+                        hot.proxy.displayName = component.displayName;
+                        hot.proxy.defaultProps = component.defaultProps;
+                        break;
+                    }
+                }
+                hotComponentVersions.set(component, hot);
+            }
+            return hot === null ? component : hot.proxy;
+        },
+
+        /**
+         * Register a top-level declaration of a JSX file for [hotComponent()]. The
+         * compiler adds calls to this function at the start of each file when
+         * `compiler.hotReload` is `true`, for example for `const App = () => {}` in
+         * "/app.jsx" `registerHotComponent("/app.jsx#App", () => App)`. When the
+         * file runs again the same key is registered with the new declaration.
+         *
+         * @param {string} key Unique name for the declaration, `{fileName}#{name}`
+         * @param {function} getComponent Returns the current value of the declaration
+         */
+        registerHotComponent: function (key, getComponent) {
+            var hot = hotComponents[key];
+            if (hot === undefined) {
+                hot = hotComponents[key] = {
+                    component: null,
+                    proxy: function () {
+                        return hot.component.apply(this, arguments);
+                    },
+                };
+                try {
+                    Object.defineProperty(hot.proxy, "name", {
+                        value: key.substring(key.lastIndexOf("#") + 1),
+                    });
+                } catch (e) {
+                    // Older browsers, name is only used for debugging
+                }
+            }
+            hot.getComponent = function () {
+                try {
+                    return getComponent();
+                } catch (e) {
+                    // A `const` that is not declared yet
+                    return undefined;
+                }
+            };
+        },
+
+        /**
+         * Show a full-screen overlay on the page with error details. This is used when
+         * `showErrorOverlay` is `true` and can also be called by the calling app.
+         * If the overlay is already showing then the error is added to it. The overlay
+         * is closed by clicking [×] or by pressing the [Escape] key.
+         *
+         * @param {object} error `{ title, fileName, message, codeFrame }`
+         */
+        showError: function (error) {
+            var overlay = document.getElementById("jsxloader-error-overlay");
+            if (overlay === null) {
+                overlay = document.createElement("div");
+                overlay.id = "jsxloader-error-overlay";
+                overlay.setAttribute("role", "alert");
+                overlay.style.cssText =
+                    "position:fixed;top:0;left:0;right:0;bottom:0;z-index:2147483647;overflow:auto;box-sizing:border-box;padding:2rem;background-color:rgba(0,0,0,0.9);color:#e8e8e8;font:14px/1.5 monospace;text-align:left;";
+                var close = document.createElement("button");
+                close.type = "button";
+                close.textContent = "\u00d7";
+                close.setAttribute("aria-label", "Close");
+                close.style.cssText =
+                    "position:absolute;top:1rem;right:1rem;background:none;border:none;color:inherit;font-size:2rem;line-height:1;cursor:pointer;";
+                close.onclick = function () {
+                    jsxLoader.hideError();
+                };
+                overlay.appendChild(close);
+                document.addEventListener("keydown", onOverlayKeyDown);
+                (document.body || document.documentElement).appendChild(
+                    overlay,
+                );
+            }
+
+            var section = document.createElement("section");
+            section.style.cssText = "margin-bottom:2rem;";
+            var title = document.createElement("h2");
+            title.textContent =
+                (error.title || "Error") +
+                (error.fileName ? " in " + error.fileName : "");
+            title.style.cssText =
+                "margin:0 0 1rem;color:#ff5555;font-size:1.2rem;";
+            var message = document.createElement("pre");
+            message.textContent = error.message || "";
+            message.style.cssText = "margin:0 0 1rem;white-space:pre-wrap;";
+            section.appendChild(title);
+            section.appendChild(message);
+            if (error.codeFrame) {
+                var codeFrame = document.createElement("pre");
+                codeFrame.textContent = error.codeFrame;
+                codeFrame.style.cssText =
+                    "margin:0;padding:1rem;overflow:auto;background-color:#222222;border-radius:0.4rem;";
+                section.appendChild(codeFrame);
+            }
+            overlay.appendChild(section);
+        },
+
+        /**
+         * Close the overlay from [showError()] if it is showing.
+         */
+        hideError: function () {
+            var overlay = document.getElementById("jsxloader-error-overlay");
+            if (overlay !== null) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            document.removeEventListener("keydown", onOverlayKeyDown);
+        },
+
+        /**
+         * Download [polyfillUrl] (if set) and [babelUrl] and then call [addBabelPolyfills()].
+         * Babel is only downloaded once; if this is called multiple times while Babel
+         * is downloading then each callback runs in the order it was added once Babel
+         * is ready. Callbacks also run if Babel fails to download so that errors are
+         * reported for each script from [loadScript()].
+         *
+         * @param {function} callback
+         */
+        loadBabel: function (callback) {
+            if (typeof Babel !== "undefined") {
+                callback();
+                return;
+            }
+            babelCallbacks.push(callback);
+            if (babelCallbacks.length > 1) {
+                return; // Already downloading
+            }
+
+            function runCallbacks() {
+                if (typeof Babel !== "undefined") {
+                    jsxLoader.addBabelPolyfills();
+                }
+                var callbacks = babelCallbacks;
+                babelCallbacks = [];
+                callbacks.forEach(function (fn) {
+                    fn();
+                });
+            }
+
+            function downloadBabel() {
+                jsxLoader.downloadScript(
+                    resolveUrl(jsxLoader.babelUrl),
+                    runCallbacks,
+                );
+            }
+
+            if (jsxLoader.polyfillUrl) {
+                jsxLoader.downloadScript(
+                    resolveUrl(jsxLoader.polyfillUrl),
+                    downloadBabel,
+                );
+            } else {
+                downloadBabel();
+            }
+        },
+
+        /**
+         * Compile JSX using Babel Standalone and [babelOptions]. This is used
+         * instead of [compiler.compile()] when `isSupportedBrowser` is `false`.
+         *
+         * @param {string} text
+         * @return {string}
+         */
+        babelTransform: function (text) {
+            if (typeof Babel === "undefined") {
+                throw new Error(
+                    "Babel is not available, unable to download it from: " +
+                        resolveUrl(jsxLoader.babelUrl),
+                );
+            }
+            return Babel.transform(text, jsxLoader.babelOptions).code;
+        },
+
+        /**
+         * Find relative `.jsx` and `.tsx` imports in compiled module code, download and compile
+         * the imported files (and their imports), and return the code with each
+         * import rewritten to a Blob or Data URL of the compiled module. Other relative
+         * imports such as `./utils.js` are rewritten to absolute URLs because relative
+         * URLs cannot be resolved from a Blob URL. With the "blob" [csp] injection
+         * this is also done when the entry script has no JSX imports.
+         *
+         * Each file is compiled only once and shared by all modules that import it.
+         * Circular imports are supported; when a module imports a module that is still
+         * being linked the import is made through a small proxy module that exports
+         * live bindings which are assigned once the imported module has finished
+         * running. Just like native ES Modules the bindings are not available until then.
+         *
+         * Imports are found with a RegExp rather than a parser, so an import in a
+         * string or comment, for example `"import { a } from './a.jsx'"`, is also
+         * loaded and rewritten. A module that fails to download or compile is
+         * removed from [modules] so that the next script that imports it tries again.
+         *
+         * @param {string} js Compiled code of the entry script
+         * @param {string} url Absolute URL of the entry script
+         * @return {Promise} Resolves with the rewritten code of the entry script
+         */
+        loadModules: function (js, url) {
+            var modules = jsxLoader.modules;
+
+            function isJsx(specifier) {
+                return /\.(jsx|tsx?)(?:[?#].*)?$/.test(specifier);
+            }
+
+            function findImports(code) {
+                var imports = [];
+                var match;
+                importRegex.lastIndex = 0;
+                while ((match = importRegex.exec(code)) !== null) {
+                    imports.push(match[3]);
+                }
+                return imports;
+            }
+
+            // Download and compile a single module. The Promise is saved so that
+            // each URL is only downloaded and compiled once.
+            function loadModule(moduleUrl) {
+                var module = modules[moduleUrl];
+                if (module) {
+                    return module.promise;
+                }
+                module = modules[moduleUrl] = {
+                    url: moduleUrl,
+                    js: null,
+                    dependencies: [],
+                    blobUrl: null,
+                    linking: false,
+                    isCycleTarget: false,
+                    linked: [],
+                    promise: null,
+                };
+                module.promise = fetchModule(moduleUrl).then(
+                    function (code) {
+                        module.js = code;
+                        findDependencies(module);
+                        return module;
+                    },
+                    function (error) {
+                        if (modules[moduleUrl] === module) {
+                            delete modules[moduleUrl];
+                        }
+                        throw error;
+                    },
+                );
+                return module.promise;
+            }
+
+            function findDependencies(module) {
+                findImports(module.js).forEach(function (specifier) {
+                    if (isRelative(specifier) && isJsx(specifier)) {
+                        var depUrl = new URL(specifier, module.url).href;
+                        if (module.dependencies.indexOf(depUrl) === -1) {
+                            module.dependencies.push(depUrl);
+                        }
+                    }
+                });
+            }
+
+            // Load all imports of a module. Modules that were already visited are
+            // skipped so circular imports do not wait on themselves.
+            function loadDependencies(module, visited) {
+                return Promise.all(
+                    module.dependencies
+                        .filter(function (depUrl) {
+                            if (visited.indexOf(depUrl) !== -1) {
+                                return false;
+                            }
+                            visited.push(depUrl);
+                            return true;
+                        })
+                        .map(function (depUrl) {
+                            return loadModule(depUrl).then(function (dep) {
+                                return loadDependencies(dep, visited);
+                            });
+                        }),
+                );
+            }
+
+            function fetchModule(moduleUrl) {
+                return fetch(moduleUrl, jsxLoader.fetchOptions)
+                    .then(function (res) {
+                        var status = res.status;
+                        if ((status >= 200 && status < 300) || status === 304) {
+                            return res.text();
+                        } else {
+                            throw new Error(
+                                "Error loading module [" +
+                                    moduleUrl +
+                                    "]. Server Response Code: " +
+                                    status +
+                                    ", Response Text: " +
+                                    res.statusText,
+                            );
+                        }
+                    })
+                    .then(function (text) {
+                        var compileOptions = {
+                            sourceMap: jsxLoader.sourceMaps,
+                            fileName: moduleUrl,
+                        };
+                        if (isTypeScript(moduleUrl)) {
+                            compileOptions.typescript = true;
+                        }
+                        if (!jsxLoader.isSupportedBrowser) {
+                            return { text: text, result: null };
+                        }
+                        return jsxLoader.cache
+                            .get(text, compileOptions)
+                            .then(function (cached) {
+                                var result = cached;
+                                if (result === null) {
+                                    result = jsxLoader.compiler.compile(
+                                        text,
+                                        compileOptions,
+                                    );
+                                    jsxLoader.cache.set(
+                                        text,
+                                        compileOptions,
+                                        result,
+                                    );
+                                }
+                                return { text: text, result: result };
+                            });
+                    })
+                    .then(function (compiled) {
+                        var moduleJs, sourceMap;
+                        if (compiled.result === null) {
+                            moduleJs = jsxLoader.babelTransform(compiled.text);
+                        } else if (jsxLoader.sourceMaps) {
+                            moduleJs = compiled.result.code;
+                            sourceMap = compiled.result.map;
+                        } else {
+                            moduleJs = compiled.result;
+                        }
+                        jsxLoader.jsUpdates.forEach(function (item) {
+                            moduleJs = moduleJs.replace(
+                                item.find,
+                                item.replace,
+                            );
+                        });
+                        var lineCount = moduleJs.split("\n").length;
+                        moduleJs = jsxLoader.addImports(moduleJs);
+                        if (sourceMap) {
+                            moduleJs = jsxLoader.addSourceMap(
+                                moduleJs,
+                                sourceMap,
+                                moduleUrl,
+                                moduleJs.split("\n").length - lineCount,
+                            );
+                        }
+                        return moduleJs;
+                    });
+            }
+
+            // Rewrite imports of a downloaded module and return its Blob URL.
+            // Dependencies are linked first so their URLs are known.
+            function linkModule(module) {
+                if (module.blobUrl !== null) {
+                    return module.blobUrl;
+                }
+                if (module.linking) {
+                    module.isCycleTarget = true;
+                    return createUrl(createProxyModule(module));
+                }
+                module.linking = true;
+                var code = rewriteImports(module);
+                if (module.isCycleTarget) {
+                    code +=
+                        "\nimport(import.meta.url).then(function (ns) { window.jsxLoader.linkModule(" +
+                        JSON.stringify(module.url) +
+                        ", ns); });\n";
+                }
+                module.blobUrl = createUrl(code);
+                module.linking = false;
+                return module.blobUrl;
+            }
+
+            function rewriteImports(module) {
+                return module.js.replace(
+                    importRegex,
+                    function (match, prefix, quote, specifier) {
+                        if (!isRelative(specifier)) {
+                            return match;
+                        }
+                        var depUrl = new URL(specifier, module.url).href;
+                        if (isJsx(specifier)) {
+                            depUrl = linkModule(modules[depUrl]);
+                        }
+                        return prefix + quote + depUrl + quote;
+                    },
+                );
+            }
+
+            // Module that re-exports the bindings of a module in a circular import.
+            // Export names are found from the compiled code of the module.
+            function createProxyModule(module) {
+                var names = findExportNames(module.js);
+                var code = "";
+                names.forEach(function (name, index) {
+                    code +=
+                        "let __jsxLoader_" +
+                        index +
+                        ";\nexport { __jsxLoader_" +
+                        index +
+                        " as " +
+                        name +
+                        " };\n";
+                });
+                code +=
+                    "window.jsxLoader.modules[" +
+                    JSON.stringify(module.url) +
+                    "].linked.push(function (ns) {\n";
+                names.forEach(function (name, index) {
+                    code +=
+                        "    __jsxLoader_" +
+                        index +
+                        " = ns[" +
+                        JSON.stringify(name) +
+                        "];\n";
+                });
+                code += "});\n";
+                return code;
+            }
+
+            function findExportNames(code) {
+                var names = [];
+                var match;
+                var declRegex =
+                    /\bexport\s+(?:async\s+)?(?:const|let|var|function\s*\*?|class)\s+([\w$]+)/g;
+                var listRegex = /\bexport\s*\{([^}]*)\}(?!\s*from)/g;
+                function add(name) {
+                    if (names.indexOf(name) === -1) {
+                        names.push(name);
+                    }
+                }
+                while ((match = declRegex.exec(code)) !== null) {
+                    add(match[1]);
+                }
+                while ((match = listRegex.exec(code)) !== null) {
+                    match[1].split(",").forEach(function (item) {
+                        var parts = item.trim().split(/\s+as\s+/);
+                        if (parts[0] !== "") {
+                            add(parts[parts.length - 1]);
+                        }
+                    });
+                }
+                if (/\bexport\s+default\b/.test(code)) {
+                    add("default");
+                }
+                return names;
+            }
+
+            function createUrl(code) {
+                if (typeof Blob !== "undefined" && URL.createObjectURL) {
+                    return URL.createObjectURL(
+                        new Blob([code], { type: "text/javascript" }),
+                    );
+                }
+                return (
+                    "data:text/javascript;charset=utf-8," +
+                    encodeURIComponent(code)
+                );
+            }
+
+            // The entry script is added to the page as an inline script so it is
+            // not saved with other modules. If it is imported by one of its own
+            // imports then the JSX file is downloaded as a separate module.
+            var entry = {
+                url: url,
+                js: js,
+                dependencies: [],
+            };
+            findDependencies(entry);
+            entryImports[url] = entry.dependencies;
+            return loadDependencies(entry, []).then(function () {
+                if (entry.dependencies.length > 0) {
+                    return rewriteImports(entry);
+                }
+                return jsxLoader.csp.injection === "blob"
+                    ? resolveImports(js, url)
+                    : js;
+            });
+        },
+
+        /**
+         * Called from compiled modules that are part of a circular import once the
+         * module has finished running. This assigns the live bindings of proxy
+         * modules created by [loadModules()]. Intended only for internal use.
+         *
+         * @param {string} url
+         * @param {object} ns Module Namespace Object
+         */
+        linkModule: function (url, ns) {
+            var module = jsxLoader.modules[url];
+            if (module && module.linked) {
+                module.linked.forEach(function (callback) {
+                    callback(ns);
+                });
+            }
+        },
+
+        /**
+         * Content-Security-Policy (CSP) settings for the <script> elements that
+         * jsxLoader adds to the page. By default compiled code is added as an inline
+         * script which requires `'unsafe-inline'` unless the script has a nonce.
+         *
+         *     injection           "inline" sets the code as the text of the <script>;
+         *                         "blob" loads it from a Blob URL which requires
+         *                         `script-src blob:` instead of a nonce, relative
+         *                         imports of modules are changed to absolute URLs
+         *     nonce               Nonce for scripts when the <script type="text/babel">
+         *                         does not have one (its `nonce` is copied by default),
+         *                         also used for [babelUrl] and [polyfillUrl]
+         *     trustedTypesPolicy  Name of a Trusted Types policy to create for
+         *                         `require-trusted-types-for 'script'` or a policy
+         *                         object with `createScript()` and `createScriptURL()`;
+         *                         the name must be allowed by the `trusted-types`
+         *                         directive. `null` to not use Trusted Types.
+         *
+         * A strict policy can be used with `compileImports` if it allows `blob:`.
+         * If the browser blocks a script, for example when the policy can't be
+         * created, the error is set as [data-error] of the <script type="text/babel">
+         * and other scripts still load. Set these before the 'DOMContentLoaded' event runs. Example:
+         *     jsxLoader.csp.injection = "blob";
+         *     jsxLoader.csp.trustedTypesPolicy = "jsxloader";
+         */
+        csp: {
+            injection: "inline",
+            nonce: null,
+            trustedTypesPolicy: null,
+        },
+
+        /**
+         * When `worker.enabled = true` JSX is compiled in Web Workers created from
+         * the same `jsxLoader.js` file (or `worker.url`) so the page is not blocked
+         * while scripts compile. Up to `maxWorkers` scripts are compiled in parallel
+         * and they are still added to the page in the same order as without workers.
+         * Scripts are compiled on the main thread if workers are not supported or
+         * fail to start (for example a CSP `worker-src` blocks them), when Babel is
+         * used, and when [compiler.use()] plugins are used or a function of
+         * [compiler] or its `printers` is replaced or added. Compiler settings such
+         * as `pragma` and `printWidth` are copied to the workers.
+         */
+        worker: {
+            enabled: false,
+            url: null,
+            maxWorkers: 4,
+        },
+
+        /**
+         * Persistent Compile Cache
+         *
+         * When `jsxLoader.cache.enabled = true` compiled code is saved in the
+         * browser using the Cache Storage API and unchanged files are loaded from
+         * the cache on the next page load without running the compiler. Entries are
+         * keyed by a hash of the JSX source, the jsxLoader version, a hash of the
+         * code of the compiler and plugins, and compiler options so any change
+         * creates a new entry and only the latest entry for
+         * each file is kept. The cache is not used when Babel compiles JSX or when
+         * the Cache Storage API is not available (it requires HTTPS or localhost).
+         *
+         * Examples:
+         *     jsxLoader.cache.enabled = true;
+         *     jsxLoader.cache.entries().then(console.table);
+         *     jsxLoader.cache.clear();
+         */
+        cache: {
+            enabled: false,
+            cacheName: "jsxLoader",
+
+            /**
+             * Return the cache key for JSX source and compile options. The key is a URL
+             * because Cache Storage requires them, the path is the file name and the
+             * query string is the hash.
+             *
+             * @param {string} text
+             * @param {object} options Options for [compiler.compile()]
+             * @return {string}
+             */
+            getKey: function (text, options) {
+                var compiler = jsxLoader.compiler;
+                var settings = JSON.stringify([
+                    jsxLoader.version,
+                    getSourceHash(),
+                    compiler.pragma,
+                    compiler.pragmaFrag,
+                    compiler.runtime,
+                    compiler.importSource,
+                    compiler.addUseStrict,
+                    compiler.hotReload,
+                    compiler.development,
+                    compiler.typescript,
+                    compiler.preserveLines,
+                    compiler.keepComments,
+                    compiler.printMode,
+                    compiler.tabWidth,
+                    compiler.printWidth,
+                    hashFunctions(compiler),
+                    compiler.plugins.map(function (plugin) {
+                        return [
+                            plugin.name,
+                            plugin.cacheKey,
+                            hashFunctions(plugin),
+                        ];
+                    }),
+                    options,
+                ]);
+                return (
+                    "/__jsxloader-cache/" +
+                    encodeURIComponent(options.fileName || "inline") +
+                    "?v=" +
+                    hashText(settings) +
+                    hashText(text) +
+                    text.length.toString(36)
+                );
+            },
+
+            /**
+             * Return compiled code from the cache or `null` if not found. The
+             * Promise always resolves, errors from Cache Storage are logged.
+             *
+             * @param {string} text
+             * @param {object} options
+             * @return {Promise}
+             */
+            get: function (text, options) {
+                if (!this.enabled || typeof caches === "undefined") {
+                    return Promise.resolve(null);
+                }
+                var key = this.getKey(text, options);
+                return caches
+                    .open(this.cacheName)
+                    .then(function (cache) {
+                        return cache.match(key);
+                    })
+                    .then(function (response) {
+                        return response ? response.json() : null;
+                    })
+                    .then(function (entry) {
+                        // The source is saved with the result so hash collisions are not possible
+                        return entry !== null && entry.source === text
+                            ? entry.result
+                            : null;
+                    })
+                    .catch(function (error) {
+                        console.warn(error);
+                        return null;
+                    });
+            },
+
+            /**
+             * Save compiled code to the cache and remove older entries for the same file.
+             *
+             * @param {string} text
+             * @param {object} options
+             * @param {string|object} result Result from [compiler.compile()]
+             * @return {Promise}
+             */
+            set: function (text, options, result) {
+                if (!this.enabled || typeof caches === "undefined") {
+                    return Promise.resolve();
+                }
+                var key = this.getKey(text, options);
+                var body = JSON.stringify({
+                    fileName: options.fileName || null,
+                    date: new Date().toISOString(),
+                    source: text,
+                    result: result,
+                });
+                return caches
+                    .open(this.cacheName)
+                    .then(function (cache) {
+                        return cache
+                            .keys(key, { ignoreSearch: true })
+                            .then(function (requests) {
+                                return Promise.all(
+                                    requests.map(function (request) {
+                                        return cache.delete(request);
+                                    }),
+                                );
+                            })
+                            .then(function () {
+                                return cache.put(
+                                    key,
+                                    new Response(body, {
+                                        headers: {
+                                            "Content-Type": "application/json",
+                                        },
+                                    }),
+                                );
+                            });
+                    })
+                    .catch(function (error) {
+                        console.warn(error);
+                    });
+            },
+
+            /**
+             * Return info for all entries in the cache:
+             * `[{ key, fileName, date, size }]` where size is the length of the
+             * compiled code.
+             *
+             * @return {Promise}
+             */
+            entries: function () {
+                if (typeof caches === "undefined") {
+                    return Promise.resolve([]);
+                }
+                return caches.open(this.cacheName).then(function (cache) {
+                    return cache.keys().then(function (requests) {
+                        return Promise.all(
+                            requests.map(function (request) {
+                                return cache
+                                    .match(request)
+                                    .then(function (response) {
+                                        return response.json();
+                                    })
+                                    .then(function (entry) {
+                                        var code =
+                                            typeof entry.result === "string"
+                                                ? entry.result
+                                                : entry.result.code;
+                                        return {
+                                            key: request.url,
+                                            fileName: entry.fileName,
+                                            date: entry.date,
+                                            size: code.length,
+                                        };
+                                    });
+                            }),
+                        );
+                    });
+                });
+            },
+
+            /**
+             * Delete all entries from the cache.
+             *
+             * @return {Promise} Resolves to `true` if the cache existed
+             */
+            clear: function () {
+                if (typeof caches === "undefined") {
+                    return Promise.resolve(false);
+                }
+                return caches.delete(this.cacheName);
+            },
+        },
+
+        /**
+         * Compiler for converting React/JSX Code to JavaScript. See comments
+         * near the top of this file for info on the compiler.
+         */
+        compiler: {
+            /**
+             * Compiler Options
+             */
+            pragma: "React.createElement",
+            pragmaFrag: "React.Fragment",
+
+            /**
+             * Either "classic" to compile elements to `pragma()` calls or "automatic"
+             * to compile to `jsx()` and `jsxs()` calls imported from
+             * `{importSource}/jsx-runtime`. The Automatic Runtime requires the script
+             * to be an ES Module `<script type="text/babel" data-type="module">`.
+             * Directives `// @jsxRuntime automatic` and `// @jsxImportSource preact`
+             * at the start of a JSX file override these settings, see
+             * [parseDirectives()].
+             */
+            runtime: "classic",
+            importSource: "react",
+
+            maxRecursiveCalls: 1000,
+            addUseStrict: true,
+
+            /**
+             * When `true` components used from JSX are wrapped so they keep the same
+             * identity each time the code runs, see [jsxLoader.hotComponent()], and
+             * top-level declarations are registered at the start of the file, see
+             * [jsxLoader.registerHotComponent()]. This is set automatically when
+             * using `jsxLoader.liveReload`.
+             */
+            hotReload: false,
+
+            /**
+             * When `true` elements include where they were created for framework
+             * debug tools such as `preact/debug` and React DevTools, the same as the
+             * `development` option of Babel. With the "classic" runtime props
+             * `__source: { fileName, lineNumber, columnNumber }` and `__self: this`
+             * are added. The "automatic" runtime calls `jsxDEV()` from
+             * `{importSource}/jsx-dev-runtime` with the same information.
+             * `fileName` is `options.fileName`, the `src` of the script. Line and
+             * column numbers start at 1. Fragments don't include the information.
+             * Using `this` before `super()` in a class constructor is an error so
+             * elements should not be used there. This can also be set for each file
+             * with `options.development`.
+             */
+            development: false,
+
+            /**
+             * When `true` TypeScript types are removed before compiling, see
+             * [stripTypes()]. This can also be set for each file with
+             * `options.typescript`; [jsxLoader.loadScript()] sets it for `.tsx` files
+             * and for `<script type="text/babel" data-lang="tsx">`.
+             */
+            typescript: false,
+
+            /**
+             * When `true` each line of the generated code is on the same line number
+             * as the original code so stack traces, `debugger` statements, and errors
+             * point to the right line of the JSX file even without Source Maps.
+             * Elements are not indented or wrapped and line breaks are added where an
+             * element or code would otherwise end up on an earlier line, see
+             * [alignLines()]. This can also be set for each file with
+             * `options.preserveLines`.
+             */
+            preserveLines: false,
+
+            /**
+             * When `true` comments in JavaScript code are kept in the generated code,
+             * for example license headers and `@__PURE__` annotations. Comments inside
+             * of elements, including expressions in props and children, are always
+             * removed. This can also be set for each file with `options.keepComments`.
+             */
+            keepComments: false,
+
+            /**
+             * Layout of the code generated for elements, one of [printers]:
+             *
+             *     "pretty"   Child elements on separate lines indented by [tabWidth] and
+             *                props longer than [printWidth] printed one per line
+             *     "compact"  Each element on one line: `h("div", {id: "a"}, h("b", null))`
+             *     "minify"   Without optional spaces: `h("div",{id:"a"},h("b",null))`
+             *
+             * JavaScript code between elements is kept as it is in each mode. This
+             * can also be set for each file with `options.printMode`.
+             */
+            printMode: "pretty",
+
+            /**
+             * Used by the "pretty" printer, [tabWidth] is the same as this site's
+             * `.prettierrc` so generated code matches the formatting of the source.
+             */
+            tabWidth: 4,
+            printWidth: 80,
+
+            /**
+             * Printers for [printMode]. A custom printer can be added with a new name,
+             * see [createPrinter()] for the nodes that a printer receives.
+             */
+            printers: {
+                minify: createPrinter({ space: "", lineBreaks: false }),
+                compact: createPrinter({ space: " ", lineBreaks: false }),
+                pretty: createPrinter({ space: " ", lineBreaks: true }),
+            },
+
+            /**
+             * Node types of the AST for plugins, see [transform()]
+             */
+            astTypes: astTypes,
+            tokenTypes: tokenTypes,
+
+            /**
+             * Plugins added with [use()]
+             */
+            plugins: [],
+
+            /**
+             * Add a plugin that changes elements before code is generated. A plugin
+             * is an object with a `name` and `visitor` functions that are called for
+             * each element, prop, and child, see [transform()]. Example that removes
+             * `data-testid` props:
+             *
+             * The code of the visitor functions is part of the [jsxLoader.cache] key.
+             * A plugin that has options can set `cacheKey` to a string of its options
+             * so cached code is not used when they change.
+             *
+             *     jsxLoader.compiler.use({
+             *         name: "remove-test-ids",
+             *         visitor: {
+             *             prop: function (prop) {
+             *                 return prop.name === "data-testid" ? null : undefined;
+             *             },
+             *         },
+             *     });
+             *
+             * @param {object} plugin
+             * @return {object} The compiler so calls can be chained
+             */
+            use: function (plugin) {
+                if (
+                    plugin === null ||
+                    typeof plugin !== "object" ||
+                    typeof plugin.visitor !== "object"
+                ) {
+                    throw new Error(
+                        "Plugins for jsxLoader.compiler.use() need a [visitor] object",
+                    );
+                }
+                this.plugins.push(plugin);
+                return this;
+            },
+
+            /**
+             * Compile JSX to JS
+             *
+             * If `options.sourceMap` is `true` then an object `{ code, map }` is
+             * returned where `map` is a Source Map (version 3) object that maps
+             * lines of the generated code to the original JSX. `options.fileName`
+             * is used for the `file` and `sources` properties of the map.
+             *
+             * Invalid JSX throws a [JsxCompileError] which includes the error code,
+             * position, and a code frame. `options.fileName` is used for the
+             * `fileName` property of the error.
+             *
+             * If `options.typescript` is `true` the input is TSX, if not set
+             * then [typescript] is used. Options `preserveLines`, `keepComments`, and
+             * `printMode` work the same way with [preserveLines], [keepComments], and
+             * [printMode].
+             *
+             * @param {string} input
+             * @param {object|undefined} options
+             * @return {string|object}
+             */
+            compile: function (input, options) {
+                options = options || {};
+                try {
+                    return this.compileInput(input, options);
+                } catch (e) {
+                    if (e instanceof JsxCompileError) {
+                        e.fileName = options.fileName || null;
+                    }
+                    throw e;
+                }
+            },
+
+            /**
+             * Run all compiler steps for [compile()]
+             *
+             * @param {string} input
+             * @param {object} options
+             * @return {string|object}
+             */
+            compileInput: function (input, options) {
+                // Remove TypeScript types, positions in the code stay the same
+                var typescript =
+                    options.typescript === undefined
+                        ? this.typescript
+                        : options.typescript;
+                var newInput = typescript ? this.stripTypes(input) : input;
+                var keepComments =
+                    options.keepComments === undefined
+                        ? this.keepComments
+                        : options.keepComments;
+                var preserveLines =
+                    options.preserveLines === undefined
+                        ? this.preserveLines
+                        : options.preserveLines;
+
+                // Compiler Steps 1 and 2 (Lexical Analysis) - Convert JSX Code to an
+                // array of tokens, comments are removed from the tokens in the same pass
+                var components = [];
+                var tokens = this.tokenizer(newInput, {
+                    keepComments: keepComments,
+                    components: components,
+                });
+                if (jsxLoader.logCompileDetails) {
+                    console.log(tokens);
+                }
 
                 // Compiler Step 3 (Syntactic Analysis) - Convert Tokens to an Abstract Syntax Tree (AST)
                 var ast = this.parser(tokens, input);
+                ast.components = components;
+
+                // Plugins added with [use()] can change the AST
+                ast = this.transform(ast, input, options);
                 if (jsxLoader.logCompileDetails) {
                     console.log(ast);
                 }
 
                 // Compiler Step 4 (Code Generation) - Convert AST to Code
-                var output = this.codeGenerator(ast, input);
-                return output;
+                var output = this.codeGenerator(ast, input, options);
+                var printMode =
+                    options.printMode === undefined
+                        ? this.printMode
+                        : options.printMode;
+                if (jsxLoader.logCompileDetails && printMode !== "pretty") {
+                    // Show readable code when compiling with "minify" or "compact"
+                    console.log(
+                        this.codeGenerator(ast, input, {
+                            fileName: options.fileName,
+                            printMode: "pretty",
+                        }),
+                    );
+                }
+                if (preserveLines) {
+                    output = this.alignLines(
+                        output,
+                        input,
+                        options.sourceMap === true,
+                    );
+                }
+                if (options.sourceMap !== true) {
+                    return output;
+                }
+                return this.createSourceMap(output, input, options.fileName);
+            },
+
+            /**
+             * Add line breaks to code generated by [codeGenerator()] with
+             * `preserveLines = true` so each JS block and element starts on the same
+             * line as in the original input. The generated code never has more lines
+             * than the input, so line breaks are only added before the marker of a
+             * JS block or element that would otherwise be on an earlier line, followed
+             * by spaces for the original column. The markers are removed unless `keepMarkers` is `true` for
+             * [createSourceMap()].
+             *
+             * @param {string} output
+             * @param {string} input
+             * @param {boolean} keepMarkers
+             * @return {string}
+             */
+            alignLines: function (output, input, keepMarkers) {
+                var parts = output.split(sourceMapMarker);
+                var findPosition = createPositionFinder(input);
+                var line = 0;
+                var code = "";
+                for (var n = 0, m = parts.length; n < m; n++) {
+                    if (n % 2 === 0) {
+                        line += parts[n].split("\n").length - 1;
+                        code += parts[n];
+                        continue;
+                    }
+                    var position = findPosition(parseInt(parts[n], 10));
+                    if (position.line > line) {
+                        code +=
+                            "\n".repeat(position.line - line) +
+                            " ".repeat(position.column);
+                        line = position.line;
+                    }
+                    if (keepMarkers) {
+                        code += sourceMapMarker + parts[n] + sourceMapMarker;
+                    }
+                }
+                return code;
+            },
+
+            /**
+             * Create a Source Map from code generated by [codeGenerator()] with
+             * `addMappings = true`. The generated code contains markers for the
+             * position of each JS block and element in the original input, the
+             * markers are removed and the returned code is the same as if
+             * `addMappings` had not been used.
+             *
+             * @param {string} output
+             * @param {string} input
+             * @param {string|undefined} fileName
+             * @return {object} `{ code, map }`
+             */
+            createSourceMap: function (output, input, fileName) {
+                var code = "";
+                var mappings = [];
+                var lineMappings = [];
+                var genLine = 0;
+                var genColumn = 0;
+                var last = { genColumn: 0, srcLine: 0, srcColumn: 0 };
+                var parts = output.split(sourceMapMarker);
+                var findPosition = createPositionFinder(input);
+
+                function addText(text) {
+                    var lines = text.split("\n");
+                    for (var n = 1, m = lines.length; n < m; n++) {
+                        mappings.push(lineMappings.join(","));
+                        lineMappings = [];
+                        genLine++;
+                        genColumn = 0;
+                        last.genColumn = 0;
+                    }
+                    genColumn += lines[lines.length - 1].length;
+                    code += text;
+                }
+
+                // [parts] alternates between generated code and marker positions
+                for (var x = 0, y = parts.length; x < y; x++) {
+                    if (x % 2 === 0) {
+                        addText(parts[x]);
+                        continue;
+                    }
+                    var position = findPosition(parseInt(parts[x], 10));
+                    var srcLine = position.line;
+                    var srcColumn = position.column;
+                    lineMappings.push(
+                        encodeVlq(genColumn - last.genColumn) +
+                            encodeVlq(0) +
+                            encodeVlq(srcLine - last.srcLine) +
+                            encodeVlq(srcColumn - last.srcColumn),
+                    );
+                    last.genColumn = genColumn;
+                    last.srcLine = srcLine;
+                    last.srcColumn = srcColumn;
+                }
+                mappings.push(lineMappings.join(","));
+
+                return {
+                    code: code,
+                    map: {
+                        version: 3,
+                        file: fileName || "",
+                        sources: [fileName || "input.jsx"],
+                        sourcesContent: [input],
+                        names: [],
+                        mappings: mappings.join(";"),
+                    },
+                };
             },
 
             /**
-             * Helper function to return line/column numbers when an error occurs
+             * Helper function to return line/column numbers when an error occurs.
+             * Line numbers start at 1 and column numbers start at 0.
              *
              * @param {string} input
              * @param {int} pos
@@ -419,51 +3423,1085 @@
                     " at Line #: " +
                     lineCount +
                     ", Column #: " +
-                    (line.length - 1) +
+                    line.length +
                     ", Line: " +
                     line.trim()
                 );
             },
 
             /**
-             * Helper function that gets called when a '<' character is
-             * found to determine if it's likely an element or not.
+             * TypeScript - Remove Types from TSX Code
+             *
+             * Used when `options.typescript` or [typescript] is `true` and runs before
+             * the other compiler steps. Type annotations, `interface` and `type`
+             * declarations, generics, `as` and `satisfies` expressions, non-null
+             * assertions (`value!`), class member modifiers such as `private`,
+             * overload signatures, optional methods (`m?()`), type arguments of
+             * elements (`<List<string> />`), and type-only imports and exports are
+             * replaced with whitespace. The result is JSX with every line and column
+             * in the same position as the original code so Source Maps and error
+             * positions need no changes.
+             *
+             * Types are found from the code around them rather than with a full
+             * TypeScript parser, for example a `:` inside parentheses that is not part
+             * of a `? :` expression starts a type. Like TypeScript, generic arrow
+             * functions in TSX must be written as `<T,>() => {}` or
+             * `<T extends X>() => {}` so they are not read as elements. TypeScript
+             * features that generate code (`enum`, `namespace`, and constructor
+             * parameter properties) throw a [JsxCompileError].
              *
              * @param {string} input
-             * @param {number} current
-             * @param {number} length
-             * @returns {bool}
+             * @return {string}
              */
-            isExpression: function (input, current, length) {
-                var pos = current + 2;
-                var foundName = false;
-                while (pos < length) {
-                    var nextChar = input[pos];
+            stripTypes: function (input) {
+                var length = input.length;
+                var blankRanges = [];
+                var punctuators = (
+                    ">>>= ... === !== **= <<= >>= >>> &&= ||= ??= => == != <= >= " +
+                    "&& || ?? ?. ++ -- += -= *= /= %= &= |= ^= ** << >>"
+                ).split(" ");
+                // Keywords that are followed by an expression, after these `<` starts an
+                // element and `/` starts a RegExp.
+                var expressionKeywords = (
+                    "return typeof instanceof in of new delete void throw case do " +
+                    "else yield await extends default"
+                ).split(" ");
+                // Type operators that need a type after them, for example `keyof T`
+                var typePrefixes = (
+                    "keyof typeof infer readonly unique new extends is asserts " +
+                    "abstract"
+                ).split(" ");
+                var memberModifiers =
+                    "public private protected readonly override declare".split(
+                        " ",
+                    );
+                var statementEnd = {
+                    type: "punct",
+                    value: ";",
+                    start: 0,
+                    end: 0,
+                };
+
+                function unsupported(message, token) {
+                    throw new JsxCompileError(
+                        "TS_UNSUPPORTED_SYNTAX",
+                        message,
+                        input,
+                        token.start,
+                        token.end,
+                    );
+                }
+
+                function blank(start, end) {
+                    if (end > start) {
+                        blankRanges.push([start, end]);
+                    }
+                }
+
+                // Read the next token starting at [pos], skipping whitespace and comments.
+                // [nl] is `true` when there is a line break before the token. Template
+                // literals, RegExp literals, and elements are read by the calling code
+                // because they depend on where they are used.
+                function readToken(pos) {
+                    var nl = false;
+                    var c, end;
+                    while (pos < length) {
+                        c = input[pos];
+                        if (c === "\n") {
+                            nl = true;
+                            pos++;
+                        } else if (/\s/.test(c)) {
+                            pos++;
+                        } else if (c === "/" && input[pos + 1] === "/") {
+                            end = input.indexOf("\n", pos);
+                            pos = end === -1 ? length : end;
+                        } else if (c === "/" && input[pos + 1] === "*") {
+                            end = input.indexOf("*/", pos + 2);
+                            end = end === -1 ? length : end + 2;
+                            nl =
+                                nl ||
+                                input.substring(pos, end).indexOf("\n") !== -1;
+                            pos = end;
+                        } else {
+                            break;
+                        }
+                    }
+                    var token = {
+                        type: "punct",
+                        value: "",
+                        start: pos,
+                        end: pos,
+                        nl: nl,
+                    };
+                    if (pos >= length) {
+                        token.type = "eof";
+                        return token;
+                    }
+                    c = input[pos];
+                    if (/[a-zA-Z_$#\u0080-\uffff]/.test(c)) {
+                        end = pos + 1;
+                        while (
+                            end < length &&
+                            /[\w$\u0080-\uffff]/.test(input[end])
+                        ) {
+                            end++;
+                        }
+                        token.type = "name";
+                    } else if (
+                        /[0-9]/.test(c) ||
+                        (c === "." && /[0-9]/.test(input[pos + 1]))
+                    ) {
+                        end = pos + 1;
+                        while (end < length && /[\w.]/.test(input[end])) {
+                            end++;
+                        }
+                        token.type = "number";
+                    } else if (c === '"' || c === "'") {
+                        end = pos + 1;
+                        while (
+                            end < length &&
+                            input[end] !== c &&
+                            input[end] !== "\n"
+                        ) {
+                            end += input[end] === "\\" ? 2 : 1;
+                        }
+                        end = Math.min(end + 1, length);
+                        token.type = "string";
+                    } else if (c === "`") {
+                        end = pos + 1;
+                        token.type = "template";
+                    } else {
+                        end = pos + 1;
+                        for (var n = 0, m = punctuators.length; n < m; n++) {
+                            if (
+                                input.substr(pos, punctuators[n].length) ===
+                                punctuators[n]
+                            ) {
+                                end = pos + punctuators[n].length;
+                                break;
+                            }
+                        }
+                        // `a?.5:b` is a `? :` expression
+                        if (
+                            input.substring(pos, end) === "?." &&
+                            /[0-9]/.test(input[end])
+                        ) {
+                            end = pos + 1;
+                        }
+                    }
+                    token.value = input.substring(pos, end);
+                    token.end = end;
+                    return token;
+                }
+
+                function isPunct(token, value) {
+                    return (
+                        token !== null &&
+                        token.type === "punct" &&
+                        token.value === value
+                    );
+                }
+
+                function isClosingAngle(token) {
+                    return token.type === "punct" && /^>+$/.test(token.value);
+                }
+
+                // `true` if the token ends an expression, for example `x` or `)`. After
+                // these `<` is less than (or type arguments) and `/` is division.
+                function endsExpression(token) {
+                    if (token === null) {
+                        return false;
+                    } else if (token.type === "name") {
+                        return expressionKeywords.indexOf(token.value) === -1;
+                    } else if (token.type === "punct") {
+                        return (
+                            token.value === ")" ||
+                            token.value === "]" ||
+                            token.value === "}"
+                        );
+                    }
+                    return true;
+                }
+
+                // `true` if the token ends a type, for example `string` or `>`
+                function endsType(token) {
+                    if (token.type === "name") {
+                        return typePrefixes.indexOf(token.value) === -1;
+                    } else if (token.type === "punct") {
+                        return (
+                            token.value === ")" ||
+                            token.value === "]" ||
+                            token.value === "}" ||
+                            isClosingAngle(token)
+                        );
+                    }
+                    return true;
+                }
+
+                // Tokens on a new line that continue a type or declaration
+                function continuesType(token) {
+                    if (token.type === "name") {
+                        return (
+                            token.value === "extends" || token.value === "is"
+                        );
+                    }
+                    return (
+                        token.type === "punct" &&
+                        ["|", "&", ".", "=>", "?", ":", "=", ","].indexOf(
+                            token.value,
+                        ) !== -1
+                    );
+                }
+
+                // [pos] is at "`", return the position after the closing "`"
+                function skipTemplate(pos) {
+                    pos++;
+                    while (pos < length) {
+                        var c = input[pos];
+                        if (c === "\\") {
+                            pos += 2;
+                        } else if (c === "`") {
+                            return pos + 1;
+                        } else if (c === "$" && input[pos + 1] === "{") {
+                            pos = walk(pos + 2, "}", "brace");
+                        } else {
+                            pos++;
+                        }
+                    }
+                    return length;
+                }
+
+                // [pos] is at "/", return the position after the RegExp flags
+                function skipRegExp(pos) {
+                    var inClass = false;
                     pos++;
-                    if (/[a-zA-Z0-9_/]/.test(nextChar)) {
-                        if (foundName) {
+                    while (pos < length && input[pos] !== "\n") {
+                        var c = input[pos];
+                        if (c === "\\") {
+                            pos += 2;
+                            continue;
+                        }
+                        pos++;
+                        if (c === "[") {
+                            inClass = true;
+                        } else if (c === "]") {
+                            inClass = false;
+                        } else if (c === "/" && !inClass) {
+                            while (pos < length && /[a-z]/.test(input[pos])) {
+                                pos++;
+                            }
                             break;
+                        }
+                    }
+                    return pos;
+                }
+
+                // [pos] is at "<" of an element, return the position after the element.
+                // Code in `{}` is handled by [walk()] so types in it are also removed.
+                function skipElement(pos) {
+                    var depth = 0;
+                    while (pos < length) {
+                        if (input[pos + 1] === "/") {
+                            pos = input.indexOf(">", pos);
+                            pos = pos === -1 ? length : pos + 1;
+                            depth--;
                         } else {
+                            var selfClosing = false;
+                            pos++;
+                            // Type arguments `<List<string> items={items} />`
+                            var name = readToken(pos);
+                            while (name.type === "name") {
+                                pos = name.end;
+                                name = readToken(pos);
+                                name = isPunct(name, ".")
+                                    ? readToken(name.end)
+                                    : name;
+                            }
+                            if (isPunct(name, "<")) {
+                                var end = skipTypeArguments(name.start);
+                                if (end !== -1) {
+                                    blank(name.start, end);
+                                    pos = end;
+                                }
+                            }
+                            while (pos < length) {
+                                var c = input[pos];
+                                if (c === ">") {
+                                    pos++;
+                                    break;
+                                } else if (
+                                    c === "/" &&
+                                    input[pos + 1] === ">"
+                                ) {
+                                    pos += 2;
+                                    selfClosing = true;
+                                    break;
+                                } else if (c === "{") {
+                                    pos = walk(pos + 1, "}", "brace");
+                                } else if (c === '"' || c === "'") {
+                                    pos = input.indexOf(c, pos + 1);
+                                    pos = pos === -1 ? length : pos + 1;
+                                } else if (c === "<") {
+                                    pos = skipElement(pos);
+                                } else if (
+                                    c === "/" &&
+                                    (input[pos + 1] === "*" ||
+                                        input[pos + 1] === "/")
+                                ) {
+                                    pos = readToken(pos).start;
+                                } else {
+                                    pos++;
+                                }
+                            }
+                            if (!selfClosing) {
+                                depth++;
+                            }
+                        }
+                        if (depth <= 0) {
+                            return pos;
+                        }
+                        // Child text and code
+                        while (pos < length && input[pos] !== "<") {
+                            pos =
+                                input[pos] === "{"
+                                    ? walk(pos + 1, "}", "brace")
+                                    : pos + 1;
+                        }
+                    }
+                    return pos;
+                }
+
+                // [pos] is at "<", return the position after the matching ">" if the
+                // code looks like type arguments or type parameters, otherwise -1.
+                function skipTypeArguments(pos) {
+                    var depth = 0;
+                    while (true) {
+                        var token = readToken(pos);
+                        pos = token.end;
+                        if (token.type === "eof") {
+                            return -1;
+                        } else if (token.type === "template") {
+                            pos = skipTemplate(token.start);
+                        } else if (token.type === "punct") {
+                            var value = token.value;
+                            if (isClosingAngle(token)) {
+                                depth -= value.length;
+                                if (depth <= 0) {
+                                    return depth === 0 ? pos : -1;
+                                }
+                            } else if ("<([{".indexOf(value) !== -1) {
+                                depth++;
+                            } else if (")]}".indexOf(value) !== -1) {
+                                depth--;
+                                if (depth <= 0) {
+                                    return -1;
+                                }
+                            } else if (
+                                value === ";"
+                                    ? depth === 1
+                                    : [
+                                          "|",
+                                          "&",
+                                          ",",
+                                          ".",
+                                          "?",
+                                          ":",
+                                          "=>",
+                                          "...",
+                                          "=",
+                                          "-",
+                                      ].indexOf(value) === -1
+                            ) {
+                                return -1;
+                            }
+                        }
+                    }
+                }
+
+                // Return the end position of a type that starts at [pos]. [mode] is
+                // "return" for return types where `{` and `=>` end the type.
+                function skipType(pos, mode) {
+                    var depth = 0;
+                    var end = pos;
+                    var prev = null;
+                    var hasExtends = false;
+                    var conditionals = 0;
+                    var typeParameters = false;
+                    while (true) {
+                        var token = readToken(pos);
+                        var value = token.type === "punct" ? token.value : null;
+                        if (token.type === "eof") {
+                            return end;
+                        }
+                        // Type parameters of a generic function type `<T>() => T`
+                        // are followed by its parameters
+                        if (
+                            value === "(" &&
+                            prev !== null &&
+                            prev.typeParameters
+                        ) {
+                            prev = null;
+                        }
+                        if (depth === 0) {
+                            if (
+                                [",", ")", "]", "}", ";", "="].indexOf(
+                                    value,
+                                ) !== -1
+                            ) {
+                                return end;
+                            }
+                            if (prev !== null && endsType(prev)) {
+                                if (token.nl && !continuesType(token)) {
+                                    return end;
+                                } else if (token.type === "name") {
+                                    if (
+                                        token.value !== "extends" &&
+                                        token.value !== "is"
+                                    ) {
+                                        return end;
+                                    }
+                                    hasExtends =
+                                        hasExtends || token.value === "extends";
+                                } else if (value === "?" && hasExtends) {
+                                    conditionals++;
+                                } else if (value === ":" && conditionals > 0) {
+                                    conditionals--;
+                                } else if (
+                                    value === "=>" &&
+                                    mode === "return"
+                                ) {
+                                    return end;
+                                } else if (
+                                    ["|", "&", ".", "[", "<", "=>"].indexOf(
+                                        value,
+                                    ) === -1
+                                ) {
+                                    return end;
+                                }
+                            }
+                        }
+                        if (token.type === "template") {
+                            token.end = skipTemplate(token.start);
+                        } else if (value !== null) {
+                            if ("<([{".indexOf(value) !== -1) {
+                                if (
+                                    value === "<" &&
+                                    depth === 0 &&
+                                    (prev === null || !endsType(prev))
+                                ) {
+                                    typeParameters = true;
+                                }
+                                depth++;
+                            } else if (")]}".indexOf(value) !== -1) {
+                                depth--;
+                            } else if (isClosingAngle(token)) {
+                                depth = Math.max(depth - value.length, 0);
+                                token.typeParameters =
+                                    typeParameters && depth === 0;
+                                typeParameters = typeParameters && depth !== 0;
+                            }
+                        }
+                        pos = end = token.end;
+                        prev = token;
+                    }
+                }
+
+                // Return the end position of a declaration such as `declare const x: T;`
+                function skipStatement(pos) {
+                    var depth = 0;
+                    var end = pos;
+                    var prev = null;
+                    while (true) {
+                        var token = readToken(pos);
+                        var value = token.type === "punct" ? token.value : null;
+                        if (token.type === "eof") {
+                            return end;
+                        } else if (depth === 0 && prev !== null) {
+                            if (value === ";") {
+                                return token.end;
+                            } else if (
+                                token.nl &&
+                                endsType(prev) &&
+                                !continuesType(token)
+                            ) {
+                                return end;
+                            }
+                        }
+                        if (token.type === "template") {
+                            token.end = skipTemplate(token.start);
+                        } else if (
+                            value !== null &&
+                            "([{".indexOf(value) !== -1
+                        ) {
+                            depth++;
+                        } else if (
+                            value !== null &&
+                            ")]}".indexOf(value) !== -1
+                        ) {
+                            depth--;
+                            if (depth < 0) {
+                                return end;
+                            }
+                        }
+                        pos = end = token.end;
+                        prev = token;
+                    }
+                }
+
+                // Return the end position of an `interface` declaration, [pos] is after
+                // the keyword.
+                function skipInterface(pos) {
+                    var depth = 0;
+                    while (true) {
+                        var token = readToken(pos);
+                        pos = token.end;
+                        if (token.type === "eof") {
+                            return pos;
+                        } else if (token.type === "template") {
+                            pos = skipTemplate(token.start);
+                        } else if (isPunct(token, "{")) {
+                            depth++;
+                        } else if (isPunct(token, "}")) {
+                            depth--;
+                            if (depth === 0) {
+                                return pos;
+                            }
+                        }
+                    }
+                }
+
+                // Return the end position of a `type Name<T> = ...;` declaration or -1 if
+                // `type` is used as a variable name. [pos] is after the keyword.
+                function skipTypeAlias(pos) {
+                    var name = readToken(pos);
+                    if (name.type !== "name" || name.nl) {
+                        return -1;
+                    }
+                    var token = readToken(name.end);
+                    if (isPunct(token, "<")) {
+                        var end = skipTypeArguments(token.start);
+                        token = end === -1 ? token : readToken(end);
+                    }
+                    if (!isPunct(token, "=")) {
+                        return -1;
+                    }
+                    var typeEnd = skipType(token.end, "alias");
+                    token = readToken(typeEnd);
+                    return isPunct(token, ";") ? token.end : typeEnd;
+                }
+
+                // Return the end position of a function signature without a body, such as
+                // the overload `f(a: string): string;`, or -1 if the body follows. [pos]
+                // is after the name.
+                function skipSignature(pos) {
+                    var token = readToken(pos);
+                    if (isPunct(token, "<")) {
+                        pos = skipTypeArguments(token.start);
+                        if (pos === -1) {
+                            return -1;
+                        }
+                        token = readToken(pos);
+                    }
+                    if (!isPunct(token, "(")) {
+                        return -1;
+                    }
+                    var depth = 0;
+                    do {
+                        if (token.type === "eof") {
+                            return -1;
+                        } else if (token.type === "template") {
+                            token.end = skipTemplate(token.start);
+                        } else if (token.type === "punct") {
+                            if ("([{".indexOf(token.value) !== -1) {
+                                depth++;
+                            } else if (")]}".indexOf(token.value) !== -1) {
+                                depth--;
+                            }
+                        }
+                        pos = token.end;
+                        token = readToken(pos);
+                    } while (depth > 0);
+                    if (isPunct(token, ":")) {
+                        pos = skipType(token.end, "return");
+                        token = readToken(pos);
+                    }
+                    if (isPunct(token, ";")) {
+                        return token.end;
+                    } else if (
+                        token.nl ||
+                        token.type === "eof" ||
+                        isPunct(token, "}")
+                    ) {
+                        return pos;
+                    }
+                    return -1;
+                }
+
+                // Process code from [pos] until the [closer] character and return the
+                // position after it. [kind] is "program", "paren", "bracket", "brace",
+                // "class" for a class body, or "specifiers" for `import { ... }`.
+                function walk(pos, closer, kind) {
+                    var prev = null;
+                    var ternaries = 0;
+                    var declaration = null;
+                    var classPending = false;
+                    var importPending = false;
+                    var exportStart = -1;
+                    var isBlock = kind === "program" || kind === "brace";
+                    while (true) {
+                        var token = readToken(pos);
+                        var value = token.value;
+                        pos = token.end;
+                        if (token.type === "eof") {
+                            return pos;
+                        } else if (token.type === "template") {
+                            pos = token.end = skipTemplate(token.start);
+                            prev = token;
+                            continue;
+                        } else if (token.type === "punct") {
+                            if (value === closer) {
+                                return pos;
+                            }
+                            var next = readToken(pos);
+                            var end;
+                            switch (value) {
+                                case "(":
+                                    // [prev] is the closing bracket so `(a)!` and
+                                    // `(a) as T` are found
+                                    pos = walk(pos, ")", "paren");
+                                    token.value = ")";
+                                    // Return type `(a: number): string => {}`
+                                    next = readToken(pos);
+                                    if (isPunct(next, ":") && ternaries === 0) {
+                                        pos = skipType(next.end, "return");
+                                        blank(next.start, pos);
+                                    }
+                                    break;
+                                case "[":
+                                    pos = walk(pos, "]", "bracket");
+                                    token.value = "]";
+                                    break;
+                                case "{":
+                                    pos = walk(
+                                        pos,
+                                        "}",
+                                        classPending
+                                            ? "class"
+                                            : importPending
+                                              ? "specifiers"
+                                              : "brace",
+                                    );
+                                    token.value = "}";
+                                    classPending = false;
+                                    importPending = false;
+                                    break;
+                                case "<":
+                                    if (!endsExpression(prev)) {
+                                        // Generic arrow function `<T,>() => {}`
+                                        var afterName = readToken(next.end);
+                                        if (
+                                            next.type === "name" &&
+                                            (isPunct(afterName, ",") ||
+                                                afterName.value === "extends")
+                                        ) {
+                                            end = skipTypeArguments(
+                                                token.start,
+                                            );
+                                            if (end !== -1) {
+                                                blank(token.start, end);
+                                                pos = end;
+                                                continue;
+                                            }
+                                        }
+                                        pos = skipElement(token.start);
+                                        token.type = "element";
+                                    } else if (prev.type === "name") {
+                                        // Type arguments `useState<number>(0)` or `class A<T>`
+                                        end = skipTypeArguments(token.start);
+                                        if (end !== -1) {
+                                            next = readToken(end);
+                                            if (
+                                                classPending ||
+                                                isPunct(next, "(") ||
+                                                next.type === "template"
+                                            ) {
+                                                blank(token.start, end);
+                                                pos = end;
+                                                continue;
+                                            }
+                                        }
+                                    }
+                                    break;
+                                case "/":
+                                case "/=":
+                                    if (!endsExpression(prev)) {
+                                        pos = skipRegExp(token.start);
+                                        token.type = "regexp";
+                                    }
+                                    break;
+                                case ":":
+                                    if (ternaries > 0) {
+                                        ternaries--;
+                                    } else if (
+                                        kind === "paren" ||
+                                        kind === "class" ||
+                                        declaration === "name"
+                                    ) {
+                                        pos = skipType(pos, "annotation");
+                                        blank(token.start, pos);
+                                    }
+                                    break;
+                                case "?":
+                                    // Optional parameters and class fields `a?: T`
+                                    if (
+                                        isPunct(next, ":") ||
+                                        (kind === "paren" &&
+                                            (isPunct(next, ",") ||
+                                                isPunct(next, ")") ||
+                                                isPunct(next, "=")))
+                                    ) {
+                                        blank(token.start, token.end);
+                                        continue;
+                                    }
+                                    ternaries++;
+                                    break;
+                                case "!":
+                                    // Non-null assertion `value!`
+                                    if (
+                                        endsExpression(prev) &&
+                                        !isPunct(prev, "}") &&
+                                        !token.nl
+                                    ) {
+                                        blank(token.start, token.end);
+                                        continue;
+                                    }
+                                    break;
+                                case ";":
+                                    ternaries = 0;
+                                    declaration = null;
+                                    classPending = false;
+                                    importPending = false;
+                                    break;
+                                case "=":
+                                    declaration =
+                                        declaration === "name"
+                                            ? "value"
+                                            : declaration;
+                                    break;
+                                case ",":
+                                    declaration =
+                                        declaration === "value"
+                                            ? "name"
+                                            : declaration;
+                                    break;
+                            }
+                            prev = token;
+                            continue;
+                        }
+                        if (
+                            token.type !== "name" ||
+                            isPunct(prev, ".") ||
+                            isPunct(prev, "?.")
+                        ) {
+                            prev = token;
+                            continue;
+                        }
+
+                        // Keywords
+                        next = readToken(pos);
+                        var isStatement =
+                            isBlock &&
+                            (prev === null ||
+                                token.nl ||
+                                isPunct(prev, ";") ||
+                                isPunct(prev, "{") ||
+                                isPunct(prev, "}") ||
+                                (prev.type === "name" &&
+                                    (prev.value === "export" ||
+                                        prev.value === "declare")));
+                        var start =
+                            prev !== null &&
+                            prev.type === "name" &&
+                            prev.value === "export"
+                                ? prev.start
+                                : token.start;
+                        var isMember =
+                            kind === "class" &&
+                            (prev === null ||
+                                isPunct(prev, ";") ||
+                                isPunct(prev, "}") ||
+                                (token.nl &&
+                                    (endsExpression(prev) ||
+                                        isPunct(prev, ":"))) ||
+                                (prev.type === "name" &&
+                                    prev.value === "static"));
+                        if (isStatement && value === "export") {
+                            exportStart = token.start;
+                        }
+                        if (
+                            kind === "paren" &&
+                            value === "this" &&
+                            prev === null &&
+                            isPunct(next, ":")
+                        ) {
+                            // `function (this: Window, a: number) {}`
+                            end = skipType(next.end, "annotation");
+                            next = readToken(end);
+                            end = isPunct(next, ",") ? next.end : end;
+                            blank(token.start, end);
+                            pos = end;
+                            continue;
+                        } else if (
+                            isMember &&
+                            (isPunct(next, "(") ||
+                                isPunct(next, "<") ||
+                                isPunct(next, "?"))
+                        ) {
+                            // Overloads `m(a: string): void;`, optional methods
+                            // `m?(): void;` and `m?() {}`
+                            var optional = isPunct(next, "?") ? next : null;
+                            end = skipSignature(optional ? optional.end : pos);
+                            if (end !== -1) {
+                                blank(
+                                    prev !== null && prev.value === "static"
+                                        ? prev.start
+                                        : token.start,
+                                    end,
+                                );
+                                pos = end;
+                                prev = statementEnd;
+                                continue;
+                            }
+                            next = optional ? readToken(optional.end) : next;
+                            if (
+                                optional &&
+                                (isPunct(next, "(") || isPunct(next, "<"))
+                            ) {
+                                blank(optional.start, optional.end);
+                                pos = optional.end;
+                                prev = token;
+                                continue;
+                            }
+                        } else if (
+                            value === "function" &&
+                            (isStatement ||
+                                (prev !== null &&
+                                    prev.value === "default" &&
+                                    exportStart !== -1))
+                        ) {
+                            // Overloads `function f(a: string): string;`
+                            var name = isPunct(next, "*")
+                                ? readToken(next.end)
+                                : next;
+                            end =
+                                name.type === "name"
+                                    ? skipSignature(name.end)
+                                    : -1;
+                            if (end !== -1) {
+                                blank(isStatement ? start : exportStart, end);
+                                pos = end;
+                                prev = statementEnd;
+                                continue;
+                            }
+                        } else if (
+                            kind === "specifiers" &&
+                            value === "type" &&
+                            next.type === "name" &&
+                            next.value !== "as"
+                        ) {
+                            // `import { type A, B }`
+                            end = next.end;
+                            next = readToken(end);
+                            if (next.value === "as") {
+                                end = readToken(next.end).end;
+                                next = readToken(end);
+                            }
+                            end = isPunct(next, ",") ? next.end : end;
+                            blank(token.start, end);
+                            pos = end;
+                            continue;
+                        } else if (
+                            (value === "as" || value === "satisfies") &&
+                            endsExpression(prev) &&
+                            kind !== "specifiers"
+                        ) {
+                            pos = skipType(pos, "as");
+                            blank(token.start, pos);
+                            prev = {
+                                type: "name",
+                                value: "type",
+                                start: token.start,
+                                end: pos,
+                            };
+                            continue;
+                        } else if (
+                            isStatement &&
+                            value === "interface" &&
+                            next.type === "name" &&
+                            !next.nl
+                        ) {
+                            pos = skipInterface(pos);
+                            blank(start, pos);
+                            prev = statementEnd;
+                            importPending = false;
+                            continue;
+                        } else if (
+                            isStatement &&
+                            value === "type" &&
+                            (end = skipTypeAlias(pos)) !== -1
+                        ) {
+                            pos = end;
+                            blank(start, pos);
+                            prev = statementEnd;
+                            importPending = false;
+                            continue;
+                        } else if (
+                            isStatement &&
+                            value === "declare" &&
+                            next.type === "name" &&
+                            !next.nl
+                        ) {
+                            pos = skipStatement(pos);
+                            blank(start, pos);
+                            prev = statementEnd;
+                            importPending = false;
                             continue;
+                        } else if (
+                            (value === "import" || value === "export") &&
+                            next.value === "type" &&
+                            isBlock
+                        ) {
+                            // `import type { A } from "./a.tsx";` and `export type { A };`
+                            var afterType = readToken(next.end);
+                            if (
+                                isPunct(afterType, "{") ||
+                                isPunct(afterType, "*") ||
+                                (afterType.type === "name" &&
+                                    afterType.value !== "from")
+                            ) {
+                                pos = skipStatement(pos);
+                                blank(token.start, pos);
+                                prev = statementEnd;
+                                continue;
+                            }
+                        } else if (
+                            value === "abstract" &&
+                            next.type === "name" &&
+                            !next.nl
+                        ) {
+                            // `abstract class A {}` and abstract class members
+                            if (next.value === "class") {
+                                blank(token.start, token.end);
+                                continue;
+                            } else if (kind === "class") {
+                                pos = skipStatement(pos);
+                                blank(token.start, pos);
+                                prev = statementEnd;
+                                continue;
+                            }
+                        } else if (
+                            memberModifiers.indexOf(value) !== -1 &&
+                            !next.nl &&
+                            (next.type === "name" ||
+                                next.type === "string" ||
+                                isPunct(next, "["))
+                        ) {
+                            if (kind === "class") {
+                                blank(token.start, token.end);
+                                continue;
+                            } else if (
+                                kind === "paren" &&
+                                (prev === null || isPunct(prev, ","))
+                            ) {
+                                unsupported(
+                                    "TypeScript constructor parameter properties are not supported, assign the property in the constructor instead",
+                                    token,
+                                );
+                            }
+                        } else if (
+                            isStatement &&
+                            (value === "enum" ||
+                                (value === "const" && next.value === "enum"))
+                        ) {
+                            unsupported(
+                                "TypeScript enums are not supported, use an object instead",
+                                token,
+                            );
+                        } else if (
+                            isStatement &&
+                            (value === "namespace" || value === "module") &&
+                            next.type === "name" &&
+                            !next.nl
+                        ) {
+                            unsupported(
+                                "TypeScript namespaces are not supported, use ES Modules instead",
+                                token,
+                            );
                         }
-                    } else if (nextChar === ">") {
-                        break;
-                    } else if (nextChar === " ") {
-                        foundName = true;
-                        continue;
-                    } else if (
-                        nextChar === ")" ||
-                        nextChar === "&" ||
-                        nextChar === "|" ||
-                        nextChar === "?" ||
-                        nextChar === ";"
-                    ) {
-                        // This happens if an less than expression uses no spaces and the
-                        // right-hand side value is a variable. Issue #20 on GitHub.
-                        return true;
+
+                        switch (value) {
+                            case "let":
+                            case "const":
+                            case "var":
+                                declaration = "name";
+                                importPending = false;
+                                break;
+                            case "class":
+                                classPending = !isPunct(next, ":");
+                                importPending = false;
+                                break;
+                            case "implements":
+                                if (classPending) {
+                                    end = pos;
+                                    var depth = 0;
+                                    while (
+                                        next.type !== "eof" &&
+                                        !(depth === 0 && isPunct(next, "{"))
+                                    ) {
+                                        depth += isPunct(next, "<")
+                                            ? 1
+                                            : isClosingAngle(next)
+                                              ? -next.value.length
+                                              : 0;
+                                        end = next.end;
+                                        next = readToken(end);
+                                    }
+                                    blank(token.start, end);
+                                    pos = end;
+                                    continue;
+                                }
+                                break;
+                            case "import":
+                            case "export":
+                                importPending =
+                                    !isPunct(next, "(") && !isPunct(next, ".");
+                                break;
+                            case "function":
+                            case "default":
+                            case "async":
+                                importPending = false;
+                                break;
+                            case "case":
+                                ternaries++;
+                                break;
+                        }
+                        prev = token;
                     }
                 }
-                return false;
+
+                walk(0, "", "program");
+                if (blankRanges.length === 0) {
+                    return input;
+                }
+                var output = input.split("");
+                blankRanges.forEach(function (range) {
+                    for (var n = range[0]; n < range[1]; n++) {
+                        if (output[n] !== "\n" && output[n] !== "\r") {
+                            output[n] = " ";
+                        }
+                    }
+                });
+                return output.join("");
             },
 
             /**
@@ -472,780 +4510,943 @@
              * All Code Comments are simply replaced with whitespace. This keeps the
              * original structure of the code and allows for error messages to report on
              * the correct line/column position of the error. Additionally it simplifies
-             * lexical analysis because there is no need to tokenize the comments.
+             * code generation because a comment never ends up between generated code.
+             *
+             * Comments are found with the same scanner used by [tokenizer()] so text
+             * that looks like a comment in strings, template literals, regular
+             * expressions, and JSX text such as `<p>// text</p>` is kept.
+             *
+             * If `keepComments` is `true` only comments inside of elements are
+             * removed, see [keepComments].
              *
-             * Note - this function should handle most but may not handle all comments.
-             * If new issues parsing are discovered this function needs to be updated to
-             * better handle them.
+             * [compileInput()] doesn't call this, [tokenizer()] removes comments from
+             * the tokens while it reads the code so the code is only scanned once.
              *
              * @param {string} input
+             * @param {boolean|undefined} keepComments
              * @return {string}
              */
-            removeComments: function (input) {
-                var length = input.length,
-                    newInput = new Array(length),
-                    state = {
-                        inCommentReact: false,
-                        inCommentSingleLine: false,
-                        inCommentMultiLine: false,
-                        inStringSingleQuote: false,
-                        inStringDoubleQuote: false,
-                        inStringMultiLine: false,
-                        elementCount: 0,
-                        jsCount: 0,
-                    },
-                    current = 0,
-                    char,
-                    charNext;
+            removeComments: function (input, keepComments) {
+                var comments = [];
+                this.tokenizer(input, {
+                    comments: comments,
+                    keepComments: true,
+                });
+                if (keepComments === true) {
+                    comments = comments.filter(function (range) {
+                        return range[2];
+                    });
+                }
+                if (comments.length === 0) {
+                    return input;
+                }
+                return blankComments(input, comments, 0, input.length);
+            },
+
+            /**
+             * Read JSX directives (the same code hints used by Babel) from the
+             * comments at the start of the code before any other code, for example:
+             *
+             *     // @jsx h
+             *     // @jsxFrag Fragment
+             *     /** @jsxRuntime automatic *\/
+             *     /** @jsxImportSource preact *\/
+             *
+             * Each directive must be at the start of a line of the comment.
+             * Directives in comments after the first line of code or inside strings
+             * are ignored. A file that uses `@jsx` or `@jsxFrag` without
+             * `@jsxRuntime` uses the classic runtime and a file that uses
+             * `@jsxImportSource` uses the automatic runtime. Unknown, duplicate, or
+             * invalid directives throw a [JsxCompileError].
+             *
+             * @param {string} input
+             * @return {object} `{ pragma, pragmaFrag, runtime, importSource }` with
+             *     `null` for each directive that is not used
+             */
+            parseDirectives: function (input) {
+                var directives = {
+                    pragma: null,
+                    pragmaFrag: null,
+                    runtime: null,
+                    importSource: null,
+                };
+                var properties = {
+                    jsx: "pragma",
+                    jsxFrag: "pragmaFrag",
+                    jsxRuntime: "runtime",
+                    jsxImportSource: "importSource",
+                };
+                var examples = {
+                    jsx: "h",
+                    jsxFrag: "Fragment",
+                    jsxRuntime: "automatic",
+                    jsxImportSource: "preact",
+                };
+                var positions = {};
+                var length = input.length;
+                var pos = 0;
 
-                function peekNext() {
-                    return current < length - 1 ? input[current + 1] : null;
+                // Skip a Hashbang `#!/usr/bin/env node` as it comes before comments
+                if (input.indexOf("#!") === 0) {
+                    pos = input.indexOf("\n");
+                    pos = pos === -1 ? length : pos;
                 }
-                function peekNext2() {
-                    return current < length - 2
-                        ? input[current + 1] + input[current + 2]
-                        : null;
+                while (pos < length) {
+                    if (/\s/.test(input[pos])) {
+                        pos++;
+                        continue;
+                    }
+                    var end;
+                    if (input.substr(pos, 2) === "//") {
+                        end = input.indexOf("\n", pos);
+                        end = end === -1 ? length : end;
+                        readComment(pos, end);
+                    } else if (input.substr(pos, 2) === "/*") {
+                        end = input.indexOf("*/", pos + 2);
+                        end = end === -1 ? length : end;
+                        readComment(pos, end);
+                        end = Math.min(end + 2, length);
+                    } else {
+                        break;
+                    }
+                    pos = end;
                 }
 
-                while (current < length) {
-                    char = input[current];
-                    if (state.inCommentReact) {
-                        if (char === "*" && peekNext2() === "/}") {
-                            newInput[current] = " ";
-                            newInput[current + 1] = " ";
-                            current += 2;
-                            char = " ";
-                            state.inCommentReact = false;
-                        } else if (char !== "\n") {
-                            char = " ";
-                        }
-                    } else if (state.inCommentSingleLine) {
-                        if (char === "\n") {
-                            state.inCommentSingleLine = false;
-                        } else {
-                            char = " ";
-                        }
-                    } else if (state.inCommentMultiLine) {
-                        if (char == "*" && peekNext() === "/") {
-                            newInput[current] = " ";
-                            current++;
-                            char = " ";
-                            state.inCommentMultiLine = false;
-                        } else if (char !== "\n") {
-                            char = " ";
-                        }
-                    } else if (state.inStringDoubleQuote) {
-                        if (char === '"' && input[current - 1] !== "\\") {
-                            state.inStringDoubleQuote = false;
-                        }
-                    } else if (state.inStringSingleQuote) {
-                        if (char === "'" && input[current - 1] !== "\\") {
-                            state.inStringSingleQuote = false;
-                        }
-                    } else if (state.inStringMultiLine) {
-                        if (char === "`") {
-                            state.inStringMultiLine = false;
+                var classic = positions.pragma || positions.pragmaFrag;
+                if (directives.runtime === "automatic" && classic) {
+                    throw new JsxCompileError(
+                        "JSX_INVALID_DIRECTIVE",
+                        "Directives @jsx and @jsxFrag cannot be used with the automatic runtime",
+                        input,
+                        classic[0],
+                        classic[1],
+                    );
+                } else if (
+                    directives.runtime === "classic" &&
+                    positions.importSource
+                ) {
+                    throw new JsxCompileError(
+                        "JSX_INVALID_DIRECTIVE",
+                        "Directive @jsxImportSource cannot be used with the classic runtime",
+                        input,
+                        positions.importSource[0],
+                        positions.importSource[1],
+                    );
+                }
+                return directives;
+
+                // Find directives in the text of a comment. Like Babel a directive must
+                // be at the start of a line of the comment after optional whitespace
+                // and `*`, so `@jsx` in other text such as `Compiled by @jsxLoader`
+                // is not a directive.
+                function readComment(start, end) {
+                    var text = input.substring(start + 2, end);
+                    var regex = /^([ \t]*\*?[ \t]*)@(jsx\w*)[ \t]*([^\s*]*)/gm;
+                    var match;
+                    while ((match = regex.exec(text)) !== null) {
+                        var name = match[2];
+                        var value = match[3];
+                        var dStart = start + 2 + match.index + match[1].length;
+                        var dEnd = start + 2 + match.index + match[0].length;
+                        var prop = properties[name];
+                        var error = null;
+                        if (prop === undefined) {
+                            error = [
+                                "JSX_UNKNOWN_DIRECTIVE",
+                                "Unknown directive [@" +
+                                    name +
+                                    "], expected @jsx, @jsxFrag, @jsxRuntime, or @jsxImportSource",
+                            ];
+                        } else if (value === "") {
+                            error = [
+                                "JSX_INVALID_DIRECTIVE",
+                                "Directive [@" +
+                                    name +
+                                    "] is missing a value, for example `// @" +
+                                    name +
+                                    " " +
+                                    examples[name] +
+                                    "`",
+                            ];
+                        } else if (positions[prop]) {
+                            error = [
+                                "JSX_DUPLICATE_DIRECTIVE",
+                                "Directive [@" +
+                                    name +
+                                    "] is used more than once",
+                            ];
+                        } else if (
+                            (prop === "pragma" || prop === "pragmaFrag") &&
+                            !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(
+                                value,
+                            )
+                        ) {
+                            error = [
+                                "JSX_INVALID_DIRECTIVE",
+                                "Invalid value [" +
+                                    value +
+                                    "] for directive [@" +
+                                    name +
+                                    "], expected a name such as `h` or `React.createElement`",
+                            ];
+                        } else if (
+                            prop === "runtime" &&
+                            value !== "classic" &&
+                            value !== "automatic"
+                        ) {
+                            error = [
+                                "JSX_UNKNOWN_RUNTIME",
+                                "Unknown JSX runtime [" +
+                                    value +
+                                    '], expected "classic" or "automatic"',
+                            ];
+                        } else if (
+                            prop === "importSource" &&
+                            /["'`]/.test(value)
+                        ) {
+                            error = [
+                                "JSX_INVALID_DIRECTIVE",
+                                "Invalid value [" +
+                                    value +
+                                    "] for directive [@jsxImportSource], expected a package name such as `preact`",
+                            ];
                         }
-                    } else {
-                        switch (char) {
-                            case "{":
-                                if (peekNext2() === "/*") {
-                                    newInput[current] = " ";
-                                    newInput[current + 1] = " ";
-                                    current += 2;
-                                    char = " ";
-                                    state.inCommentReact = true;
-                                } else if (state.elementCount > 0) {
-                                    state.jsCount++;
-                                }
-                                break;
-                            case "}":
-                                if (
-                                    state.elementCount > 0 &&
-                                    state.jsCount > 0
-                                ) {
-                                    state.jsCount--;
-                                }
-                                break;
-                            case "/":
-                                if (
-                                    state.elementCount === 0 ||
-                                    state.jsCount > 0
-                                ) {
-                                    var next = peekNext();
-                                    state.inCommentSingleLine = next === "/";
-                                    if (!state.inCommentSingleLine) {
-                                        state.inCommentMultiLine = next === "*";
-                                    }
-                                    if (
-                                        state.inCommentSingleLine ||
-                                        state.inCommentMultiLine
-                                    ) {
-                                        newInput[current] = " ";
-                                        current++;
-                                        char = " ";
-                                    }
-                                }
-                                break;
-                            case '"':
-                                state.inStringDoubleQuote = true;
-                                break;
-                            case "'":
-                                state.inStringSingleQuote = true;
-                                break;
-                            case "`":
-                                state.inStringMultiLine = true;
-                                break;
-                            case "<":
-                                charNext = peekNext();
-                                if (
-                                    /[a-zA-Z>]/.test(charNext) &&
-                                    !this.isExpression(input, current, length)
-                                ) {
-                                    state.elementCount++;
-                                } else if (charNext === "/") {
-                                    state.elementCount--;
-                                }
-                                break;
-                            case ">":
-                                if (
-                                    input[current - 1] === "/" &&
-                                    state.elementCount > 0
-                                ) {
-                                    state.elementCount--;
-                                }
-                                break;
+                        if (error !== null) {
+                            throw new JsxCompileError(
+                                error[0],
+                                error[1],
+                                input,
+                                dStart,
+                                dEnd,
+                            );
                         }
+                        directives[prop] = value;
+                        positions[prop] = [dStart, dEnd];
                     }
-                    newInput[current] = char;
-                    current++;
                 }
-                return newInput.join("");
             },
 
             /**
              * Compiler Step 2 (Lexical Analysis) - Convert JSX Code to an array of tokens.
              *
-             * Warning, this function is large, contains recursive private functions, and is
-             * built for speed and features over readability. Using breakpoints with DevTools
-             * is recommended when making changes and to better understand how the code works.
+             * JavaScript is read with a lexical scanner that skips strings, template
+             * literals, regular expressions, and comments. Like a JavaScript parser it
+             * tracks whether an expression can start at the current position, for
+             * example after `return`, `(`, `=>`, or `?`. In that case `<` starts an
+             * element and `/` starts a regular expression, otherwise they are the
+             * less-than and division operators. Template literal substitutions `${}`
+             * are read the same way so they can contain elements. Code that looks like
+             * an element where an expression can't start, for example `a <b />`, is
+             * reported as an error instead of being read as operators.
+             *
+             * JavaScript between elements becomes [js] tokens. Inside an element an
+             * expression `{value}` becomes an [e_child_js] token or an [e_value] token
+             * for props. If the expression contains elements then it becomes an
+             * [e_child_js_start] token for the code before the first element, tokens
+             * for each element with [js] tokens for code between them, and an
+             * [e_child_js_end] token for the code after the last element.
+             *
+             * Comments in [js] tokens are replaced with whitespace the same as
+             * [removeComments()], unless `options.keepComments` is `true` where only
+             * comments inside of elements are replaced. If an array is passed for
+             * `options.comments` then `[start, end, inElement]` is added to it for
+             * each comment where `inElement` is `true` for comments inside of an
+             * element. If an array is passed for `options.components` then the names
+             * of top-level declarations that start with a capital letter are added
+             * to it, for example `App` from `export const App = () => <div />;`, see
+             * [hotReload].
              *
              * @param {string} input
+             * @param {object|undefined} options `{ comments, keepComments, components }`
              * @return {array}
              */
-            tokenizer: function (input) {
-                var length = input.length,
-                    current = 0,
+            tokenizer: function (input, options) {
+                var comments =
+                        options === undefined ? undefined : options.comments,
+                    keepComments =
+                        options === undefined ? false : options.keepComments,
+                    components =
+                        options === undefined ? undefined : options.components,
+                    length = input.length,
                     tokens = [],
-                    char,
-                    pos,
-                    loopCount = 0,
-                    callCount = 0,
-                    nextChar,
-                    maxRecursiveCalls = this.maxRecursiveCalls;
-
-                // Private function to return the next React/JSX Element
-                function nextElementPos() {
-                    var c = current,
-                        char,
-                        state = {
-                            inStringSingleQuote: false,
-                            inStringDoubleQuote: false,
-                            inStringMultiLine: false,
-                        };
+                    removedComments = [],
+                    depth = 0,
+                    maxRecursiveCalls = this.maxRecursiveCalls,
+                    keywordsBeforeExpression =
+                        "await case delete do else in instanceof new of return throw typeof void yield".split(
+                            " ",
+                        ),
+                    controlKeywords = "catch for if switch while with".split(
+                        " ",
+                    ),
+                    keywordsBeforeStatement = "do else finally try".split(" "),
+                    keywordsBeforeDeclaration = "async default export".split(
+                        " ",
+                    ),
+                    declarationKeywords = "const function let var".split(" ");
 
-                    while (c < length - 1) {
-                        char = input[c];
-                        if (state.inStringDoubleQuote) {
-                            if (char === '"' && input[c - 1] !== "\\") {
-                                state.inStringDoubleQuote = false;
-                            }
-                        } else if (state.inStringSingleQuote) {
-                            if (char === "'" && input[c - 1] !== "\\") {
-                                state.inStringSingleQuote = false;
-                            }
-                        } else if (state.inStringMultiLine) {
-                            if (char === "`") {
-                                state.inStringMultiLine = false;
+                function unterminated(description, start) {
+                    return new JsxCompileError(
+                        "JS_UNTERMINATED_TOKEN",
+                        "Unterminated " + description,
+                        input,
+                        start,
+                        start + 1,
+                    );
+                }
+
+                // Return a JSX element or attribute name starting at `pos`, for example
+                // `div`, `my-element`, `Context.Provider`, or `xlink:href`
+                function readName(pos) {
+                    var start = pos;
+                    while (
+                        pos < length &&
+                        /[\w$.:\-\u0080-\uffff]/.test(input[pos])
+                    ) {
+                        pos++;
+                    }
+                    return input.substring(start, pos);
+                }
+
+                // Skip whitespace and comments, return the position of the next code
+                function skipSpace(pos) {
+                    while (pos < length) {
+                        var char = input[pos];
+                        var end;
+                        if (/\s/.test(char)) {
+                            pos++;
+                            continue;
+                        } else if (char === "/" && input[pos + 1] === "/") {
+                            end = input.indexOf("\n", pos);
+                            end = end === -1 ? length : end;
+                        } else if (char === "/" && input[pos + 1] === "*") {
+                            end = input.indexOf("*/", pos + 2);
+                            if (end === -1) {
+                                throw unterminated("comment", pos);
                             }
+                            end += 2;
                         } else {
-                            switch (char) {
-                                case '"':
-                                    state.inStringDoubleQuote = true;
-                                    break;
-                                case "'":
-                                    state.inStringSingleQuote = true;
-                                    break;
-                                case "`":
-                                    state.inStringMultiLine = true;
-                                    break;
-                                case "<":
-                                    if (
-                                        /[a-zA-Z>]/.test(input[c + 1]) &&
-                                        !jsxLoader.compiler.isExpression(
-                                            input,
-                                            c,
-                                            length,
-                                        )
-                                    ) {
-                                        return c; // Start of Element found
-                                    }
-                                    break;
-                            }
+                            break;
                         }
-                        c++;
+                        if (comments !== undefined) {
+                            comments.push([pos, end, depth > 0]);
+                        }
+                        if (keepComments !== true || depth > 0) {
+                            removedComments.push([pos, end]);
+                        }
+                        pos = end;
                     }
-                    return null;
+                    return pos;
                 }
 
-                // Private functions to return the current or next characters without
-                // incrementing the counter for the current position.
-                function peekCurrent() {
-                    return current < length ? input[current] : null;
+                // Return the position after a string that starts at `pos`
+                function skipString(pos) {
+                    var quote = input[pos];
+                    var start = pos;
+                    pos++;
+                    while (pos < length) {
+                        var char = input[pos];
+                        if (char === "\\") {
+                            pos += 2;
+                        } else if (char === quote) {
+                            return pos + 1;
+                        } else if (char === "\n") {
+                            break;
+                        } else {
+                            pos++;
+                        }
+                    }
+                    throw unterminated("string", start);
                 }
-                function peekNext() {
-                    return current < length ? input[current + 1] : null;
+
+                // Return the position after a regular expression that starts at `pos`,
+                // a `/` inside of a character class `[/]` does not end it
+                function skipRegExp(pos) {
+                    var start = pos;
+                    var inClass = false;
+                    pos++;
+                    while (pos < length) {
+                        var char = input[pos];
+                        if (char === "\\") {
+                            pos += 2;
+                            continue;
+                        } else if (char === "\n") {
+                            break;
+                        } else if (char === "[") {
+                            inClass = true;
+                        } else if (char === "]") {
+                            inClass = false;
+                        } else if (char === "/" && !inClass) {
+                            pos++;
+                            while (pos < length && /[\w$]/.test(input[pos])) {
+                                pos++;
+                            }
+                            return pos;
+                        }
+                        pos++;
+                    }
+                    throw unterminated("regular expression", start);
                 }
 
-                // Safety check to prevent endless loops on unexpected errors.
-                // The number of loops should always be less that then string length.
-                function loopCheck() {
-                    loopCount++;
-                    if (loopCount > length) {
-                        throw new Error(
-                            "Endless loop encountered in tokenizer",
-                        );
+                // Skip the text of a template literal starting after "`" or after the
+                // "}" that ends a substitution. Return the position after the closing
+                // "`" or after "${" when a substitution starts.
+                function skipTemplate(pos, start) {
+                    while (pos < length) {
+                        var char = input[pos];
+                        if (char === "\\") {
+                            pos += 2;
+                        } else if (char === "`") {
+                            return { pos: pos + 1, substitution: false };
+                        } else if (char === "$" && input[pos + 1] === "{") {
+                            return { pos: pos + 2, substitution: true };
+                        } else {
+                            pos++;
+                        }
                     }
+                    throw unterminated("template literal", start);
                 }
 
-                function tokenizeElement(startPosition, firstNode) {
-                    // Safety check
-                    callCount++;
-                    if (callCount > maxRecursiveCalls) {
-                        throw new Error(
-                            "Call count exceeded in tokenizer. If you have a large JSX file that is valid you can increase them limit using the property `jsxLoader.compiler.maxRecursiveCalls`.",
-                        );
+                // Return the kind of brace for a "{" based on the code before it,
+                // "block" for statements, "object" for object literals, and
+                // "function" for the body of a function or class expression. The
+                // difference matters after the "}" where a block can be followed
+                // by a regular expression but an object or function can't.
+                function braceKind(state, stack) {
+                    var pending = state.pendingFunction;
+                    if (state.afterArrow) {
+                        return "block";
+                    } else if (
+                        pending !== null &&
+                        pending.depth === stack.length
+                    ) {
+                        return pending.statement ? "block" : "function";
+                    } else if (!state.allowExpression || state.statementStart) {
+                        // For example `foo() {` for a method or `else {`
+                        return "block";
                     }
+                    return "object";
+                }
 
-                    // Current state of the processed text
+                // Read JavaScript starting at `pos` until the end of the input or for an
+                // expression in an element `{value}` until the matching "}". Returns
+                // `{ end, parts }` where `end` is the position of the "}" and `parts`
+                // contains `{ text, pos }` for code and `{ tokens }` for each element.
+                // Code parts are always added before and after each element.
+                //
+                // Open brackets are kept on a stack with the kind from [braceKind()],
+                // "(" and "control" for the parentheses of `if (...)` and similar
+                // statements, "[", and "`" for template literal substitutions. This
+                // tells if the "/" after a ")" or "}" starts a regular expression,
+                // for example `if (a) /re/.test(s)` and `{a: 1} / 2`.
+                function readJs(pos, inExpression) {
+                    var parts = [];
+                    var start = pos;
+                    var textStart = pos;
+                    var stack = [
+                        { kind: inExpression ? "(" : "block", ternaries: 0 },
+                    ];
                     var state = {
-                        value: input[pos],
-                        elementStack: 0,
-                        elementState: [],
-                        currentElementState: null,
-                        inElement: true,
-                        hasElementName: false,
-                        elementClosed: false,
-                        closeElement: false,
-                        closingElement: false,
-                        fatalError: false,
-                        errorMessage: null,
-                        addElementEnd: false,
-                        breakLoop: false,
-                        addChild: false,
-                        addChar: true,
-                        hasProp: false,
-                        inValue: false,
-                        inPropString: false,
-                        propStringChar: null,
-                        jsWithElement: false,
+                        allowExpression: true,
+                        statementStart: !inExpression,
+                        afterArrow: false,
+                        pendingFunction: null, // `{ depth, statement }`
                     };
+                    var afterDot = false;
+                    var lastWord = null;
+                    var declaration = false;
+                    var char, next, result, top, word;
 
-                    // Add text up to the matched position as JavaScript
-                    if (current < startPosition && firstNode) {
-                        tokens.push({
-                            type: tokenTypes.js,
-                            value: input.substring(current, startPosition),
-                            pos: current,
-                        });
+                    // A Hashbang `#!/usr/bin/env node` at the start of a file
+                    if (pos === 0 && input.indexOf("#!") === 0) {
+                        pos = input.indexOf("\n");
+                        pos = pos === -1 ? length : pos;
                     }
-
-                    // Tokenize the current React element. This loop inside the recursive function
-                    // provides core logic to process characters one at a time. The loop from the main
-                    // calling function is used to find JSX elements.
-                    current = startPosition + 1;
-                    while (current < length) {
-                        loopCheck();
-
-                        // Get the character at the current position in the input string
-                        char = input[current];
-
-                        // Handle character differently depending on if the current
-                        // position is still inside the <element> `state.inElement`
-                        // or if it is in a child/code section <element>{code}</element>
-                        if (state.inElement) {
-                            if (state.hasElementName) {
-                                state.value += char;
-                                current++;
-                                state.breakLoop = false;
-                                state.hasProp = false;
-                                state.inValue = false;
-                                while (current < length) {
-                                    loopCheck();
-                                    char = input[current];
-                                    current++;
-                                    if (
-                                        state.inPropString &&
-                                        char !== state.propStringChar
-                                    ) {
-                                        state.value += char;
-                                        continue;
-                                    }
-                                    switch (char) {
-                                        case "=":
-                                            if (
-                                                state.currentElementState
-                                                    .inPropJs
-                                            ) {
-                                                break;
-                                            }
-                                            if (state.value.trim() !== "") {
-                                                tokens.push({
-                                                    type: tokenTypes.e_prop,
-                                                    value: state.value,
-                                                    pos: current,
-                                                });
-                                                state.hasProp = true;
-                                                state.inValue = true;
-                                            }
-                                            state.value = "";
-                                            nextChar = peekCurrent();
-                                            if (
-                                                nextChar === '"' ||
-                                                nextChar === "'"
-                                            ) {
-                                                state.inPropString = true;
-                                                state.propStringChar = nextChar;
-                                                current++;
-                                            } else if (nextChar === "{") {
-                                                state.currentElementState.inPropJs = true;
-                                                state.currentElementState.jsPropBracketCount = 0;
-                                                current++;
-                                            }
-                                            continue;
-                                        case state.propStringChar:
-                                            if (state.inPropString) {
-                                                state.inPropString = false;
-                                                tokens.push({
-                                                    type: state.hasProp
-                                                        ? tokenTypes.e_value
-                                                        : tokenTypes.e_prop,
-                                                    value: JSON.stringify(
-                                                        state.value,
-                                                    ),
-                                                    pos: current,
-                                                });
-                                                state.inValue = false;
-                                                state.hasProp = false;
-                                                state.value = "";
-                                                continue;
-                                            }
-                                            break;
-                                        case "}":
-                                            if (
-                                                state.currentElementState
-                                                    .inPropJs
-                                            ) {
-                                                if (
-                                                    state.currentElementState
-                                                        .jsPropBracketCount ===
-                                                    0
-                                                ) {
-                                                    state.currentElementState.inPropJs = false;
-                                                    if (
-                                                        state.value.trim() !==
-                                                        ""
-                                                    ) {
-                                                        if (
-                                                            state.jsWithElement
-                                                        ) {
-                                                            tokens.push({
-                                                                type: tokenTypes.e_child_js_end,
-                                                                value: state.value,
-                                                                pos: current,
-                                                            });
-                                                            state.jsWithElement = false;
-                                                        } else {
-                                                            if (
-                                                                state.value.trim() !==
-                                                                ">"
-                                                            ) {
-                                                                tokens.push({
-                                                                    type: tokenTypes.e_value,
-                                                                    value: state.value,
-                                                                    pos: current,
-                                                                });
-                                                                state.hasProp = false;
-                                                            }
-                                                        }
-                                                    }
-                                                    state.inValue = false;
-                                                    state.value = "";
-                                                    continue;
-                                                } else {
-                                                    state.currentElementState
-                                                        .jsPropBracketCount--;
-                                                }
-                                            }
-                                            break;
-                                        case " ":
-                                        case "\t":
-                                        case "\r":
-                                        case "\n":
-                                            if (
-                                                !state.currentElementState
-                                                    .inPropJs
-                                            ) {
-                                                if (state.value.trim() !== "") {
-                                                    tokens.push({
-                                                        type: state.hasProp
-                                                            ? tokenTypes.e_value
-                                                            : tokenTypes.e_prop,
-                                                        value: state.value,
-                                                        pos: current,
-                                                    });
-                                                }
-                                                state.inValue = false;
-                                                state.value = "";
-                                            }
-                                            break;
-                                        case "/":
-                                            if (peekCurrent() === ">") {
-                                                current--;
-                                                state.breakLoop = true;
-                                                state.hasElementName = false;
-                                            }
-                                            break;
-                                        case "<":
-                                            if (
-                                                state.currentElementState
-                                                    .inPropJs &&
-                                                peekCurrent() !== " "
-                                            ) {
-                                                if (state.value.trim() !== "") {
-                                                    tokens.push({
-                                                        type: tokenTypes.e_child_js_start,
-                                                        value: state.value,
-                                                        pos: current,
-                                                    });
-                                                    state.value = "";
-                                                    state.jsWithElement = true;
-                                                }
-                                                current--;
-                                                tokenizeElement(current, false);
-                                                char = "";
-                                                if (state.jsWithElement) {
-                                                    current++;
-                                                }
-                                            }
-                                            break;
-                                        case "{":
-                                            if (
-                                                state.currentElementState
-                                                    .inPropJs
-                                            ) {
-                                                state.currentElementState
-                                                    .jsPropBracketCount++;
-                                            }
-                                            break;
-                                        case ">":
-                                            if (
-                                                !state.currentElementState
-                                                    .inPropJs
-                                            ) {
-                                                state.breakLoop = true;
-                                                state.hasElementName = false;
-                                            }
-                                            break;
-                                    }
-                                    if (state.breakLoop) {
-                                        var trimValue = state.value.trim();
-                                        var lastToken =
-                                            tokens[tokens.length - 1];
-                                        if (
-                                            state.value === "/" &&
-                                            char === ">" &&
-                                            lastToken.type ===
-                                                tokenTypes.e_start
-                                        ) {
-                                            tokens.push({
-                                                type: tokenTypes.e_end,
-                                                value: state.value + char,
-                                                pos: current,
-                                            });
-                                            if (state.elementStack <= 1) {
-                                                if (peekCurrent() !== "}") {
-                                                    current--;
-                                                }
-                                                return;
-                                            } else {
-                                                state.elementStack--;
-                                                state.elementState.pop();
-                                                state.currentElementState =
-                                                    state.elementStack === 0
-                                                        ? null
-                                                        : state.elementState[
-                                                              state.elementStack -
-                                                                  1
-                                                          ];
-                                            }
-                                        } else if (
-                                            char === ">" &&
-                                            trimValue !== "" &&
-                                            (/^[a-zA-Z0-9-_]*$/.test(
-                                                trimValue,
-                                            ) ||
-                                                /{\.\.\.(.+)}/.test(
-                                                    trimValue,
-                                                )) &&
-                                            (lastToken.type ===
-                                                tokenTypes.e_start ||
-                                                lastToken.type ===
-                                                    tokenTypes.e_value)
-                                        ) {
-                                            tokens.push({
-                                                type: tokenTypes.e_prop,
-                                                value: trimValue,
-                                                pos: current,
-                                            });
-                                        } else if (trimValue !== "") {
-                                            console.log(tokens);
-                                            throw new Error(
-                                                "Unhandled character in element properties: `" +
-                                                    state.value +
-                                                    "`" +
-                                                    jsxLoader.compiler.getTextPosition(
-                                                        input,
-                                                        current,
-                                                    ),
-                                            );
-                                        }
-                                        state.value = "";
-                                        state.breakLoop = false;
-                                        break;
-                                    }
-                                    state.value += char;
-                                }
+                    while (true) {
+                        pos = skipSpace(pos);
+                        if (pos >= length) {
+                            if (inExpression) {
+                                throw new JsxCompileError(
+                                    "JSX_UNCLOSED_EXPRESSION",
+                                    "Expression in element is missing a closing `}`",
+                                    input,
+                                    start - 1,
+                                    start,
+                                );
                             }
-                            switch (char) {
-                                case "/":
-                                    if (
-                                        state.value === "" ||
-                                        state.value === "<"
-                                    ) {
-                                        state.closingElement = true;
-                                    } else if (peekCurrent() === ">") {
-                                        state.closeElement = true;
-                                        state.inElement = false;
-                                        state.addElementEnd = true;
-                                    } else if (peekNext() === ">") {
-                                        state.closeElement = true;
-                                        state.hasElementName = true;
-                                        char = "";
-                                        current--;
-                                    } else {
-                                        state.fatalError = true;
-                                        state.errorMessage =
-                                            'Error found a "/" character in element [' +
-                                            state.value +
-                                            '] but not closing "/>"' +
-                                            jsxLoader.compiler.getTextPosition(
-                                                input,
-                                                current,
-                                            );
-                                    }
-                                    break;
-                                case ">":
-                                    state.closeElement = true;
-                                    state.inElement = false;
-                                    break;
-                                case " ":
-                                case "\t":
-                                case "\n":
-                                case "\r":
-                                    state.hasElementName = true;
-                                    state.closeElement = true;
+                            break;
+                        }
+                        char = input[pos];
+                        next = input[pos + 1];
+                        top = stack[stack.length - 1];
+                        word = null;
+                        var isDot = false;
+                        var statementStart = false;
+                        var afterArrow = false;
+                        if (char === '"' || char === "'") {
+                            pos = skipString(pos);
+                            state.allowExpression = false;
+                        } else if (
+                            char === "`" ||
+                            (char === "}" && top.kind === "`")
+                        ) {
+                            if (char === "}") {
+                                stack.pop();
+                            }
+                            result = skipTemplate(pos + 1, pos);
+                            pos = result.pos;
+                            state.allowExpression = result.substitution;
+                            if (result.substitution) {
+                                stack.push({ kind: "`", ternaries: 0 });
+                            }
+                        } else if (char === "{") {
+                            var kind = braceKind(state, stack);
+                            if (
+                                state.pendingFunction !== null &&
+                                state.pendingFunction.depth === stack.length
+                            ) {
+                                state.pendingFunction = null;
+                            }
+                            stack.push({ kind: kind, ternaries: 0 });
+                            pos++;
+                            state.allowExpression = true;
+                            statementStart = kind !== "object";
+                        } else if (char === "}") {
+                            if (stack.length === 1) {
+                                if (inExpression) {
                                     break;
+                                }
+                            } else {
+                                top = stack.pop();
+                            }
+                            pos++;
+                            state.allowExpression = top.kind === "block";
+                            statementStart = top.kind === "block";
+                        } else if (char === "(" || char === "[") {
+                            stack.push({
+                                kind:
+                                    char === "(" &&
+                                    controlKeywords.indexOf(lastWord) !== -1
+                                        ? "control"
+                                        : char,
+                                ternaries: 0,
+                            });
+                            pos++;
+                            state.allowExpression = true;
+                        } else if (char === ")" || char === "]") {
+                            if (stack.length > 1) {
+                                top = stack.pop();
+                            }
+                            pos++;
+                            // `if (a) /re/` but `(a) / 2`
+                            state.allowExpression = top.kind === "control";
+                            statementStart = top.kind === "control";
+                        } else if (
+                            char === "<" &&
+                            state.allowExpression &&
+                            /[A-Za-z_$>\u0080-\uffff]/.test(next)
+                        ) {
+                            // Start of Element found
+                            parts.push({
+                                text: blankComments(
+                                    input,
+                                    removedComments,
+                                    textStart,
+                                    pos,
+                                ),
+                                pos: textStart,
+                            });
+                            var elementTokens = [];
+                            pos = readElement(pos, elementTokens);
+                            parts.push({ tokens: elementTokens });
+                            textStart = pos;
+                            state.allowExpression = false;
+                        } else if (
+                            char === "<" &&
+                            /^<(>|[A-Za-z_$][\w$.:-]*(\s+[\w$:-]+(=("[^"]*"|'[^']*'|\{[^{}]*\}))?)*\s*\/>)/.test(
+                                input.substr(pos, 200),
+                            )
+                        ) {
+                            // `<>` and `<b />` are never valid JavaScript so rather than
+                            // reading them as operators report where the scanner is lost
+                            throw new JsxCompileError(
+                                "JSX_UNEXPECTED_ELEMENT",
+                                "Element found after the end of an expression, check the code before it",
+                                input,
+                                pos,
+                                pos + 1,
+                            );
+                        } else if (char === "/") {
+                            if (state.allowExpression) {
+                                pos = skipRegExp(pos);
+                                state.allowExpression = false;
+                            } else {
+                                pos++;
+                                state.allowExpression = true;
+                            }
+                        } else if (/[A-Za-z_$#\u0080-\uffff]/.test(char)) {
+                            var wordStart = pos;
+                            while (
+                                pos < length &&
+                                /[\w$#\u0080-\uffff]/.test(input[pos])
+                            ) {
+                                pos++;
+                            }
+                            // Keywords such as `return` can be followed by an expression
+                            // unless used as a property name `obj.return`
+                            word = afterDot
+                                ? null
+                                : input.substring(wordStart, pos);
+                            state.allowExpression =
+                                keywordsBeforeExpression.indexOf(word) !== -1;
+                            if (
+                                declaration &&
+                                components !== undefined &&
+                                /^[A-Z][\w$]*$/.test(word)
+                            ) {
+                                components.push(word);
                             }
+                            if (word === "function" || word === "class") {
+                                state.pendingFunction = {
+                                    depth: stack.length,
+                                    statement: state.statementStart,
+                                };
+                            }
+                            // `export default async function` is still a statement
+                            statementStart =
+                                keywordsBeforeStatement.indexOf(word) !== -1 ||
+                                (state.statementStart &&
+                                    keywordsBeforeDeclaration.indexOf(word) !==
+                                        -1);
+                        } else if (/[0-9]/.test(char)) {
+                            while (pos < length && /[\w.]/.test(input[pos])) {
+                                pos++;
+                            }
+                            state.allowExpression = false;
+                        } else if (
+                            (char === "+" || char === "-") &&
+                            next === char
+                        ) {
+                            // `++` and `--` don't change if an expression can follow
+                            pos += 2;
+                        } else if (
+                            char === "." &&
+                            input.substr(pos, 3) !== "..."
+                        ) {
+                            pos++;
+                            isDot = true;
+                            state.allowExpression = false;
                         } else {
-                            switch (char) {
-                                case "}":
-                                    if (state.currentElementState.inJs) {
-                                        if (
-                                            state.currentElementState
-                                                .jsBracketCount === 0
-                                        ) {
-                                            state.currentElementState.inJs = false;
-                                            state.currentElementState.closeJs = true;
-                                            state.addChild = true;
-                                            state.addChar = false;
-                                        } else {
-                                            state.currentElementState
-                                                .jsBracketCount--;
-                                        }
-                                    }
-                                    break;
-                                case "{":
-                                    if (state.currentElementState.inJs) {
-                                        state.currentElementState
-                                            .jsBracketCount++;
-                                    } else {
-                                        state.currentElementState.inJs = true;
-                                        state.currentElementState.jsBracketCount = 0;
-                                        state.addChild = true;
-                                        state.addChar = false;
-                                    }
-                                    break;
-                                case "<":
-                                    if (
-                                        /[a-zA-Z>/]/.test(peekNext()) &&
-                                        !jsxLoader.compiler.isExpression(
-                                            input,
-                                            current,
-                                            length,
-                                        )
-                                    ) {
-                                        state.addChild = true;
-                                        state.inElement = true;
-                                    }
-                                    break;
+                            // Other operators and punctuation, for example `=>`, `,`, `?`
+                            if (char === "=" && next === ">") {
+                                pos++;
+                                afterArrow = true;
+                            } else if (
+                                char === "?" &&
+                                (next === "?" ||
+                                    (next === "." &&
+                                        !/[0-9]/.test(input[pos + 2])))
+                            ) {
+                                // `??` and `?.` are not part of a ternary `a ? b : c`
+                                pos++;
+                            } else if (char === "?") {
+                                top.ternaries++;
+                            } else if (char === ":" && top.ternaries > 0) {
+                                top.ternaries--;
+                            } else if (char === ":" || char === ";") {
+                                // After a label `loop:`, `case 1:`, or a statement
+                                statementStart =
+                                    char === ";" || top.kind === "block";
                             }
-                            if (state.addChild) {
-                                if (state.value.trim() === "") {
-                                    if (state.value !== "") {
-                                        tokens.push({
-                                            type: tokenTypes.e_child_whitespace,
-                                            value: state.value,
-                                            pos: current,
-                                        });
-                                    }
-                                } else {
-                                    var isJS =
-                                        state.currentElementState.closeJs ||
-                                        (state.currentElementState.inJs &&
-                                            state.currentElementState
-                                                .jsBracketCount > 0) ||
-                                        (state.currentElementState.inJs &&
-                                            state.inElement);
-                                    tokens.push({
-                                        type: isJS
-                                            ? tokenTypes.e_child_js
-                                            : tokenTypes.e_child_text,
-                                        value: state.value,
-                                        pos: current,
-                                    });
-                                }
-                                state.addChild = false;
-                                state.value = "";
-                                if (state.currentElementState.closeJs) {
-                                    state.currentElementState.closeJs = false;
-                                    state.currentElementState.inJs = false;
-                                }
+                            pos += char === "." ? 3 : 1;
+                            state.allowExpression = true;
+                        }
+                        afterDot = isDot;
+                        // Top-level `const Name` or `function Name`
+                        declaration =
+                            !inExpression &&
+                            stack.length === 1 &&
+                            state.statementStart &&
+                            declarationKeywords.indexOf(word) !== -1;
+                        lastWord = word;
+                        state.statementStart = statementStart;
+                        state.afterArrow = afterArrow;
+                    }
+                    parts.push({
+                        text: blankComments(
+                            input,
+                            removedComments,
+                            textStart,
+                            pos,
+                        ),
+                        pos: textStart,
+                    });
+                    return { end: pos, parts: parts };
+                }
+
+                // Read an expression `{value}` in an element starting at `pos`, return
+                // the position after the "}". `type` is the token type to use when the
+                // expression does not contain elements.
+                function readExpression(pos, out, type) {
+                    var js = readJs(pos + 1, true);
+                    var last = js.parts.length - 1;
+                    js.parts.forEach(function (part, index) {
+                        if (part.tokens !== undefined) {
+                            Array.prototype.push.apply(out, part.tokens);
+                            return;
+                        }
+                        var value = part.text;
+                        var valuePos = part.pos;
+                        if (index === 0) {
+                            value = value.replace(/^\s+/, "");
+                            valuePos += part.text.length - value.length;
+                        }
+                        if (index === last) {
+                            value = value.replace(/\s+$/, "");
+                        }
+                        out.push({
+                            type:
+                                last === 0
+                                    ? type
+                                    : index === 0
+                                      ? tokenTypes.e_child_js_start
+                                      : index === last
+                                        ? tokenTypes.e_child_js_end
+                                        : tokenTypes.js,
+                            value: value,
+                            pos: valuePos,
+                        });
+                    });
+                    return js.end + 1;
+                }
+
+                // Read an element starting at `pos` ("<") including props and children,
+                // tokens are added to `out`. Returns the position after the element.
+                function readElement(start, out) {
+                    // Safety check for deeply nested elements
+                    depth++;
+                    if (depth > maxRecursiveCalls) {
+                        throw new JsxCompileError(
+                            "JSX_MAX_RECURSIVE_CALLS",
+                            "Elements are nested too deeply in tokenizer. If you have a JSX file that is valid you can increase the limit using the property `jsxLoader.compiler.maxRecursiveCalls`.",
+                            input,
+                            start,
+                        );
+                    }
+
+                    var pos = skipSpace(start + 1);
+                    var name = readName(pos);
+                    var char, end;
+                    pos += name.length;
+                    out.push({
+                        type: tokenTypes.e_start,
+                        value: "<" + name,
+                        pos: start,
+                    });
+                    function notClosed() {
+                        return new JsxCompileError(
+                            "JSX_UNBALANCED_ELEMENTS",
+                            "Element [" +
+                                (name || "<>") +
+                                "] is missing a closing element",
+                            input,
+                            start,
+                            start + name.length + 1,
+                        );
+                    }
+
+                    // Props: `name`, `name="value"`, `name={value}`, `name=<element />`,
+                    // and spread props `{...props}`
+                    while (true) {
+                        pos = skipSpace(pos);
+                        if (pos >= length) {
+                            throw notClosed();
+                        }
+                        char = input[pos];
+                        if (char === ">") {
+                            pos++;
+                            break;
+                        } else if (char === "/") {
+                            if (input[pos + 1] !== ">") {
+                                throw new JsxCompileError(
+                                    "JSX_UNCLOSED_SELF_CLOSING_ELEMENT",
+                                    'Error found a "/" character in element [' +
+                                        name +
+                                        '] but not closing "/>"',
+                                    input,
+                                    pos,
+                                    pos + 1,
+                                );
                             }
-                        }
-
-                        // Should the current element be closed?
-                        if (state.closeElement) {
+                            out.push({
+                                type: tokenTypes.e_end,
+                                value: "/>",
+                                pos: pos + 1,
+                            });
+                            depth--;
+                            return pos + 2;
+                        } else if (char === "{") {
+                            var spreadTokens = [];
+                            end = readExpression(
+                                pos,
+                                spreadTokens,
+                                tokenTypes.e_prop,
+                            );
+                            var spread = spreadTokens[0].value;
                             if (
-                                char !== " " &&
-                                char !== "\t" &&
-                                char !== "\n" &&
-                                char !== "\r"
+                                spreadTokens.length > 1 ||
+                                spread.indexOf("...") !== 0
                             ) {
-                                state.value += char;
-                            }
-                            if (state.closingElement) {
-                                tokens.push({
-                                    type: tokenTypes.e_end,
-                                    value: state.value,
-                                    pos: current,
-                                });
-                                state.hasElementName = false;
-                                state.elementStack--;
-                                state.elementState.pop();
-                                state.currentElementState =
-                                    state.elementStack === 0
-                                        ? null
-                                        : state.elementState[
-                                              state.elementStack - 1
-                                          ];
-                                if (state.elementStack === 0) {
-                                    state.elementClosed = true;
-                                }
-                            } else {
-                                if (state.value === ">") {
-                                    current--;
-                                } else {
-                                    tokens.push({
-                                        type: tokenTypes.e_start,
-                                        value: state.value,
-                                        pos: current,
-                                    });
-                                    state.elementStack++;
-                                    state.currentElementState = {
-                                        inJs: false,
-                                        jsBracketCount: 0,
-                                        closeJs: false,
-                                        inPropJs: false,
-                                        jsPropBracketCount: 0,
-                                    };
-                                    state.elementState.push(
-                                        state.currentElementState,
-                                    );
-                                }
+                                throw new JsxCompileError(
+                                    "JSX_UNHANDLED_PROP_CHARACTER",
+                                    "Expected a spread prop such as `{...props}` in element [" +
+                                        name +
+                                        "]",
+                                    input,
+                                    pos,
+                                    end,
+                                );
                             }
-                            state.value = "";
-                            state.closeElement = false;
-                            state.closingElement = false;
-                            if (state.addElementEnd) {
-                                tokens.push({
-                                    type: tokenTypes.e_end,
-                                    value: state.value,
-                                    pos: null,
-                                });
-                                state.addElementEnd = false;
+                            out.push({
+                                type: tokenTypes.e_prop,
+                                value: "{" + spread + "}",
+                                pos: pos,
+                            });
+                            pos = end;
+                            continue;
+                        }
+                        var propName = readName(pos);
+                        if (propName === "") {
+                            throw new JsxCompileError(
+                                "JSX_UNHANDLED_PROP_CHARACTER",
+                                "Unhandled character in element properties: `" +
+                                    char +
+                                    "`",
+                                input,
+                                pos,
+                                pos + 1,
+                            );
+                        }
+                        out.push({
+                            type: tokenTypes.e_prop,
+                            value: propName,
+                            pos: pos,
+                        });
+                        pos = skipSpace(pos + propName.length);
+                        if (input[pos] !== "=") {
+                            continue;
+                        }
+                        pos = skipSpace(pos + 1);
+                        char = input[pos];
+                        if (char === '"' || char === "'") {
+                            end = input.indexOf(char, pos + 1);
+                            if (end === -1) {
+                                throw unterminated("string", pos);
                             }
+                            // Same as Babel, entities are decoded and line breaks with
+                            // indentation become a single space
+                            out.push({
+                                type: tokenTypes.e_value,
+                                value: JSON.stringify(
+                                    decodeEntities(
+                                        input.substring(pos + 1, end),
+                                    ).replace(/\n\s+/g, " "),
+                                ),
+                                pos: pos,
+                            });
+                            pos = end + 1;
+                        } else if (char === "{") {
+                            pos = readExpression(pos, out, tokenTypes.e_value);
+                        } else if (char === "<") {
+                            pos = readElement(pos, out);
                         } else {
-                            if (state.addChar) {
-                                state.value += char;
-                            }
-                            state.addChar = true;
+                            throw new JsxCompileError(
+                                "JSX_UNHANDLED_PROP_CHARACTER",
+                                "Unhandled character in value of prop [" +
+                                    propName +
+                                    "]: `" +
+                                    (char || "") +
+                                    "`",
+                                input,
+                                pos,
+                                pos + 1,
+                            );
                         }
+                    }
 
-                        // Exit nested element loop once the element has been closed
-                        if (state.elementClosed) {
-                            break;
+                    // Children: text, expressions `{value}`, and elements until the
+                    // closing element `</name>`
+                    while (true) {
+                        var textStart = pos;
+                        while (
+                            pos < length &&
+                            input[pos] !== "<" &&
+                            input[pos] !== "{"
+                        ) {
+                            pos++;
                         }
-
-                        // Next character
-                        current++;
-                    } // End of `while (current < length)` loop in the recursive `tokenizeElement()` function
-
-                    // Was there a fatal error in the loop?
-                    if (state.fatalError) {
-                        console.log(tokens);
-                        throw new Error(state.errorMessage);
+                        if (pos > textStart) {
+                            var text = input.substring(textStart, pos);
+                            out.push({
+                                type:
+                                    text.trim() === ""
+                                        ? tokenTypes.e_child_whitespace
+                                        : tokenTypes.e_child_text,
+                                value: text,
+                                pos: textStart,
+                            });
+                        }
+                        if (pos >= length) {
+                            throw notClosed();
+                        } else if (input[pos] === "{") {
+                            pos = readExpression(
+                                pos,
+                                out,
+                                tokenTypes.e_child_js,
+                            );
+                            continue;
+                        }
+                        var closeStart = skipSpace(pos + 1);
+                        if (input[closeStart] !== "/") {
+                            pos = readElement(pos, out);
+                            continue;
+                        }
+                        closeStart = skipSpace(closeStart + 1);
+                        var closeName = readName(closeStart);
+                        end = skipSpace(closeStart + closeName.length);
+                        if (input[end] !== ">") {
+                            throw new JsxCompileError(
+                                "JSX_UNEXPECTED_TOKEN",
+                                "Expected `>` at the end of closing element [" +
+                                    closeName +
+                                    "]",
+                                input,
+                                end,
+                                end + 1,
+                            );
+                        }
+                        out.push({
+                            type: tokenTypes.e_end,
+                            value: "</" + closeName + ">",
+                            pos: end,
+                        });
+                        depth--;
+                        return end + 1;
                     }
                 }
 
-                // Main loop to find and process JSX elements inside of plain JS
-                while (current < length) {
-                    loopCheck();
-
-                    // Find the next React Element and add remaining js once all elements are found
-                    pos = nextElementPos();
-                    if (pos === null) {
+                // Code between elements becomes [js] tokens
+                readJs(0, false).parts.forEach(function (part) {
+                    if (part.tokens !== undefined) {
+                        Array.prototype.push.apply(tokens, part.tokens);
+                    } else if (part.text !== "") {
                         tokens.push({
                             type: tokenTypes.js,
-                            value: input.substring(current, length),
-                            pos: current,
+                            value: part.text,
+                            pos: part.pos,
                         });
-                        break;
                     }
-
-                    tokenizeElement(pos, true);
-                    current++;
-                }
+                });
                 return tokens;
             },
 
@@ -1270,13 +5471,47 @@
                     e_start_count = 0,
                     e_end_count = 0;
 
-                // Default to use `React.Fragment`, however if a code hint for
-                // Babel is found such as `// @jsxFrag Vue.Fragment` then use
-                // the `Fragment` component from the code hint.
-                var regex = /(\/\/|\/\*|\/\*\*)\s+@jsxFrag\s+([a-zA-Z.]+)/gm;
-                var match = regex.exec(input);
-                if (match) {
-                    pragmaFrag = match[2];
+                // Default to use `React.Fragment`, however if a directive such as
+                // `// @jsxFrag Vue.Fragment` is found then use the `Fragment`
+                // component from the directive, see [parseDirectives()].
+                var directives = this.parseDirectives(input);
+                if (directives.pragmaFrag !== null) {
+                    pragmaFrag = directives.pragmaFrag;
+                }
+
+                // Element names follow the JSX spec: an identifier that can include `-`
+                // such as `div` or `my-element`, a member expression such as
+                // `Context.Provider` or `motion.div`, or a namespaced name such as
+                // `svg:rect`. Attribute names can be identifiers or namespaced names.
+                var jsxIdentifier = "[A-Za-z_$][\\w$-]*";
+                var elementNameRegex = new RegExp(
+                    "^(" +
+                        jsxIdentifier +
+                        "(:" +
+                        jsxIdentifier +
+                        ")?|[A-Za-z_$][\\w$]*(\\.[A-Za-z_$][\\w$]*)+)$",
+                );
+                var attributeNameRegex = new RegExp(
+                    "^" + jsxIdentifier + "(:" + jsxIdentifier + ")?$",
+                );
+                function isElementName(name) {
+                    return elementNameRegex.test(name);
+                }
+                function isAttributeName(name) {
+                    return attributeNameRegex.test(name);
+                }
+
+                // Same rules as Babel, member expressions and names that do not start
+                // with a lowercase letter are components, for example `Counter`,
+                // `motion.div`, and `_Item`. Other names such as `div`, `my-element`,
+                // and `svg:rect` are passed to `createElement()` as strings.
+                function isComponentName(name) {
+                    if (name.indexOf(":") !== -1) {
+                        return false;
+                    } else if (name.indexOf(".") !== -1 || name === "this") {
+                        return true;
+                    }
+                    return !/^[a-z]/.test(name) && name.indexOf("-") === -1;
                 }
 
                 function nextTokenType() {
@@ -1289,8 +5524,11 @@
                 function walk(stackCount, startingToken) {
                     callCount++;
                     if (callCount > maxRecursiveCalls) {
-                        throw new Error(
+                        throw new JsxCompileError(
+                            "JSX_MAX_RECURSIVE_CALLS",
                             "Call count exceeded in parser. If you have a large JSX file that is valid you can increase them limit using the property `jsxLoader.compiler.maxRecursiveCalls`.",
+                            input,
+                            null,
                         );
                     }
 
@@ -1312,16 +5550,26 @@
                             .replace("<", "")
                             .replace("/", "")
                             .replace(">", "");
-                        if (elName === "") {
+                        var isFragment = elName === "";
+                        if (isFragment) {
                             elName = pragmaFrag;
+                        } else if (!isElementName(elName)) {
+                            var namePos = input.lastIndexOf("<", token.pos) + 1;
+                            throw new JsxCompileError(
+                                "JSX_INVALID_ELEMENT_NAME",
+                                "Invalid element name [" +
+                                    elName +
+                                    "], expected a name such as `div`, `Counter`, `Context.Provider`, or `svg:rect`",
+                                input,
+                                namePos,
+                                namePos + elName.length,
+                            );
                         }
-                        var firstChar = elName[0];
                         var node = {
                             type: astTypes.createElement,
                             name: elName,
-                            isClass:
-                                (firstChar >= "A" && firstChar <= "Z") ||
-                                elName.indexOf(".") !== -1,
+                            isFragment: isFragment,
+                            isClass: isFragment || isComponentName(elName),
                             props: [],
                             children: [],
                             pos: token.pos,
@@ -1329,7 +5577,6 @@
                         };
 
                         var breakLoop = false;
-                        var value;
                         while (current < tokenCount) {
                             token = tokens[current];
                             current++;
@@ -1343,7 +5590,6 @@
                                     var nextNodeType = nextTokenType();
                                     switch (nextNodeType) {
                                         case tokenTypes.e_value:
-                                        case tokenTypes.js:
                                             prop.value = tokens[current].value;
                                             current++;
                                             break;
@@ -1357,39 +5603,47 @@
                                             );
                                             break;
                                     }
-                                    if (prop.name.trim() !== "") {
+                                    var propName = prop.name.trim();
+                                    if (
+                                        propName !== "" &&
+                                        propName[0] !== "{" &&
+                                        !isAttributeName(propName)
+                                    ) {
+                                        throw new JsxCompileError(
+                                            "JSX_INVALID_ATTRIBUTE_NAME",
+                                            "Invalid attribute name [" +
+                                                propName +
+                                                "], expected a name such as `value`, `aria-label`, or `xlink:href`",
+                                            input,
+                                            input.indexOf(propName, node.pos),
+                                            input.indexOf(propName, node.pos) +
+                                                propName.length,
+                                        );
+                                    }
+                                    if (propName !== "") {
                                         node.props.push(prop);
                                     }
                                     break;
                                 case tokenTypes.e_child_js:
+                                    // Empty expressions such as `{/* comment */}` are skipped
                                     if (token.value.trim() !== "") {
-                                        value = token.value.trim();
-                                        if (value.indexOf("{") === 0) {
-                                            value = value.substring(1);
-                                        }
-                                        if (
-                                            value.substring(
-                                                value.length - 1,
-                                                value.length,
-                                            ) === "}"
-                                        ) {
-                                            value = value.substring(
-                                                0,
-                                                value.length - 1,
-                                            );
-                                        }
                                         node.children.push({
                                             type: token.type,
-                                            value: value,
+                                            value: token.value,
                                             pos: token.pos,
                                         });
                                     }
                                     break;
                                 case tokenTypes.e_child_js_start:
-                                case tokenTypes.e_child_js_end:
+                                    // Expression that contains elements, for example
+                                    // `{items.map((item) => <li>{item}</li>)}`
+                                    current--;
                                     node.children.push({
                                         type: token.type,
-                                        value: value,
+                                        value: walk(
+                                            stackCount + 1,
+                                            tokenTypes.e_child_js_start,
+                                        ),
                                         pos: token.pos,
                                     });
                                     break;
@@ -1418,17 +5672,17 @@
                                         endName !== node.name &&
                                         endName !== ""
                                     ) {
-                                        throw new Error(
+                                        throw new JsxCompileError(
+                                            "JSX_MISMATCHED_CLOSING_ELEMENT",
                                             "Found closing element [" +
                                                 endName +
                                                 "] that does not match opening element [" +
                                                 node.name +
                                                 "] from Token # " +
-                                                token.index +
-                                                jsxLoader.compiler.getTextPosition(
-                                                    input,
-                                                    token.pos,
-                                                ),
+                                                token.index,
+                                            input,
+                                            input.lastIndexOf("<", token.pos),
+                                            token.pos + 1,
                                         );
                                     }
                                     breakLoop = true;
@@ -1446,15 +5700,14 @@
                                 default:
                                     console.log(tokens);
                                     console.log(ast);
-                                    throw new Error(
+                                    throw new JsxCompileError(
+                                        "JSX_UNEXPECTED_TOKEN",
                                         "Tokens are out of order 1: [" +
                                             token.type +
                                             "], Token #: " +
-                                            token.index +
-                                            jsxLoader.compiler.getTextPosition(
-                                                input,
-                                                token.pos,
-                                            ),
+                                            token.index,
+                                        input,
+                                        token.pos,
                                     );
                             }
                             if (breakLoop) {
@@ -1472,6 +5725,7 @@
                             current++;
                             switch (token.type) {
                                 case tokenTypes.e_start:
+                                case tokenTypes.js:
                                     current--;
                                     nodes.push(walk(stackCount + 1));
                                     break;
@@ -1479,29 +5733,27 @@
                                     nodes.push(token);
                                     return nodes;
                                 default:
-                                    throw new Error(
+                                    throw new JsxCompileError(
+                                        "JSX_UNEXPECTED_TOKEN",
                                         "Found unexpected token type in JS child prop: [" +
                                             token.type +
                                             "], Token #: " +
-                                            token.index +
-                                            jsxLoader.compiler.getTextPosition(
-                                                input,
-                                                token.pos,
-                                            ),
+                                            token.index,
+                                        input,
+                                        token.pos,
                                     );
                             }
                         }
                     }
 
-                    throw new Error(
+                    throw new JsxCompileError(
+                        "JSX_UNEXPECTED_TOKEN",
                         "Tokens are out of order 2: [" +
                             token.type +
                             "], Token #: " +
-                            token.index +
-                            jsxLoader.compiler.getTextPosition(
-                                input,
-                                token.pos,
-                            ),
+                            token.index,
+                        input,
+                        token.pos,
                     );
                 } // walk()
 
@@ -1518,13 +5770,132 @@
                 // it is unable to determine the error location in code for this type of error.
                 // To avoid this develop using a IDE such as VS Code that highlights errors in code.
                 if (e_start_count !== e_end_count) {
-                    throw new Error(
+                    throw new JsxCompileError(
+                        "JSX_UNBALANCED_ELEMENTS",
                         'The number of opening elements (for example: "<div>") does not match the number closing elements ("</div>").',
+                        input,
+                        null,
                     );
                 }
                 return ast;
             },
 
+            /**
+             * Run the visitors of [plugins] over each element in the AST from
+             * [parser()]. Elements are `createElement` nodes:
+             *
+             *     {
+             *         type: "createElement",
+             *         name: "div",          // Element name, for example `Counter` or `svg:rect`
+             *         isFragment: false,    // `<>...</>`
+             *         isClass: false,       // Component or Fragment, `name` is used as code
+             *         props: [],            // Props in order, see below
+             *         children: [],         // Children in order, see below
+             *         pos: 0,               // Position in the input or `null`
+             *     }
+             *
+             * A prop is `{ name, value, pos }` where `value` is JavaScript code such as
+             * `"\"text\""` or `count + 1`, `null` for a prop without a value, an
+             * element, or an array of nodes for code that contains elements. A spread
+             * prop has the name `{...props}` and the value `null`. A child is
+             * `{ type, value, pos }` with a type from [tokenTypes]:
+             *
+             *     e_child_text        Text, entities are decoded when code is generated
+             *     e_child_whitespace  Whitespace between children
+             *     e_child_js          JavaScript code from `{value}`
+             *     e_start             An element, `value` is the element node
+             *     e_child_js_start    Code that contains elements, `value` is an array
+             *
+             * Each plugin's `visitor` can have these functions, called with the node
+             * and a `context` object `{ element, parent, fileName }` where `element`
+             * is the element being visited and `parent` is the element that it is
+             * inside of or `null`:
+             *
+             *     createElement(node, context)  Change the element, for example add props
+             *     prop(prop, context)           Return `null` to remove or a new prop
+             *     child(child, context)         Return `null` to remove or a new child
+             *
+             * Returning `undefined` keeps the prop or child. Elements are visited
+             * before their props and children, and nested elements after them.
+             *
+             * @param {object} ast
+             * @param {string} input
+             * @param {object|undefined} options
+             * @return {object}
+             */
+            transform: function (ast, input, options) {
+                var plugins = this.plugins;
+                if (plugins.length === 0) {
+                    return ast;
+                }
+                var fileName =
+                    options !== undefined && options.fileName
+                        ? options.fileName
+                        : null;
+
+                // Run a visitor for each item of a list, the result is the new list
+                function visitList(items, visitorName, context) {
+                    var result = [];
+                    items.forEach(function (item) {
+                        for (var n = 0, m = plugins.length; n < m; n++) {
+                            var visitor = plugins[n].visitor[visitorName];
+                            if (typeof visitor !== "function") {
+                                continue;
+                            }
+                            var value = visitor(item, context);
+                            if (value === null || value === false) {
+                                return;
+                            } else if (value !== undefined) {
+                                item = value;
+                            }
+                        }
+                        result.push(item);
+                    });
+                    return result;
+                }
+
+                // Prop values and children can be elements or arrays of nodes
+                function visitValue(value, parent) {
+                    if (Array.isArray(value)) {
+                        value.forEach(function (node) {
+                            visitValue(node, parent);
+                        });
+                    } else if (
+                        value !== null &&
+                        typeof value === "object" &&
+                        value.type === astTypes.createElement
+                    ) {
+                        visitElement(value, parent);
+                    }
+                }
+
+                function visitElement(node, parent) {
+                    var context = {
+                        element: node,
+                        parent: parent,
+                        fileName: fileName,
+                    };
+                    plugins.forEach(function (plugin) {
+                        if (
+                            typeof plugin.visitor.createElement === "function"
+                        ) {
+                            plugin.visitor.createElement(node, context);
+                        }
+                    });
+                    node.props = visitList(node.props, "prop", context);
+                    node.children = visitList(node.children, "child", context);
+                    node.props.forEach(function (prop) {
+                        visitValue(prop.value, node);
+                    });
+                    node.children.forEach(function (child) {
+                        visitValue(child.value, node);
+                    });
+                }
+
+                visitValue(ast.body, null);
+                return ast;
+            },
+
             /**
              * Compiler Step 4 (Code Generation) - Convert AST to Code.
              *
@@ -1537,345 +5908,471 @@
              * code generation only a single iteration is needed over the original AST is
              * performed and only one copy of the AST is made.
              *
+             * Options are the same as [compile()], `options.sourceMap` adds markers for
+             * [createSourceMap()] and `options.fileName` is used with `hotReload`. With
+             * [preserveLines] the markers are also added for [alignLines()] and the
+             * "compact" printer is used instead of "pretty".
+             *
+             * Each element is converted to a `call` node with its props and children
+             * and then to code by the printer for `options.printMode` or [printMode],
+             * see [printers].
+             *
              * @param {object} ast
              * @param {string} input
+             * @param {object|undefined} options
              * @return {string}
              */
-            codeGenerator: function (ast, input) {
+            codeGenerator: function (ast, input, options) {
                 var addUseStrict = this.addUseStrict;
+                var preserveLines =
+                    options !== undefined && options.preserveLines !== undefined
+                        ? options.preserveLines
+                        : this.preserveLines;
+                var addMappings =
+                    preserveLines ||
+                    (options !== undefined && options.sourceMap === true);
+
+                // Elements are converted to code by a function from [printers]. The
+                // "pretty" printer adds line breaks so [preserveLines] uses "compact".
+                var printMode =
+                    options !== undefined && options.printMode !== undefined
+                        ? options.printMode
+                        : this.printMode;
+                if (preserveLines && printMode === "pretty") {
+                    printMode = "compact";
+                }
+                var printer = this.printers.hasOwnProperty(printMode)
+                    ? this.printers[printMode]
+                    : null;
+                if (typeof printer !== "function") {
+                    throw new JsxCompileError(
+                        "JSX_UNKNOWN_PRINT_MODE",
+                        "Unknown print mode [" +
+                            printMode +
+                            "], expected a printer from `compiler.printers` such as " +
+                            '"minify", "compact", or "pretty"',
+                        input,
+                        null,
+                    );
+                }
+                var tabWidth = this.tabWidth;
+                var printWidth = this.printWidth;
+                var development =
+                    options !== undefined && options.development !== undefined
+                        ? options.development
+                        : this.development;
+                var findPosition = development
+                    ? createPositionFinder(input)
+                    : null;
+
+                // Code added before the start of the input stays on the first line
+                var lineBreak =
+                    printMode === "minify" ? "" : preserveLines ? " " : "\n";
+                var hotReload = this.hotReload;
+                var fileName =
+                    options !== undefined && options.fileName
+                        ? options.fileName
+                        : null;
+
+                // When creating Source Maps markers with the original position of each
+                // JS block and element are added, see [createSourceMap()].
+                function mapping(pos) {
+                    if (addMappings !== true || pos === null || pos < 0) {
+                        return "";
+                    }
+                    return sourceMapMarker + pos + sourceMapMarker;
+                }
+                function textLength(text) {
+                    return addMappings === true
+                        ? text.split(sourceMapMarker).reduce(function (
+                              total,
+                              part,
+                              index,
+                          ) {
+                              return index % 2 === 0
+                                  ? total + part.length
+                                  : total;
+                          }, 0)
+                        : text.length;
+                }
+
+                // Default to use `React.createElement`, however if a directive such
+                // as `// @jsx preact.createElement` is found then use the
+                // `createElement()` function from the directive.
+                var directives = this.parseDirectives(input);
+                var createElement =
+                    directives.pragma !== null
+                        ? directives.pragma
+                        : this.pragma;
 
-                // Default to use `React.createElement`, however if a code hint for
-                // Babel is found such as `// @jsx preact.createElement` then use
-                // the `createElement()` function from the code hint.
-                var createElement = this.pragma;
-                var regex = /(\/\/|\/\*|\/\*\*)\s+@jsx\s+([a-zA-Z.]+)/gm;
-                var match = regex.exec(input);
-                if (match) {
-                    createElement = match[2];
+                // The Automatic Runtime is used if `compiler.runtime = "automatic"` or
+                // if directives `// @jsxRuntime automatic` or `// @jsxImportSource preact`
+                // are found. Functions `jsx()`, `jsxs()`, and `Fragment` are imported
+                // from `{importSource}/jsx-runtime` and renamed to avoid conflicts.
+                var runtime = this.runtime;
+                var importSource = this.importSource;
+                if (directives.importSource !== null) {
+                    importSource = directives.importSource;
+                    runtime = "automatic";
+                } else if (
+                    directives.pragma !== null ||
+                    directives.pragmaFrag !== null
+                ) {
+                    runtime = "classic";
+                }
+                if (directives.runtime !== null) {
+                    runtime = directives.runtime;
+                }
+                if (runtime !== "classic" && runtime !== "automatic") {
+                    throw new JsxCompileError(
+                        "JSX_UNKNOWN_RUNTIME",
+                        "Unknown JSX runtime [" +
+                            runtime +
+                            '], expected "classic" or "automatic"',
+                        input,
+                        null,
+                    );
+                }
+                var isAutomatic = runtime === "automatic";
+                var runtimeImports = {};
+                function useRuntime(name) {
+                    runtimeImports[name] = "_" + name;
+                    return "_" + name;
                 }
                 return generateCode(ast);
 
+                // Generate code for JS that contains elements. A space is added if an
+                // element follows a keyword with no space, for example `return<div />`.
+                function generateJs(nodes) {
+                    return nodes.reduce(function (js, item) {
+                        var code = generateCode(item);
+                        if (
+                            /[\w$]$/.test(js) &&
+                            /^(\u0000\d+\u0000)?[\w$]/.test(code)
+                        ) {
+                            js += " ";
+                        }
+                        return js + code;
+                    }, "");
+                }
+
                 // Recursive private function for generating code
-                function generateCode(node, skipIndent) {
+                function generateCode(node) {
                     switch (node.type) {
                         case astTypes.program:
-                            var generatedJs = node.body
-                                .map(generateCode)
-                                .join("");
+                            var generatedJs = generateJs(node.body);
+                            var hasUseStrict =
+                                generatedJs.indexOf('"use strict"') !== -1 ||
+                                generatedJs.indexOf("'use strict'") !== -1;
+                            // Top-level components are registered before any code
+                            // runs, see [jsxLoader.registerHotComponent()]
+                            var registered =
+                                hotReload &&
+                                node.components !== undefined &&
+                                node.components.length > 0;
+                            if (registered) {
+                                generatedJs =
+                                    node.components
+                                        .map(function (name) {
+                                            return (
+                                                "window.jsxLoader.registerHotComponent(" +
+                                                JSON.stringify(
+                                                    fileName + "#" + name,
+                                                ) +
+                                                ", function () { return " +
+                                                name +
+                                                "; });" +
+                                                lineBreak
+                                            );
+                                        })
+                                        .join("") + generatedJs;
+                            }
+                            // Import functions used by the Automatic Runtime
+                            var runtimeNames = [];
+                            for (var name in runtimeImports) {
+                                if (runtimeImports.hasOwnProperty(name)) {
+                                    runtimeNames.push(
+                                        name + " as " + runtimeImports[name],
+                                    );
+                                }
+                            }
+                            if (runtimeNames.length > 0) {
+                                generatedJs =
+                                    "import { " +
+                                    runtimeNames.join(", ") +
+                                    " } from " +
+                                    JSON.stringify(
+                                        importSource +
+                                            (development
+                                                ? "/jsx-dev-runtime"
+                                                : "/jsx-runtime"),
+                                    ) +
+                                    ";" +
+                                    lineBreak +
+                                    generatedJs;
+                            }
                             // By default if 'use strict' is not found then add it to the start of the generated code.
                             // This can be turned off by setting `jsxLoader.compiler.addUseStrict = false`;
-                            if (
-                                addUseStrict &&
-                                generatedJs.indexOf('"use strict"') === -1 &&
-                                generatedJs.indexOf("'use strict'") === -1
-                            ) {
-                                return '"use strict";\n' + generatedJs;
+                            // It's also added when registered components are before the file's own.
+                            if (hasUseStrict ? registered : addUseStrict) {
+                                return (
+                                    '"use strict";' + lineBreak + generatedJs
+                                );
                             }
                             return generatedJs;
                         case astTypes.js:
+                            if (addMappings !== true) {
+                                return node.value;
+                            }
+                            // Map the start of each line from the original code
+                            var lines = node.value.split("\n");
+                            var linePos = node.pos;
+                            return lines
+                                .map(function (line, index) {
+                                    var mapped =
+                                        line === "" ? "" : mapping(linePos);
+                                    linePos += line.length + 1;
+                                    return (
+                                        (index === 0 ? "" : "\n") +
+                                        mapped +
+                                        line
+                                    );
+                                })
+                                .join("");
                         case tokenTypes.e_child_js_start:
                         case tokenTypes.e_child_js_end:
-                            return node.value;
+                            return mapping(node.pos) + node.value;
                         case astTypes.createElement:
-                            // Start of Element
-                            var js =
-                                createElement +
-                                "(" +
-                                (node.isClass
-                                    ? node.name
-                                    : JSON.stringify(node.name)) +
-                                ", ";
-                            if (node.stackCount > 0) {
-                                if (skipIndent !== true) {
-                                    js =
-                                        "\n" +
-                                        " ".repeat(8) +
-                                        " ".repeat(node.stackCount * 4) +
-                                        js;
-                                } else {
-                                    js = " " + js;
-                                }
-                            }
-                            // Add Element Props
-                            var propCount = node.props.length;
-                            var propName;
-                            var propJs = [];
-                            if (propCount === 0) {
-                                js += "null";
-                            } else {
-                                js += "{";
-                                for (var n = 0; n < propCount; n++) {
-                                    var propValue = node.props[n].value;
-                                    if (propValue === null) {
-                                        propValue = "true";
-                                    } else if (typeof propValue !== "string") {
-                                        if (
-                                            Array.isArray(propValue) &&
-                                            propValue.length > 0 &&
-                                            propValue[0].type ===
-                                                tokenTypes.e_child_js_start
-                                        ) {
-                                            var value2 = "";
-                                            while (propValue.length > 0) {
-                                                value2 += generateCode(
-                                                    propValue.shift(),
-                                                    true,
-                                                );
-                                            }
-                                            propValue = value2;
-                                        } else {
-                                            propValue = generateCode(
-                                                propValue,
-                                                true,
-                                            );
-                                        }
-                                    }
-                                    propName = node.props[n].name.trim();
-                                    if (propName.indexOf("-") !== -1) {
-                                        propName = JSON.stringify(propName);
-                                    }
-                                    if (
-                                        propValue === "true" &&
-                                        /{\.\.\.(.+)}/.test(propName)
-                                    ) {
-                                        // Handle spread operators: `{...props}`
-                                        propJs.push(
-                                            propName
-                                                .substring(
-                                                    0,
-                                                    propName.length - 1,
-                                                )
-                                                .substring(1) +
-                                                (n === propCount - 1
-                                                    ? ""
-                                                    : ", "),
-                                        );
-                                    } else {
-                                        propJs.push(
-                                            propName +
-                                                ": " +
-                                                propValue +
-                                                (n === propCount - 1
-                                                    ? ""
-                                                    : ", "),
-                                        );
-                                    }
-                                }
-                                var propTextLen = propJs.reduce(function (
-                                    total,
-                                    item,
-                                ) {
-                                    return (total += item.length);
-                                }, 0);
-                                if (propTextLen > 80) {
-                                    var propIndent = "\n";
-                                    if (skipIndent !== true) {
-                                        propIndent +=
-                                            " ".repeat(12) +
-                                            " ".repeat(node.stackCount * 4);
-                                    }
-                                    js += propIndent + propJs.join(propIndent);
-                                } else {
-                                    js += propJs.join("");
-                                }
-                                js += "}";
-                            }
-                            // Add Element Children
-                            var childJs = [];
-                            var hasChildText = false;
-                            var hasChildJs = false;
-                            var hasChildEl = false;
-                            var startsWithJs = false;
-                            var childCount = node.children.length;
-                            var lastIndex = null;
-                            var childElCount = 0;
-                            var lastElAddedAsJs = false;
-                            var nodeValue;
-                            var allChildJsContainsExpressions = true;
-                            var m;
-                            // First see what types of child nodes exist
-                            for (m = 0; m < childCount; m++) {
-                                switch (node.children[m].type) {
-                                    case tokenTypes.e_child_js:
-                                    case tokenTypes.e_child_js_start:
-                                        hasChildJs = true;
-                                        nodeValue = node.children[m].value;
-                                        // This is not an exact match based on JS syntax but rather
-                                        // a quick check that will work for most JSX code.
-                                        if (
-                                            typeof nodeValue === "string" &&
-                                            nodeValue.indexOf("(") === -1 &&
-                                            nodeValue.indexOf(")") === -1
-                                        ) {
-                                            allChildJsContainsExpressions = false;
-                                        }
-                                        break;
-                                    case tokenTypes.e_child_text:
-                                        hasChildText = true;
-                                        break;
-                                    case tokenTypes.e_start:
-                                        hasChildEl = true;
-                                        childElCount++;
-                                        break;
-                                    case tokenTypes.e_child_whitespace:
-                                    case tokenTypes.e_child_js_end:
-                                        break; // Ignore, no need to count or track
-                                    default:
-                                        throw new Error(
-                                            "Unhandled child type codeGenerator(): " +
-                                                node.children[m].type,
-                                        );
-                                }
-                            }
-                            for (m = 0; m < childCount; m++) {
-                                switch (node.children[m].type) {
-                                    case tokenTypes.e_child_js:
-                                    case tokenTypes.e_child_js_start:
-                                        if (lastElAddedAsJs) {
-                                            childJs[childJs.length - 1] +=
-                                                node.children[m].value;
-                                        } else {
-                                            childJs.push(
-                                                node.children[m].value,
-                                            );
-                                            if (
-                                                !startsWithJs &&
-                                                childJs.length === 1
-                                            ) {
-                                                startsWithJs = true;
-                                            }
-                                        }
-                                        break;
-                                    case tokenTypes.e_child_text:
-                                        nodeValue = node.children[m].value;
-                                        if (nodeValue.indexOf("&") !== -1) {
-                                            // Use the browser DOM to convert from HTML to Text if the node might contain
-                                            // HTML encoded characters. Example: [&amp;] or [&#039;]
-                                            var tmp =
-                                                document.createElement("div");
-                                            tmp.innerHTML = nodeValue;
-                                            nodeValue = tmp.textContent;
-                                        }
-                                        if (childCount === 1) {
-                                            childJs.push(
-                                                JSON.stringify(nodeValue),
-                                            );
-                                        } else if (m === childCount - 1) {
-                                            childJs.push(
-                                                JSON.stringify(
-                                                    nodeValue.replace(
-                                                        /\s+$/,
-                                                        "",
-                                                    ),
-                                                ),
-                                            ); // trimEnd();
-                                        } else if (m === 0) {
-                                            childJs.push(
-                                                JSON.stringify(
-                                                    nodeValue.replace(
-                                                        /^\s+/,
-                                                        "",
-                                                    ),
-                                                ),
-                                            ); // trimStart()
-                                        } else {
-                                            childJs.push(
-                                                JSON.stringify(nodeValue),
-                                            );
-                                        }
-                                        break;
-                                    case tokenTypes.e_child_js_end:
-                                        childJs.push(node.children[m].value);
-                                        break;
-                                    case tokenTypes.e_start:
-                                        var skipElIndent = false;
-                                        var addedAsJs = false;
-                                        if (lastIndex !== null) {
-                                            skipElIndent =
-                                                node.children[lastIndex]
-                                                    .type ===
-                                                tokenTypes.e_child_js;
-                                        }
-                                        if (skipElIndent) {
-                                            var lastValue =
-                                                node.children[
-                                                    lastIndex
-                                                ].value.trim();
-                                            if (
-                                                lastValue.endsWith("&&") ||
-                                                lastValue.endsWith("?") ||
-                                                lastValue.endsWith("(") ||
-                                                lastValue.endsWith(":") ||
-                                                lastValue.endsWith(" return")
-                                            ) {
-                                                childJs[childJs.length - 1] +=
-                                                    generateCode(
-                                                        node.children[m].value,
-                                                        skipElIndent,
-                                                    );
-                                                addedAsJs = true;
-                                                childElCount--;
-                                                lastElAddedAsJs = true;
-                                            }
-                                        }
-                                        if (!addedAsJs) {
-                                            childJs.push(
-                                                generateCode(
-                                                    node.children[m].value,
-                                                    skipElIndent,
-                                                ),
-                                            );
-                                            lastElAddedAsJs = false;
-                                        }
-                                        break;
-                                    case tokenTypes.e_child_whitespace:
-                                        if (
-                                            (hasChildJs || hasChildText) &&
-                                            !(m === 0 || m === childCount - 1)
-                                        ) {
-                                            childJs.push(
-                                                JSON.stringify(
-                                                    node.children[m].value,
-                                                ),
-                                            );
-                                            lastElAddedAsJs = false;
-                                        }
-                                        continue;
-                                    default:
-                                        throw new Error(
-                                            "Unhandled child type codeGenerator(): " +
-                                                node.children[m].type,
-                                        );
-                                }
-                                lastIndex = m; // Skipped when [e_child_whitespace]
-                            }
-                            if (childJs.length > 0) {
-                                if (
-                                    !hasChildText &&
-                                    hasChildJs &&
-                                    hasChildEl &&
-                                    startsWithJs &&
-                                    childElCount === 1 &&
-                                    allChildJsContainsExpressions
-                                ) {
-                                    js += ", " + childJs.join("");
-                                } else {
-                                    js += ", " + childJs.join(", ");
-                                }
-                            }
-                            js += ")";
-                            return js;
+                            // Elements inside of JS are printed starting from the
+                            // indentation of the line they are on in the original code
+                            var lineStart =
+                                input.lastIndexOf("\n", node.pos) + 1;
+                            return printer(buildElement(node), {
+                                indent: /^[ \t]*/.exec(
+                                    input.substring(lineStart, node.pos),
+                                )[0],
+                                tabWidth: tabWidth,
+                                printWidth: printWidth,
+                                textLength: textLength,
+                            });
                         default:
-                            throw new TypeError(
+                            throw new JsxCompileError(
+                                "JSX_UNHANDLED_AST_TYPE",
                                 "Unhandled AST type in codeGenerator: " +
                                     node.type,
+                                input,
+                                node.pos,
+                            );
+                    }
+                }
+
+                // Convert an element to a `call` node for the printer, elements in
+                // children and props are kept as nodes so the printer can lay them out.
+                function buildElement(node) {
+                    var elementType = node.isClass
+                        ? node.name
+                        : JSON.stringify(node.name);
+                    if (
+                        hotReload &&
+                        !node.isFragment &&
+                        /^[A-Z][\w$]*$/.test(node.name)
+                    ) {
+                        // Stable component for state to be kept, see [jsxLoader.hotComponent()]
+                        elementType =
+                            "window.jsxLoader.hotComponent(" + node.name + ")";
+                    }
+                    if (isAutomatic && node.isFragment) {
+                        elementType = useRuntime("Fragment");
+                    }
+                    // Add Element Props
+                    var propCount = node.props.length;
+                    var propName;
+                    var entries = [];
+                    var keyJs = null;
+                    for (var n = 0; n < propCount; n++) {
+                        var propValue = node.props[n].value;
+                        if (propValue === null) {
+                            propValue = "true";
+                        } else if (Array.isArray(propValue)) {
+                            // JS that contains elements
+                            propValue = generateJs(propValue);
+                        } else if (typeof propValue !== "string") {
+                            propValue = buildElement(propValue);
+                        }
+                        propName = node.props[n].name.trim();
+                        if (isAutomatic && propName === "key") {
+                            // With the automatic runtime `key` is passed separately from props
+                            keyJs = propValue;
+                            continue;
+                        }
+                        if (
+                            propValue === "true" &&
+                            /^{\.\.\.[\s\S]+}$/.test(propName)
+                        ) {
+                            // Handle spread operators: `{...props}`
+                            entries.push({
+                                name: null,
+                                value: propName.substring(
+                                    4,
+                                    propName.length - 1,
+                                ),
+                                mapping: mapping(node.props[n].pos),
+                            });
+                            continue;
+                        }
+                        if (/[-:]/.test(propName)) {
+                            // `aria-label` and namespaced names `xlink:href`
+                            propName = JSON.stringify(propName);
+                        }
+                        entries.push({
+                            name: propName,
+                            value: propValue,
+                            mapping: mapping(node.props[n].pos),
+                        });
+                    }
+                    // Add Element Children
+                    var children = [];
+                    var childCount = node.children.length;
+                    var child, nodeValue;
+                    for (var m = 0; m < childCount; m++) {
+                        child = node.children[m];
+                        switch (child.type) {
+                            case tokenTypes.e_child_js:
+                                children.push(mapping(child.pos) + child.value);
+                                break;
+                            case tokenTypes.e_child_js_start:
+                                // JS that contains elements
+                                children.push(generateJs(child.value));
+                                break;
+                            case tokenTypes.e_child_text:
+                                // Entities such as [&amp;] or [&#039;] are decoded
+                                // before whitespace is handled, the same as Babel.
+                                nodeValue = cleanJsxText(
+                                    decodeEntities(child.value),
+                                );
+                                if (nodeValue !== "") {
+                                    // Mapped to the first character of the text
+                                    children.push(
+                                        mapping(
+                                            child.pos +
+                                                child.value.search(/\S/),
+                                        ) + JSON.stringify(nodeValue),
+                                    );
+                                }
+                                break;
+                            case tokenTypes.e_start:
+                                children.push(buildElement(child.value));
+                                break;
+                            case tokenTypes.e_child_whitespace:
+                                // Whitespace with a line break is removed while
+                                // spaces between children on the same line are kept
+                                nodeValue = cleanJsxText(child.value);
+                                if (nodeValue !== "") {
+                                    children.push(JSON.stringify(nodeValue));
+                                }
+                                break;
+                            default:
+                                throw new JsxCompileError(
+                                    "JSX_UNHANDLED_CHILD_TYPE",
+                                    "Unhandled child type codeGenerator(): " +
+                                        child.type,
+                                    input,
+                                    child.pos,
+                                );
+                        }
+                    }
+                    var start = input.lastIndexOf("<", node.pos);
+                    var call = {
+                        type: "call",
+                        callee: createElement,
+                        args: [elementType],
+                        mapping: mapping(start),
+                    };
+                    // Where the element was created, see [development]
+                    var source = null;
+                    if (development && !node.isFragment && start !== -1) {
+                        var position = findPosition(start);
+                        source = {
+                            type: "object",
+                            entries: [
+                                {
+                                    name: "fileName",
+                                    value: JSON.stringify(fileName || ""),
+                                    mapping: "",
+                                },
+                                {
+                                    name: "lineNumber",
+                                    value: String(position.line + 1),
+                                    mapping: "",
+                                },
+                                {
+                                    name: "columnNumber",
+                                    value: String(position.column + 1),
+                                    mapping: "",
+                                },
+                            ],
+                        };
+                        if (!isAutomatic) {
+                            entries.push(
+                                { name: "__self", value: "this", mapping: "" },
+                                {
+                                    name: "__source",
+                                    value: source,
+                                    mapping: "",
+                                },
+                            );
+                        }
+                    }
+                    if (isAutomatic && development) {
+                        // Development: `jsxDEV(type, props, key, isStaticChildren, source, self)`
+                        call.callee = useRuntime("jsxDEV");
+                    } else if (isAutomatic) {
+                        // Automatic Runtime: `jsx(type, { ...props, children }, key)`
+                        call.callee = useRuntime(
+                            children.length > 1 ? "jsxs" : "jsx",
+                        );
+                    }
+                    if (isAutomatic) {
+                        if (children.length > 0) {
+                            entries.push({
+                                name: "children",
+                                value:
+                                    children.length === 1
+                                        ? children[0]
+                                        : { type: "array", items: children },
+                                mapping: "",
+                            });
+                        }
+                        call.args.push({ type: "object", entries: entries });
+                        if (development) {
+                            call.args.push(
+                                keyJs === null ? "void 0" : keyJs,
+                                children.length > 1 ? "true" : "false",
                             );
+                            if (source !== null) {
+                                call.args.push(source, "this");
+                            }
+                        } else if (keyJs !== null) {
+                            call.args.push(keyJs);
+                        }
+                    } else {
+                        call.args.push(
+                            entries.length === 0
+                                ? "null"
+                                : { type: "object", entries: entries },
+                        );
+                        call.args = call.args.concat(children);
                     }
+                    return call;
                 }
             },
         },
     };
 
+    // Compiler functions and printers that a worker also has, see
+    // [canCompileInWorker()]
+    var defaultFunctions = findFunctions(jsxLoader.compiler).functions;
+
     /**
      * Add Build Version
      * For new releases this gets updated automatically by [scripts/build.js].
@@ -1885,6 +6382,452 @@
         enumerable: true,
     });
 
+    // HTML5 named character references used by [decodeEntities()] in the format
+    // `name:hex[.hex]` separated by commas, for example `amp:26` for `&amp;`.
+    var htmlEntityData = [
+        "AElig:c6,AMP:26,Aacute:c1,Abreve:102,Acirc:c2,Acy:410,Afr:1d504,",
+        "Agrave:c0,Alpha:391,Amacr:100,And:2a53,Aogon:104,Aopf:1d538,",
+        "ApplyFunction:2061,Aring:c5,Ascr:1d49c,Assign:2254,Atilde:c3,",
+        "Auml:c4,Backslash:2216,Barv:2ae7,Barwed:2306,Bcy:411,Because:2235,",
+        "Bernoullis:212c,Beta:392,Bfr:1d505,Bopf:1d539,Breve:2d8,Bscr:212c,",
+        "Bumpeq:224e,CHcy:427,COPY:a9,Cacute:106,Cap:22d2,",
+        "CapitalDifferentialD:2145,Cayleys:212d,Ccaron:10c,Ccedil:c7,",
+        "Ccirc:108,Cconint:2230,Cdot:10a,Cedilla:b8,CenterDot:b7,Cfr:212d,",
+        "Chi:3a7,CircleDot:2299,CircleMinus:2296,CirclePlus:2295,",
+        "CircleTimes:2297,ClockwiseContourIntegral:2232,",
+        "CloseCurlyDoubleQuote:201d,CloseCurlyQuote:2019,Colon:2237,",
+        "Colone:2a74,Congruent:2261,Conint:222f,ContourIntegral:222e,",
+        "Copf:2102,Coproduct:2210,CounterClockwiseContourIntegral:2233,",
+        "Cross:2a2f,Cscr:1d49e,Cup:22d3,CupCap:224d,DD:2145,DDotrahd:2911,",
+        "DJcy:402,DScy:405,DZcy:40f,Dagger:2021,Darr:21a1,Dashv:2ae4,",
+        "Dcaron:10e,Dcy:414,Del:2207,Delta:394,Dfr:1d507,",
+        "DiacriticalAcute:b4,DiacriticalDot:2d9,DiacriticalDoubleAcute:2dd,",
+        "DiacriticalGrave:60,DiacriticalTilde:2dc,Diamond:22c4,",
+        "DifferentialD:2146,Dopf:1d53b,Dot:a8,DotDot:20dc,DotEqual:2250,",
+        "DoubleContourIntegral:222f,DoubleDot:a8,DoubleDownArrow:21d3,",
+        "DoubleLeftArrow:21d0,DoubleLeftRightArrow:21d4,DoubleLeftTee:2ae4,",
+        "DoubleLongLeftArrow:27f8,DoubleLongLeftRightArrow:27fa,",
+        "DoubleLongRightArrow:27f9,DoubleRightArrow:21d2,",
+        "DoubleRightTee:22a8,DoubleUpArrow:21d1,DoubleUpDownArrow:21d5,",
+        "DoubleVerticalBar:2225,DownArrow:2193,DownArrowBar:2913,",
+        "DownArrowUpArrow:21f5,DownBreve:311,DownLeftRightVector:2950,",
+        "DownLeftTeeVector:295e,DownLeftVector:21bd,DownLeftVectorBar:2956,",
+        "DownRightTeeVector:295f,DownRightVector:21c1,",
+        "DownRightVectorBar:2957,DownTee:22a4,DownTeeArrow:21a7,",
+        "Downarrow:21d3,Dscr:1d49f,Dstrok:110,ENG:14a,ETH:d0,Eacute:c9,",
+        "Ecaron:11a,Ecirc:ca,Ecy:42d,Edot:116,Efr:1d508,Egrave:c8,",
+        "Element:2208,Emacr:112,EmptySmallSquare:25fb,",
+        "EmptyVerySmallSquare:25ab,Eogon:118,Eopf:1d53c,Epsilon:395,",
+        "Equal:2a75,EqualTilde:2242,Equilibrium:21cc,Escr:2130,Esim:2a73,",
+        "Eta:397,Euml:cb,Exists:2203,ExponentialE:2147,Fcy:424,Ffr:1d509,",
+        "FilledSmallSquare:25fc,FilledVerySmallSquare:25aa,Fopf:1d53d,",
+        "ForAll:2200,Fouriertrf:2131,Fscr:2131,GJcy:403,GT:3e,Gamma:393,",
+        "Gammad:3dc,Gbreve:11e,Gcedil:122,Gcirc:11c,Gcy:413,Gdot:120,",
+        "Gfr:1d50a,Gg:22d9,Gopf:1d53e,GreaterEqual:2265,",
+        "GreaterEqualLess:22db,GreaterFullEqual:2267,GreaterGreater:2aa2,",
+        "GreaterLess:2277,GreaterSlantEqual:2a7e,GreaterTilde:2273,",
+        "Gscr:1d4a2,Gt:226b,HARDcy:42a,Hacek:2c7,Hat:5e,Hcirc:124,Hfr:210c,",
+        "HilbertSpace:210b,Hopf:210d,HorizontalLine:2500,Hscr:210b,",
+        "Hstrok:126,HumpDownHump:224e,HumpEqual:224f,IEcy:415,IJlig:132,",
+        "IOcy:401,Iacute:cd,Icirc:ce,Icy:418,Idot:130,Ifr:2111,Igrave:cc,",
+        "Im:2111,Imacr:12a,ImaginaryI:2148,Implies:21d2,Int:222c,",
+        "Integral:222b,Intersection:22c2,InvisibleComma:2063,",
+        "InvisibleTimes:2062,Iogon:12e,Iopf:1d540,Iota:399,Iscr:2110,",
+        "Itilde:128,Iukcy:406,Iuml:cf,Jcirc:134,Jcy:419,Jfr:1d50d,",
+        "Jopf:1d541,Jscr:1d4a5,Jsercy:408,Jukcy:404,KHcy:425,KJcy:40c,",
+        "Kappa:39a,Kcedil:136,Kcy:41a,Kfr:1d50e,Kopf:1d542,Kscr:1d4a6,",
+        "LJcy:409,LT:3c,Lacute:139,Lambda:39b,Lang:27ea,Laplacetrf:2112,",
+        "Larr:219e,Lcaron:13d,Lcedil:13b,Lcy:41b,LeftAngleBracket:27e8,",
+        "LeftArrow:2190,LeftArrowBar:21e4,LeftArrowRightArrow:21c6,",
+        "LeftCeiling:2308,LeftDoubleBracket:27e6,LeftDownTeeVector:2961,",
+        "LeftDownVector:21c3,LeftDownVectorBar:2959,LeftFloor:230a,",
+        "LeftRightArrow:2194,LeftRightVector:294e,LeftTee:22a3,",
+        "LeftTeeArrow:21a4,LeftTeeVector:295a,LeftTriangle:22b2,",
+        "LeftTriangleBar:29cf,LeftTriangleEqual:22b4,LeftUpDownVector:2951,",
+        "LeftUpTeeVector:2960,LeftUpVector:21bf,LeftUpVectorBar:2958,",
+        "LeftVector:21bc,LeftVectorBar:2952,Leftarrow:21d0,",
+        "Leftrightarrow:21d4,LessEqualGreater:22da,LessFullEqual:2266,",
+        "LessGreater:2276,LessLess:2aa1,LessSlantEqual:2a7d,LessTilde:2272,",
+        "Lfr:1d50f,Ll:22d8,Lleftarrow:21da,Lmidot:13f,LongLeftArrow:27f5,",
+        "LongLeftRightArrow:27f7,LongRightArrow:27f6,Longleftarrow:27f8,",
+        "Longleftrightarrow:27fa,Longrightarrow:27f9,Lopf:1d543,",
+        "LowerLeftArrow:2199,LowerRightArrow:2198,Lscr:2112,Lsh:21b0,",
+        "Lstrok:141,Lt:226a,Map:2905,Mcy:41c,MediumSpace:205f,",
+        "Mellintrf:2133,Mfr:1d510,MinusPlus:2213,Mopf:1d544,Mscr:2133,",
+        "Mu:39c,NJcy:40a,Nacute:143,Ncaron:147,Ncedil:145,Ncy:41d,",
+        "NegativeMediumSpace:200b,NegativeThickSpace:200b,",
+        "NegativeThinSpace:200b,NegativeVeryThinSpace:200b,",
+        "NestedGreaterGreater:226b,NestedLessLess:226a,NewLine:a,Nfr:1d511,",
+        "NoBreak:2060,NonBreakingSpace:a0,Nopf:2115,Not:2aec,",
+        "NotCongruent:2262,NotCupCap:226d,NotDoubleVerticalBar:2226,",
+        "NotElement:2209,NotEqual:2260,NotEqualTilde:2242.338,",
+        "NotExists:2204,NotGreater:226f,NotGreaterEqual:2271,",
+        "NotGreaterFullEqual:2267.338,NotGreaterGreater:226b.338,",
+        "NotGreaterLess:2279,NotGreaterSlantEqual:2a7e.338,",
+        "NotGreaterTilde:2275,NotHumpDownHump:224e.338,",
+        "NotHumpEqual:224f.338,NotLeftTriangle:22ea,",
+        "NotLeftTriangleBar:29cf.338,NotLeftTriangleEqual:22ec,NotLess:226e,",
+        "NotLessEqual:2270,NotLessGreater:2278,NotLessLess:226a.338,",
+        "NotLessSlantEqual:2a7d.338,NotLessTilde:2274,",
+        "NotNestedGreaterGreater:2aa2.338,NotNestedLessLess:2aa1.338,",
+        "NotPrecedes:2280,NotPrecedesEqual:2aaf.338,",
+        "NotPrecedesSlantEqual:22e0,NotReverseElement:220c,",
+        "NotRightTriangle:22eb,NotRightTriangleBar:29d0.338,",
+        "NotRightTriangleEqual:22ed,NotSquareSubset:228f.338,",
+        "NotSquareSubsetEqual:22e2,NotSquareSuperset:2290.338,",
+        "NotSquareSupersetEqual:22e3,NotSubset:2282.20d2,",
+        "NotSubsetEqual:2288,NotSucceeds:2281,NotSucceedsEqual:2ab0.338,",
+        "NotSucceedsSlantEqual:22e1,NotSucceedsTilde:227f.338,",
+        "NotSuperset:2283.20d2,NotSupersetEqual:2289,NotTilde:2241,",
+        "NotTildeEqual:2244,NotTildeFullEqual:2247,NotTildeTilde:2249,",
+        "NotVerticalBar:2224,Nscr:1d4a9,Ntilde:d1,Nu:39d,OElig:152,",
+        "Oacute:d3,Ocirc:d4,Ocy:41e,Odblac:150,Ofr:1d512,Ograve:d2,",
+        "Omacr:14c,Omega:3a9,Omicron:39f,Oopf:1d546,",
+        "OpenCurlyDoubleQuote:201c,OpenCurlyQuote:2018,Or:2a54,Oscr:1d4aa,",
+        "Oslash:d8,Otilde:d5,Otimes:2a37,Ouml:d6,OverBar:203e,",
+        "OverBrace:23de,OverBracket:23b4,OverParenthesis:23dc,PartialD:2202,",
+        "Pcy:41f,Pfr:1d513,Phi:3a6,Pi:3a0,PlusMinus:b1,Poincareplane:210c,",
+        "Popf:2119,Pr:2abb,Precedes:227a,PrecedesEqual:2aaf,",
+        "PrecedesSlantEqual:227c,PrecedesTilde:227e,Prime:2033,Product:220f,",
+        "Proportion:2237,Proportional:221d,Pscr:1d4ab,Psi:3a8,QUOT:22,",
+        "Qfr:1d514,Qopf:211a,Qscr:1d4ac,RBarr:2910,REG:ae,Racute:154,",
+        "Rang:27eb,Rarr:21a0,Rarrtl:2916,Rcaron:158,Rcedil:156,Rcy:420,",
+        "Re:211c,ReverseElement:220b,ReverseEquilibrium:21cb,",
+        "ReverseUpEquilibrium:296f,Rfr:211c,Rho:3a1,RightAngleBracket:27e9,",
+        "RightArrow:2192,RightArrowBar:21e5,RightArrowLeftArrow:21c4,",
+        "RightCeiling:2309,RightDoubleBracket:27e7,RightDownTeeVector:295d,",
+        "RightDownVector:21c2,RightDownVectorBar:2955,RightFloor:230b,",
+        "RightTee:22a2,RightTeeArrow:21a6,RightTeeVector:295b,",
+        "RightTriangle:22b3,RightTriangleBar:29d0,RightTriangleEqual:22b5,",
+        "RightUpDownVector:294f,RightUpTeeVector:295c,RightUpVector:21be,",
+        "RightUpVectorBar:2954,RightVector:21c0,RightVectorBar:2953,",
+        "Rightarrow:21d2,Ropf:211d,RoundImplies:2970,Rrightarrow:21db,",
+        "Rscr:211b,Rsh:21b1,RuleDelayed:29f4,SHCHcy:429,SHcy:428,SOFTcy:42c,",
+        "Sacute:15a,Sc:2abc,Scaron:160,Scedil:15e,Scirc:15c,Scy:421,",
+        "Sfr:1d516,ShortDownArrow:2193,ShortLeftArrow:2190,",
+        "ShortRightArrow:2192,ShortUpArrow:2191,Sigma:3a3,SmallCircle:2218,",
+        "Sopf:1d54a,Sqrt:221a,Square:25a1,SquareIntersection:2293,",
+        "SquareSubset:228f,SquareSubsetEqual:2291,SquareSuperset:2290,",
+        "SquareSupersetEqual:2292,SquareUnion:2294,Sscr:1d4ae,Star:22c6,",
+        "Sub:22d0,Subset:22d0,SubsetEqual:2286,Succeeds:227b,",
+        "SucceedsEqual:2ab0,SucceedsSlantEqual:227d,SucceedsTilde:227f,",
+        "SuchThat:220b,Sum:2211,Sup:22d1,Superset:2283,SupersetEqual:2287,",
+        "Supset:22d1,THORN:de,TRADE:2122,TSHcy:40b,TScy:426,Tab:9,Tau:3a4,",
+        "Tcaron:164,Tcedil:162,Tcy:422,Tfr:1d517,Therefore:2234,Theta:398,",
+        "ThickSpace:205f.200a,ThinSpace:2009,Tilde:223c,TildeEqual:2243,",
+        "TildeFullEqual:2245,TildeTilde:2248,Topf:1d54b,TripleDot:20db,",
+        "Tscr:1d4af,Tstrok:166,Uacute:da,Uarr:219f,Uarrocir:2949,Ubrcy:40e,",
+        "Ubreve:16c,Ucirc:db,Ucy:423,Udblac:170,Ufr:1d518,Ugrave:d9,",
+        "Umacr:16a,UnderBar:5f,UnderBrace:23df,UnderBracket:23b5,",
+        "UnderParenthesis:23dd,Union:22c3,UnionPlus:228e,Uogon:172,",
+        "Uopf:1d54c,UpArrow:2191,UpArrowBar:2912,UpArrowDownArrow:21c5,",
+        "UpDownArrow:2195,UpEquilibrium:296e,UpTee:22a5,UpTeeArrow:21a5,",
+        "Uparrow:21d1,Updownarrow:21d5,UpperLeftArrow:2196,",
+        "UpperRightArrow:2197,Upsi:3d2,Upsilon:3a5,Uring:16e,Uscr:1d4b0,",
+        "Utilde:168,Uuml:dc,VDash:22ab,Vbar:2aeb,Vcy:412,Vdash:22a9,",
+        "Vdashl:2ae6,Vee:22c1,Verbar:2016,Vert:2016,VerticalBar:2223,",
+        "VerticalLine:7c,VerticalSeparator:2758,VerticalTilde:2240,",
+        "VeryThinSpace:200a,Vfr:1d519,Vopf:1d54d,Vscr:1d4b1,Vvdash:22aa,",
+        "Wcirc:174,Wedge:22c0,Wfr:1d51a,Wopf:1d54e,Wscr:1d4b2,Xfr:1d51b,",
+        "Xi:39e,Xopf:1d54f,Xscr:1d4b3,YAcy:42f,YIcy:407,YUcy:42e,Yacute:dd,",
+        "Ycirc:176,Ycy:42b,Yfr:1d51c,Yopf:1d550,Yscr:1d4b4,Yuml:178,",
+        "ZHcy:416,Zacute:179,Zcaron:17d,Zcy:417,Zdot:17b,",
+        "ZeroWidthSpace:200b,Zeta:396,Zfr:2128,Zopf:2124,Zscr:1d4b5,",
+        "aacute:e1,abreve:103,ac:223e,acE:223e.333,acd:223f,acirc:e2,",
+        "acute:b4,acy:430,aelig:e6,af:2061,afr:1d51e,agrave:e0,alefsym:2135,",
+        "aleph:2135,alpha:3b1,amacr:101,amalg:2a3f,amp:26,and:2227,",
+        "andand:2a55,andd:2a5c,andslope:2a58,andv:2a5a,ang:2220,ange:29a4,",
+        "angle:2220,angmsd:2221,angmsdaa:29a8,angmsdab:29a9,angmsdac:29aa,",
+        "angmsdad:29ab,angmsdae:29ac,angmsdaf:29ad,angmsdag:29ae,",
+        "angmsdah:29af,angrt:221f,angrtvb:22be,angrtvbd:299d,angsph:2222,",
+        "angst:c5,angzarr:237c,aogon:105,aopf:1d552,ap:2248,apE:2a70,",
+        "apacir:2a6f,ape:224a,apid:224b,apos:27,approx:2248,approxeq:224a,",
+        "aring:e5,ascr:1d4b6,ast:2a,asymp:2248,asympeq:224d,atilde:e3,",
+        "auml:e4,awconint:2233,awint:2a11,bNot:2aed,backcong:224c,",
+        "backepsilon:3f6,backprime:2035,backsim:223d,backsimeq:22cd,",
+        "barvee:22bd,barwed:2305,barwedge:2305,bbrk:23b5,bbrktbrk:23b6,",
+        "bcong:224c,bcy:431,bdquo:201e,becaus:2235,because:2235,",
+        "bemptyv:29b0,bepsi:3f6,bernou:212c,beta:3b2,beth:2136,between:226c,",
+        "bfr:1d51f,bigcap:22c2,bigcirc:25ef,bigcup:22c3,bigodot:2a00,",
+        "bigoplus:2a01,bigotimes:2a02,bigsqcup:2a06,bigstar:2605,",
+        "bigtriangledown:25bd,bigtriangleup:25b3,biguplus:2a04,bigvee:22c1,",
+        "bigwedge:22c0,bkarow:290d,blacklozenge:29eb,blacksquare:25aa,",
+        "blacktriangle:25b4,blacktriangledown:25be,blacktriangleleft:25c2,",
+        "blacktriangleright:25b8,blank:2423,blk12:2592,blk14:2591,",
+        "blk34:2593,block:2588,bne:3d.20e5,bnequiv:2261.20e5,bnot:2310,",
+        "bopf:1d553,bot:22a5,bottom:22a5,bowtie:22c8,boxDL:2557,boxDR:2554,",
+        "boxDl:2556,boxDr:2553,boxH:2550,boxHD:2566,boxHU:2569,boxHd:2564,",
+        "boxHu:2567,boxUL:255d,boxUR:255a,boxUl:255c,boxUr:2559,boxV:2551,",
+        "boxVH:256c,boxVL:2563,boxVR:2560,boxVh:256b,boxVl:2562,boxVr:255f,",
+        "boxbox:29c9,boxdL:2555,boxdR:2552,boxdl:2510,boxdr:250c,boxh:2500,",
+        "boxhD:2565,boxhU:2568,boxhd:252c,boxhu:2534,boxminus:229f,",
+        "boxplus:229e,boxtimes:22a0,boxuL:255b,boxuR:2558,boxul:2518,",
+        "boxur:2514,boxv:2502,boxvH:256a,boxvL:2561,boxvR:255e,boxvh:253c,",
+        "boxvl:2524,boxvr:251c,bprime:2035,breve:2d8,brvbar:a6,bscr:1d4b7,",
+        "bsemi:204f,bsim:223d,bsime:22cd,bsol:5c,bsolb:29c5,bsolhsub:27c8,",
+        "bull:2022,bullet:2022,bump:224e,bumpE:2aae,bumpe:224f,bumpeq:224f,",
+        "cacute:107,cap:2229,capand:2a44,capbrcup:2a49,capcap:2a4b,",
+        "capcup:2a47,capdot:2a40,caps:2229.fe00,caret:2041,caron:2c7,",
+        "ccaps:2a4d,ccaron:10d,ccedil:e7,ccirc:109,ccups:2a4c,ccupssm:2a50,",
+        "cdot:10b,cedil:b8,cemptyv:29b2,cent:a2,centerdot:b7,cfr:1d520,",
+        "chcy:447,check:2713,checkmark:2713,chi:3c7,cir:25cb,cirE:29c3,",
+        "circ:2c6,circeq:2257,circlearrowleft:21ba,circlearrowright:21bb,",
+        "circledR:ae,circledS:24c8,circledast:229b,circledcirc:229a,",
+        "circleddash:229d,cire:2257,cirfnint:2a10,cirmid:2aef,cirscir:29c2,",
+        "clubs:2663,clubsuit:2663,colon:3a,colone:2254,coloneq:2254,",
+        "comma:2c,commat:40,comp:2201,compfn:2218,complement:2201,",
+        "complexes:2102,cong:2245,congdot:2a6d,conint:222e,copf:1d554,",
+        "coprod:2210,copy:a9,copysr:2117,crarr:21b5,cross:2717,cscr:1d4b8,",
+        "csub:2acf,csube:2ad1,csup:2ad0,csupe:2ad2,ctdot:22ef,cudarrl:2938,",
+        "cudarrr:2935,cuepr:22de,cuesc:22df,cularr:21b6,cularrp:293d,",
+        "cup:222a,cupbrcap:2a48,cupcap:2a46,cupcup:2a4a,cupdot:228d,",
+        "cupor:2a45,cups:222a.fe00,curarr:21b7,curarrm:293c,",
+        "curlyeqprec:22de,curlyeqsucc:22df,curlyvee:22ce,curlywedge:22cf,",
+        "curren:a4,curvearrowleft:21b6,curvearrowright:21b7,cuvee:22ce,",
+        "cuwed:22cf,cwconint:2232,cwint:2231,cylcty:232d,dArr:21d3,",
+        "dHar:2965,dagger:2020,daleth:2138,darr:2193,dash:2010,dashv:22a3,",
+        "dbkarow:290f,dblac:2dd,dcaron:10f,dcy:434,dd:2146,ddagger:2021,",
+        "ddarr:21ca,ddotseq:2a77,deg:b0,delta:3b4,demptyv:29b1,dfisht:297f,",
+        "dfr:1d521,dharl:21c3,dharr:21c2,diam:22c4,diamond:22c4,",
+        "diamondsuit:2666,diams:2666,die:a8,digamma:3dd,disin:22f2,div:f7,",
+        "divide:f7,divideontimes:22c7,divonx:22c7,djcy:452,dlcorn:231e,",
+        "dlcrop:230d,dollar:24,dopf:1d555,dot:2d9,doteq:2250,doteqdot:2251,",
+        "dotminus:2238,dotplus:2214,dotsquare:22a1,doublebarwedge:2306,",
+        "downarrow:2193,downdownarrows:21ca,downharpoonleft:21c3,",
+        "downharpoonright:21c2,drbkarow:2910,drcorn:231f,drcrop:230c,",
+        "dscr:1d4b9,dscy:455,dsol:29f6,dstrok:111,dtdot:22f1,dtri:25bf,",
+        "dtrif:25be,duarr:21f5,duhar:296f,dwangle:29a6,dzcy:45f,",
+        "dzigrarr:27ff,eDDot:2a77,eDot:2251,eacute:e9,easter:2a6e,",
+        "ecaron:11b,ecir:2256,ecirc:ea,ecolon:2255,ecy:44d,edot:117,ee:2147,",
+        "efDot:2252,efr:1d522,eg:2a9a,egrave:e8,egs:2a96,egsdot:2a98,",
+        "el:2a99,elinters:23e7,ell:2113,els:2a95,elsdot:2a97,emacr:113,",
+        "empty:2205,emptyset:2205,emptyv:2205,emsp:2003,emsp13:2004,",
+        "emsp14:2005,eng:14b,ensp:2002,eogon:119,eopf:1d556,epar:22d5,",
+        "eparsl:29e3,eplus:2a71,epsi:3b5,epsilon:3b5,epsiv:3f5,eqcirc:2256,",
+        "eqcolon:2255,eqsim:2242,eqslantgtr:2a96,eqslantless:2a95,equals:3d,",
+        "equest:225f,equiv:2261,equivDD:2a78,eqvparsl:29e5,erDot:2253,",
+        "erarr:2971,escr:212f,esdot:2250,esim:2242,eta:3b7,eth:f0,euml:eb,",
+        "euro:20ac,excl:21,exist:2203,expectation:2130,exponentiale:2147,",
+        "fallingdotseq:2252,fcy:444,female:2640,ffilig:fb03,fflig:fb00,",
+        "ffllig:fb04,ffr:1d523,filig:fb01,fjlig:66.6a,flat:266d,fllig:fb02,",
+        "fltns:25b1,fnof:192,fopf:1d557,forall:2200,fork:22d4,forkv:2ad9,",
+        "fpartint:2a0d,frac12:bd,frac13:2153,frac14:bc,frac15:2155,",
+        "frac16:2159,frac18:215b,frac23:2154,frac25:2156,frac34:be,",
+        "frac35:2157,frac38:215c,frac45:2158,frac56:215a,frac58:215d,",
+        "frac78:215e,frasl:2044,frown:2322,fscr:1d4bb,gE:2267,gEl:2a8c,",
+        "gacute:1f5,gamma:3b3,gammad:3dd,gap:2a86,gbreve:11f,gcirc:11d,",
+        "gcy:433,gdot:121,ge:2265,gel:22db,geq:2265,geqq:2267,geqslant:2a7e,",
+        "ges:2a7e,gescc:2aa9,gesdot:2a80,gesdoto:2a82,gesdotol:2a84,",
+        "gesl:22db.fe00,gesles:2a94,gfr:1d524,gg:226b,ggg:22d9,gimel:2137,",
+        "gjcy:453,gl:2277,glE:2a92,gla:2aa5,glj:2aa4,gnE:2269,gnap:2a8a,",
+        "gnapprox:2a8a,gne:2a88,gneq:2a88,gneqq:2269,gnsim:22e7,gopf:1d558,",
+        "grave:60,gscr:210a,gsim:2273,gsime:2a8e,gsiml:2a90,gt:3e,gtcc:2aa7,",
+        "gtcir:2a7a,gtdot:22d7,gtlPar:2995,gtquest:2a7c,gtrapprox:2a86,",
+        "gtrarr:2978,gtrdot:22d7,gtreqless:22db,gtreqqless:2a8c,",
+        "gtrless:2277,gtrsim:2273,gvertneqq:2269.fe00,gvnE:2269.fe00,",
+        "hArr:21d4,hairsp:200a,half:bd,hamilt:210b,hardcy:44a,harr:2194,",
+        "harrcir:2948,harrw:21ad,hbar:210f,hcirc:125,hearts:2665,",
+        "heartsuit:2665,hellip:2026,hercon:22b9,hfr:1d525,hksearow:2925,",
+        "hkswarow:2926,hoarr:21ff,homtht:223b,hookleftarrow:21a9,",
+        "hookrightarrow:21aa,hopf:1d559,horbar:2015,hscr:1d4bd,hslash:210f,",
+        "hstrok:127,hybull:2043,hyphen:2010,iacute:ed,ic:2063,icirc:ee,",
+        "icy:438,iecy:435,iexcl:a1,iff:21d4,ifr:1d526,igrave:ec,ii:2148,",
+        "iiiint:2a0c,iiint:222d,iinfin:29dc,iiota:2129,ijlig:133,imacr:12b,",
+        "image:2111,imagline:2110,imagpart:2111,imath:131,imof:22b7,",
+        "imped:1b5,in:2208,incare:2105,infin:221e,infintie:29dd,inodot:131,",
+        "int:222b,intcal:22ba,integers:2124,intercal:22ba,intlarhk:2a17,",
+        "intprod:2a3c,iocy:451,iogon:12f,iopf:1d55a,iota:3b9,iprod:2a3c,",
+        "iquest:bf,iscr:1d4be,isin:2208,isinE:22f9,isindot:22f5,isins:22f4,",
+        "isinsv:22f3,isinv:2208,it:2062,itilde:129,iukcy:456,iuml:ef,",
+        "jcirc:135,jcy:439,jfr:1d527,jmath:237,jopf:1d55b,jscr:1d4bf,",
+        "jsercy:458,jukcy:454,kappa:3ba,kappav:3f0,kcedil:137,kcy:43a,",
+        "kfr:1d528,kgreen:138,khcy:445,kjcy:45c,kopf:1d55c,kscr:1d4c0,",
+        "lAarr:21da,lArr:21d0,lAtail:291b,lBarr:290e,lE:2266,lEg:2a8b,",
+        "lHar:2962,lacute:13a,laemptyv:29b4,lagran:2112,lambda:3bb,",
+        "lang:27e8,langd:2991,langle:27e8,lap:2a85,laquo:ab,larr:2190,",
+        "larrb:21e4,larrbfs:291f,larrfs:291d,larrhk:21a9,larrlp:21ab,",
+        "larrpl:2939,larrsim:2973,larrtl:21a2,lat:2aab,latail:2919,",
+        "late:2aad,lates:2aad.fe00,lbarr:290c,lbbrk:2772,lbrace:7b,",
+        "lbrack:5b,lbrke:298b,lbrksld:298f,lbrkslu:298d,lcaron:13e,",
+        "lcedil:13c,lceil:2308,lcub:7b,lcy:43b,ldca:2936,ldquo:201c,",
+        "ldquor:201e,ldrdhar:2967,ldrushar:294b,ldsh:21b2,le:2264,",
+        "leftarrow:2190,leftarrowtail:21a2,leftharpoondown:21bd,",
+        "leftharpoonup:21bc,leftleftarrows:21c7,leftrightarrow:2194,",
+        "leftrightarrows:21c6,leftrightharpoons:21cb,",
+        "leftrightsquigarrow:21ad,leftthreetimes:22cb,leg:22da,leq:2264,",
+        "leqq:2266,leqslant:2a7d,les:2a7d,lescc:2aa8,lesdot:2a7f,",
+        "lesdoto:2a81,lesdotor:2a83,lesg:22da.fe00,lesges:2a93,",
+        "lessapprox:2a85,lessdot:22d6,lesseqgtr:22da,lesseqqgtr:2a8b,",
+        "lessgtr:2276,lesssim:2272,lfisht:297c,lfloor:230a,lfr:1d529,",
+        "lg:2276,lgE:2a91,lhard:21bd,lharu:21bc,lharul:296a,lhblk:2584,",
+        "ljcy:459,ll:226a,llarr:21c7,llcorner:231e,llhard:296b,lltri:25fa,",
+        "lmidot:140,lmoust:23b0,lmoustache:23b0,lnE:2268,lnap:2a89,",
+        "lnapprox:2a89,lne:2a87,lneq:2a87,lneqq:2268,lnsim:22e6,loang:27ec,",
+        "loarr:21fd,lobrk:27e6,longleftarrow:27f5,longleftrightarrow:27f7,",
+        "longmapsto:27fc,longrightarrow:27f6,looparrowleft:21ab,",
+        "looparrowright:21ac,lopar:2985,lopf:1d55d,loplus:2a2d,lotimes:2a34,",
+        "lowast:2217,lowbar:5f,loz:25ca,lozenge:25ca,lozf:29eb,lpar:28,",
+        "lparlt:2993,lrarr:21c6,lrcorner:231f,lrhar:21cb,lrhard:296d,",
+        "lrm:200e,lrtri:22bf,lsaquo:2039,lscr:1d4c1,lsh:21b0,lsim:2272,",
+        "lsime:2a8d,lsimg:2a8f,lsqb:5b,lsquo:2018,lsquor:201a,lstrok:142,",
+        "lt:3c,ltcc:2aa6,ltcir:2a79,ltdot:22d6,lthree:22cb,ltimes:22c9,",
+        "ltlarr:2976,ltquest:2a7b,ltrPar:2996,ltri:25c3,ltrie:22b4,",
+        "ltrif:25c2,lurdshar:294a,luruhar:2966,lvertneqq:2268.fe00,",
+        "lvnE:2268.fe00,mDDot:223a,macr:af,male:2642,malt:2720,maltese:2720,",
+        "map:21a6,mapsto:21a6,mapstodown:21a7,mapstoleft:21a4,mapstoup:21a5,",
+        "marker:25ae,mcomma:2a29,mcy:43c,mdash:2014,measuredangle:2221,",
+        "mfr:1d52a,mho:2127,micro:b5,mid:2223,midast:2a,midcir:2af0,",
+        "middot:b7,minus:2212,minusb:229f,minusd:2238,minusdu:2a2a,",
+        "mlcp:2adb,mldr:2026,mnplus:2213,models:22a7,mopf:1d55e,mp:2213,",
+        "mscr:1d4c2,mstpos:223e,mu:3bc,multimap:22b8,mumap:22b8,",
+        "nGg:22d9.338,nGt:226b.20d2,nGtv:226b.338,nLeftarrow:21cd,",
+        "nLeftrightarrow:21ce,nLl:22d8.338,nLt:226a.20d2,nLtv:226a.338,",
+        "nRightarrow:21cf,nVDash:22af,nVdash:22ae,nabla:2207,nacute:144,",
+        "nang:2220.20d2,nap:2249,napE:2a70.338,napid:224b.338,napos:149,",
+        "napprox:2249,natur:266e,natural:266e,naturals:2115,nbsp:a0,",
+        "nbump:224e.338,nbumpe:224f.338,ncap:2a43,ncaron:148,ncedil:146,",
+        "ncong:2247,ncongdot:2a6d.338,ncup:2a42,ncy:43d,ndash:2013,ne:2260,",
+        "neArr:21d7,nearhk:2924,nearr:2197,nearrow:2197,nedot:2250.338,",
+        "nequiv:2262,nesear:2928,nesim:2242.338,nexist:2204,nexists:2204,",
+        "nfr:1d52b,ngE:2267.338,nge:2271,ngeq:2271,ngeqq:2267.338,",
+        "ngeqslant:2a7e.338,nges:2a7e.338,ngsim:2275,ngt:226f,ngtr:226f,",
+        "nhArr:21ce,nharr:21ae,nhpar:2af2,ni:220b,nis:22fc,nisd:22fa,",
+        "niv:220b,njcy:45a,nlArr:21cd,nlE:2266.338,nlarr:219a,nldr:2025,",
+        "nle:2270,nleftarrow:219a,nleftrightarrow:21ae,nleq:2270,",
+        "nleqq:2266.338,nleqslant:2a7d.338,nles:2a7d.338,nless:226e,",
+        "nlsim:2274,nlt:226e,nltri:22ea,nltrie:22ec,nmid:2224,nopf:1d55f,",
+        "not:ac,notin:2209,notinE:22f9.338,notindot:22f5.338,notinva:2209,",
+        "notinvb:22f7,notinvc:22f6,notni:220c,notniva:220c,notnivb:22fe,",
+        "notnivc:22fd,npar:2226,nparallel:2226,nparsl:2afd.20e5,",
+        "npart:2202.338,npolint:2a14,npr:2280,nprcue:22e0,npre:2aaf.338,",
+        "nprec:2280,npreceq:2aaf.338,nrArr:21cf,nrarr:219b,nrarrc:2933.338,",
+        "nrarrw:219d.338,nrightarrow:219b,nrtri:22eb,nrtrie:22ed,nsc:2281,",
+        "nsccue:22e1,nsce:2ab0.338,nscr:1d4c3,nshortmid:2224,",
+        "nshortparallel:2226,nsim:2241,nsime:2244,nsimeq:2244,nsmid:2224,",
+        "nspar:2226,nsqsube:22e2,nsqsupe:22e3,nsub:2284,nsubE:2ac5.338,",
+        "nsube:2288,nsubset:2282.20d2,nsubseteq:2288,nsubseteqq:2ac5.338,",
+        "nsucc:2281,nsucceq:2ab0.338,nsup:2285,nsupE:2ac6.338,nsupe:2289,",
+        "nsupset:2283.20d2,nsupseteq:2289,nsupseteqq:2ac6.338,ntgl:2279,",
+        "ntilde:f1,ntlg:2278,ntriangleleft:22ea,ntrianglelefteq:22ec,",
+        "ntriangleright:22eb,ntrianglerighteq:22ed,nu:3bd,num:23,",
+        "numero:2116,numsp:2007,nvDash:22ad,nvHarr:2904,nvap:224d.20d2,",
+        "nvdash:22ac,nvge:2265.20d2,nvgt:3e.20d2,nvinfin:29de,nvlArr:2902,",
+        "nvle:2264.20d2,nvlt:3c.20d2,nvltrie:22b4.20d2,nvrArr:2903,",
+        "nvrtrie:22b5.20d2,nvsim:223c.20d2,nwArr:21d6,nwarhk:2923,",
+        "nwarr:2196,nwarrow:2196,nwnear:2927,oS:24c8,oacute:f3,oast:229b,",
+        "ocir:229a,ocirc:f4,ocy:43e,odash:229d,odblac:151,odiv:2a38,",
+        "odot:2299,odsold:29bc,oelig:153,ofcir:29bf,ofr:1d52c,ogon:2db,",
+        "ograve:f2,ogt:29c1,ohbar:29b5,ohm:3a9,oint:222e,olarr:21ba,",
+        "olcir:29be,olcross:29bb,oline:203e,olt:29c0,omacr:14d,omega:3c9,",
+        "omicron:3bf,omid:29b6,ominus:2296,oopf:1d560,opar:29b7,operp:29b9,",
+        "oplus:2295,or:2228,orarr:21bb,ord:2a5d,order:2134,orderof:2134,",
+        "ordf:aa,ordm:ba,origof:22b6,oror:2a56,orslope:2a57,orv:2a5b,",
+        "oscr:2134,oslash:f8,osol:2298,otilde:f5,otimes:2297,otimesas:2a36,",
+        "ouml:f6,ovbar:233d,par:2225,para:b6,parallel:2225,parsim:2af3,",
+        "parsl:2afd,part:2202,pcy:43f,percnt:25,period:2e,permil:2030,",
+        "perp:22a5,pertenk:2031,pfr:1d52d,phi:3c6,phiv:3d5,phmmat:2133,",
+        "phone:260e,pi:3c0,pitchfork:22d4,piv:3d6,planck:210f,planckh:210e,",
+        "plankv:210f,plus:2b,plusacir:2a23,plusb:229e,pluscir:2a22,",
+        "plusdo:2214,plusdu:2a25,pluse:2a72,plusmn:b1,plussim:2a26,",
+        "plustwo:2a27,pm:b1,pointint:2a15,popf:1d561,pound:a3,pr:227a,",
+        "prE:2ab3,prap:2ab7,prcue:227c,pre:2aaf,prec:227a,precapprox:2ab7,",
+        "preccurlyeq:227c,preceq:2aaf,precnapprox:2ab9,precneqq:2ab5,",
+        "precnsim:22e8,precsim:227e,prime:2032,primes:2119,prnE:2ab5,",
+        "prnap:2ab9,prnsim:22e8,prod:220f,profalar:232e,profline:2312,",
+        "profsurf:2313,prop:221d,propto:221d,prsim:227e,prurel:22b0,",
+        "pscr:1d4c5,psi:3c8,puncsp:2008,qfr:1d52e,qint:2a0c,qopf:1d562,",
+        "qprime:2057,qscr:1d4c6,quaternions:210d,quatint:2a16,quest:3f,",
+        "questeq:225f,quot:22,rAarr:21db,rArr:21d2,rAtail:291c,rBarr:290f,",
+        "rHar:2964,race:223d.331,racute:155,radic:221a,raemptyv:29b3,",
+        "rang:27e9,rangd:2992,range:29a5,rangle:27e9,raquo:bb,rarr:2192,",
+        "rarrap:2975,rarrb:21e5,rarrbfs:2920,rarrc:2933,rarrfs:291e,",
+        "rarrhk:21aa,rarrlp:21ac,rarrpl:2945,rarrsim:2974,rarrtl:21a3,",
+        "rarrw:219d,ratail:291a,ratio:2236,rationals:211a,rbarr:290d,",
+        "rbbrk:2773,rbrace:7d,rbrack:5d,rbrke:298c,rbrksld:298e,",
+        "rbrkslu:2990,rcaron:159,rcedil:157,rceil:2309,rcub:7d,rcy:440,",
+        "rdca:2937,rdldhar:2969,rdquo:201d,rdquor:201d,rdsh:21b3,real:211c,",
+        "realine:211b,realpart:211c,reals:211d,rect:25ad,reg:ae,rfisht:297d,",
+        "rfloor:230b,rfr:1d52f,rhard:21c1,rharu:21c0,rharul:296c,rho:3c1,",
+        "rhov:3f1,rightarrow:2192,rightarrowtail:21a3,rightharpoondown:21c1,",
+        "rightharpoonup:21c0,rightleftarrows:21c4,rightleftharpoons:21cc,",
+        "rightrightarrows:21c9,rightsquigarrow:219d,rightthreetimes:22cc,",
+        "ring:2da,risingdotseq:2253,rlarr:21c4,rlhar:21cc,rlm:200f,",
+        "rmoust:23b1,rmoustache:23b1,rnmid:2aee,roang:27ed,roarr:21fe,",
+        "robrk:27e7,ropar:2986,ropf:1d563,roplus:2a2e,rotimes:2a35,rpar:29,",
+        "rpargt:2994,rppolint:2a12,rrarr:21c9,rsaquo:203a,rscr:1d4c7,",
+        "rsh:21b1,rsqb:5d,rsquo:2019,rsquor:2019,rthree:22cc,rtimes:22ca,",
+        "rtri:25b9,rtrie:22b5,rtrif:25b8,rtriltri:29ce,ruluhar:2968,rx:211e,",
+        "sacute:15b,sbquo:201a,sc:227b,scE:2ab4,scap:2ab8,scaron:161,",
+        "sccue:227d,sce:2ab0,scedil:15f,scirc:15d,scnE:2ab6,scnap:2aba,",
+        "scnsim:22e9,scpolint:2a13,scsim:227f,scy:441,sdot:22c5,sdotb:22a1,",
+        "sdote:2a66,seArr:21d8,searhk:2925,searr:2198,searrow:2198,sect:a7,",
+        "semi:3b,seswar:2929,setminus:2216,setmn:2216,sext:2736,sfr:1d530,",
+        "sfrown:2322,sharp:266f,shchcy:449,shcy:448,shortmid:2223,",
+        "shortparallel:2225,shy:ad,sigma:3c3,sigmaf:3c2,sigmav:3c2,sim:223c,",
+        "simdot:2a6a,sime:2243,simeq:2243,simg:2a9e,simgE:2aa0,siml:2a9d,",
+        "simlE:2a9f,simne:2246,simplus:2a24,simrarr:2972,slarr:2190,",
+        "smallsetminus:2216,smashp:2a33,smeparsl:29e4,smid:2223,smile:2323,",
+        "smt:2aaa,smte:2aac,smtes:2aac.fe00,softcy:44c,sol:2f,solb:29c4,",
+        "solbar:233f,sopf:1d564,spades:2660,spadesuit:2660,spar:2225,",
+        "sqcap:2293,sqcaps:2293.fe00,sqcup:2294,sqcups:2294.fe00,sqsub:228f,",
+        "sqsube:2291,sqsubset:228f,sqsubseteq:2291,sqsup:2290,sqsupe:2292,",
+        "sqsupset:2290,sqsupseteq:2292,squ:25a1,square:25a1,squarf:25aa,",
+        "squf:25aa,srarr:2192,sscr:1d4c8,ssetmn:2216,ssmile:2323,",
+        "sstarf:22c6,star:2606,starf:2605,straightepsilon:3f5,",
+        "straightphi:3d5,strns:af,sub:2282,subE:2ac5,subdot:2abd,sube:2286,",
+        "subedot:2ac3,submult:2ac1,subnE:2acb,subne:228a,subplus:2abf,",
+        "subrarr:2979,subset:2282,subseteq:2286,subseteqq:2ac5,",
+        "subsetneq:228a,subsetneqq:2acb,subsim:2ac7,subsub:2ad5,subsup:2ad3,",
+        "succ:227b,succapprox:2ab8,succcurlyeq:227d,succeq:2ab0,",
+        "succnapprox:2aba,succneqq:2ab6,succnsim:22e9,succsim:227f,sum:2211,",
+        "sung:266a,sup:2283,sup1:b9,sup2:b2,sup3:b3,supE:2ac6,supdot:2abe,",
+        "supdsub:2ad8,supe:2287,supedot:2ac4,suphsol:27c9,suphsub:2ad7,",
+        "suplarr:297b,supmult:2ac2,supnE:2acc,supne:228b,supplus:2ac0,",
+        "supset:2283,supseteq:2287,supseteqq:2ac6,supsetneq:228b,",
+        "supsetneqq:2acc,supsim:2ac8,supsub:2ad4,supsup:2ad6,swArr:21d9,",
+        "swarhk:2926,swarr:2199,swarrow:2199,swnwar:292a,szlig:df,",
+        "target:2316,tau:3c4,tbrk:23b4,tcaron:165,tcedil:163,tcy:442,",
+        "tdot:20db,telrec:2315,tfr:1d531,there4:2234,therefore:2234,",
+        "theta:3b8,thetasym:3d1,thetav:3d1,thickapprox:2248,thicksim:223c,",
+        "thinsp:2009,thkap:2248,thksim:223c,thorn:fe,tilde:2dc,times:d7,",
+        "timesb:22a0,timesbar:2a31,timesd:2a30,tint:222d,toea:2928,top:22a4,",
+        "topbot:2336,topcir:2af1,topf:1d565,topfork:2ada,tosa:2929,",
+        "tprime:2034,trade:2122,triangle:25b5,triangledown:25bf,",
+        "triangleleft:25c3,trianglelefteq:22b4,triangleq:225c,",
+        "triangleright:25b9,trianglerighteq:22b5,tridot:25ec,trie:225c,",
+        "triminus:2a3a,triplus:2a39,trisb:29cd,tritime:2a3b,trpezium:23e2,",
+        "tscr:1d4c9,tscy:446,tshcy:45b,tstrok:167,twixt:226c,",
+        "twoheadleftarrow:219e,twoheadrightarrow:21a0,uArr:21d1,uHar:2963,",
+        "uacute:fa,uarr:2191,ubrcy:45e,ubreve:16d,ucirc:fb,ucy:443,",
+        "udarr:21c5,udblac:171,udhar:296e,ufisht:297e,ufr:1d532,ugrave:f9,",
+        "uharl:21bf,uharr:21be,uhblk:2580,ulcorn:231c,ulcorner:231c,",
+        "ulcrop:230f,ultri:25f8,umacr:16b,uml:a8,uogon:173,uopf:1d566,",
+        "uparrow:2191,updownarrow:2195,upharpoonleft:21bf,",
+        "upharpoonright:21be,uplus:228e,upsi:3c5,upsih:3d2,upsilon:3c5,",
+        "upuparrows:21c8,urcorn:231d,urcorner:231d,urcrop:230e,uring:16f,",
+        "urtri:25f9,uscr:1d4ca,utdot:22f0,utilde:169,utri:25b5,utrif:25b4,",
+        "uuarr:21c8,uuml:fc,uwangle:29a7,vArr:21d5,vBar:2ae8,vBarv:2ae9,",
+        "vDash:22a8,vangrt:299c,varepsilon:3f5,varkappa:3f0,varnothing:2205,",
+        "varphi:3d5,varpi:3d6,varpropto:221d,varr:2195,varrho:3f1,",
+        "varsigma:3c2,varsubsetneq:228a.fe00,varsubsetneqq:2acb.fe00,",
+        "varsupsetneq:228b.fe00,varsupsetneqq:2acc.fe00,vartheta:3d1,",
+        "vartriangleleft:22b2,vartriangleright:22b3,vcy:432,vdash:22a2,",
+        "vee:2228,veebar:22bb,veeeq:225a,vellip:22ee,verbar:7c,vert:7c,",
+        "vfr:1d533,vltri:22b2,vnsub:2282.20d2,vnsup:2283.20d2,vopf:1d567,",
+        "vprop:221d,vrtri:22b3,vscr:1d4cb,vsubnE:2acb.fe00,vsubne:228a.fe00,",
+        "vsupnE:2acc.fe00,vsupne:228b.fe00,vzigzag:299a,wcirc:175,",
+        "wedbar:2a5f,wedge:2227,wedgeq:2259,weierp:2118,wfr:1d534,",
+        "wopf:1d568,wp:2118,wr:2240,wreath:2240,wscr:1d4cc,xcap:22c2,",
+        "xcirc:25ef,xcup:22c3,xdtri:25bd,xfr:1d535,xhArr:27fa,xharr:27f7,",
+        "xi:3be,xlArr:27f8,xlarr:27f5,xmap:27fc,xnis:22fb,xodot:2a00,",
+        "xopf:1d569,xoplus:2a01,xotime:2a02,xrArr:27f9,xrarr:27f6,",
+        "xscr:1d4cd,xsqcup:2a06,xuplus:2a04,xutri:25b3,xvee:22c1,",
+        "xwedge:22c0,yacute:fd,yacy:44f,ycirc:177,ycy:44b,yen:a5,yfr:1d536,",
+        "yicy:457,yopf:1d56a,yscr:1d4ce,yucy:44e,yuml:ff,zacute:17a,",
+        "zcaron:17e,zcy:437,zdot:17c,zeetrf:2128,zeta:3b6,zfr:1d537,",
+        "zhcy:436,zigrarr:21dd,zopf:1d56b,zscr:1d4cf,zwj:200d,zwnj:200c",
+    ].join("");
+
     /**
      * Optional Node Support. Additionally if using webpack or a bundler is being used
      * and only compiling is needed lower-level API settings can be used to prevent
@@ -1903,11 +6846,35 @@
         return; // Web Browser is not being used so do not run any setup code below
     }
 
+    // Running in a Web Worker created by [jsxLoader.worker]
+    if (
+        typeof document === "undefined" &&
+        typeof importScripts === "function"
+    ) {
+        self.onmessage = handleWorkerMessage;
+        return;
+    }
+
     /**
      * Assign [jsxLoader] as a global property to the [window] object
      */
     window.jsxLoader = jsxLoader;
 
+    window.addEventListener("error", function (e) {
+        // Errors from loading resources such as <img> are not ErrorEvents
+        if (e instanceof ErrorEvent) {
+            showRuntimeError(
+                e.error || e.message,
+                e.filename,
+                e.lineno,
+                e.colno,
+            );
+        }
+    });
+    window.addEventListener("unhandledrejection", function (e) {
+        showRuntimeError(e.reason);
+    });
+
     document.addEventListener("DOMContentLoaded", function () {
         jsxLoader.setup();
     });
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Development Server for jsxLoader
+ *
+ * Serves static files from a directory and sends a message to the browser each
+ * time a file changes so that jsxLoader can compile and run only the changed JSX
+ * (see `jsxLoader.liveReload` in [jsxLoader.js]). No dependencies are required.
+ *
+ * Usage:
+ *     node scripts/dev-server.js [directory] [--port 8080]
+ *
+ * Then enable live reload on the page before the 'DOMContentLoaded' event:
+ *     jsxLoader.liveReload = true;
+ */
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const eventsUrl = "/__jsxloader/events";
+const contentTypes = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".jsx": "text/jsx; charset=utf-8",
+    ".tsx": "text/tsx; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".gif": "image/gif",
+    ".ico": "image/x-icon",
+    ".woff2": "font/woff2",
+    ".txt": "text/plain; charset=utf-8",
+};
+
+function parseArgs(argv) {
+    const options = { root: process.cwd(), port: 8080 };
+    for (let n = 0; n < argv.length; n++) {
+        if (argv[n] === "--port") {
+            options.port = parseInt(argv[++n], 10);
+        } else {
+            options.root = path.resolve(argv[n]);
+        }
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const clients = [];
+
+function sendEvent(message) {
+    const data = "data: " + JSON.stringify(message) + "\n\n";
+    clients.forEach((res) => res.write(data));
+}
+
+function serveFile(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split("?")[0]);
+    } catch (e) {
+        // Malformed escape sequence such as `/%E0%A4%A`
+        res.writeHead(400);
+        res.end("Bad Request");
+        return;
+    }
+    let filePath = path.join(options.root, urlPath);
+    if (
+        filePath !== options.root &&
+        !filePath.startsWith(options.root + path.sep)
+    ) {
+        res.writeHead(403);
+        res.end("Forbidden");
+        return;
+    }
+    fs.stat(filePath, (err, stat) => {
+        if (!err && stat.isDirectory()) {
+            filePath = path.join(filePath, "index.html");
+        }
+        fs.readFile(filePath, (err, data) => {
+            if (err) {
+                res.writeHead(404, {
+                    "Content-Type": "text/plain; charset=utf-8",
+                });
+                res.end("Not Found: " + urlPath);
+                return;
+            }
+            res.writeHead(200, {
+                "Content-Type":
+                    contentTypes[path.extname(filePath).toLowerCase()] ||
+                    "application/octet-stream",
+                "Cache-Control": "no-store",
+            });
+            res.end(data);
+        });
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.url === eventsUrl) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-store",
+            Connection: "keep-alive",
+        });
+        res.write(": connected\n\n");
+        clients.push(res);
+        req.on("close", () => clients.splice(clients.indexOf(res), 1));
+        return;
+    }
+    serveFile(req, res);
+});
+
+const ignoredRegex = /(^|[\\/])(\.git|node_modules)([\\/]|$)/;
+
+// Recursive `fs.watch()` needs Node 19.1 or later on Linux
+const [major, minor] = process.versions.node.split(".").map(Number);
+const canWatchRecursive =
+    process.platform === "darwin" ||
+    process.platform === "win32" ||
+    major > 19 ||
+    (major === 19 && minor >= 1);
+
+// Call [onChange] with the path of each changed file relative to [root]. Without
+// recursive `fs.watch()` each directory is watched, including new directories.
+function watchFiles(root, onChange) {
+    if (canWatchRecursive) {
+        fs.watch(root, { recursive: true }, (eventType, fileName) => {
+            if (fileName) {
+                onChange(fileName);
+            }
+        });
+        return;
+    }
+    const watchers = new Map();
+    function unwatchDirectory(dir) {
+        watchers.forEach((watcher, item) => {
+            if (item === dir || item.startsWith(dir + path.sep)) {
+                watcher.close();
+                watchers.delete(item);
+            }
+        });
+    }
+    function watchDirectory(dir) {
+        if (watchers.has(dir) || ignoredRegex.test(path.relative(root, dir))) {
+            return;
+        }
+        try {
+            const watcher = fs.watch(dir, (eventType, fileName) => {
+                // Deleting the directory sends an event with its own name
+                if (!fs.existsSync(dir)) {
+                    unwatchDirectory(dir);
+                    return;
+                }
+                if (!fileName) {
+                    return;
+                }
+                const file = path.join(dir, fileName);
+                fs.stat(file, (err, stat) => {
+                    if (err) {
+                        unwatchDirectory(file);
+                    } else if (stat.isDirectory()) {
+                        watchDirectory(file);
+                    }
+                });
+                onChange(path.relative(root, file));
+            });
+            watcher.on("error", () => unwatchDirectory(dir));
+            watchers.set(dir, watcher);
+            fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+                if (entry.isDirectory()) {
+                    watchDirectory(path.join(dir, entry.name));
+                }
+            });
+        } catch (e) {
+            if (dir === root) {
+                throw e;
+            }
+            // Deleted before it could be watched
+            unwatchDirectory(dir);
+        }
+    }
+    watchDirectory(root);
+}
+
+// Editors often write a file more than once when saving so changes are
+// grouped together for a short time before sending them to the browser.
+const pending = new Map();
+watchFiles(options.root, (fileName) => {
+    if (ignoredRegex.test(fileName)) {
+        return;
+    }
+    const file = "/" + fileName.split(path.sep).join("/");
+    clearTimeout(pending.get(file));
+    pending.set(
+        file,
+        setTimeout(() => {
+            pending.delete(file);
+            console.log("Changed: " + file);
+            sendEvent({ type: "change", file: file });
+        }, 50),
+    );
+});
+
+// Comments keep connections open through proxies that close idle connections
+setInterval(() => {
+    clients.forEach((res) => res.write(": ping\n\n"));
+}, 30000).unref();
+
+server.listen(options.port, () => {
+    console.log("Serving " + options.root);
+    console.log("http://localhost:" + options.port + "/");
+});
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * jsxloader CLI
+ *
+ * Precompile JSX to JavaScript with the same compiler that [jsxLoader.js] uses in
+ * the browser so a site can ship compiled code instead of compiling on page load.
+ * TypeScript `.tsx` files have their types removed, see `compiler.stripTypes()`.
+ *
+ * Usage:
+ *     node scripts/jsxloader.js <file|directory> [options]
+ *
+ * Options:
+ *     --out-dir <dir>        Output directory, defaults to the same directory as each file
+ *     --framework <name>     Use framework settings, for example "preact" (see `jsxLoader.frameworks`)
+ *     --pragma <name>        Function for elements, default "React.createElement"
+ *     --pragma-frag <name>   Component for fragments, default "React.Fragment"
+ *     --runtime <name>       "classic" or "automatic"
+ *     --import-source <name> Package for the automatic runtime, default "react"
+ *     --source-maps [inline] Write a `.js.map` file for each file or add inline Source Maps
+ *     --print <mode>         Layout of compiled elements: "pretty" (default), "compact" or "minify",
+ *                            "pretty" uses `tabWidth` from `.prettierrc` in the current directory
+ *     --preserve-lines       Keep the generated code on the same line numbers as the JSX
+ *     --keep-comments        Keep comments from the JavaScript code, for example license headers
+ *     --plugin <file>        Add a compiler plugin from a module that exports it, can be repeated,
+ *                            see `compiler.use()`
+ *     --html <file>          Rewrite <script type="text/babel"> elements in an HTML file
+ *                            to use the compiled files, saved to the output directory
+ *     --watch                Compile files again when they change
+ *
+ * Example:
+ *     node scripts/jsxloader.js index.jsx --framework preact --out-dir dist --html index.html
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { jsxLoader } = require("../jsxLoader.js");
+
+jsxLoader.logCompileTime = false;
+
+const usage =
+    "Usage: node scripts/jsxloader.js <file|directory> [--out-dir <dir>] [--framework <name>] " +
+    "[--pragma <name>] [--pragma-frag <name>] [--runtime <classic|automatic>] " +
+    "[--import-source <name>] [--source-maps [inline]] [--print <pretty|compact|minify>] " +
+    "[--preserve-lines] [--keep-comments] [--plugin <file>] " +
+    "[--html <file>] [--watch]";
+
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        outDir: null,
+        framework: null,
+        pragma: null,
+        pragmaFrag: null,
+        runtime: null,
+        importSource: null,
+        sourceMaps: false,
+        printMode: null,
+        preserveLines: false,
+        keepComments: false,
+        plugins: [],
+        html: null,
+        watch: false,
+    };
+    for (let n = 0; n < argv.length; n++) {
+        const arg = argv[n];
+        switch (arg) {
+            case "--out-dir":
+                options.outDir = path.resolve(argv[++n]);
+                break;
+            case "--framework":
+                options.framework = argv[++n];
+                break;
+            case "--pragma":
+                options.pragma = argv[++n];
+                break;
+            case "--pragma-frag":
+                options.pragmaFrag = argv[++n];
+                break;
+            case "--runtime":
+                options.runtime = argv[++n];
+                break;
+            case "--import-source":
+                options.importSource = argv[++n];
+                break;
+            case "--source-maps":
+                options.sourceMaps = true;
+                if (argv[n + 1] === "inline") {
+                    options.sourceMaps = "inline";
+                    n++;
+                }
+                break;
+            case "--print":
+                options.printMode = argv[++n];
+                break;
+            case "--preserve-lines":
+                options.preserveLines = true;
+                break;
+            case "--keep-comments":
+                options.keepComments = true;
+                break;
+            case "--plugin":
+                options.plugins.push(path.resolve(argv[++n]));
+                break;
+            case "--html":
+                options.html = path.resolve(argv[++n]);
+                break;
+            case "--watch":
+                options.watch = true;
+                break;
+            case "--help":
+            case "-h":
+                console.log(usage);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith("--") || options.input !== null) {
+                    throw new Error("Unknown argument: " + arg + "\n" + usage);
+                }
+                options.input = path.resolve(arg);
+        }
+    }
+    if (options.input === null) {
+        throw new Error(usage);
+    }
+    return options;
+}
+
+// Return `tabWidth` from a JSON `.prettierrc` in the current directory or `null`
+function readTabWidth() {
+    const file = path.join(process.cwd(), ".prettierrc");
+    try {
+        const config = JSON.parse(fs.readFileSync(file, "utf8"));
+        return typeof config.tabWidth === "number" ? config.tabWidth : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Return all `.jsx` and `.tsx` files for a file or directory
+function findFiles(input) {
+    if (!fs.statSync(input).isDirectory()) {
+        return [input];
+    }
+    let files = [];
+    fs.readdirSync(input, { withFileTypes: true }).forEach((entry) => {
+        const fullPath = path.join(input, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== "node_modules" && !entry.name.startsWith(".")) {
+                files = files.concat(findFiles(fullPath));
+            }
+        } else if (/\.[jt]sx$/.test(entry.name)) {
+            files.push(fullPath);
+        }
+    });
+    return files;
+}
+
+function getOutputPath(file, options) {
+    const baseDir = fs.statSync(options.input).isDirectory()
+        ? options.input
+        : path.dirname(options.input);
+    const outDir = options.outDir || baseDir;
+    return path
+        .join(outDir, path.relative(baseDir, file))
+        .replace(/\.[jt]sx$/, ".js");
+}
+
+// Imports of other JSX files use the compiled `.js` files
+function rewriteImports(js) {
+    return js.replace(
+        /(\bimport\s*(?:[\w$*{}\s,]+?\s*from\s*)?|\bexport\s*(?:[\w$*{}\s,]+?\s*from\s*)|\bimport\s*\(\s*)(["'])(\.{1,2}\/[^"'\n]+?)\.[jt]sx\2/g,
+        "$1$2$3.js$2",
+    );
+}
+
+function compileCode(text, fileName, options, typescript) {
+    const result = jsxLoader.compiler.compile(text, {
+        sourceMap: options.sourceMaps !== false,
+        fileName: fileName,
+        typescript: typescript,
+    });
+    let js = options.sourceMaps !== false ? result.code : result;
+    const lineCount = js.split("\n").length;
+    jsxLoader.jsUpdates.forEach((item) => {
+        js = js.replace(item.find, item.replace);
+    });
+    js = rewriteImports(js);
+    if (/^\s*(import|export)\b/m.test(js)) {
+        js = jsxLoader.addImports(js);
+    }
+    return {
+        js: js,
+        map: options.sourceMaps !== false ? result.map : null,
+        addedLines: js.split("\n").length - lineCount,
+    };
+}
+
+function compileFile(file, options) {
+    const outFile = getOutputPath(file, options);
+    const sourceName = path
+        .relative(path.dirname(outFile), file)
+        .split(path.sep)
+        .join("/");
+    const compiled = compileCode(
+        fs.readFileSync(file, "utf8"),
+        sourceName,
+        options,
+        file.endsWith(".tsx"),
+    );
+    let js = compiled.js;
+    if (compiled.map !== null) {
+        const map = Object.assign({}, compiled.map, {
+            file: path.basename(outFile),
+            mappings: ";".repeat(compiled.addedLines) + compiled.map.mappings,
+        });
+        if (options.sourceMaps === "inline") {
+            js +=
+                "\n//# sourceMappingURL=data:application/json;charset=utf-8;base64," +
+                Buffer.from(JSON.stringify(map)).toString("base64");
+        } else {
+            fs.mkdirSync(path.dirname(outFile), { recursive: true });
+            fs.writeFileSync(outFile + ".map", JSON.stringify(map));
+            js += "\n//# sourceMappingURL=" + path.basename(outFile) + ".map";
+        }
+    }
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, js + "\n");
+    console.log(
+        path.relative(process.cwd(), file) +
+            " -> " +
+            path.relative(process.cwd(), outFile),
+    );
+    return outFile;
+}
+
+// Replace <script type="text/babel"> elements with compiled scripts. Scripts using
+// [src] point to the compiled file and inline scripts are compiled in place.
+function rewriteHtml(options) {
+    const htmlDir = path.dirname(options.html);
+    const outDir = options.outDir || htmlDir;
+    const outFile = path.join(outDir, path.basename(options.html));
+    if (outFile === options.html) {
+        throw new Error(
+            "The HTML output would replace " +
+                options.html +
+                ", use --out-dir to save it to a different directory",
+        );
+    }
+    let html = fs.readFileSync(options.html, "utf8");
+    const scriptRegex =
+        /<script\b([^>]*?)\btype=(["'])text\/babel\2([^>]*)>([\s\S]*?)<\/script>/gi;
+    html = html.replace(scriptRegex, (match, before, quote, after, content) => {
+        let attrs = (before + after).replace(/\s+/g, " ").trim();
+        const isModule = /\bdata-type=(["'])module\1/.test(attrs);
+        attrs = attrs.replace(/\s*\bdata-type=(["'])module\1/, "").trim();
+        const langMatch = /\s*\bdata-lang=(["'])(\w+)\1/.exec(attrs);
+        const typescript = langMatch !== null && /^tsx?$/.test(langMatch[2]);
+        attrs = attrs.replace(/\s*\bdata-lang=(["'])\w+\1/, "").trim();
+        const type = isModule ? ' type="module"' : "";
+        const srcMatch = /\bsrc=(["'])([^"']+)\1/.exec(attrs);
+        if (srcMatch) {
+            const src = srcMatch[2].replace(/\.[jt]sx(?=$|[?#])/, ".js");
+            attrs = attrs.replace(srcMatch[0], 'src="' + src + '"');
+            return "<script" + type + (attrs ? " " + attrs : "") + "></script>";
+        }
+        const compiled = compileCode(
+            content,
+            path.basename(options.html),
+            { sourceMaps: false },
+            typescript,
+        );
+        return (
+            "<script" +
+            type +
+            (attrs ? " " + attrs : "") +
+            ">" +
+            compiled.js +
+            "</script>"
+        );
+    });
+    // Preload links for JSX and TSX files point to the compiled files
+    html = html.replace(
+        /(<link\b[^>]*\bhref=(["']))([^"']+?)\.[jt]sx(\2)/gi,
+        "$1$3.js$4",
+    );
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(outFile, html);
+    console.log(
+        path.relative(process.cwd(), options.html) +
+            " -> " +
+            path.relative(process.cwd(), outFile),
+    );
+}
+
+function build(options, files) {
+    let hasErrors = false;
+    files.forEach((file) => {
+        try {
+            compileFile(file, options);
+        } catch (e) {
+            hasErrors = true;
+            console.error(
+                path.relative(process.cwd(), file) + ": " + e.message,
+            );
+            if (e.codeFrame) {
+                console.error(e.codeFrame);
+            }
+        }
+    });
+    return !hasErrors;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.framework) {
+        jsxLoader.useFramework(options.framework);
+    }
+    const compiler = jsxLoader.compiler;
+    compiler.pragma = options.pragma || compiler.pragma;
+    compiler.pragmaFrag = options.pragmaFrag || compiler.pragmaFrag;
+    compiler.runtime = options.runtime || compiler.runtime;
+    compiler.importSource = options.importSource || compiler.importSource;
+    compiler.printMode = options.printMode || compiler.printMode;
+    compiler.tabWidth = readTabWidth() || compiler.tabWidth;
+    compiler.preserveLines = options.preserveLines;
+    compiler.keepComments = options.keepComments;
+    options.plugins.forEach((file) => compiler.use(require(file)));
+
+    let success = build(options, findFiles(options.input));
+    if (options.html) {
+        rewriteHtml(options);
+    }
+    if (!options.watch) {
+        process.exit(success ? 0 : 1);
+    }
+
+    console.log("Watching for changes...");
+    const isDirectory = fs.statSync(options.input).isDirectory();
+    const pending = new Map();
+    fs.watch(
+        options.input,
+        { recursive: isDirectory },
+        (eventType, fileName) => {
+            const file = isDirectory
+                ? path.join(options.input, fileName || "")
+                : options.input;
+            if (!/\.[jt]sx$/.test(file) || !fs.existsSync(file)) {
+                return;
+            }
+            clearTimeout(pending.get(file));
+            pending.set(
+                file,
+                setTimeout(() => {
+                    pending.delete(file);
+                    build(options, [file]);
+                }, 50),
+            );
+        },
+    );
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Babel Fallback Test
+ *
+ * Force the Babel Standalone fallback used by browsers that fail the `evalCode`
+ * check and load <script type="text/babel"> elements with [jsxLoader.setup()].
+ * The page is a mock DOM and `babelUrl` is handled by defining a stub `Babel`
+ * global, so the test checks that Babel is downloaded only when needed, that
+ * [babelOptions] are passed to `Babel.transform()`, and that the compiled code
+ * of inline and [src] scripts is added to the page in order.
+ *
+ * Usage:
+ *     node test/babel-fallback.js
+ */
+"use strict";
+
+const assert = require("assert");
+const { jsxLoader } = require("../jsxLoader.js");
+const { createPage } = require("./mock-dom.js");
+
+jsxLoader.logCompileTime = false;
+
+const inlineCode = "result = <div id={a}>text</div>;";
+const srcCode = "result = <App />;";
+const page = createPage({
+    html: [
+        { type: "text/babel", innerHTML: inlineCode },
+        // Uses the default `sourceMaps` setting the same as a real page
+        { type: "text/babel", src: "app.jsx" },
+    ],
+    files: { "app.jsx": srcCode },
+});
+
+const downloads = [];
+const transforms = [];
+page.onScript = (script) => {
+    if (script.src) {
+        // Download of `babelUrl`
+        downloads.push(script.src);
+        global.Babel = {
+            transform(code, options) {
+                transforms.push({ code: code, options: options });
+                return { code: "result = " + transforms.length + ";" };
+            },
+        };
+    }
+};
+
+// Code that every browser fails to compile forces the fallback
+jsxLoader.evalCode = "class {";
+jsxLoader.babelUrl = "http://localhost/babel.min.js";
+jsxLoader.usePreact();
+
+jsxLoader.setup();
+assert.strictEqual(jsxLoader.isSupportedBrowser, false);
+
+const timeout = setTimeout(() => {
+    console.error("jsxLoader.ready did not resolve");
+    process.exit(1);
+}, 2000);
+
+jsxLoader.ready
+    .then((results) => {
+        clearTimeout(timeout);
+        assert.deepStrictEqual(downloads, ["http://localhost/babel.min.js"]);
+        assert.strictEqual(transforms.length, 2);
+        // [src] scripts are downloaded first and added before inline scripts
+        assert.strictEqual(transforms[0].code, srcCode);
+        assert.strictEqual(transforms[1].code, inlineCode);
+        transforms.forEach((transform) => {
+            assert.strictEqual(transform.options, jsxLoader.babelOptions);
+        });
+        assert.deepStrictEqual(transforms[0].options.presets, [
+            ["env", { modules: false }],
+            ["react", { pragma: "h", pragmaFrag: "Fragment" }],
+        ]);
+
+        const added = page.added.filter((script) => !script.src);
+        assert.strictEqual(added.length, 2);
+        assert.strictEqual(added[0].text, "result = 1;");
+        assert.strictEqual(added[0].getAttribute("data-src"), "app.jsx");
+        assert.strictEqual(added[1].text, "result = 2;");
+        added.forEach((script) => {
+            assert.strictEqual(script.getAttribute("data-compiler"), "Babel");
+        });
+
+        assert.strictEqual(results.length, 2);
+        results.forEach((result) => {
+            assert.strictEqual(result.status, "loaded");
+            assert.strictEqual(result.compiler, "Babel");
+            assert.strictEqual(result.element.getAttribute("data-error"), null);
+        });
+        console.log("Babel fallback test passed");
+    })
+    .catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });
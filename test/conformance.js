@@ -0,0 +1,586 @@
+#!/usr/bin/env node
+/**
+ * JSX Conformance Tests
+ *
+ * Compile each case in `test/fixtures` with `jsxLoader.compiler.compile()` and
+ * compare it with the output from Babel that is saved next to the fixture. Both
+ * versions of the code run with a mock `h()` (or `jsx()` for the Automatic
+ * Runtime) and the resulting vnode trees are compared, so the test checks what
+ * the code does rather than how it is formatted.
+ *
+ * Fixtures are grouped by JSX feature, one file per feature. Each case starts with
+ * a `//# case: <name>` line. A case that is only a JSX expression is compiled as
+ * `result = (<expression>);`, other cases assign `result` themselves. Cases that
+ * jsxLoader can't compile yet are marked `[unsupported]` and listed at the end of
+ * the report; a marked case that passes is reported as a failure so the list
+ * stays current. Options for a whole file, for example the runtime, are set with
+ * a `//# options: { ... }` line at the top and `.tsx` fixtures are compiled as
+ * TypeScript. With the `preserveLines` option the compiled code must also have
+ * the same number of lines as the case. Cases are compiled with the file name
+ * `/<fixture>` for the `development` option.
+ *
+ * A case with a `//# error: { ... }` line is invalid JSX. Its code is compiled
+ * as written and must throw a `JsxCompileError` with the same values for each
+ * property in the JSON, for example `code`, `line`, `column` and `codeFrame`.
+ * Error cases have no output from Babel.
+ *
+ * Lines after a `//# output:` line in a case are the exact code that jsxLoader
+ * must generate for it, this is used to test the layout of each `printMode`
+ * along with the `tabWidth` and `printWidth` options.
+ *
+ * Plugins from `testPlugins` are added with the `plugins` option, for example
+ * `//# options: {"plugins": ["remove"]}`. Babel doesn't run the plugins so the
+ * lines after a `//# same as:` line are the JSX that Babel compiles instead,
+ * written the way the plugins should change the case.
+ *
+ * Usage:
+ *     node test/conformance.js [fixture-name...] [--update]
+ *
+ * `--update` saves new expected output for the fixtures. It requires Babel which
+ * is not needed to run the tests: `npm install --no-save @babel/standalone`
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { jsxLoader } = require("../jsxLoader.js");
+
+jsxLoader.logCompileTime = false;
+
+const fixturesDir = path.join(__dirname, "fixtures");
+const caseRegex = /^\/\/# case: (.+?)( \[unsupported\])?$/;
+const optionsRegex = /^\/\/# options: (.+)$/;
+const errorRegex = /^\/\/# error: (.+)$/;
+const outputRegex = /^\/\/# output:$/;
+const sameAsRegex = /^\/\/# same as:$/;
+
+/**
+ * Mock framework for running the compiled code, every function returns a plain
+ * object that can be compared with the output from Babel.
+ */
+function Fragment() {}
+
+function h(type, props) {
+    return {
+        type: type,
+        props: props,
+        children: Array.prototype.slice.call(arguments, 2),
+    };
+}
+
+function jsx(type, props, key) {
+    return { type: type, props: props, key: key };
+}
+
+function jsxDEV(type, props, key, isStaticChildren, source, self) {
+    return {
+        type: type,
+        props: props,
+        key: key,
+        isStaticChildren: isStaticChildren,
+        source: source,
+        self: typeof self,
+    };
+}
+
+const runtime = { jsx: jsx, jsxs: jsx, jsxDEV: jsxDEV, Fragment: Fragment };
+const React = { createElement: h, Fragment: Fragment };
+
+/**
+ * Plugins for the `plugins` option, see [jsxLoader.compiler.use()]
+ */
+const tokenTypes = jsxLoader.compiler.tokenTypes;
+const testPlugins = {
+    // Remove props named `remove-me` and child elements <remove-me>
+    remove: {
+        name: "remove",
+        visitor: {
+            prop: (prop) => (prop.name === "remove-me" ? null : undefined),
+            child: (child) =>
+                child.type === tokenTypes.e_start &&
+                child.value.name === "remove-me"
+                    ? null
+                    : undefined,
+        },
+    },
+    // Add `type="text"` to <input> elements that don't have a type
+    "add-type": {
+        name: "add-type",
+        visitor: {
+            createElement: (node) => {
+                if (
+                    node.name === "input" &&
+                    !node.props.some((prop) => prop.name === "type")
+                ) {
+                    node.props.push({
+                        name: "type",
+                        value: JSON.stringify("text"),
+                        pos: null,
+                    });
+                }
+            },
+        },
+    },
+    // Set `data-parent` props to the name of the parent element from `context`
+    parent: {
+        name: "parent",
+        visitor: {
+            prop: (prop, context) =>
+                prop.name === "data-parent"
+                    ? {
+                          name: prop.name,
+                          value: JSON.stringify(
+                              context.parent === null
+                                  ? null
+                                  : context.parent.name,
+                          ),
+                          pos: prop.pos,
+                      }
+                    : undefined,
+        },
+    },
+};
+
+// Variables that fixtures can use
+function createScope() {
+    function Comp() {}
+    function Other() {}
+    function Provider() {}
+    function Consumer() {}
+    function MotionDiv() {}
+    function MotionSpan() {}
+    function Inner() {}
+    function _Comp() {}
+    function $Comp() {}
+    return {
+        h: h,
+        Fragment: Fragment,
+        React: React,
+        a: 1,
+        b: "two",
+        c: true,
+        d: null,
+        cond: false,
+        items: ["x", "y", "z"],
+        list: [
+            { id: 1, name: "one" },
+            { id: 2, name: "two" },
+        ],
+        props: { id: "p", title: "t" },
+        style: { color: "red" },
+        fn: function fn() {
+            return "fn";
+        },
+        Comp: Comp,
+        Other: Other,
+        Context: { Provider: Provider, Consumer: Consumer },
+        motion: { div: MotionDiv, span: MotionSpan },
+        ns: { Comp: { Inner: Inner } },
+        _Comp: _Comp,
+        $Comp: $Comp,
+    };
+}
+
+// Convert a vnode tree to JSON, functions are named so a component type matches
+function serialize(value) {
+    if (typeof value === "function") {
+        return "[function " + (value.name || "anonymous") + "]";
+    } else if (value === undefined) {
+        return "[undefined]";
+    } else if (Array.isArray(value)) {
+        return value.map(serialize);
+    } else if (value !== null && typeof value === "object") {
+        const result = {};
+        Object.keys(value)
+            .sort()
+            .forEach((key) => {
+                result[key] = serialize(value[key]);
+            });
+        return result;
+    }
+    return value;
+}
+
+// Run compiled code and return the value of `result` as JSON. ES Module imports of
+// the JSX Runtime are replaced with the mock functions and the empty `export {}`
+// that Babel adds after removing TypeScript imports is dropped.
+function run(code) {
+    const modules = {};
+    code = code
+        .replace(/^export \{\};?$/gm, "")
+        .replace(
+            /\bimport\s*\{([^}]*)\}\s*from\s*(["'])([^"']+)\2;?/g,
+            (match, names, quote, source) => {
+                modules[source] = /\/jsx(-dev)?-runtime$/.test(source)
+                    ? runtime
+                    : React;
+                return (
+                    "var {" +
+                    names.replace(/\bas\b/g, ":") +
+                    "} = __modules[" +
+                    JSON.stringify(source) +
+                    "];"
+                );
+            },
+        );
+    const scope = createScope();
+    const names = Object.keys(scope);
+    const func = new Function(
+        ["__modules"].concat(names).join(","),
+        "var result;\n" + code + "\nreturn result;",
+    );
+    const result = func.apply(
+        scope,
+        [modules].concat(names.map((name) => scope[name])),
+    );
+    return JSON.stringify(serialize(result), null, 2);
+}
+
+/**
+ * Read a fixture or expected output file
+ *
+ * @param {string} file
+ * @return {object} `{ options, cases }`
+ */
+function readFixture(file) {
+    const fixture = { options: {}, cases: [] };
+    let current = null;
+    fs.readFileSync(file, "utf8")
+        .split("\n")
+        .forEach((line, n) => {
+            const match = caseRegex.exec(line);
+            if (match) {
+                current = {
+                    name: match[1],
+                    unsupported: match[2] !== undefined,
+                    error: null,
+                    lines: [],
+                    outputLines: null,
+                    sameAsLines: null,
+                };
+                fixture.cases.push(current);
+            } else if (current !== null && errorRegex.test(line)) {
+                current.error = JSON.parse(errorRegex.exec(line)[1]);
+            } else if (current !== null && outputRegex.test(line)) {
+                current.outputLines = [];
+            } else if (current !== null && sameAsRegex.test(line)) {
+                current.sameAsLines = [];
+            } else if (current !== null && current.outputLines !== null) {
+                current.outputLines.push(line);
+            } else if (current !== null && current.sameAsLines !== null) {
+                current.sameAsLines.push(line);
+            } else if (current !== null) {
+                current.lines.push(line);
+            } else if (optionsRegex.test(line)) {
+                fixture.options = JSON.parse(optionsRegex.exec(line)[1]);
+            } else if (line.trim() !== "") {
+                throw new Error(
+                    file + ":" + (n + 1) + ": expected a `//# case:` line",
+                );
+            }
+        });
+    fixture.cases.forEach((item) => {
+        const wrap = (lines) => {
+            const code = lines.join("\n").replace(/\n+$/, "");
+            return item.error === null && !/\bresult\s*=/.test(code)
+                ? "result = (\n" + code + "\n);"
+                : code;
+        };
+        item.code = wrap(item.lines);
+        item.babelCode =
+            item.sameAsLines === null ? item.code : wrap(item.sameAsLines);
+        item.output =
+            item.outputLines === null
+                ? null
+                : item.outputLines.join("\n").replace(/\n+$/, "");
+        delete item.lines;
+        delete item.outputLines;
+        delete item.sameAsLines;
+    });
+    return fixture;
+}
+
+function writeExpected(file, fixture, outputs) {
+    let text = "";
+    fixture.cases.forEach((item) => {
+        if (item.error === null) {
+            text +=
+                "//# case: " + item.name + "\n" + outputs[item.name] + "\n\n";
+        }
+    });
+    fs.writeFileSync(file, text.replace(/\n+$/, "\n"));
+}
+
+function compileWithJsxLoader(code, options, typescript, fileName) {
+    const compiler = jsxLoader.compiler;
+    const settings = {
+        pragma: compiler.pragma,
+        pragmaFrag: compiler.pragmaFrag,
+        runtime: compiler.runtime,
+        importSource: compiler.importSource,
+        tabWidth: compiler.tabWidth,
+        printWidth: compiler.printWidth,
+        plugins: compiler.plugins,
+    };
+    Object.assign(compiler, {
+        pragma: "h",
+        pragmaFrag: "Fragment",
+        runtime: options.runtime || "classic",
+        importSource: options.importSource || "react",
+        tabWidth: options.tabWidth || settings.tabWidth,
+        printWidth: options.printWidth || settings.printWidth,
+        plugins: (options.plugins || []).map((name) => testPlugins[name]),
+    });
+    try {
+        const result = compiler.compile(code, {
+            fileName: fileName,
+            typescript: typescript,
+            preserveLines: options.preserveLines,
+            keepComments: options.keepComments,
+            printMode: options.printMode,
+            development: options.development,
+        });
+        const lineCount = code.split("\n").length;
+        if (options.preserveLines && result.split("\n").length !== lineCount) {
+            throw new Error(
+                "Expected " +
+                    lineCount +
+                    " lines with preserveLines:\n" +
+                    result,
+            );
+        }
+        return result;
+    } finally {
+        Object.assign(compiler, settings);
+    }
+}
+
+function compileWithBabel(Babel, code, options, typescript, fileName) {
+    const react = {
+        runtime: options.runtime || "classic",
+        development: options.development === true,
+        throwIfNamespace: false,
+    };
+    if (react.runtime === "classic") {
+        react.pragma = "h";
+        react.pragmaFrag = "Fragment";
+    } else if (options.importSource) {
+        react.importSource = options.importSource;
+    }
+    const presets = [["react", react]];
+    if (typescript) {
+        presets.push(["typescript", { isTSX: true, allExtensions: true }]);
+    }
+    return Babel.transform(code, {
+        filename: fileName,
+        presets: presets,
+        sourceType: "module",
+    }).code;
+}
+
+// Compile an error case and return a message if it does not throw the expected
+// error, otherwise `undefined`
+function checkError(item, options, file) {
+    let thrown = null;
+    try {
+        compileWithJsxLoader(
+            item.code,
+            options,
+            file.endsWith(".tsx"),
+            "/" + file,
+        );
+    } catch (e) {
+        thrown = e;
+    }
+    if (!(thrown instanceof jsxLoader.JsxCompileError)) {
+        return thrown === null
+            ? "Expected a JsxCompileError but the code compiled"
+            : "Expected a JsxCompileError: " + thrown.message;
+    }
+    const differences = Object.keys(item.error).filter(
+        (key) =>
+            JSON.stringify(thrown[key]) !== JSON.stringify(item.error[key]),
+    );
+    if (differences.length > 0) {
+        return (
+            "Error does not match for " +
+            differences.join(", ") +
+            ":\n" +
+            JSON.stringify(thrown, null, 2).replace(/^/gm, "    ")
+        );
+    }
+}
+
+function getFixtures(names) {
+    return fs
+        .readdirSync(fixturesDir)
+        .filter((file) => /\.[jt]sx$/.test(file))
+        .filter(
+            (file) =>
+                names.length === 0 ||
+                names.indexOf(file.replace(/\.[jt]sx$/, "")) !== -1,
+        )
+        .sort();
+}
+
+function update(files) {
+    let Babel;
+    try {
+        Babel = require("@babel/standalone");
+    } catch (e) {
+        throw new Error(
+            "Babel is required to update fixtures: npm install --no-save @babel/standalone",
+        );
+    }
+    files.forEach((file) => {
+        const fullPath = path.join(fixturesDir, file);
+        const fixture = readFixture(fullPath);
+        const outputs = {};
+        fixture.cases.forEach((item) => {
+            if (item.error !== null) {
+                return;
+            }
+            try {
+                outputs[item.name] = compileWithBabel(
+                    Babel,
+                    item.babelCode,
+                    fixture.options,
+                    file.endsWith(".tsx"),
+                    "/" + file,
+                );
+            } catch (e) {
+                throw new Error(file + " [" + item.name + "]: " + e.message);
+            }
+        });
+        if (Object.keys(outputs).length > 0) {
+            writeExpected(
+                fullPath.replace(/\.[jt]sx$/, ".expected.js"),
+                fixture,
+                outputs,
+            );
+        }
+        console.log(
+            "Updated " + file + " (" + fixture.cases.length + " cases)",
+        );
+    });
+}
+
+function test(files) {
+    const failures = [];
+    const unsupported = [];
+    let total = 0;
+    let passed = 0;
+    files.forEach((file) => {
+        const fullPath = path.join(fixturesDir, file);
+        const fixture = readFixture(fullPath);
+        const expected = {};
+        const expectedPath = fullPath.replace(/\.[jt]sx$/, ".expected.js");
+        if (fs.existsSync(expectedPath)) {
+            readFixture(expectedPath).cases.forEach((item) => {
+                expected[item.name] = item.code;
+            });
+        }
+        const feature = file.replace(/\.[jt]sx$/, "");
+        let featurePassed = 0;
+        fixture.cases.forEach((item) => {
+            let actual, error;
+            if (item.error !== null) {
+                error = checkError(item, fixture.options, file);
+            } else if (expected[item.name] === undefined) {
+                error = "No expected output, run with --update";
+            } else {
+                try {
+                    const code = compileWithJsxLoader(
+                        item.code,
+                        fixture.options,
+                        file.endsWith(".tsx"),
+                        "/" + file,
+                    );
+                    if (item.output !== null && code !== item.output) {
+                        error =
+                            "Generated code does not match `//# output:`\n" +
+                            code.replace(/^/gm, "    ");
+                    }
+                    actual = run(code);
+                } catch (e) {
+                    error = e.message;
+                }
+            }
+            let want = null;
+            if (error === undefined && item.error === null) {
+                try {
+                    want = run(expected[item.name]);
+                } catch (e) {
+                    error = "Expected output failed to run: " + e.message;
+                }
+            }
+            const ok =
+                error === undefined && (item.error !== null || actual === want);
+            if (ok && !item.unsupported) {
+                featurePassed++;
+            } else if (!ok && item.unsupported) {
+                unsupported.push(feature + ": " + item.name);
+            } else {
+                failures.push({
+                    feature: feature,
+                    item: item,
+                    error: ok
+                        ? "Case is marked [unsupported] but now passes"
+                        : error,
+                    actual: actual,
+                    want: want,
+                });
+            }
+        });
+        total += fixture.cases.length;
+        passed += featurePassed;
+        console.log(
+            (featurePassed === fixture.cases.length ? "  ok   " : "  --   ") +
+                feature +
+                " " +
+                featurePassed +
+                "/" +
+                fixture.cases.length,
+        );
+    });
+
+    failures.forEach((failure) => {
+        console.log("\nFAIL " + failure.feature + ": " + failure.item.name);
+        console.log(failure.item.code.replace(/^/gm, "    "));
+        if (failure.error !== undefined) {
+            console.log("  " + failure.error);
+        } else {
+            console.log("  Expected:\n" + failure.want.replace(/^/gm, "    "));
+            console.log("  Actual:\n" + failure.actual.replace(/^/gm, "    "));
+        }
+    });
+    if (unsupported.length > 0) {
+        console.log("\nUnsupported JSX features:");
+        unsupported.forEach((name) => console.log("  - " + name));
+    }
+    console.log(
+        "\n" +
+            passed +
+            " passed, " +
+            failures.length +
+            " failed, " +
+            unsupported.length +
+            " unsupported, " +
+            total +
+            " total",
+    );
+    return failures.length === 0;
+}
+
+try {
+    const args = process.argv.slice(2);
+    const files = getFixtures(args.filter((arg) => arg !== "--update"));
+    if (args.indexOf("--update") !== -1) {
+        update(files);
+    } else {
+        process.exit(test(files) ? 0 : 1);
+    }
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
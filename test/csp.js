@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Content-Security-Policy Test
+ *
+ * Load <script type="text/babel"> elements with the [jsxLoader.csp] settings on a
+ * mock page. Checks that the `nonce` is copied to the compiled scripts, that the
+ * "blob" injection adds scripts with Blob URLs in order and rewrites relative
+ * imports of modules, that Trusted Types policies are used, and that a script
+ * blocked by the browser sets [data-error] while the scripts after it still load.
+ *
+ * Usage:
+ *     node test/csp.js
+ */
+"use strict";
+
+const assert = require("assert");
+const { resolveObjectURL } = require("buffer");
+const { jsxLoader } = require("../jsxLoader.js");
+const { createPage } = require("./mock-dom.js");
+
+const page = createPage({});
+jsxLoader.logCompileTime = false;
+jsxLoader.showErrorOverlay = false;
+jsxLoader.compiler.addUseStrict = false;
+
+const errors = [];
+console.error = (error) => errors.push(error);
+
+// Code of each Blob URL, read when the script is added because the URL is
+// revoked once it loads
+const blobs = {};
+page.onScript = (script) => {
+    if (script.src.startsWith("blob:")) {
+        blobs[script.src] = resolveObjectURL(script.src).text();
+    }
+};
+
+function loadScripts(attributesList) {
+    const start = page.added.length;
+    const scripts = attributesList.map((attributes) =>
+        page.addScript(Object.assign({ type: "text/babel" }, attributes)),
+    );
+    return Promise.all(
+        scripts.map((script) => jsxLoader.loadScript(script)),
+    ).then((results) => {
+        return { results: results, added: page.added.slice(start) };
+    });
+}
+
+function blobText(script) {
+    return blobs[script.src];
+}
+
+const timeout = setTimeout(() => {
+    console.log("Scripts were not added to the page");
+    process.exit(1);
+}, 5000);
+
+Promise.resolve()
+    .then(() => {
+        // `nonce` of the element or from `csp.nonce`
+        jsxLoader.csp.nonce = "page-nonce";
+        return loadScripts([
+            { nonce: "script-nonce", innerHTML: "result = <b>1</b>;" },
+            { innerHTML: "result = <b>2</b>;" },
+        ]);
+    })
+    .then(({ added }) => {
+        assert.deepStrictEqual(
+            added.map((script) => script.getAttribute("nonce")),
+            ["script-nonce", "page-nonce"],
+        );
+        assert.deepStrictEqual(
+            added.map((script) => script.text),
+            [
+                'result = React.createElement("b", null, "1");',
+                'result = React.createElement("b", null, "2");',
+            ],
+        );
+
+        // Blob URLs, relative imports of a module are resolved from the page
+        jsxLoader.csp.nonce = null;
+        jsxLoader.csp.injection = "blob";
+        return loadScripts([
+            { innerHTML: "result = <b>3</b>;" },
+            {
+                "data-type": "module",
+                innerHTML:
+                    'import { value } from "./utils.js";\nresult = <b>{value}</b>;',
+            },
+        ]);
+    })
+    .then(({ results, added }) => {
+        assert.deepStrictEqual(
+            results.map((result) => result.status),
+            ["loaded", "loaded"],
+        );
+        assert.strictEqual(added.length, 2);
+        added.forEach((script) => {
+            assert.ok(script.src.startsWith("blob:"));
+            assert.strictEqual(script.async, false);
+            assert.strictEqual(script.text, "");
+            // Revoked once loaded
+            assert.strictEqual(resolveObjectURL(script.src), undefined);
+        });
+        assert.strictEqual(added[1].type, "module");
+        return Promise.all(added.map(blobText));
+    })
+    .then((code) => {
+        assert.deepStrictEqual(code, [
+            'result = React.createElement("b", null, "3");',
+            'import { value } from "http://localhost/utils.js";\nresult = React.createElement("b", null, value);',
+        ]);
+
+        // A Blob URL blocked by `script-src` is reported and the next script
+        // still loads
+        const onScript = page.onScript;
+        page.onScript = (script) => {
+            onScript(script);
+            if (page.failUrls.length === 0) {
+                page.failUrls.push(script.src);
+            }
+        };
+        return loadScripts([
+            { innerHTML: "result = <b>4</b>;" },
+            { innerHTML: "result = <b>5</b>;" },
+        ]).then((loaded) => {
+            page.onScript = onScript;
+            return loaded;
+        });
+    })
+    .then(({ results, added }) => {
+        assert.deepStrictEqual(
+            results.map((result) => result.status),
+            ["error", "loaded"],
+        );
+        assert.ok(results[0].error.message.indexOf("blob:") !== -1);
+        const error = JSON.parse(results[0].element.getAttribute("data-error"));
+        assert.strictEqual(error.message, results[0].error.message);
+        assert.strictEqual(results[1].element.getAttribute("data-error"), null);
+        assert.strictEqual(added.length, 2);
+        assert.deepStrictEqual(errors, [results[0].error]);
+        errors.length = 0;
+        return blobText(added[1]);
+    })
+    .then((code) => {
+        assert.strictEqual(
+            code,
+            'result = React.createElement("b", null, "5");',
+        );
+
+        // A Trusted Types policy that can't be created blocks every script
+        // without stopping the queue
+        global.trustedTypes = {
+            createPolicy(name) {
+                throw new TypeError(
+                    'Failed to create the policy "' + name + '"',
+                );
+            },
+        };
+        jsxLoader.csp.injection = "inline";
+        jsxLoader.csp.trustedTypesPolicy = "jsxloader";
+        return loadScripts([
+            { innerHTML: "result = <b>6</b>;" },
+            { innerHTML: "result = <b>7</b>;" },
+        ]);
+    })
+    .then(({ results, added }) => {
+        assert.strictEqual(added.length, 0);
+        assert.deepStrictEqual(
+            results.map((result) => result.status),
+            ["error", "error"],
+        );
+        results.forEach((result) => {
+            assert.strictEqual(result.error.name, "TypeError");
+            assert.ok(result.element.hasAttribute("data-error"));
+        });
+        errors.length = 0;
+
+        // Code and Blob URLs are passed to the policy
+        const policy = [];
+        global.trustedTypes = {
+            createPolicy(name, rules) {
+                policy.push(name);
+                return {
+                    createScript: (code) => ({
+                        script: rules.createScript(code),
+                    }),
+                    createScriptURL: (url) => {
+                        policy.push(rules.createScriptURL(url));
+                        return url;
+                    },
+                };
+            },
+        };
+        return loadScripts([{ innerHTML: "result = <b>8</b>;" }])
+            .then(({ added }) => {
+                assert.deepStrictEqual(policy, ["jsxloader"]);
+                assert.deepStrictEqual(added[0].text, {
+                    script: 'result = React.createElement("b", null, "8");',
+                });
+                jsxLoader.csp.injection = "blob";
+                return loadScripts([{ innerHTML: "result = <b>9</b>;" }]);
+            })
+            .then(({ results, added }) => {
+                assert.strictEqual(results[0].status, "loaded");
+                assert.deepStrictEqual(policy, ["jsxloader", added[0].src]);
+            });
+    })
+    .then(() => {
+        assert.deepStrictEqual(errors, []);
+        clearTimeout(timeout);
+        console.log("CSP test passed");
+    })
+    .catch((e) => {
+        console.log(e);
+        process.exit(1);
+    });
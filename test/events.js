@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Events and Script Observer Test
+ *
+ * Load <script type="text/babel"> elements with [jsxLoader.setup()] and
+ * `observeScripts` on a mock page. Checks the order of the `jsxloader:*` events
+ * sent to each script and the document, the results of [jsxLoader.ready], and
+ * that scripts added to the page later are loaded in the order they are added
+ * even when a [src] script takes longer to download than the scripts after it.
+ *
+ * Usage:
+ *     node test/events.js
+ */
+"use strict";
+
+const assert = require("assert");
+const { jsxLoader } = require("../jsxLoader.js");
+const { createPage, MockElement } = require("./mock-dom.js");
+
+const page = createPage({
+    html: [
+        { type: "text/babel", innerHTML: "result = <b>inline</b>;" },
+        { type: "text/babel", src: "app.jsx" },
+        { type: "text/babel", innerHTML: "result = <b>{</b>;" },
+    ],
+    files: {
+        "app.jsx": "result = <b>app</b>;",
+        "slow.jsx": "result = <b>slow</b>;",
+    },
+});
+
+// `slow.jsx` downloads after the scripts that are added after it
+const fetchFile = global.fetch;
+global.fetch = (url, options) => {
+    const delay = url.endsWith("/slow.jsx") ? 50 : 0;
+    return new Promise((resolve) => setTimeout(resolve, delay)).then(() =>
+        fetchFile(url, options),
+    );
+};
+
+function name(target) {
+    if (target === page.document) {
+        return "document";
+    }
+    return target.getAttribute("src") || target.innerHTML;
+}
+
+const events = [];
+function listen(target) {
+    ["jsxloader:compiled", "jsxloader:error", "jsxloader:done"].forEach(
+        (type) => {
+            target.addEventListener(type, (e) => {
+                assert.ok(e instanceof CustomEvent);
+                const element = e.detail.element;
+                events.push(
+                    type +
+                        " " +
+                        name(target) +
+                        (element && target === page.document
+                            ? " " + name(element)
+                            : ""),
+                );
+            });
+        },
+    );
+}
+listen(page.document);
+page.document.querySelectorAll('script[type="text/babel"]').forEach(listen);
+
+function texts(scripts) {
+    return scripts.map((script) => script.text);
+}
+
+function whenLoaded(script) {
+    return new Promise((resolve) => {
+        script.addEventListener("jsxloader:done", (e) => resolve(e.detail));
+    });
+}
+
+const log = console.log;
+console.log = console.error = () => {};
+jsxLoader.logCompileTime = false;
+jsxLoader.showErrorOverlay = false;
+jsxLoader.compiler.addUseStrict = false;
+jsxLoader.sourceMaps = false;
+jsxLoader.observeScripts = true;
+jsxLoader.setup();
+
+// Added before the scripts from the HTML are loaded, so it waits for them
+const early = page.addScript({
+    type: "text/babel",
+    innerHTML: "result = <b>early</b>;",
+});
+listen(early);
+const earlyLoaded = whenLoaded(early);
+
+const timeout = setTimeout(() => {
+    log("Scripts were not added to the page");
+    process.exit(1);
+}, 5000);
+
+jsxLoader.ready
+    .then((results) => {
+        assert.deepStrictEqual(
+            results.map((result) => [result.src, result.status]),
+            [
+                [null, "loaded"],
+                ["app.jsx", "loaded"],
+                [null, "error"],
+            ],
+        );
+        results.forEach((result) => {
+            assert.ok(result.element.hasAttribute("data-added-to-page"));
+            assert.strictEqual(typeof result.timings.total, "number");
+        });
+        assert.strictEqual(results[2].error.name, "JsxCompileError");
+        assert.ok(results[2].element.hasAttribute("data-error"));
+
+        // [src] scripts are added first
+        assert.deepStrictEqual(texts(page.added), [
+            'result = React.createElement("b", null, "app");',
+            'result = React.createElement("b", null, "inline");',
+        ]);
+        assert.deepStrictEqual(events, [
+            "jsxloader:compiled app.jsx",
+            "jsxloader:compiled document app.jsx",
+            "jsxloader:done app.jsx",
+            "jsxloader:compiled result = <b>inline</b>;",
+            "jsxloader:compiled document result = <b>inline</b>;",
+            "jsxloader:done result = <b>inline</b>;",
+            "jsxloader:error result = <b>{</b>;",
+            "jsxloader:error document result = <b>{</b>;",
+            "jsxloader:done result = <b>{</b>;",
+            "jsxloader:done document",
+        ]);
+        return earlyLoaded;
+    })
+    .then((result) => {
+        assert.strictEqual(result.status, "loaded");
+        assert.deepStrictEqual(events.slice(10), [
+            "jsxloader:compiled result = <b>early</b>;",
+            "jsxloader:compiled document result = <b>early</b>;",
+            "jsxloader:done result = <b>early</b>;",
+        ]);
+
+        // Scripts added later load in the order they are added, including a
+        // script inside an element added to the page
+        const start = page.added.length;
+        const slow = page.addScript({ type: "text/babel", src: "slow.jsx" });
+        const inline = page.addScript(
+            { type: "text/babel", innerHTML: "result = <b>after</b>;" },
+            page.document.body,
+        );
+        const container = new MockElement("div");
+        const nested = new MockElement("script", { type: "text/babel" });
+        nested.innerHTML = "result = <b>nested</b>;";
+        container.appendChild(nested);
+        page.document.body.appendChild(container);
+        // Added again while it is waiting, it still loads once
+        page.document.body.appendChild(inline);
+        return Promise.all([slow, inline, nested].map(whenLoaded)).then(
+            (results) => {
+                assert.deepStrictEqual(
+                    results.map((item) => item.status),
+                    ["loaded", "loaded", "loaded"],
+                );
+                assert.deepStrictEqual(texts(page.added.slice(start)), [
+                    'result = React.createElement("b", null, "slow");',
+                    'result = React.createElement("b", null, "after");',
+                    'result = React.createElement("b", null, "nested");',
+                ]);
+            },
+        );
+    })
+    .then(() => {
+        clearTimeout(timeout);
+        log("Events test passed");
+    })
+    .catch((e) => {
+        log(e);
+        process.exit(1);
+    });
@@ -0,0 +1,259 @@
+//# case: string attribute with double quotes
+result = h("div", {
+  id: "main"
+});
+
+//# case: string attribute with single quotes
+result = h("div", {
+  id: "main"
+});
+
+//# case: single quotes containing double quotes
+result = h("div", {
+  title: "say \"hi\""
+});
+
+//# case: double quotes containing single quotes
+result = h("div", {
+  title: "it's"
+});
+
+//# case: empty string attribute
+result = h("div", {
+  title: ""
+});
+
+//# case: expression attribute
+result = h("div", {
+  id: a
+});
+
+//# case: expression attribute with member access
+result = h("div", {
+  id: props.id
+});
+
+//# case: expression attribute with call
+result = h("div", {
+  title: fn()
+});
+
+//# case: expression attribute with string literal
+result = h("div", {
+  title: "text"
+});
+
+//# case: expression attribute with template literal
+result = h("div", {
+  className: `item-${a}`
+});
+
+//# case: expression attribute with object literal
+result = h("div", {
+  style: {
+    color: "blue",
+    fontSize: 12
+  }
+});
+
+//# case: expression attribute with array literal
+result = h("div", {
+  data: [1, 2, 3]
+});
+
+//# case: expression attribute with arrow function
+result = h("button", {
+  onClick: () => a + 1
+});
+
+//# case: expression attribute with arrow function returning object
+result = h("button", {
+  onClick: () => ({
+    value: a
+  })
+});
+
+//# case: expression attribute with ternary
+result = h("div", {
+  className: c ? "on" : "off"
+});
+
+//# case: expression attribute with logical operators
+result = h("div", {
+  title: d || "default",
+  hidden: c && cond
+});
+
+//# case: expression attribute with comparison
+result = h("div", {
+  hidden: a > 0
+});
+
+//# case: expression attribute with less than
+result = h("div", {
+  hidden: a < 2
+});
+
+//# case: boolean attribute
+result = h("input", {
+  disabled: true
+});
+
+//# case: multiple boolean attributes
+result = h("input", {
+  disabled: true,
+  readOnly: true,
+  required: true
+});
+
+//# case: boolean attribute before other attributes
+result = h("input", {
+  disabled: true,
+  type: "text"
+});
+
+//# case: boolean attribute at the end
+result = h("input", {
+  type: "text",
+  checked: true
+});
+
+//# case: hyphenated attribute names
+result = h("div", {
+  "data-id": "1",
+  "aria-label": "label"
+});
+
+//# case: hyphenated boolean attribute
+result = h("div", {
+  "aria-hidden": true
+});
+
+//# case: spread attributes
+result = h("div", props);
+
+//# case: spread attributes before other attributes
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h("div", _extends({}, props, {
+  id: "override"
+}));
+
+//# case: spread attributes after other attributes
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h("div", _extends({
+  id: "first"
+}, props));
+
+//# case: multiple spread attributes
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h("div", _extends({}, props, style));
+
+//# case: spread attributes with expression
+result = h("div", c ? props : {});
+
+//# case: spread attributes on component
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h(Comp, _extends({}, props, {
+  extra: a
+}));
+
+//# case: attributes on multiple lines
+result = h("div", {
+  id: "main",
+  className: "container",
+  title: b
+});
+
+//# case: attribute without spaces
+result = h("div", {
+  id: "a",
+  title: "b"
+});
+
+//# case: many attributes
+result = h("input", {
+  type: "text",
+  name: "field",
+  value: b,
+  placeholder: "Enter",
+  maxLength: 10,
+  autoFocus: true,
+  onInput: fn
+});
+
+//# case: string attribute containing braces
+result = h("div", {
+  title: "{not an expression}"
+});
+
+//# case: string attribute containing angle brackets
+result = h("div", {
+  title: "<b>not an element</b>"
+});
+
+//# case: string attribute containing a backslash
+result = h("div", {
+  title: "a\\b"
+});
+
+//# case: string attribute containing newline
+result = h("div", {
+  title: "line one\nline two"
+});
+
+//# case: multi-line string attribute with indentation
+result = h("div", {
+  title: "first second third"
+});
+
+//# case: element as attribute value
+result = h(Comp, {
+  icon: h("span", null, "icon")
+});
+
+//# case: nested components as attribute values
+result = h(Comp, {
+  header: h(Other, {
+    title: "x"
+  }),
+  footer: h("div", null, "f")
+});
+
+//# case: key and ref attributes
+result = h("div", {
+  key: "k",
+  ref: fn
+});
+
+//# case: className and htmlFor
+result = h("label", {
+  className: "lbl",
+  htmlFor: "x"
+}, "Label");
+
+//# case: numeric expression attribute
+result = h("div", {
+  tabIndex: 0
+});
+
+//# case: style attribute from variable
+result = h("div", {
+  style: style
+});
+
+//# case: attribute named like a keyword
+result = h("div", {
+  class: "c",
+  for: "f",
+  default: "d"
+});
+
+//# case: attribute containing an equals sign
+result = h("a", {
+  href: "/search?q=1&x=2"
+});
+
+//# case: attribute containing a URL with a fragment
+result = h("a", {
+  href: "https://example.com/#top"
+});
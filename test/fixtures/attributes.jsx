@@ -0,0 +1,147 @@
+//# case: string attribute with double quotes
+<div id="main" />
+
+//# case: string attribute with single quotes
+<div id='main' />
+
+//# case: single quotes containing double quotes
+<div title='say "hi"' />
+
+//# case: double quotes containing single quotes
+<div title="it's" />
+
+//# case: empty string attribute
+<div title="" />
+
+//# case: expression attribute
+<div id={a} />
+
+//# case: expression attribute with member access
+<div id={props.id} />
+
+//# case: expression attribute with call
+<div title={fn()} />
+
+//# case: expression attribute with string literal
+<div title={"text"} />
+
+//# case: expression attribute with template literal
+<div className={`item-${a}`} />
+
+//# case: expression attribute with object literal
+<div style={{ color: "blue", fontSize: 12 }} />
+
+//# case: expression attribute with array literal
+<div data={[1, 2, 3]} />
+
+//# case: expression attribute with arrow function
+<button onClick={() => a + 1} />
+
+//# case: expression attribute with arrow function returning object
+<button onClick={() => ({ value: a })} />
+
+//# case: expression attribute with ternary
+<div className={c ? "on" : "off"} />
+
+//# case: expression attribute with logical operators
+<div title={d || "default"} hidden={c && cond} />
+
+//# case: expression attribute with comparison
+<div hidden={a > 0} />
+
+//# case: expression attribute with less than
+<div hidden={a < 2} />
+
+//# case: boolean attribute
+<input disabled />
+
+//# case: multiple boolean attributes
+<input disabled readOnly required />
+
+//# case: boolean attribute before other attributes
+<input disabled type="text" />
+
+//# case: boolean attribute at the end
+<input type="text" checked />
+
+//# case: hyphenated attribute names
+<div data-id="1" aria-label="label" />
+
+//# case: hyphenated boolean attribute
+<div aria-hidden />
+
+//# case: spread attributes
+<div {...props} />
+
+//# case: spread attributes before other attributes
+<div {...props} id="override" />
+
+//# case: spread attributes after other attributes
+<div id="first" {...props} />
+
+//# case: multiple spread attributes
+<div {...props} {...style} />
+
+//# case: spread attributes with expression
+<div {...(c ? props : {})} />
+
+//# case: spread attributes on component
+<Comp {...props} extra={a} />
+
+//# case: attributes on multiple lines
+<div
+    id="main"
+    className="container"
+    title={b}
+/>
+
+//# case: attribute without spaces
+<div id="a"title="b" />
+
+//# case: many attributes
+<input type="text" name="field" value={b} placeholder="Enter" maxLength={10} autoFocus onInput={fn} />
+
+//# case: string attribute containing braces
+<div title="{not an expression}" />
+
+//# case: string attribute containing angle brackets
+<div title="<b>not an element</b>" />
+
+//# case: string attribute containing a backslash
+<div title="a\b" />
+
+//# case: string attribute containing newline
+<div title="line one
+line two" />
+
+//# case: multi-line string attribute with indentation
+<div title="first
+    second
+    third" />
+
+//# case: element as attribute value
+<Comp icon={<span>icon</span>} />
+
+//# case: nested components as attribute values
+<Comp header={<Other title="x" />} footer={<div>f</div>} />
+
+//# case: key and ref attributes
+<div key="k" ref={fn} />
+
+//# case: className and htmlFor
+<label className="lbl" htmlFor="x">Label</label>
+
+//# case: numeric expression attribute
+<div tabIndex={0} />
+
+//# case: style attribute from variable
+<div style={style} />
+
+//# case: attribute named like a keyword
+<div class="c" for="f" default="d" />
+
+//# case: attribute containing an equals sign
+<a href="/search?q=1&x=2" />
+
+//# case: attribute containing a URL with a fragment
+<a href="https://example.com/#top" />
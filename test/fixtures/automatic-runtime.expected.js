@@ -0,0 +1,144 @@
+//# case: element
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {});
+
+//# case: element with props
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  id: "a",
+  title: b
+});
+
+//# case: element with one child
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  children: "text"
+});
+
+//# case: element with multiple children
+import { jsx as _jsx, jsxs as _jsxs } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsxs("div", {
+  children: [/*#__PURE__*/_jsx("b", {}), /*#__PURE__*/_jsx("i", {})]
+});
+
+//# case: element with text and expression
+import { jsxs as _jsxs } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsxs("div", {
+  children: ["Count: ", a]
+});
+
+//# case: component
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx(Comp, {
+  value: a
+});
+
+//# case: component with children
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx(Comp, {
+  children: /*#__PURE__*/_jsx(Other, {})
+});
+
+//# case: fragment
+import { jsx as _jsx, Fragment as _Fragment, jsxs as _jsxs } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsxs(_Fragment, {
+  children: [/*#__PURE__*/_jsx("b", {}), /*#__PURE__*/_jsx("i", {})]
+});
+
+//# case: fragment with one child
+import { jsx as _jsx, Fragment as _Fragment } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx(_Fragment, {
+  children: /*#__PURE__*/_jsx("b", {})
+});
+
+//# case: key prop
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  id: "a"
+}, "k");
+
+//# case: key prop with expression
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  children: b
+}, a);
+
+//# case: spread props
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  ...props
+});
+
+//# case: spread props with other props
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  ...props,
+  id: "x",
+  children: "child"
+});
+
+//# case: map with keys
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("ul", {
+  children: items.map(item => /*#__PURE__*/_jsx("li", {
+    children: item
+  }, item))
+});
+
+//# case: member expression component
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx(Context.Provider, {
+  value: a,
+  children: /*#__PURE__*/_jsx("b", {})
+});
+
+//# case: nested elements
+import { jsx as _jsx, jsxs as _jsxs } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  children: /*#__PURE__*/_jsxs("ul", {
+    children: [/*#__PURE__*/_jsx("li", {
+      children: "one"
+    }), /*#__PURE__*/_jsx("li", {
+      children: "two"
+    })]
+  })
+});
+
+//# case: expression children
+import { jsxs as _jsxs } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsxs("div", {
+  children: [a, b]
+});
+
+//# case: conditional child
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  children: c && /*#__PURE__*/_jsx("b", {})
+});
+
+//# case: entity in text
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("p", {
+  children: "a & b"
+});
+
+//# case: hyphenated props
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("div", {
+  "data-id": "1",
+  "aria-label": "x"
+});
+
+//# case: boolean props
+import { jsx as _jsx } from "react/jsx-runtime";
+result = /*#__PURE__*/_jsx("input", {
+  disabled: true,
+  checked: true
+});
+
+//# case: import source directive
+import { jsx as _jsx } from "preact/jsx-runtime";
+/** @jsxImportSource preact */
+result = _jsx("div", {
+  children: "preact"
+});
@@ -0,0 +1,68 @@
+//# options: {"runtime": "automatic"}
+
+//# case: element
+<div />
+
+//# case: element with props
+<div id="a" title={b} />
+
+//# case: element with one child
+<div>text</div>
+
+//# case: element with multiple children
+<div><b /><i /></div>
+
+//# case: element with text and expression
+<div>Count: {a}</div>
+
+//# case: component
+<Comp value={a} />
+
+//# case: component with children
+<Comp><Other /></Comp>
+
+//# case: fragment
+<><b /><i /></>
+
+//# case: fragment with one child
+<><b /></>
+
+//# case: key prop
+<div key="k" id="a" />
+
+//# case: key prop with expression
+<div key={a}>{b}</div>
+
+//# case: spread props
+<div {...props} />
+
+//# case: spread props with other props
+<div {...props} id="x">child</div>
+
+//# case: map with keys
+<ul>{items.map((item) => <li key={item}>{item}</li>)}</ul>
+
+//# case: member expression component
+<Context.Provider value={a}><b /></Context.Provider>
+
+//# case: nested elements
+<div><ul><li>one</li><li>two</li></ul></div>
+
+//# case: expression children
+<div>{a}{b}</div>
+
+//# case: conditional child
+<div>{c && <b />}</div>
+
+//# case: entity in text
+<p>a &amp; b</p>
+
+//# case: hyphenated props
+<div data-id="1" aria-label="x" />
+
+//# case: boolean props
+<input disabled checked />
+
+//# case: import source directive
+/** @jsxImportSource preact */
+result = <div>preact</div>;
@@ -0,0 +1,152 @@
+//# case: expression child
+result = h("div", null, a);
+
+//# case: string expression child
+result = h("div", null, "text");
+
+//# case: multiple expression children
+result = h("div", null, a, b);
+
+//# case: text and expression children
+result = h("div", null, "Count: ", a);
+
+//# case: expression between text
+result = h("div", null, "before ", a, " after");
+
+//# case: member expression child
+result = h("div", null, props.title);
+
+//# case: call expression child
+result = h("div", null, fn());
+
+//# case: template literal child
+result = h("div", null, `value ${a}`);
+
+//# case: arithmetic expression child
+result = h("div", null, a + 1);
+
+//# case: ternary with strings
+result = h("div", null, c ? "yes" : "no");
+
+//# case: ternary with elements
+result = h("div", null, c ? h("b", null, "yes") : h("i", null, "no"));
+
+//# case: ternary with element and null
+result = h("div", null, cond ? h("b", null) : null);
+
+//# case: nested ternary with elements
+result = h("div", null, a === 1 ? h("b", null, "one") : a === 2 ? h("i", null, "two") : h("u", null, "other"));
+
+//# case: logical and with element
+result = h("div", null, c && h("b", null, "shown"));
+
+//# case: logical and with false condition
+result = h("div", null, cond && h("b", null, "hidden"));
+
+//# case: logical or with element
+result = h("div", null, d || h("i", null, "fallback"));
+
+//# case: map with arrow function
+result = h("ul", null, items.map(item => h("li", null, item)));
+
+//# case: map with arrow function without parentheses
+result = h("ul", null, items.map(item => h("li", null, item)));
+
+//# case: map with key
+result = h("ul", null, items.map(item => h("li", {
+  key: item
+}, item)));
+
+//# case: map with index
+result = h("ul", null, items.map((item, i) => h("li", {
+  key: i
+}, i, ": ", item)));
+
+//# case: map with block body
+result = h("ul", null, list.map(item => {
+  return h("li", {
+    key: item.id
+  }, item.name);
+}));
+
+//# case: map with element on next line
+result = h("ul", null, items.map(item => h("li", null, item)));
+
+//# case: map with parenthesized multi-line element
+result = h("ul", null, list.map(item => h("li", {
+  key: item.id
+}, h("span", null, item.name))));
+
+//# case: map with function expression
+result = h("ul", null, items.map(function (item) {
+  return h("li", null, item);
+}));
+
+//# case: filter then map
+result = h("ul", null, list.filter(item => item.id > 1).map(item => h("li", null, item.name)));
+
+//# case: nested map
+result = h("div", null, list.map(item => h("ul", null, items.map(x => h("li", null, item.id, x)))));
+
+//# case: array literal of elements as child
+result = h("div", null, [h("b", {
+  key: "1"
+}), h("i", {
+  key: "2"
+})]);
+
+//# case: immediately invoked function child
+result = h("div", null, (() => h("b", null, "iife"))());
+
+//# case: null and boolean children
+result = h("div", null, null, true, false, undefined);
+
+//# case: empty expression
+result = h("div", null);
+
+//# case: expression with only a comment
+result = h("div", null);
+
+//# case: expression with a line comment
+result = h("div", null);
+
+//# case: comment before expression
+result = h("div", null, /* comment */a);
+
+//# case: element child of component
+result = h(Comp, null, h(Other, null));
+
+//# case: function as child
+result = h(Context.Consumer, null, value => h("b", null, value));
+
+//# case: object spread in child expression
+result = h("div", null, Object.keys({
+  ...props
+}).join(","));
+
+//# case: expression containing a string with braces
+result = h("div", null, "{braces}");
+
+//# case: expression containing a string with angle brackets
+result = h("div", null, "<b>");
+
+//# case: expression containing a string with a closing tag
+result = h("div", null, "</div>");
+
+//# case: expression child spanning lines
+result = h("div", null, a + 1);
+
+//# case: children with elements and text on lines
+result = h("p", null, "Hello ", h("b", null, b), ", you have ", a, " new", h("i", null, "messages"));
+
+//# case: element inside parenthesized expression
+result = h("div", null, h("b", null, "paren"));
+
+//# case: comparison with less than in child
+result = h("div", null, a < 2 ? "small" : "big");
+
+//# case: comparison with greater than in child
+result = h("div", null, a > 2 ? "big" : "small");
+
+//# case: less than with spaces removed
+result = h("div", null, a < 2);
@@ -0,0 +1,159 @@
+//# case: expression child
+<div>{a}</div>
+
+//# case: string expression child
+<div>{"text"}</div>
+
+//# case: multiple expression children
+<div>{a}{b}</div>
+
+//# case: text and expression children
+<div>Count: {a}</div>
+
+//# case: expression between text
+<div>before {a} after</div>
+
+//# case: member expression child
+<div>{props.title}</div>
+
+//# case: call expression child
+<div>{fn()}</div>
+
+//# case: template literal child
+<div>{`value ${a}`}</div>
+
+//# case: arithmetic expression child
+<div>{a + 1}</div>
+
+//# case: ternary with strings
+<div>{c ? "yes" : "no"}</div>
+
+//# case: ternary with elements
+<div>{c ? <b>yes</b> : <i>no</i>}</div>
+
+//# case: ternary with element and null
+<div>{cond ? <b /> : null}</div>
+
+//# case: nested ternary with elements
+<div>{a === 1 ? <b>one</b> : a === 2 ? <i>two</i> : <u>other</u>}</div>
+
+//# case: logical and with element
+<div>{c && <b>shown</b>}</div>
+
+//# case: logical and with false condition
+<div>{cond && <b>hidden</b>}</div>
+
+//# case: logical or with element
+<div>{d || <i>fallback</i>}</div>
+
+//# case: map with arrow function
+<ul>{items.map((item) => <li>{item}</li>)}</ul>
+
+//# case: map with arrow function without parentheses
+<ul>{items.map(item => <li>{item}</li>)}</ul>
+
+//# case: map with key
+<ul>{items.map((item) => <li key={item}>{item}</li>)}</ul>
+
+//# case: map with index
+<ul>{items.map((item, i) => <li key={i}>{i}: {item}</li>)}</ul>
+
+//# case: map with block body
+<ul>
+    {list.map((item) => {
+        return <li key={item.id}>{item.name}</li>;
+    })}
+</ul>
+
+//# case: map with element on next line
+<ul>
+    {items.map((item) =>
+        <li>{item}</li>
+    )}
+</ul>
+
+//# case: map with parenthesized multi-line element
+<ul>
+    {list.map((item) => (
+        <li key={item.id}>
+            <span>{item.name}</span>
+        </li>
+    ))}
+</ul>
+
+//# case: map with function expression
+<ul>{items.map(function (item) { return <li>{item}</li>; })}</ul>
+
+//# case: filter then map
+<ul>{list.filter((item) => item.id > 1).map((item) => <li>{item.name}</li>)}</ul>
+
+//# case: nested map
+<div>{list.map((item) => <ul>{items.map((x) => <li>{item.id}{x}</li>)}</ul>)}</div>
+
+//# case: array literal of elements as child
+<div>{[<b key="1" />, <i key="2" />]}</div>
+
+//# case: immediately invoked function child
+<div>{(() => <b>iife</b>)()}</div>
+
+//# case: null and boolean children
+<div>{null}{true}{false}{undefined}</div>
+
+//# case: empty expression
+<div>{}</div>
+
+//# case: expression with only a comment
+<div>{/* comment */}</div>
+
+//# case: expression with a line comment
+<div>
+    {// comment
+    }
+</div>
+
+//# case: comment before expression
+<div>{/* comment */ a}</div>
+
+//# case: element child of component
+<Comp><Other /></Comp>
+
+//# case: function as child
+<Context.Consumer>{(value) => <b>{value}</b>}</Context.Consumer>
+
+//# case: object spread in child expression
+<div>{Object.keys({ ...props }).join(",")}</div>
+
+//# case: expression containing a string with braces
+<div>{"{braces}"}</div>
+
+//# case: expression containing a string with angle brackets
+<div>{"<b>"}</div>
+
+//# case: expression containing a string with a closing tag
+<div>{"</div>"}</div>
+
+//# case: expression child spanning lines
+<div>
+    {
+        a +
+        1
+    }
+</div>
+
+//# case: children with elements and text on lines
+<p>
+    Hello <b>{b}</b>, you have {a} new
+    <i>messages</i>
+</p>
+
+//# case: element inside parenthesized expression
+<div>{(<b>paren</b>)}</div>
+
+//# case: comparison with less than in child
+<div>{a < 2 ? "small" : "big"}</div>
+
+//# case: comparison with greater than in child
+<div>{a > 2 ? "big" : "small"}</div>
+
+//# case: less than with spaces removed
+<div>{a<2}</div>
@@ -0,0 +1,82 @@
+//# case: line comment before element
+// comment
+result = h("b", null);
+
+//# case: block comment before element
+/* comment */
+result = h("b", null);
+
+//# case: comment between attributes
+result = h("div", {
+  // comment
+  id: "a"
+  /* another */,
+  title: "b"
+});
+
+//# case: comment in expression attribute
+result = h("div", {
+  id: /* comment */a
+});
+
+//# case: comment in child expression
+result = h("div", null);
+
+//# case: multi-line comment in child expression
+result = h("div", null, "text");
+
+//# case: comment between children
+result = h("div", null, h("b", null), h("i", null));
+
+//# case: comment-like text in children
+result = h("div", null, "// not a comment");
+
+//# case: block comment-like text in children
+result = h("div", null, "/* not a comment */");
+
+//# case: comment-like text in attribute
+result = h("a", {
+  href: "http://example.com/path"
+});
+
+//# case: comment inside map callback
+result = h("ul", null, items.map(item =>
+// comment
+h("li", null, item)));
+
+//# case: comment containing an element
+// <div>
+result = h("b", null);
+
+//# case: block comment containing an element
+/* <div> </div> */
+result = h("b", null);
+
+//# case: comment containing quotes
+// it's a "comment"
+result = h("b", null);
+
+//# case: comment after element
+result = h("b", null); // comment
+
+//# case: comment in string is not a comment
+var s = "// not a comment";
+result = h("b", null, s);
+
+//# case: block comment in string is not a comment
+var s = "/* not a comment */";
+result = h("b", null, s);
+
+//# case: url in template literal
+var s = `http://example.com`;
+result = h("a", {
+  href: s
+});
+
+//# case: comment in spread attribute
+result = h("div", /* comment */ /* comment */props);
+
+//# case: comment after last attribute
+result = h("div", {
+  id: "a" /* comment */
+});
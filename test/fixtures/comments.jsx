@@ -0,0 +1,87 @@
+//# case: line comment before element
+// comment
+result = <b />;
+
+//# case: block comment before element
+/* comment */
+result = <b />;
+
+//# case: comment between attributes
+<div
+    // comment
+    id="a"
+    /* another */
+    title="b"
+/>
+
+//# case: comment in expression attribute
+<div id={/* comment */ a} />
+
+//# case: comment in child expression
+<div>{/* comment */}</div>
+
+//# case: multi-line comment in child expression
+<div>
+    {/*
+        multi
+        line
+    */}
+    text
+</div>
+
+//# case: comment between children
+<div>
+    <b />
+    {/* comment */}
+    <i />
+</div>
+
+//# case: comment-like text in children
+<div>// not a comment</div>
+
+//# case: block comment-like text in children
+<div>/* not a comment */</div>
+
+//# case: comment-like text in attribute
+<a href="http://example.com/path" />
+
+//# case: comment inside map callback
+<ul>
+    {items.map((item) => (
+        // comment
+        <li>{item}</li>
+    ))}
+</ul>
+
+//# case: comment containing an element
+// <div>
+result = <b />;
+
+//# case: block comment containing an element
+/* <div> </div> */
+result = <b />;
+
+//# case: comment containing quotes
+// it's a "comment"
+result = <b />;
+
+//# case: comment after element
+result = <b />; // comment
+
+//# case: comment in string is not a comment
+var s = "// not a comment";
+result = <b>{s}</b>;
+
+//# case: block comment in string is not a comment
+var s = "/* not a comment */";
+result = <b>{s}</b>;
+
+//# case: url in template literal
+var s = `http://example.com`;
+result = <a href={s} />;
+
+//# case: comment in spread attribute
+<div {.../* comment */ props} />
+
+//# case: comment after last attribute
+<div id="a" /* comment */ />
@@ -0,0 +1,127 @@
+//# case: element
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV("div", {}, void 0, false, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 1
+}, this);
+
+//# case: element with props
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV("div", {
+  id: "a",
+  title: b
+}, void 0, false, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 1
+}, this);
+
+//# case: nested elements on separate lines
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV("div", {
+  children: [/*#__PURE__*/_jsxDEV("h1", {
+    children: "Title"
+  }, void 0, false, {
+    fileName: _jsxFileName,
+    lineNumber: 3,
+    columnNumber: 5
+  }, this), /*#__PURE__*/_jsxDEV(Comp, {
+    value: a,
+    children: /*#__PURE__*/_jsxDEV(Other, {}, void 0, false, {
+      fileName: _jsxFileName,
+      lineNumber: 5,
+      columnNumber: 9
+    }, this)
+  }, void 0, false, {
+    fileName: _jsxFileName,
+    lineNumber: 4,
+    columnNumber: 5
+  }, this)]
+}, void 0, true, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 1
+}, this);
+
+//# case: element with key
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV(Comp, {}, "k", false, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 1
+}, this);
+
+//# case: spread props
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV(Comp, {
+  ...props,
+  id: "a"
+}, void 0, false, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 1
+}, this);
+
+//# case: fragment
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV, Fragment as _Fragment } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV(_Fragment, {
+  children: /*#__PURE__*/_jsxDEV("b", {}, void 0, false, {
+    fileName: _jsxFileName,
+    lineNumber: 3,
+    columnNumber: 5
+  }, this)
+}, void 0, false);
+
+//# case: member expression
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV(Context.Provider, {
+  value: a,
+  children: /*#__PURE__*/_jsxDEV(Context.Consumer, {
+    children: fn
+  }, void 0, false, {
+    fileName: _jsxFileName,
+    lineNumber: 3,
+    columnNumber: 5
+  }, this)
+}, void 0, false, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 1
+}, this);
+
+//# case: elements in expressions
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+result = /*#__PURE__*/_jsxDEV("ul", {
+  children: items.map(item => /*#__PURE__*/_jsxDEV("li", {
+    children: item
+  }, item, false, {
+    fileName: _jsxFileName,
+    lineNumber: 4,
+    columnNumber: 9
+  }, this))
+}, void 0, false, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 1
+}, this);
+
+//# case: element after code
+var _jsxFileName = "/development-automatic.jsx";
+import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+const value = a + 1;
+result = /*#__PURE__*/_jsxDEV("div", {
+  children: value
+}, void 0, false, {
+  fileName: _jsxFileName,
+  lineNumber: 2,
+  columnNumber: 10
+}, this);
@@ -0,0 +1,42 @@
+//# options: {"development": true, "runtime": "automatic"}
+
+//# case: element
+<div />
+
+//# case: element with props
+<div id="a" title={b} />
+
+//# case: nested elements on separate lines
+<div>
+    <h1>Title</h1>
+    <Comp value={a}>
+        <Other />
+    </Comp>
+</div>
+
+//# case: element with key
+<Comp key="k" />
+
+//# case: spread props
+<Comp {...props} id="a" />
+
+//# case: fragment
+<>
+    <b />
+</>
+
+//# case: member expression
+<Context.Provider value={a}>
+    <Context.Consumer>{fn}</Context.Consumer>
+</Context.Provider>
+
+//# case: elements in expressions
+<ul>
+    {items.map((item) => (
+        <li key={item}>{item}</li>
+    ))}
+</ul>
+
+//# case: element after code
+const value = a + 1;
+result = <div>{value}</div>;
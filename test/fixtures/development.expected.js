@@ -0,0 +1,142 @@
+//# case: element
+var _jsxFileName = "/development.jsx";
+result = h("div", {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 1
+  }
+});
+
+//# case: element with props
+var _jsxFileName = "/development.jsx";
+result = h("div", {
+  id: "a",
+  title: b,
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 1
+  }
+});
+
+//# case: nested elements on separate lines
+var _jsxFileName = "/development.jsx";
+result = h("div", {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 1
+  }
+}, h("h1", {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 3,
+    columnNumber: 5
+  }
+}, "Title"), h(Comp, {
+  value: a,
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 4,
+    columnNumber: 5
+  }
+}, h(Other, {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 5,
+    columnNumber: 9
+  }
+})));
+
+//# case: element with key
+var _jsxFileName = "/development.jsx";
+result = h(Comp, {
+  key: "k",
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 1
+  }
+});
+
+//# case: spread props
+var _jsxFileName = "/development.jsx";
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h(Comp, _extends({}, props, {
+  id: "a",
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 1
+  }
+}));
+
+//# case: fragment
+var _jsxFileName = "/development.jsx";
+result = h(Fragment, null, h("b", {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 3,
+    columnNumber: 5
+  }
+}));
+
+//# case: member expression
+var _jsxFileName = "/development.jsx";
+result = h(Context.Provider, {
+  value: a,
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 1
+  }
+}, h(Context.Consumer, {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 3,
+    columnNumber: 5
+  }
+}, fn));
+
+//# case: elements in expressions
+var _jsxFileName = "/development.jsx";
+result = h("ul", {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 1
+  }
+}, items.map(item => h("li", {
+  key: item,
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 4,
+    columnNumber: 9
+  }
+}, item)));
+
+//# case: element after code
+var _jsxFileName = "/development.jsx";
+const value = a + 1;
+result = h("div", {
+  __self: this,
+  __source: {
+    fileName: _jsxFileName,
+    lineNumber: 2,
+    columnNumber: 10
+  }
+}, value);
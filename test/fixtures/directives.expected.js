@@ -0,0 +1,57 @@
+//# case: jsx pragma in line comment
+// @jsx React.createElement
+result = /*#__PURE__*/React.createElement("b", null);
+
+//# case: jsx pragma in block comment
+/** @jsx React.createElement */
+result = /*#__PURE__*/React.createElement("b", null);
+
+//# case: jsx pragma with member function
+/* @jsx pragmas.make */
+var pragmas = {
+  make: h
+};
+result = pragmas.make("b", null, "text");
+
+//# case: jsx pragma name with dollar sign
+/* @jsx $h */
+var $h = h;
+result = $h("b", null);
+
+//# case: jsx pragma name with underscore
+/* @jsx _h */
+var _h = h;
+result = _h("b", null);
+
+//# case: jsxFrag pragma
+/** @jsx h */
+/** @jsxFrag React.Fragment */
+result = h(React.Fragment, null, h("b", null));
+
+//# case: jsx and jsxFrag in one comment
+/**
+ * @jsx React.createElement
+ * @jsxFrag React.Fragment
+ */
+result = /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("b", null));
+
+//# case: pragma in string is ignored
+var s = "// @jsx notUsed";
+result = h("b", null, s);
+
+//# case: jsxRuntime classic
+/** @jsxRuntime classic */
+result = h("b", null);
+
+//# case: jsx pragma after other comment
+// Header comment
+/* @jsx React.createElement */
+result = /*#__PURE__*/React.createElement("b", null);
+
+//# case: jsx in comment text is not a directive
+/** The pragma is set by the @jsx option in index.html */
+result = h("b", null);
+
+//# case: jsx word in comment text is not a directive
+// Compiled by @jsxLoader
+result = h("b", null);
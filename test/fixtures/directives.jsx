@@ -0,0 +1,55 @@
+//# case: jsx pragma in line comment
+// @jsx React.createElement
+result = <b />;
+
+//# case: jsx pragma in block comment
+/** @jsx React.createElement */
+result = <b />;
+
+//# case: jsx pragma with member function
+/* @jsx pragmas.make */
+var pragmas = { make: h };
+result = <b>text</b>;
+
+//# case: jsx pragma name with dollar sign
+/* @jsx $h */
+var $h = h;
+result = <b />;
+
+//# case: jsx pragma name with underscore
+/* @jsx _h */
+var _h = h;
+result = <b />;
+
+//# case: jsxFrag pragma
+/** @jsx h */
+/** @jsxFrag React.Fragment */
+result = <><b /></>;
+
+//# case: jsx and jsxFrag in one comment
+/**
+ * @jsx React.createElement
+ * @jsxFrag React.Fragment
+ */
+result = <><b /></>;
+
+//# case: pragma in string is ignored
+var s = "// @jsx notUsed";
+result = <b>{s}</b>;
+
+//# case: jsxRuntime classic
+/** @jsxRuntime classic */
+result = <b />;
+
+//# case: jsx pragma after other comment
+// Header comment
+/* @jsx React.createElement */
+result = <b />;
+
+//# case: jsx in comment text is not a directive
+/** The pragma is set by the @jsx option in index.html */
+result = <b />;
+
+//# case: jsx word in comment text is not a directive
+// Compiled by @jsxLoader
+result = <b />;
@@ -0,0 +1,96 @@
+//# case: self-closing element
+result = h("div", null);
+
+//# case: self-closing element without space
+result = h("div", null);
+
+//# case: empty element
+result = h("div", null);
+
+//# case: element with text
+result = h("div", null, "Hello");
+
+//# case: component
+result = h(Comp, null);
+
+//# case: component with closing tag
+result = h(Comp, null);
+
+//# case: component with children
+result = h(Comp, null, h("span", null, "child"));
+
+//# case: nested elements
+result = h("div", null, h("span", null));
+
+//# case: deeply nested elements
+result = h("div", null, h("ul", null, h("li", null, h("a", null, h("b", null, "deep")))));
+
+//# case: sibling elements
+result = h("div", null, h("span", null), h("span", null), h("span", null));
+
+//# case: sibling elements on separate lines
+result = h("div", null, h("h1", null, "Title"), h("p", null, "Text"), h("footer", null));
+
+//# case: heading elements with digits
+result = h("section", null, h("h1", null, "1"), h("h2", null, "2"), h("h6", null, "6"));
+
+//# case: custom element
+result = h("my-element", null);
+
+//# case: custom element with children
+result = h("my-element", null, h("x-item", null, "one"));
+
+//# case: custom element with attributes
+result = h("my-element", {
+  "some-value": "1",
+  other: a
+});
+
+//# case: component starting with underscore
+result = h(_Comp, null);
+
+//# case: component starting with dollar sign
+result = h($Comp, null);
+
+//# case: mixed components and elements
+result = h(Comp, null, h("div", null, h(Other, null)));
+
+//# case: element with space before closing bracket
+result = h("div", null);
+
+//# case: element tag split across lines
+result = h("div", null, "text");
+
+//# case: self-closing element split across lines
+result = h("input", {
+  type: "text"
+});
+
+//# case: void html elements
+result = h("p", null, h("br", null), h("hr", null), h("img", {
+  src: "a.png"
+}), h("input", null));
+
+//# case: svg elements
+result = h("svg", {
+  viewBox: "0 0 10 10"
+}, h("circle", {
+  cx: "5",
+  cy: "5",
+  r: "4"
+}), h("path", {
+  d: "M0 0L10 10"
+}));
+
+//# case: table elements
+result = h("table", null, h("thead", null, h("tr", null, h("th", null, "h"))), h("tbody", null, h("tr", null, h("td", null, "d"))));
+
+//# case: element names matching js keywords
+result = h("div", null, h("var", null, "v"), h("label", null, "l"), h("select", null, h("option", null, "o")));
+
+//# case: components in an array
+result = [h(Comp, {
+  key: "1"
+}), h(Other, {
+  key: "2"
+})];
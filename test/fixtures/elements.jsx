@@ -0,0 +1,91 @@
+//# case: self-closing element
+<div />
+
+//# case: self-closing element without space
+<div/>
+
+//# case: empty element
+<div></div>
+
+//# case: element with text
+<div>Hello</div>
+
+//# case: component
+<Comp />
+
+//# case: component with closing tag
+<Comp></Comp>
+
+//# case: component with children
+<Comp><span>child</span></Comp>
+
+//# case: nested elements
+<div><span /></div>
+
+//# case: deeply nested elements
+<div><ul><li><a><b>deep</b></a></li></ul></div>
+
+//# case: sibling elements
+<div><span /><span /><span /></div>
+
+//# case: sibling elements on separate lines
+<div>
+    <h1>Title</h1>
+    <p>Text</p>
+    <footer />
+</div>
+
+//# case: heading elements with digits
+<section><h1>1</h1><h2>2</h2><h6>6</h6></section>
+
+//# case: custom element
+<my-element />
+
+//# case: custom element with children
+<my-element><x-item>one</x-item></my-element>
+
+//# case: custom element with attributes
+<my-element some-value="1" other={a} />
+
+//# case: component starting with underscore
+<_Comp />
+
+//# case: component starting with dollar sign
+<$Comp />
+
+//# case: mixed components and elements
+<Comp>
+    <div>
+        <Other />
+    </div>
+</Comp>
+
+//# case: element with space before closing bracket
+<div ></div >
+
+//# case: element tag split across lines
+<div
+>
+    text
+</div
+>
+
+//# case: self-closing element split across lines
+<input
+    type="text"
+/>
+
+//# case: void html elements
+<p><br /><hr /><img src="a.png" /><input /></p>
+
+//# case: svg elements
+<svg viewBox="0 0 10 10"><circle cx="5" cy="5" r="4" /><path d="M0 0L10 10" /></svg>
+
+//# case: table elements
+<table><thead><tr><th>h</th></tr></thead><tbody><tr><td>d</td></tr></tbody></table>
+
+//# case: element names matching js keywords
+<div><var>v</var><label>l</label><select><option>o</option></select></div>
+
+//# case: components in an array
+[<Comp key="1" />, <Other key="2" />]
@@ -0,0 +1,87 @@
+//# case: ampersand entity
+result = h("p", null, "a & b");
+
+//# case: less than and greater than entities
+result = h("p", null, "<tag>");
+
+//# case: quote entities
+result = h("p", null, "\"quoted\" 'single'");
+
+//# case: non-breaking space entity
+result = h("p", null, "\xA0x\xA0");
+
+//# case: copyright entity in different forms
+result = h("p", null, "\xA9 \xA9 \xA9 &#XA9;");
+
+//# case: decimal entity
+result = h("p", null, "ABC");
+
+//# case: hex entity
+result = h("p", null, "ABC");
+
+//# case: entity for astral character
+result = h("p", null, "\uD83D\uDE00");
+
+//# case: entity without semicolon is not decoded
+result = h("p", null, "&amp text");
+
+//# case: unknown entity is not decoded
+result = h("p", null, "&unknown;");
+
+//# case: ampersand alone
+result = h("p", null, "Tom & Jerry");
+
+//# case: entities mixed with expressions
+result = h("p", null, a, " < ", b);
+
+//# case: entities in attribute
+result = h("a", {
+  title: "a & b"
+});
+
+//# case: numeric entities in attribute
+result = h("a", {
+  title: "\xA9 \xA9"
+});
+
+//# case: quote entity in attribute
+result = h("a", {
+  title: "\"quoted\""
+});
+
+//# case: entity in single quoted attribute
+result = h("a", {
+  "data-x": "q\""
+});
+
+//# case: entity in expression string is not decoded
+result = h("p", null, "&amp;");
+
+//# case: entity in expression attribute is not decoded
+result = h("a", {
+  title: "&amp;"
+});
+
+//# case: common named entities
+result = h("p", null, "\u2026 \u2014 \u2013 \xAB \xBB \u2122 \xAE \u20AC");
+
+//# case: greek letter entities
+result = h("p", null, "\u03B1\u03B2\u03B3\u0394\u03A9");
+
+//# case: arrow and math entities
+result = h("p", null, "\u2190\u2192\u2191\u2193\xD7\xF7\u2260\u2264\u2265\u221E");
+
+//# case: entity at line boundaries
+result = h("p", null, "& \xA0");
+
+//# case: entity for newline in text
+result = h("div", null, "x");
+
+//# case: entity spaces are not trimmed
+result = h("p", null, " x ");
+
+//# case: invalid numeric entity
+result = h("p", null, "&#xZZ; &#;");
+
+//# case: case sensitive entity names
+result = h("p", null, "\xC1 \xE1");
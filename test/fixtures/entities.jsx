@@ -0,0 +1,80 @@
+//# case: ampersand entity
+<p>a &amp; b</p>
+
+//# case: less than and greater than entities
+<p>&lt;tag&gt;</p>
+
+//# case: quote entities
+<p>&quot;quoted&quot; &apos;single&apos;</p>
+
+//# case: non-breaking space entity
+<p>&nbsp;x&nbsp;</p>
+
+//# case: copyright entity in different forms
+<p>&copy; &#169; &#xA9; &#XA9;</p>
+
+//# case: decimal entity
+<p>&#65;&#66;&#67;</p>
+
+//# case: hex entity
+<p>&#x41;&#x42;&#x43;</p>
+
+//# case: entity for astral character
+<p>&#x1F600;</p>
+
+//# case: entity without semicolon is not decoded
+<p>&amp text</p>
+
+//# case: unknown entity is not decoded
+<p>&unknown;</p>
+
+//# case: ampersand alone
+<p>Tom & Jerry</p>
+
+//# case: entities mixed with expressions
+<p>{a} &lt; {b}</p>
+
+//# case: entities in attribute
+<a title="a &amp; b" />
+
+//# case: numeric entities in attribute
+<a title="&#169; &#xA9;" />
+
+//# case: quote entity in attribute
+<a title="&quot;quoted&quot;" />
+
+//# case: entity in single quoted attribute
+<a data-x='q&quot;' />
+
+//# case: entity in expression string is not decoded
+<p>{"&amp;"}</p>
+
+//# case: entity in expression attribute is not decoded
+<a title={"&amp;"} />
+
+//# case: common named entities
+<p>&hellip; &mdash; &ndash; &laquo; &raquo; &trade; &reg; &euro;</p>
+
+//# case: greek letter entities
+<p>&alpha;&beta;&gamma;&Delta;&Omega;</p>
+
+//# case: arrow and math entities
+<p>&larr;&rarr;&uarr;&darr;&times;&divide;&ne;&le;&ge;&infin;</p>
+
+//# case: entity at line boundaries
+<p>
+    &amp;
+    &nbsp;
+</p>
+
+//# case: entity for newline in text
+<div>&#10;x</div>
+
+//# case: entity spaces are not trimmed
+<p>&#32;x&#32;</p>
+
+//# case: invalid numeric entity
+<p>&#xZZ; &#;</p>
+
+//# case: case sensitive entity names
+<p>&Aacute; &aacute;</p>
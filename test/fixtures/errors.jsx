@@ -0,0 +1,65 @@
+//# case: mismatched closing element
+//# error: {"code":"JSX_MISMATCHED_CLOSING_ELEMENT","message":"Found closing element [spam] that does not match opening element [span] from Token # 3 at Line #: 1, Column #: 21, Line: const x = <div><span>","line":1,"column":21,"start":21,"end":28,"codeFrame":"> 1 | const x = <div><span></spam></div>;\n    |                      ^^^^^^^"}
+const x = <div><span></spam></div>;
+
+//# case: mismatched closing element on another line
+//# error: {"code":"JSX_MISMATCHED_CLOSING_ELEMENT","line":3,"column":18,"start":40,"end":47,"codeFrame":"  1 | const x = (\n  2 |     <div>\n> 3 |         <span>text</spam>\n    |                   ^^^^^^^\n  4 |     </div>\n  5 | );"}
+const x = (
+    <div>
+        <span>text</spam>
+    </div>
+);
+
+//# case: unterminated string in attribute
+//# error: {"code":"JS_UNTERMINATED_TOKEN","line":1,"column":21,"start":21,"end":22,"codeFrame":"> 1 | const x = <div title=\"abc />;\n    |                      ^"}
+const x = <div title="abc />;
+
+//# case: unterminated string in nested attribute
+//# error: {"code":"JS_UNTERMINATED_TOKEN","line":2,"column":12,"start":26,"end":27,"codeFrame":"  1 | const x = <p>\n> 2 |     <a href=\"x>y</a>\n    |             ^\n  3 | </p>;"}
+const x = <p>
+    <a href="x>y</a>
+</p>;
+
+//# case: unterminated string in JavaScript
+//# error: {"code":"JS_UNTERMINATED_TOKEN","line":1,"column":10,"start":10,"end":11,"codeFrame":"> 1 | const s = \"abc;\n    |           ^\n  2 | const x = <b />;"}
+const s = "abc;
+const x = <b />;
+
+//# case: directive missing a value
+//# error: {"code":"JSX_INVALID_DIRECTIVE","line":1,"column":4,"start":4,"end":9,"codeFrame":"> 1 | /** @jsx */\n    |     ^^^^^\n  2 | result = <b />;"}
+/** @jsx */
+result = <b />;
+
+//# case: unknown directive
+//# error: {"code":"JSX_UNKNOWN_DIRECTIVE","line":1,"column":3,"start":3,"end":15,"codeFrame":"> 1 | // @jsxPragma h\n    |    ^^^^^^^^^^^^\n  2 | result = <b />;"}
+// @jsxPragma h
+result = <b />;
+
+//# case: unknown runtime
+//# error: {"code":"JSX_UNKNOWN_RUNTIME","line":1,"column":4,"start":4,"end":22,"codeFrame":"> 1 | /** @jsxRuntime modern */\n    |     ^^^^^^^^^^^^^^^^^^\n  2 | result = <b />;"}
+/** @jsxRuntime modern */
+result = <b />;
+
+//# case: duplicate directive
+//# error: {"code":"JSX_DUPLICATE_DIRECTIVE","line":3,"column":3,"start":17,"end":41,"codeFrame":"  1 | /**\n  2 |  * @jsx h\n> 3 |  * @jsx React.createElement\n    |    ^^^^^^^^^^^^^^^^^^^^^^^^\n  4 |  */\n  5 | result = <b />;"}
+/**
+ * @jsx h
+ * @jsx React.createElement
+ */
+result = <b />;
+
+//# case: element missing a closing element
+//# error: {"code":"JSX_UNEXPECTED_TOKEN","line":1,"column":25,"start":25,"end":26,"codeFrame":"> 1 | const x = <div><b /></div;\n    |                          ^"}
+const x = <div><b /></div;
+
+//# case: unknown directive at the start of a comment line
+//# error: {"code":"JSX_UNKNOWN_DIRECTIVE","line":3,"column":3,"start":32,"end":42}
+/**
+ * Compiled by jsxLoader
+ * @jsxLoader
+ */
+result = <b />;
+
+//# case: element after the end of an expression
+//# error: {"code":"JSX_UNEXPECTED_ELEMENT","line":1,"column":13,"start":13,"end":14}
+result = foo <b />;
@@ -0,0 +1,317 @@
+//# case: element assigned to variable
+var el = h("div", null);
+result = el;
+
+//# case: element returned from function
+function render() {
+  return h("div", null, "rendered");
+}
+result = render();
+
+//# case: element returned from parenthesized return
+function render() {
+  return h("div", null, h("b", null, "rendered"));
+}
+result = render();
+
+//# case: element from arrow function
+var render = () => h("div", null);
+result = render();
+
+//# case: element from arrow function with parentheses
+var render = () => h("div", null, h("span", null));
+result = render();
+
+//# case: element as function argument
+result = [1].map(() => h("b", null)).concat(h("i", null));
+
+//# case: elements as function arguments
+function pair(x, y) {
+  return [x, y];
+}
+result = pair(h("b", null), h("i", null));
+
+//# case: element in object literal
+result = {
+  header: h("h1", null),
+  body: h("p", null)
+};
+
+//# case: element in array literal
+result = [h("b", null), h("i", null), h("u", null)];
+
+//# case: element in ternary
+result = c ? h("b", null) : h("i", null);
+
+//# case: element in ternary on multiple lines
+result = cond ? h("b", null, "yes") : h("i", null, "no");
+
+//# case: element in logical and
+result = c && h("b", null);
+
+//# case: element in logical or
+result = d || h("i", null);
+
+//# case: element after comma
+var x = 1,
+  y = h("b", null);
+result = y;
+
+//# case: element after return in if
+function render(value) {
+  if (value) {
+    return h("b", null, value);
+  }
+  return h("i", null);
+}
+result = [render(1), render(0)];
+
+//# case: element in switch
+function render(value) {
+  switch (value) {
+    case 1:
+      return h("b", null);
+    default:
+      return h("i", null);
+  }
+}
+result = [render(1), render(2)];
+
+//# case: element in default parameter
+function render(el = h("b", null)) {
+  return el;
+}
+result = render();
+
+//# case: element in class method
+class View {
+  render() {
+    return h("div", {
+      className: "view"
+    });
+  }
+}
+result = new View().render();
+
+//# case: element in class field arrow
+class View {
+  render = () => h("div", {
+    className: "field"
+  });
+}
+result = new View().render();
+
+//# case: component function using props
+function Greeting(props) {
+  return h("p", null, "Hello ", props.name);
+}
+result = h(Greeting, {
+  name: "World"
+});
+
+//# case: component function with destructured props
+function Greeting({
+  name,
+  children
+}) {
+  return h("p", {
+    title: name
+  }, children);
+}
+result = h(Greeting, {
+  name: "x"
+}, "child");
+
+//# case: element after arrow in object
+var obj = {
+  render: () => h("b", null)
+};
+result = obj.render();
+
+//# case: element inside template literal
+result = `${h("b", null)}` && [h("i", null)];
+
+//# case: element after regex literal
+var re = /ab+c/;
+result = h("b", null, re.test("abbc") ? "match" : "no");
+
+//# case: regex literal with less than sign
+var re = /<div>/;
+result = h("b", null, re.source);
+
+//# case: regex literal with quote
+var re = /"/;
+result = h("b", null, re.source);
+
+//# case: regex literal after if condition
+var s = "a<b";
+if (s) /re</.test(s);
+result = h("b", null, s);
+
+//# case: regex literal with quote after while condition
+var n = 0;
+while (n++ < 1) /"/.test("a");
+result = h("b", null, n);
+
+//# case: regex literal after block
+var n = 1;
+{
+  n++;
+}
+/"/.test(n);
+result = h("b", null, n);
+
+//# case: regex literal after function declaration
+function test(s) {
+  return s;
+}
+/"/.test(test("a"));
+result = h("b", null);
+
+//# case: division after object literal
+var o = {
+  a: 1
+} / 2;
+result = h("b", null, String(o));
+
+//# case: division after parentheses
+var a = 4,
+  d = a / 2 / 1;
+result = h("b", null, d);
+
+//# case: division after function expression
+var f = function () {
+  return 1;
+} / 2;
+result = h("b", null, String(f));
+
+//# case: division after object in ternary
+var o = a ? {
+  a: 1
+} : {
+  b: 2
+} / 2;
+result = h("b", null, String(o));
+
+//# case: element after label
+loop: for (var i = 0; i < 1; i++) {
+  result = h("b", null, i);
+}
+
+//# case: string containing less than before element
+var s = "a < b";
+result = h("b", null, s);
+
+//# case: string containing an element before element
+var s = "<div>";
+result = h("b", null, s);
+
+//# case: template literal containing an element before element
+var s = `<div>${a}</div>`;
+result = h("b", null, s);
+
+//# case: escaped backslash at end of string
+var s = "\\";
+result = h("b", null, s);
+
+//# case: escaped quote in string
+var s = "say \"<hi>\"";
+result = h("b", null, s);
+
+//# case: less than comparison before element
+var small = a < 2;
+result = h("b", null, String(small));
+
+//# case: less than comparison without spaces
+var small = a < b;
+result = h("b", null, String(small));
+
+//# case: left shift before element
+var shifted = a << 2;
+result = h("b", null, shifted);
+
+//# case: generic like comparison
+var x = a < 2 && 3 > a;
+result = h("b", null, String(x));
+
+//# case: element after arrow returning element in argument list
+result = [1, 2].map(n => h("b", null, n), null);
+
+//# case: arrow returning element followed by comma
+var pairs = [() => h("b", null), () => h("i", null)];
+result = pairs.map(f => f());
+
+//# case: element in event handler attribute
+result = h(Comp, {
+  render: () => h("b", null)
+});
+
+//# case: element in conditional attribute
+result = h(Comp, {
+  icon: c ? h("b", null) : h("i", null)
+});
+
+//# case: element inside nested callbacks
+result = [[1, 2]].map(row => row.map(cell => h("td", null, cell)));
+
+//# case: async function returning element
+async function load() {
+  return h("b", null);
+}
+result = typeof load;
+
+//# case: generator yielding elements
+function* gen() {
+  yield h("b", null);
+  yield h("i", null);
+}
+result = Array.from(gen());
+
+//# case: element after optional chaining
+result = props?.id && h("b", null, props?.title);
+
+//# case: element after nullish coalescing
+result = d ?? h("b", null);
+
+//# case: element with spread from object spread
+var all = {
+  ...props,
+  extra: 1
+};
+result = h("div", all);
+
+//# case: labels and blocks before element
+label: {
+  break label;
+}
+result = h("b", null);
+
+//# case: element after division
+var half = a / 2;
+result = h("b", null, half);
+
+//# case: element after division and regex like text
+var x = a / 2 / 1;
+result = h("b", null, x);
+
+//# case: element after object literal in parentheses
+var o = {
+  a: 1
+};
+result = h("b", null, o.a);
+
+//# case: element in while loop
+var out = [];
+var n = 0;
+while (n < 2) {
+  out.push(h("b", null, n));
+  n++;
+}
+result = out;
+
+//# case: element in for loop with less than
+var out = [];
+for (var n = 0; n < 2; n++) {
+  out.push(h("i", null, n));
+}
+result = out;
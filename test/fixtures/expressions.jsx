@@ -0,0 +1,286 @@
+//# case: element assigned to variable
+var el = <div />;
+result = el;
+
+//# case: element returned from function
+function render() {
+    return <div>rendered</div>;
+}
+result = render();
+
+//# case: element returned from parenthesized return
+function render() {
+    return (
+        <div>
+            <b>rendered</b>
+        </div>
+    );
+}
+result = render();
+
+//# case: element from arrow function
+var render = () => <div />;
+result = render();
+
+//# case: element from arrow function with parentheses
+var render = () => (
+    <div>
+        <span />
+    </div>
+);
+result = render();
+
+//# case: element as function argument
+result = [1].map(() => <b />).concat(<i />);
+
+//# case: elements as function arguments
+function pair(x, y) { return [x, y]; }
+result = pair(<b />, <i />);
+
+//# case: element in object literal
+result = { header: <h1 />, body: <p /> };
+
+//# case: element in array literal
+result = [<b />, <i />, <u />];
+
+//# case: element in ternary
+result = c ? <b /> : <i />;
+
+//# case: element in ternary on multiple lines
+result = cond
+    ? <b>yes</b>
+    : <i>no</i>;
+
+//# case: element in logical and
+result = c && <b />;
+
+//# case: element in logical or
+result = d || <i />;
+
+//# case: element after comma
+var x = 1, y = <b />;
+result = y;
+
+//# case: element after return in if
+function render(value) {
+    if (value) {
+        return <b>{value}</b>;
+    }
+    return <i />;
+}
+result = [render(1), render(0)];
+
+//# case: element in switch
+function render(value) {
+    switch (value) {
+        case 1:
+            return <b />;
+        default:
+            return <i />;
+    }
+}
+result = [render(1), render(2)];
+
+//# case: element in default parameter
+function render(el = <b />) { return el; }
+result = render();
+
+//# case: element in class method
+class View {
+    render() {
+        return <div className="view" />;
+    }
+}
+result = new View().render();
+
+//# case: element in class field arrow
+class View {
+    render = () => <div className="field" />;
+}
+result = new View().render();
+
+//# case: component function using props
+function Greeting(props) {
+    return <p>Hello {props.name}</p>;
+}
+result = <Greeting name="World" />;
+
+//# case: component function with destructured props
+function Greeting({ name, children }) {
+    return <p title={name}>{children}</p>;
+}
+result = <Greeting name="x">child</Greeting>;
+
+//# case: element after arrow in object
+var obj = { render: () => <b /> };
+result = obj.render();
+
+//# case: element inside template literal
+result = `${<b />}` && [<i />];
+
+//# case: element after regex literal
+var re = /ab+c/;
+result = <b>{re.test("abbc") ? "match" : "no"}</b>;
+
+//# case: regex literal with less than sign
+var re = /<div>/;
+result = <b>{re.source}</b>;
+
+//# case: regex literal with quote
+var re = /"/;
+result = <b>{re.source}</b>;
+
+//# case: regex literal after if condition
+var s = "a<b";
+if (s) /re</.test(s);
+result = <b>{s}</b>;
+
+//# case: regex literal with quote after while condition
+var n = 0;
+while (n++ < 1) /"/.test("a");
+result = <b>{n}</b>;
+
+//# case: regex literal after block
+var n = 1;
+{
+    n++;
+}
+/"/.test(n);
+result = <b>{n}</b>;
+
+//# case: regex literal after function declaration
+function test(s) {
+    return s;
+}
+/"/.test(test("a"));
+result = <b />;
+
+//# case: division after object literal
+var o = {a: 1} / 2;
+result = <b>{String(o)}</b>;
+
+//# case: division after parentheses
+var a = 4, d = (a) / 2 / (1);
+result = <b>{d}</b>;
+
+//# case: division after function expression
+var f = function () { return 1; } / 2;
+result = <b>{String(f)}</b>;
+
+//# case: division after object in ternary
+var o = a ? {a: 1} : {b: 2} / 2;
+result = <b>{String(o)}</b>;
+
+//# case: element after label
+loop: for (var i = 0; i < 1; i++) {
+    result = <b>{i}</b>;
+}
+
+//# case: string containing less than before element
+var s = "a < b";
+result = <b>{s}</b>;
+
+//# case: string containing an element before element
+var s = "<div>";
+result = <b>{s}</b>;
+
+//# case: template literal containing an element before element
+var s = `<div>${a}</div>`;
+result = <b>{s}</b>;
+
+//# case: escaped backslash at end of string
+var s = "\\";
+result = <b>{s}</b>;
+
+//# case: escaped quote in string
+var s = "say \"<hi>\"";
+result = <b>{s}</b>;
+
+//# case: less than comparison before element
+var small = a < 2;
+result = <b>{String(small)}</b>;
+
+//# case: less than comparison without spaces
+var small = a<b;
+result = <b>{String(small)}</b>;
+
+//# case: left shift before element
+var shifted = a << 2;
+result = <b>{shifted}</b>;
+
+//# case: generic like comparison
+var x = a < 2 && 3 > a;
+result = <b>{String(x)}</b>;
+
+//# case: element after arrow returning element in argument list
+result = [1, 2].map((n) => <b>{n}</b>, null);
+
+//# case: arrow returning element followed by comma
+var pairs = [() => <b />, () => <i />];
+result = pairs.map((f) => f());
+
+//# case: element in event handler attribute
+<Comp render={() => <b />} />
+
+//# case: element in conditional attribute
+<Comp icon={c ? <b /> : <i />} />
+
+//# case: element inside nested callbacks
+result = [[1, 2]].map((row) => row.map((cell) => <td>{cell}</td>));
+
+//# case: async function returning element
+async function load() {
+    return <b />;
+}
+result = typeof load;
+
+//# case: generator yielding elements
+function* gen() {
+    yield <b />;
+    yield <i />;
+}
+result = Array.from(gen());
+
+//# case: element after optional chaining
+result = props?.id && <b>{props?.title}</b>;
+
+//# case: element after nullish coalescing
+result = d ?? <b />;
+
+//# case: element with spread from object spread
+var all = { ...props, extra: 1 };
+result = <div {...all} />;
+
+//# case: labels and blocks before element
+label: {
+    break label;
+}
+result = <b />;
+
+//# case: element after division
+var half = a / 2;
+result = <b>{half}</b>;
+
+//# case: element after division and regex like text
+var x = a / 2 / 1;
+result = <b>{x}</b>;
+
+//# case: element after object literal in parentheses
+var o = ({ a: 1 });
+result = <b>{o.a}</b>;
+
+//# case: element in while loop
+var out = [];
+var n = 0;
+while (n < 2) {
+    out.push(<b>{n}</b>);
+    n++;
+}
+result = out;
+
+//# case: element in for loop with less than
+var out = [];
+for (var n = 0; n < 2; n++) {
+    out.push(<i>{n}</i>);
+}
+result = out;
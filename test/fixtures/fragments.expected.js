@@ -0,0 +1,49 @@
+//# case: empty fragment
+result = h(Fragment, null);
+
+//# case: fragment with text
+result = h(Fragment, null, "text");
+
+//# case: fragment with element
+result = h(Fragment, null, h("div", null));
+
+//# case: fragment with siblings
+result = h(Fragment, null, h("div", null), h("span", null));
+
+//# case: fragment on multiple lines
+result = h(Fragment, null, h("h1", null, "Title"), h("p", null, "Text"));
+
+//# case: nested fragments
+result = h(Fragment, null, h(Fragment, null, h("div", null)));
+
+//# case: fragment inside element
+result = h("div", null, h(Fragment, null, h("span", null)));
+
+//# case: fragment with expressions
+result = h(Fragment, null, a, b);
+
+//# case: fragment with text and expressions
+result = h(Fragment, null, "Value: ", a);
+
+//# case: fragment in conditional
+result = c ? h(Fragment, null, h("b", null), h("i", null)) : null;
+
+//# case: fragment returned from arrow function
+result = (() => h(Fragment, null, h("b", null)))();
+
+//# case: fragment with components
+result = h(Fragment, null, h(Comp, null), h(Other, null));
+
+//# case: fragment as component child
+result = h(Comp, null, h(Fragment, null, "inner"));
+
+//# case: fragment with whitespace only
+result = h(Fragment, null, " ");
+
+//# case: keyed fragment
+result = h(Fragment, {
+  key: "k"
+}, h("b", null));
+
+//# case: React.Fragment member expression
+result = h(React.Fragment, null, h("b", null));
@@ -0,0 +1,50 @@
+//# case: empty fragment
+<></>
+
+//# case: fragment with text
+<>text</>
+
+//# case: fragment with element
+<><div /></>
+
+//# case: fragment with siblings
+<><div /><span /></>
+
+//# case: fragment on multiple lines
+<>
+    <h1>Title</h1>
+    <p>Text</p>
+</>
+
+//# case: nested fragments
+<><><div /></></>
+
+//# case: fragment inside element
+<div><><span /></></div>
+
+//# case: fragment with expressions
+<>{a}{b}</>
+
+//# case: fragment with text and expressions
+<>Value: {a}</>
+
+//# case: fragment in conditional
+c ? <><b /><i /></> : null
+
+//# case: fragment returned from arrow function
+result = (() => <><b /></>)();
+
+//# case: fragment with components
+<><Comp /><Other /></>
+
+//# case: fragment as component child
+<Comp><>inner</></Comp>
+
+//# case: fragment with whitespace only
+<> </>
+
+//# case: keyed fragment
+<Fragment key="k"><b /></Fragment>
+
+//# case: React.Fragment member expression
+<React.Fragment><b /></React.Fragment>
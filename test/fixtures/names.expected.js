@@ -0,0 +1,109 @@
+//# case: member expression component
+result = h(Context.Provider, {
+  value: a
+}, h("b", null));
+
+//# case: lowercase member expression
+result = h(motion.div, {
+  animate: style
+});
+
+//# case: lowercase member expression with children
+result = h(motion.span, null, "text");
+
+//# case: nested member expression
+result = h(ns.Comp.Inner, null);
+
+//# case: member expression closing tag
+result = h(ns.Comp.Inner, null, "child");
+
+//# case: this member expression
+result = function () {
+  return h(this.Comp, null);
+}.call({
+  Comp: Comp
+});
+
+//# case: namespaced element
+result = h("svg:rect", {
+  width: "1"
+});
+
+//# case: namespaced element with children
+result = h("svg:g", null, h("svg:rect", null));
+
+//# case: namespaced attribute
+result = h("use", {
+  "xlink:href": "#icon"
+});
+
+//# case: namespaced boolean attribute
+result = h("div", {
+  "foo:bar": true
+});
+
+//# case: namespaced attributes with expressions
+result = h("svg", {
+  "xmlns:xlink": b
+}, h("image", {
+  "xlink:href": props.id
+}));
+
+//# case: attribute names with dollar sign
+result = h("div", {
+  $value: "1"
+});
+
+//# case: attribute names with underscore
+result = h("div", {
+  _private: "1",
+  __html: "2"
+});
+
+//# case: attribute names with digits
+result = h("div", {
+  "data-1": "one",
+  x2: "two"
+});
+
+//# case: attribute name with multiple hyphens
+result = h("div", {
+  "data-long-attribute-name": "v"
+});
+
+//# case: camel case attributes
+result = h("div", {
+  onClick: fn,
+  onMouseEnter: fn,
+  tabIndex: "1"
+});
+
+//# case: component with lowercase first letter is an element
+result = h("comp", null);
+
+//# case: element names with hyphens and digits
+result = h("x-1", null);
+
+//# case: custom element with hyphenated closing tag
+result = h("my-card", null, h("my-title", null, "t"));
+
+//# case: component names with digits
+result = function () {
+  var Comp2 = Comp;
+  return h(Comp2, null);
+}();
+
+//# case: all uppercase component
+result = function () {
+  var UI = Comp;
+  return h(UI, null);
+}();
+
+//# case: member expression with keyword property
+result = function () {
+  var obj = {
+    default: Comp,
+    class: Other
+  };
+  return h("div", null, h(obj.default, null), h(obj.class, null));
+}();
@@ -0,0 +1,65 @@
+//# case: member expression component
+<Context.Provider value={a}><b /></Context.Provider>
+
+//# case: lowercase member expression
+<motion.div animate={style} />
+
+//# case: lowercase member expression with children
+<motion.span>text</motion.span>
+
+//# case: nested member expression
+<ns.Comp.Inner />
+
+//# case: member expression closing tag
+<ns.Comp.Inner>child</ns.Comp.Inner>
+
+//# case: this member expression
+result = function () { return <this.Comp />; }.call({ Comp: Comp });
+
+//# case: namespaced element
+<svg:rect width="1" />
+
+//# case: namespaced element with children
+<svg:g><svg:rect /></svg:g>
+
+//# case: namespaced attribute
+<use xlink:href="#icon" />
+
+//# case: namespaced boolean attribute
+<div foo:bar />
+
+//# case: namespaced attributes with expressions
+<svg xmlns:xlink={b}><image xlink:href={props.id} /></svg>
+
+//# case: attribute names with dollar sign
+<div $value="1" />
+
+//# case: attribute names with underscore
+<div _private="1" __html="2" />
+
+//# case: attribute names with digits
+<div data-1="one" x2="two" />
+
+//# case: attribute name with multiple hyphens
+<div data-long-attribute-name="v" />
+
+//# case: camel case attributes
+<div onClick={fn} onMouseEnter={fn} tabIndex="1" />
+
+//# case: component with lowercase first letter is an element
+<comp />
+
+//# case: element names with hyphens and digits
+<x-1 />
+
+//# case: custom element with hyphenated closing tag
+<my-card><my-title>t</my-title></my-card>
+
+//# case: component names with digits
+result = (function () { var Comp2 = Comp; return <Comp2 />; })();
+
+//# case: all uppercase component
+result = (function () { var UI = Comp; return <UI />; })();
+
+//# case: member expression with keyword property
+result = (function () { var obj = { default: Comp, class: Other }; return <div><obj.default /><obj.class /></div>; })();
@@ -0,0 +1,58 @@
+//# case: remove a prop
+result = h("div", {
+  id: "a",
+  title: b
+});
+
+//# case: remove a prop after a spread prop
+result = h("div", props);
+
+//# case: add a prop
+result = h("form", null, h("input", {
+  name: "q",
+  type: "text"
+}), h("input", {
+  type: "search"
+}));
+
+//# case: remove a child
+result = h("ul", null, h("li", null, "a"), h("li", null, "b"));
+
+//# case: parent of nested elements
+result = h("div", {
+  "data-parent": null
+}, h("p", {
+  "data-parent": "div"
+}, h("b", {
+  "data-parent": "p"
+})));
+
+//# case: elements in a JavaScript expression
+result = h("ul", null, items.map(item => h("li", {
+  key: item,
+  "data-parent": "ul"
+}, h("input", {
+  "data-parent": "li",
+  type: "text"
+}))));
+
+//# case: elements in a ternary child
+result = h("div", null, cond ? h("remove-me", null) : h("i", {
+  "data-parent": "div"
+}));
+
+//# case: element in a prop value
+result = h(Comp, {
+  icon: h("b", {
+    "data-parent": "Comp"
+  }),
+  label: h("i", {
+    "data-parent": "Comp"
+  })
+});
+
+//# case: elements in functions outside of elements
+result = [1, 2].map(n => h("i", {
+  key: n,
+  "data-parent": null
+}));
@@ -0,0 +1,81 @@
+//# options: {"plugins": ["remove", "add-type", "parent"]}
+
+//# case: remove a prop
+<div id="a" remove-me="x" title={b} />
+//# same as:
+<div id="a" title={b} />
+
+//# case: remove a prop after a spread prop
+<div {...props} remove-me />
+//# same as:
+<div {...props} />
+
+//# case: add a prop
+<form>
+    <input name="q" />
+    <input type="search" />
+</form>
+//# same as:
+<form>
+    <input name="q" type="text" />
+    <input type="search" />
+</form>
+
+//# case: remove a child
+<ul>
+    <li>a</li>
+    <remove-me>
+        <li>hidden</li>
+    </remove-me>
+    <li>b</li>
+</ul>
+//# same as:
+<ul>
+    <li>a</li>
+    <li>b</li>
+</ul>
+
+//# case: parent of nested elements
+<div data-parent>
+    <p data-parent>
+        <b data-parent />
+    </p>
+</div>
+//# same as:
+<div data-parent={null}>
+    <p data-parent="div">
+        <b data-parent="p" />
+    </p>
+</div>
+
+//# case: elements in a JavaScript expression
+<ul>
+    {items.map((item) => (
+        <li key={item} remove-me data-parent>
+            <input data-parent />
+        </li>
+    ))}
+</ul>
+//# same as:
+<ul>
+    {items.map((item) => (
+        <li key={item} data-parent="ul">
+            <input data-parent="li" type="text" />
+        </li>
+    ))}
+</ul>
+
+//# case: elements in a ternary child
+<div>{cond ? <remove-me /> : <i remove-me data-parent />}</div>
+//# same as:
+<div>{cond ? <remove-me /> : <i data-parent="div" />}</div>
+
+//# case: element in a prop value
+<Comp icon={<b data-parent />} label=<i data-parent /> />
+//# same as:
+<Comp icon={<b data-parent="Comp" />} label=<i data-parent="Comp" /> />
+
+//# case: elements in functions outside of elements
+result = [1, 2].map((n) => <i key={n} data-parent remove-me />);
+//# same as:
+result = [1, 2].map((n) => <i key={n} data-parent={null} />);
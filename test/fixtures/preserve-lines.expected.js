@@ -0,0 +1,53 @@
+//# case: nested elements on separate lines
+result = h("div", null, h("h1", null, "Title"), h("p", null, "Text"));
+
+//# case: props on separate lines
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h("div", _extends({
+  id: "a",
+  title: b
+}, props), "text");
+
+//# case: long props are not wrapped
+result = h(Comp, {
+  first: "a long value for the first prop",
+  second: "a long value for the second prop",
+  third: a
+});
+
+//# case: multi-line expression prop
+result = h("button", {
+  onClick: () => {
+    fn();
+  },
+  title: "t"
+});
+
+//# case: expression children on separate lines
+result = h("ul", null, items.map(item => h("li", {
+  key: item
+}, item)), cond ? h("b", null) : h("i", null));
+
+//# case: code after a multi-line element
+result = [h("div", null, h("b", null)), a + 1];
+
+//# case: kept comments
+/*! License header */
+// line comment
+const value = /* @__PURE__ */fn();
+result = h("div", {
+  title: value
+}, b);
+
+//# case: comments inside elements are removed
+result = h("div", {
+  // comment
+  id: "a" /* another */
+}, a /* trailing */, b // line comment
+);
+
+//# case: comments around elements in child expressions
+result = [/* kept */h("div", null, /* before */a && h("b", null) /* after */)];
+
+//# case: fragment with children on separate lines
+result = h(Fragment, null, h("b", null), "text", h("i", null));
@@ -0,0 +1,78 @@
+//# options: {"preserveLines": true, "keepComments": true}
+
+//# case: nested elements on separate lines
+<div>
+    <h1>Title</h1>
+    <p>
+        Text
+    </p>
+</div>
+
+//# case: props on separate lines
+<div
+    id="a"
+    title={b}
+    {...props}
+>
+    text
+</div>
+
+//# case: long props are not wrapped
+<Comp first="a long value for the first prop" second="a long value for the second prop" third={a} />
+
+//# case: multi-line expression prop
+<button
+    onClick={() => {
+        fn();
+    }}
+    title="t"
+/>
+
+//# case: expression children on separate lines
+<ul>
+    {items.map((item) => (
+        <li key={item}>{item}</li>
+    ))}
+    {cond
+        ? <b />
+        : <i />}
+</ul>
+
+//# case: code after a multi-line element
+result = [
+    <div>
+        <b />
+    </div>,
+    a + 1,
+];
+
+//# case: kept comments
+/*! License header */
+// line comment
+const value = /* @__PURE__ */ fn();
+result = <div title={value}>{b}</div>;
+
+//# case: comments inside elements are removed
+<div
+    // comment
+    id="a" /* another */
+>
+    {/* child comment */}
+    {a /* trailing */}
+    {b // line comment
+    }
+</div>
+
+//# case: comments around elements in child expressions
+result = [
+    /* kept */ <div>
+        {/* before */ a && <b /> /* after */}
+    </div>,
+];
+
+//# case: fragment with children on separate lines
+<>
+    <b />
+    text
+    <i />
+</>
@@ -0,0 +1,15 @@
+//# case: nested elements
+result = h("div", null, h("h1", null, "Title"), h("p", null, "Text ", h("b", null, "bold"), " more"));
+
+//# case: long props are not wrapped
+result = h(Comp, {
+  first: "a long value for the first prop",
+  second: "a long value for the second prop",
+  third: a
+}, h(Other, null));
+
+//# case: spread props and fragment
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h(Fragment, null, h(Comp, _extends({}, props, {
+  id: "a"
+})), "text");
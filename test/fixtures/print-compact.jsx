@@ -0,0 +1,35 @@
+//# options: {"printMode": "compact"}
+
+//# case: nested elements
+<div>
+    <h1>Title</h1>
+    <p>
+        Text <b>bold</b> more
+    </p>
+</div>
+//# output:
+"use strict";
+result = (
+h("div", null, h("h1", null, "Title"), h("p", null, "Text ", h("b", null, "bold"), " more"))
+);
+
+//# case: long props are not wrapped
+<Comp first="a long value for the first prop" second="a long value for the second prop" third={a}>
+    <Other />
+</Comp>
+//# output:
+"use strict";
+result = (
+h(Comp, {first: "a long value for the first prop", second: "a long value for the second prop", third: a}, h(Other, null))
+);
+
+//# case: spread props and fragment
+<>
+    <Comp {...props} id="a" />
+    text
+</>
+//# output:
+"use strict";
+result = (
+h(Fragment, null, h(Comp, {...props, id: "a"}), "text")
+);
@@ -0,0 +1,30 @@
+//# case: element with props and children
+result = h("div", {
+  id: "a",
+  title: b,
+  "data-value": "c"
+}, h("b", null, "text"), a);
+
+//# case: spread props
+function _extends() { return _extends = Object.assign ? Object.assign.bind() : function (n) { for (var e = 1; e < arguments.length; e++) { var t = arguments[e]; for (var r in t) ({}).hasOwnProperty.call(t, r) && (n[r] = t[r]); } return n; }, _extends.apply(null, arguments); }
+result = h(Comp, _extends({}, props, {
+  id: "a"
+}));
+
+//# case: element after keyword
+result = (() => {
+  return h("div", null);
+})();
+
+//# case: elements in expressions
+result = h("ul", null, items.map(item => h("li", {
+  key: item
+}, item)), cond ? h("b", null) : h("i", null));
+
+//# case: element as prop value
+result = h(Comp, {
+  icon: h("b", null)
+});
+
+//# case: fragment
+result = h(Fragment, null, h("b", null), "text");
@@ -0,0 +1,50 @@
+//# options: {"printMode": "minify"}
+
+//# case: element with props and children
+<div id="a" title={b} data-value="c">
+    <b>text</b>
+    {a}
+</div>
+//# output:
+"use strict";result = (
+h("div",{id:"a",title:b,"data-value":"c"},h("b",null,"text"),a)
+);
+
+//# case: spread props
+<Comp {...props} id="a" />
+
+//# case: element after keyword
+result = (() => {
+    return<div />;
+})();
+//# output:
+"use strict";result = (() => {
+    return h("div",null);
+})();
+
+//# case: elements in expressions
+<ul>
+    {items.map((item) => (
+        <li key={item}>{item}</li>
+    ))}
+    {cond ? <b /> : <i />}
+</ul>
+//# output:
+"use strict";result = (
+h("ul",null,items.map((item) => (
+        h("li",{key:item},item)
+    )),cond ? h("b",null) : h("i",null))
+);
+
+//# case: element as prop value
+<Comp icon=<b /> />
+
+//# case: fragment
+<>
+    <b />
+    text
+</>
+//# output:
+"use strict";result = (
+h(Fragment,null,h("b",null),"text")
+);
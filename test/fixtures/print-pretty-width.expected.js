@@ -0,0 +1,15 @@
+//# case: nested elements
+result = h("div", null, h("h1", null, "Title"), h("p", null, "Text ", h("b", null, "bold"), " more"));
+
+//# case: props longer than print width
+result = h(Comp, {
+  first: "first value",
+  second: "second value",
+  third: a
+});
+
+//# case: props shorter than print width
+result = h(Comp, {
+  first: "a",
+  second: b
+});
@@ -0,0 +1,38 @@
+//# options: {"printMode": "pretty", "tabWidth": 2, "printWidth": 40}
+
+//# case: nested elements
+<div>
+    <h1>Title</h1>
+    <p>
+        Text <b>bold</b> more
+    </p>
+</div>
+//# output:
+"use strict";
+result = (
+h("div", null,
+  h("h1", null, "Title"),
+  h("p", null, "Text ",
+    h("b", null, "bold"),
+    " more"))
+);
+
+//# case: props longer than print width
+<Comp first="first value" second="second value" third={a} />
+//# output:
+"use strict";
+result = (
+h(Comp, {
+  first: "first value",
+  second: "second value",
+  third: a,
+})
+);
+
+//# case: props shorter than print width
+<Comp first="a" second={b} />
+//# output:
+"use strict";
+result = (
+h(Comp, {first: "a", second: b})
+);
@@ -0,0 +1,21 @@
+//# case: nested elements
+result = h("div", null, h("h1", null, "Title"), h("p", null, "Text ", h("b", null, "bold"), " more"));
+
+//# case: long props
+result = h(Comp, {
+  first: "a long value for the first prop",
+  second: "a long value for the second prop",
+  third: a
+}, h(Other, null));
+
+//# case: long props with element value
+result = h(Comp, {
+  first: "a long value for the first prop",
+  second: "a long value for the second prop",
+  icon: h("b", null)
+});
+
+//# case: elements in expressions
+result = h("ul", null, items.map(item => h("li", {
+  key: item
+}, h("b", null, item))));
@@ -0,0 +1,53 @@
+//# options: {"printMode": "pretty"}
+
+//# case: nested elements
+<div>
+    <h1>Title</h1>
+    <p>
+        Text <b>bold</b> more
+    </p>
+</div>
+//# output:
+"use strict";
+result = (
+h("div", null,
+    h("h1", null, "Title"),
+    h("p", null, "Text ",
+        h("b", null, "bold"),
+        " more"))
+);
+
+//# case: long props
+<Comp first="a long value for the first prop" second="a long value for the second prop" third={a}>
+    <Other />
+</Comp>
+//# output:
+"use strict";
+result = (
+h(Comp, {
+    first: "a long value for the first prop",
+    second: "a long value for the second prop",
+    third: a,
+},
+    h(Other, null))
+);
+
+//# case: long props with element value
+<Comp first="a long value for the first prop" second="a long value for the second prop" icon={<b />} />
+
+//# case: elements in expressions
+<ul>
+    {items.map((item) => (
+        <li key={item}>
+            <b>{item}</b>
+        </li>
+    ))}
+</ul>
+//# output:
+"use strict";
+result = (
+h("ul", null, items.map((item) => (
+        h("li", {key: item},
+            h("b", null, item))
+    )))
+);
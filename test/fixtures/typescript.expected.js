@@ -0,0 +1,155 @@
+//# case: typed props interface
+function Greeting(props) {
+  return h("p", null, props.name, ": ", props.count);
+}
+result = h(Greeting, {
+  name: "x",
+  count: 1
+});
+
+//# case: type alias for props
+const Label = ({
+  label
+}) => h("span", null, label);
+result = h(Label, {
+  label: "l"
+});
+
+//# case: typed variables
+const count = 1;
+const names = ["a", "b"];
+result = h("ul", null, names.map(name => h("li", {
+  key: name
+}, name, count)));
+
+//# case: as expression
+const value = props;
+result = h("div", {
+  id: value.id
+});
+
+//# case: as expression inside attribute
+result = h("div", {
+  title: b.toUpperCase()
+});
+
+//# case: satisfies expression
+const config = {
+  color: "red"
+};
+result = h("div", {
+  style: config
+});
+
+//# case: non-null assertion
+const items2 = items;
+result = h("b", null, items2.length);
+
+//# case: generic function
+function first(list) {
+  return list[0];
+}
+result = h("b", null, first(items));
+
+//# case: generic arrow function with trailing comma
+const identity = value => value;
+result = h("b", null, identity(a));
+
+//# case: generic arrow function with extends
+const identity = value => value;
+result = h("b", identity(props));
+
+//# case: generic component props
+function List({
+  items,
+  render
+}) {
+  return h("ul", null, items.map(render));
+}
+result = h(List, {
+  items: items,
+  render: item => h("li", null, item)
+});
+
+//# case: optional parameters
+function format(value, suffix) {
+  return String(value) + (suffix || "");
+}
+result = h("b", null, format(a, "!"));
+
+//# case: class with typed fields
+class Store {
+  count = 2;
+  name = "store";
+  view() {
+    return h("b", {
+      title: this.name
+    }, this.count);
+  }
+}
+result = new Store().view();
+
+//# case: union and intersection types
+const both = {
+  a: 1,
+  b: "b"
+};
+const value = both.b;
+result = h("b", null, value);
+
+//# case: import type is removed
+result = h("b", null);
+export {};
+
+//# case: function type annotation
+const handler = () => {};
+result = h("button", {
+  onClick: handler
+});
+
+//# case: generic function type in type alias
+result = h("b", null, a);
+
+//# case: generic function type annotation
+const identity = value => value;
+result = h("b", null, identity(a));
+
+//# case: type assertion in ternary
+result = c ? h("b", null, a + 1) : null;
+
+//# case: declare statement is removed
+result = h("b", null);
+
+//# case: function overloads
+function pick(value) {
+  return value;
+}
+result = h("b", null, pick(a));
+
+//# case: class method overloads and optional methods
+class Store {
+  static create(name) {
+    return new Store();
+  }
+  view() {
+    return h("b", null);
+  }
+}
+result = new Store().view();
+
+//# case: type arguments on elements
+function List(props) {
+  return h("ul", null, props.items.map(props.render));
+}
+result = h(List, {
+  items: items,
+  render: item => h("li", null, item)
+});
+
+//# case: enum
+var Color = /*#__PURE__*/function (Color) {
+  Color[Color["Red"] = 0] = "Red";
+  Color[Color["Green"] = 1] = "Green";
+  return Color;
+}(Color || {});
+result = h("b", null, Color.Green);
@@ -0,0 +1,139 @@
+//# case: typed props interface
+interface Props {
+    name: string;
+    count?: number;
+}
+function Greeting(props: Props) {
+    return <p>{props.name}: {props.count}</p>;
+}
+result = <Greeting name="x" count={1} />;
+
+//# case: type alias for props
+type Props = { label: string };
+const Label = ({ label }: Props): JSX.Element => <span>{label}</span>;
+result = <Label label="l" />;
+
+//# case: typed variables
+const count: number = 1;
+const names: string[] = ["a", "b"];
+result = <ul>{names.map((name: string) => <li key={name}>{name}{count}</li>)}</ul>;
+
+//# case: as expression
+const value = props as any;
+result = <div id={value.id as string} />;
+
+//# case: as expression inside attribute
+<div title={(b as string).toUpperCase()} />
+
+//# case: satisfies expression
+const config = { color: "red" } satisfies Record<string, string>;
+result = <div style={config} />;
+
+//# case: non-null assertion
+const items2: string[] | null = items;
+result = <b>{items2!.length}</b>;
+
+//# case: generic function
+function first<T>(list: T[]): T {
+    return list[0];
+}
+result = <b>{first<string>(items)}</b>;
+
+//# case: generic arrow function with trailing comma
+const identity = <T,>(value: T): T => value;
+result = <b>{identity(a)}</b>;
+
+//# case: generic arrow function with extends
+const identity = <T extends object>(value: T) => value;
+result = <b {...identity(props)} />;
+
+//# case: generic component props
+interface ListProps<T> {
+    items: T[];
+    render: (item: T) => JSX.Element;
+}
+function List<T>({ items, render }: ListProps<T>) {
+    return <ul>{items.map(render)}</ul>;
+}
+result = <List items={items} render={(item: string) => <li>{item}</li>} />;
+
+//# case: optional parameters
+function format(value?: number, suffix?: string) {
+    return String(value) + (suffix || "");
+}
+result = <b>{format(a, "!")}</b>;
+
+//# case: class with typed fields
+class Store {
+    private count: number = 2;
+    public readonly name: string = "store";
+    view(): JSX.Element {
+        return <b title={this.name}>{this.count}</b>;
+    }
+}
+result = new Store().view();
+
+//# case: union and intersection types
+type Value = string | number;
+type Both = { a: number } & { b: string };
+const both: Both = { a: 1, b: "b" };
+const value: Value = both.b;
+result = <b>{value}</b>;
+
+//# case: import type is removed
+import type { Foo } from "./foo";
+result = <b />;
+
+//# case: function type annotation
+const handler: (event: Event) => void = () => {};
+result = <button onClick={handler} />;
+
+//# case: generic function type in type alias
+type Factory = (a: number) => <T>() => { a: T, b: T };
+type Create = new <T>(value: T) => T;
+result = <b>{a}</b>;
+
+//# case: generic function type annotation
+const identity: <T,>(value: T) => T = (value) => value;
+result = <b>{identity(a)}</b>;
+
+//# case: type assertion in ternary
+result = c ? <b>{(a as number) + 1}</b> : null;
+
+//# case: declare statement is removed
+declare const external: string;
+result = <b />;
+
+//# case: function overloads
+function pick(value: string): string;
+function pick(value: number): number;
+function pick(value: any) {
+    return value;
+}
+result = <b>{pick(a)}</b>;
+
+//# case: class method overloads and optional methods
+class Store {
+    static create(name: string): Store;
+    static create(name: any) {
+        return new Store();
+    }
+    format?(value: number): string;
+    view?(): JSX.Element {
+        return <b />;
+    }
+}
+result = new Store().view();
+
+//# case: type arguments on elements
+function List<T>(props: { items: T[]; render: (item: T) => JSX.Element }) {
+    return <ul>{props.items.map(props.render)}</ul>;
+}
+result = <List<string> items={items} render={(item: string) => <li>{item}</li>} />;
+
+//# case: enum [unsupported]
+enum Color {
+    Red,
+    Green,
+}
+result = <b>{Color.Green}</b>;
@@ -0,0 +1,92 @@
+//# case: leading and trailing spaces on one line
+result = h("p", null, "  lead and trail  ");
+
+//# case: text spanning lines
+result = h("p", null, "first line second line");
+
+//# case: blank lines in text
+result = h("div", null, "a b");
+
+//# case: only spaces
+result = h("div", null, "   ");
+
+//# case: only a newline and spaces
+result = h("div", null);
+
+//# case: spaces between elements on one line
+result = h("div", null, " ", h("b", null), " ");
+
+//# case: newlines between elements
+result = h("p", null, h("b", null), h("i", null), " ", a);
+
+//# case: spaces between expressions
+result = h("div", null, a, " ", b);
+
+//# case: expressions on separate lines
+result = h("div", null, a, b);
+
+//# case: space between expression and text
+result = h("p", null, a, "  Hello ", h("b", null, "x"), "world ", b, " ");
+
+//# case: tabs in text
+result = h("p", null, "Tabbed line second   line");
+
+//# case: text after element on same line
+result = h("div", null, h("b", null, "bold"), " text");
+
+//# case: text before element on same line
+result = h("div", null, "text ", h("b", null, "bold"));
+
+//# case: space between inline elements
+result = h("p", null, h("b", null, "one"), " ", h("i", null, "two"));
+
+//# case: newline between inline elements
+result = h("p", null, h("b", null, "one"), h("i", null, "two"));
+
+//# case: text with trailing spaces before newline
+result = h("p", null, "text more");
+
+//# case: fragment with element and text
+result = h(Fragment, null, h("b", null), "  text");
+
+//# case: expression with elements and spaces
+result = h("div", null, " ", a && h("b", null, "t"), " ");
+
+//# case: whitespace inside expression container
+result = h("div", null, a);
+
+//# case: whitespace around attributes
+result = h("div", {
+  id: "a",
+  title: "b"
+}, "x");
+
+//# case: text with a carriage return
+result = h("p", null, "one two");
+
+//# case: non-breaking space character
+result = h("p", null, "\xA0a\xA0b\xA0");
+
+//# case: text with multiple spaces inside
+result = h("p", null, "a    b     c");
+
+//# case: indented text with newline at start
+result = h("div", null, "indented");
+
+//# case: indented text with newline at end
+result = h("div", null, "text");
+
+//# case: text and expressions on many lines
+result = h("div", null, "Name: ", b, "Value: ", a, "Done");
+
+//# case: empty lines between elements
+result = h("div", null, h("b", null), h("i", null));
+
+//# case: whitespace in component children
+result = h(Comp, null, h(Other, null));
+
+//# case: whitespace and expression in component
+result = h(Comp, null, " ", a, " ");
+
+//# case: pre element keeps JSX rules
+result = h("pre", null, "line 1 line 2");
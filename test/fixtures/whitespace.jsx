@@ -0,0 +1,131 @@
+//# case: leading and trailing spaces on one line
+<p>  lead and trail  </p>
+
+//# case: text spanning lines
+<p>
+    first line
+    second line
+</p>
+
+//# case: blank lines in text
+<div>a
+
+    b</div>
+
+//# case: only spaces
+<div>   </div>
+
+//# case: only a newline and spaces
+<div>
+   </div>
+
+//# case: spaces between elements on one line
+<div> <b /> </div>
+
+//# case: newlines between elements
+<p>
+    <b />
+    <i /> {a}
+</p>
+
+//# case: spaces between expressions
+<div>{a} {b}</div>
+
+//# case: expressions on separate lines
+<div>
+    {a}
+    {b}
+</div>
+
+//# case: space between expression and text
+<p>{a}  Hello <b>x</b>
+   world {b} </p>
+
+//# case: tabs in text
+<p>
+		Tabbed	line
+		second   line  
+</p>
+
+//# case: text after element on same line
+<div><b>bold</b> text</div>
+
+//# case: text before element on same line
+<div>text <b>bold</b></div>
+
+//# case: space between inline elements
+<p><b>one</b> <i>two</i></p>
+
+//# case: newline between inline elements
+<p>
+    <b>one</b>
+    <i>two</i>
+</p>
+
+//# case: text with trailing spaces before newline
+<p>
+    text   
+    more
+</p>
+
+//# case: fragment with element and text
+<>
+    <b />  text
+</>
+
+//# case: expression with elements and spaces
+<div> {a && <b>t</b>} </div>
+
+//# case: whitespace inside expression container
+<div>{ a }</div>
+
+//# case: whitespace around attributes
+<div   id="a"   title="b"   >x</div>
+
+//# case: text with a carriage return
+<p>one
+two</p>
+
+//# case: non-breaking space character
+<p> a b </p>
+
+//# case: text with multiple spaces inside
+<p>a    b     c</p>
+
+//# case: indented text with newline at start
+<div>
+    indented</div>
+
+//# case: indented text with newline at end
+<div>text
+    </div>
+
+//# case: text and expressions on many lines
+<div>
+    Name: {b}
+    Value: {a}
+    Done
+</div>
+
+//# case: empty lines between elements
+<div>
+
+    <b />
+
+    <i />
+
+</div>
+
+//# case: whitespace in component children
+<Comp>
+    <Other />
+</Comp>
+
+//# case: whitespace and expression in component
+<Comp> {a} </Comp>
+
+//# case: pre element keeps JSX rules
+<pre>
+    line 1
+        line 2
+</pre>
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Hot Reload Test
+ *
+ * Compile the same JSX file twice with `compiler.hotReload` the same as when
+ * `liveReload` runs a changed file again and check that [jsxLoader.hotComponent()]
+ * returns one stable component for each top-level declaration. Components used
+ * from the same variable `<Comp />` must stay separate and the stable component
+ * must call the latest version.
+ *
+ * Usage:
+ *     node test/hot-reload.js
+ */
+"use strict";
+
+const assert = require("assert");
+const { jsxLoader } = require("../jsxLoader.js");
+
+// Compiled code calls `window.jsxLoader`
+global.window = { jsxLoader: jsxLoader };
+jsxLoader.compiler.hotReload = true;
+
+const React = {
+    createElement: (type, props) => ({ type: type, props: props }),
+};
+
+function run(code) {
+    const output = jsxLoader.compiler.compile(code, { fileName: "/app.jsx" });
+    return new Function("React", output + "\nreturn { A, B, render };")(React);
+}
+
+const first = run(`
+function A() { return <i />; }
+const B = () => <b />;
+function render(useA) { const Comp = useA ? A : B; return <Comp />; }
+`);
+const proxyA = first.render(true).type;
+const proxyB = first.render(false).type;
+assert.notStrictEqual(proxyA, proxyB);
+assert.strictEqual(proxyA().type, "i");
+assert.strictEqual(proxyB().type, "b");
+
+// Running the file again keeps each component's identity
+const second = run(`
+function A() { return <u />; }
+const B = () => <s />;
+function render(useA) { const Comp = useA ? A : B; return <Comp />; }
+`);
+assert.notStrictEqual(second.A, first.A);
+assert.strictEqual(second.render(true).type, proxyA);
+assert.strictEqual(second.render(false).type, proxyB);
+assert.strictEqual(proxyA().type, "u");
+assert.strictEqual(proxyB().type, "s");
+
+// Components that are not declared at the top-level are returned as-is
+const local = () => null;
+assert.strictEqual(jsxLoader.hotComponent(local), local);
+
+// A file's own "use strict" stays first when registrations are added
+const output = jsxLoader.compiler.compile(
+    '"use strict";\nexport default function App() {}',
+    { fileName: "/app.jsx" },
+);
+assert.strictEqual(output.indexOf('"use strict";'), 0);
+assert.notStrictEqual(
+    output.indexOf('registerHotComponent("/app.jsx#App"'),
+    -1,
+);
+console.log("Hot reload test passed");
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Subresource Integrity Test
+ *
+ * Load <script type="text/babel" src="{url}" integrity="{hash}"> elements with
+ * [jsxLoader.setup()] on a mock page. A file that does not match its `integrity`
+ * hash must not be compiled or added to the page, the `IntegrityError` is set as
+ * [data-error] and sent with the `jsxloader:integrityerror` event, and the
+ * scripts after it are still added in order.
+ *
+ * Usage:
+ *     node test/integrity.js
+ */
+"use strict";
+
+const assert = require("assert");
+const crypto = require("crypto");
+const { jsxLoader } = require("../jsxLoader.js");
+const { createPage } = require("./mock-dom.js");
+
+function hash(algorithm, text) {
+    return (
+        algorithm +
+        "-" +
+        crypto.createHash(algorithm).update(text).digest("base64")
+    );
+}
+
+const appCode = "result = <App />;";
+const changedCode = "result = <Changed />;";
+const page = createPage({
+    html: [
+        {
+            type: "text/babel",
+            src: "app.jsx",
+            integrity: hash("sha384", appCode),
+        },
+        // The strongest algorithm is used so the sha256 match is ignored
+        {
+            type: "text/babel",
+            src: "changed.jsx",
+            integrity:
+                hash("sha256", changedCode) + " " + hash("sha512", appCode),
+        },
+        { type: "text/babel", innerHTML: "result = <b />;" },
+    ],
+    files: { "app.jsx": appCode, "changed.jsx": changedCode },
+});
+
+const events = [];
+[
+    "jsxloader:integrityerror",
+    "jsxloader:error",
+    "jsxloader:compiled",
+    "jsxloader:done",
+].forEach((name) => {
+    page.document.addEventListener(name, (e) => {
+        // `jsxloader:done` of the document is sent once all scripts are loaded
+        const element = e.detail.element;
+        events.push(
+            name +
+                " " +
+                (element ? element.getAttribute("src") || "inline" : "page"),
+        );
+    });
+});
+
+const errors = [];
+console.error = (error) => errors.push(error);
+jsxLoader.logCompileTime = false;
+jsxLoader.showErrorOverlay = false;
+jsxLoader.compiler.addUseStrict = false;
+jsxLoader.sourceMaps = false;
+jsxLoader.setup();
+
+const timeout = setTimeout(() => {
+    console.log("jsxLoader.ready did not resolve");
+    process.exit(1);
+}, 2000);
+
+jsxLoader.ready
+    .then((results) => {
+        clearTimeout(timeout);
+        assert.deepStrictEqual(
+            page.added.map((script) => script.text),
+            [
+                "result = React.createElement(App, null);",
+                'result = React.createElement("b", null);',
+            ],
+        );
+
+        assert.deepStrictEqual(
+            results.map((result) => result.status),
+            ["loaded", "error", "loaded"],
+        );
+        const error = results[1].error;
+        assert.strictEqual(error.name, "IntegrityError");
+        assert.strictEqual(error.code, "JSX_INTEGRITY_MISMATCH");
+        assert.ok(error.message.indexOf(hash("sha512", changedCode)) !== -1);
+        assert.deepStrictEqual(errors, [error]);
+
+        const element = results[1].element;
+        const dataError = JSON.parse(element.getAttribute("data-error"));
+        assert.strictEqual(dataError.name, "IntegrityError");
+        assert.strictEqual(dataError.code, "JSX_INTEGRITY_MISMATCH");
+        assert.ok(element.hasAttribute("data-added-to-page"));
+
+        assert.deepStrictEqual(events, [
+            "jsxloader:compiled app.jsx",
+            "jsxloader:integrityerror changed.jsx",
+            "jsxloader:error changed.jsx",
+            "jsxloader:compiled inline",
+            "jsxloader:done page",
+        ]);
+        console.log("Integrity test passed");
+    })
+    .catch((e) => {
+        console.log(e);
+        process.exit(1);
+    });
@@ -0,0 +1,224 @@
+/**
+ * Mock DOM for Tests
+ *
+ * A minimal page for testing the browser code of jsxLoader from Node without
+ * a browser. Only what jsxLoader uses is implemented: <script> elements with
+ * attributes, `document.head`, `querySelectorAll()` for attribute selectors,
+ * `MutationObserver` for `childList` changes, and `fetch()` for files.
+ *
+ * Scripts that jsxLoader adds to the page are saved in `page.added` and do not
+ * run, `page.onScript(script)` can be set to act on them. Scripts with [src]
+ * call `onload` unless the URL is in `page.failUrls`.
+ *
+ * Usage:
+ *     const { createPage } = require("./mock-dom.js");
+ *     const page = createPage({
+ *         html: [{ type: "text/babel", src: "app.jsx" }],
+ *         files: { "app.jsx": "render(<App />);" },
+ *     });
+ */
+"use strict";
+
+const baseURI = "http://localhost/index.html";
+const observers = [];
+
+// Return `true` if an element matches a selector such as
+// `script[type="text/babel"]:not([data-added-to-page])`
+function matches(element, selector) {
+    return selector.split(",").some((part) => {
+        const match = /^([\w-]*)(.*)$/.exec(part.trim());
+        if (match[1] !== "" && match[1].toUpperCase() !== element.tagName) {
+            return false;
+        }
+        const conditionRegex = /(:not\()?\[([\w-]+)(?:="([^"]*)")?\]\)?/g;
+        let condition;
+        while ((condition = conditionRegex.exec(match[2])) !== null) {
+            const value = element.getAttribute(condition[2]);
+            const found =
+                value !== null &&
+                (condition[3] === undefined || value === condition[3]);
+            if (found === (condition[1] !== undefined)) {
+                return false;
+            }
+        }
+        return true;
+    });
+}
+
+class MockElement extends EventTarget {
+    constructor(tagName, attributes) {
+        super();
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.nodeName = this.tagName;
+        this.attributes = Object.assign({}, attributes);
+        this.childNodes = [];
+        this.parentNode = null;
+        this.innerHTML = "";
+        this.text = "";
+        this.async = true;
+    }
+    get src() {
+        const src = this.getAttribute("src");
+        return src === null ? "" : new URL(src, baseURI).href;
+    }
+    set src(value) {
+        this.setAttribute("src", value);
+    }
+    get type() {
+        return this.getAttribute("type") || "";
+    }
+    set type(value) {
+        this.setAttribute("type", value);
+    }
+    get nonce() {
+        return this.getAttribute("nonce") || "";
+    }
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+    hasAttribute(name) {
+        return name in this.attributes;
+    }
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+    appendChild(node) {
+        // Moved like in a browser if it is already in the page
+        if (node.parentNode !== null) {
+            const siblings = node.parentNode.childNodes;
+            siblings.splice(siblings.indexOf(node), 1);
+        }
+        node.parentNode = this;
+        this.childNodes.push(node);
+        if (this.ownerPage) {
+            this.ownerPage.nodeAdded(this, node);
+        }
+        return node;
+    }
+    contains(node) {
+        while (node !== null && node !== this) {
+            node = node.parentNode;
+        }
+        return node === this;
+    }
+    querySelectorAll(selector) {
+        const found = [];
+        (function walk(node) {
+            node.childNodes.forEach((child) => {
+                if (matches(child, selector)) {
+                    found.push(child);
+                }
+                walk(child);
+            });
+        })(this);
+        return found;
+    }
+}
+
+class MockMutationObserver {
+    constructor(callback) {
+        this.callback = callback;
+    }
+    observe(target) {
+        this.target = target;
+        observers.push(this);
+    }
+    disconnect() {
+        observers.splice(observers.indexOf(this), 1);
+    }
+}
+
+/**
+ * Create a page and set the globals that jsxLoader uses. `html` is a list of
+ * attributes for <script> elements in <head>, `innerHTML` is the inline code.
+ * `files` maps URLs relative to the page to their text.
+ *
+ * @param {object} options `{ html, files }`
+ * @return {object}
+ */
+function createPage(options) {
+    const page = {
+        added: [],
+        failUrls: [],
+        onScript: null,
+        files: {},
+        nodeAdded: null,
+    };
+    Object.keys(options.files || {}).forEach((url) => {
+        page.files[new URL(url, baseURI).href] = options.files[url];
+    });
+
+    const document = new EventTarget();
+    const html = new MockElement("html");
+    document.baseURI = baseURI;
+    document.documentElement = html;
+    document.head = new MockElement("head");
+    document.body = new MockElement("body");
+    document.createElement = (tagName) => new MockElement(tagName);
+    document.getElementById = () => null;
+    document.querySelectorAll = (selector) => html.querySelectorAll(selector);
+    [html, document.head, document.body].forEach((element) => {
+        element.ownerPage = page;
+    });
+    page.nodeAdded = (parent, node) => {
+        if (
+            node.tagName === "SCRIPT" &&
+            node.getAttribute("type") !== "text/babel"
+        ) {
+            page.added.push(node);
+            if (page.onScript !== null) {
+                page.onScript(node);
+            }
+            if (node.src && typeof node.onload === "function") {
+                const failed = page.failUrls.indexOf(node.src) !== -1;
+                setTimeout(failed ? node.onerror : node.onload, 0);
+            }
+        }
+        observers.forEach((observer) => {
+            if (observer.target.contains(parent)) {
+                Promise.resolve().then(() => {
+                    observer.callback([{ addedNodes: [node] }]);
+                });
+            }
+        });
+    };
+
+    html.appendChild(document.head);
+    html.appendChild(document.body);
+
+    page.addScript = (attributes, parent) => {
+        const script = new MockElement("script", attributes);
+        script.innerHTML = script.attributes.innerHTML || "";
+        delete script.attributes.innerHTML;
+        (parent || document.head).appendChild(script);
+        return script;
+    };
+    (options.html || []).forEach((attributes) => page.addScript(attributes));
+
+    global.document = document;
+    global.MutationObserver = MockMutationObserver;
+    global.fetch = (url) => {
+        const text = page.files[new URL(url, baseURI).href];
+        const body = Buffer.from(text === undefined ? "Not Found" : text);
+        return Promise.resolve({
+            status: text === undefined ? 404 : 200,
+            statusText: text === undefined ? "Not Found" : "OK",
+            text: () => Promise.resolve(body.toString()),
+            arrayBuffer: () =>
+                Promise.resolve(
+                    body.buffer.slice(
+                        body.byteOffset,
+                        body.byteOffset + body.length,
+                    ),
+                ),
+        });
+    };
+    page.document = document;
+    return page;
+}
+
+module.exports = { createPage, MockElement };
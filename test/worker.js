@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Web Worker Test
+ *
+ * Compile <script type="text/babel"> elements with [jsxLoader.worker] on a mock
+ * page. `Worker` is a stub that runs a copy of `jsxLoader.js` in a `vm` context
+ * the same as a Web Worker created by jsxLoader, so the test checks that compiler
+ * settings are sent to the worker and that scripts are compiled on the main
+ * thread when a compiler function is replaced or the worker fails.
+ *
+ * Usage:
+ *     node test/worker.js
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { jsxLoader } = require("../jsxLoader.js");
+const { createPage } = require("./mock-dom.js");
+
+const source = fs.readFileSync(path.join(__dirname, "../jsxLoader.js"), "utf8");
+const jobs = [];
+let failWorker = false;
+
+global.Worker = class {
+    constructor(url) {
+        assert.strictEqual(url, "jsxLoader.js");
+        const context = { self: {}, importScripts() {}, console: console };
+        context.self.postMessage = (data) => {
+            setTimeout(() => this.onmessage({ data: structuredClone(data) }));
+        };
+        vm.runInNewContext(source, context);
+        this.context = context;
+    }
+    postMessage(data) {
+        jobs.push(data);
+        if (failWorker) {
+            setTimeout(() => this.onerror({ message: "Worker failed" }));
+        } else {
+            setTimeout(() => {
+                this.context.self.onmessage({ data: structuredClone(data) });
+            });
+        }
+    }
+    terminate() {}
+};
+
+const page = createPage({});
+jsxLoader.logCompileTime = false;
+jsxLoader.worker.enabled = true;
+jsxLoader.worker.url = "jsxLoader.js";
+jsxLoader.usePreact();
+jsxLoader.compiler.printWidth = 40;
+jsxLoader.compiler.addUseStrict = false;
+
+function loadScripts(codeList) {
+    const start = page.added.length;
+    const scripts = codeList.map((code) =>
+        page.addScript({ type: "text/babel", innerHTML: code }),
+    );
+    return Promise.all(
+        scripts.map((script) => jsxLoader.loadScript(script)),
+    ).then((results) => {
+        return {
+            results: results,
+            added: page.added.slice(start).map((script) => script.text),
+        };
+    });
+}
+
+const timeout = setTimeout(() => {
+    console.error("Scripts were not added to the page");
+    process.exit(1);
+}, 5000);
+
+Promise.resolve()
+    .then(() => {
+        // Compiled by workers and added in order, the compile error is logged
+        const log = console.log;
+        const error = console.error;
+        console.log = console.error = () => {};
+        return loadScripts([
+            "result = <b>1</b>;",
+            "result = <i>2</i>;",
+            "result = <b>{</b>;",
+        ]).then((loaded) => {
+            console.log = log;
+            console.error = error;
+            return loaded;
+        });
+    })
+    .then(({ results, added }) => {
+        assert.strictEqual(jobs.length, 3);
+        jobs.forEach((job) => {
+            assert.strictEqual(job.settings.pragma, "h");
+            assert.strictEqual(job.settings.pragmaFrag, "Fragment");
+            assert.strictEqual(job.settings.printWidth, 40);
+            assert.strictEqual(job.settings.addUseStrict, false);
+        });
+        assert.deepStrictEqual(added, [
+            'result = h("b", null, "1");',
+            'result = h("i", null, "2");',
+        ]);
+        assert.strictEqual(results[0].status, "loaded");
+        assert.strictEqual(results[1].status, "loaded");
+        // Compile errors from the worker are reported on the element
+        assert.strictEqual(results[2].status, "error");
+        assert.strictEqual(results[2].error.name, "JsxCompileError");
+        const error = JSON.parse(results[2].element.getAttribute("data-error"));
+        assert.strictEqual(error.name, "JsxCompileError");
+
+        // A replaced compiler function only exists on the main thread
+        const compile = jsxLoader.compiler.compile;
+        let calls = 0;
+        jsxLoader.compiler.compile = function (text, options) {
+            calls++;
+            return compile.call(this, text, options);
+        };
+        return loadScripts(["result = <b>3</b>;"]).then((loaded) => {
+            assert.strictEqual(jobs.length, 3);
+            assert.strictEqual(calls, 1);
+            jsxLoader.compiler.compile = compile;
+            return loaded;
+        });
+    })
+    .then(({ added }) => {
+        assert.deepStrictEqual(added, ['result = h("b", null, "3");']);
+
+        // Scripts waiting on a worker that fails are compiled on the main thread
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (message) => warnings.push(message);
+        failWorker = true;
+        return loadScripts(["result = <b>4</b>;", "result = <i>5</i>;"]).then(
+            (loaded) => {
+                console.warn = warn;
+                assert.ok(warnings.indexOf("Worker failed") !== -1);
+                return loaded;
+            },
+        );
+    })
+    .then(({ results, added }) => {
+        assert.strictEqual(jobs.length, 5);
+        assert.deepStrictEqual(added, [
+            'result = h("b", null, "4");',
+            'result = h("i", null, "5");',
+        ]);
+        results.forEach((result) => {
+            assert.strictEqual(result.status, "loaded");
+            assert.strictEqual(result.compiler, "jsxLoader");
+        });
+        clearTimeout(timeout);
+        console.log("Web Worker test passed");
+    })
+    .catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });